@@ -5,6 +5,8 @@
 
 import { ApiClient, ThemeManager, NotificationManager, ActionGuard } from './utils.js';
 import { BackgroundAnimator } from './background.js';
+import { Charts } from './charts.js';
+import { QrCode } from './qrcode.js';
 
 /**
  * 管理后台应用类
@@ -16,6 +18,8 @@ class AdminApp {
     this.notificationManager = new NotificationManager();
     this.backgroundAnimator = null;
     this.adminData = null;
+    this.settings = null; // 系统设置（/api/admin/settings）
+    this.statsDays = 30; // 统计页的时间范围（天）
     this.currentTab = 'categories';
     this.faviconVersion = 0; // 用于强制刷新 /api/favicon 的版本参数
     
@@ -25,6 +29,11 @@ class AdminApp {
     this.modalBody = document.getElementById('modal-body');
     this.modalConfirm = document.getElementById('modal-confirm');
     this.modalCancel = document.getElementById('modal-cancel');
+    // 模态框被关闭（取消/遮罩/Esc）时的回调，仅触发一次
+    this._modalDismissHandler = null;
+
+    // 写入冲突（409）统一交给后台处理：重新加载或合并后重试
+    this.apiClient.onConflict = (error, retry) => this.handleConflict(error, retry);
   }
 
   /**
@@ -123,6 +132,14 @@ class AdminApp {
     if (bulkEditBtn) {
       ActionGuard.bind(bulkEditBtn, () => this.showBulkEditModal(), { loadingText: '准备中...' });
     }
+    const checkLinksBtn = document.getElementById('check-links');
+    if (checkLinksBtn) {
+      ActionGuard.bind(checkLinksBtn, () => this.showCheckLinksConfirm(), { loadingText: '打开中...' });
+    }
+    const applyRedirectsBtn = document.getElementById('apply-redirects');
+    if (applyRedirectsBtn) {
+      ActionGuard.bind(applyRedirectsBtn, () => this.showApplyRedirectsModal(), { loadingText: '准备中...' });
+    }
 
     // 模态框事件
     this.bindModalEvents();
@@ -199,6 +216,55 @@ class AdminApp {
       ActionGuard.bind(refreshAllFavBtn, () => this.showRefreshAllFavConfirm(), { loadingText: '打开中...' });
     }
 
+    // 统计时间范围切换
+    document.querySelectorAll('.stats-range-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.statsDays = Number(btn.getAttribute('data-days')) || 30;
+        document.querySelectorAll('.stats-range-btn').forEach(b => b.classList.toggle('active', b === btn));
+        this.renderStatistics();
+      });
+    });
+
+    // 图标管理：搜索与筛选
+    const iconSearch = document.getElementById('icon-search');
+    if (iconSearch) {
+      iconSearch.addEventListener('input', () => this.renderIconList());
+    }
+    const iconFilter = document.getElementById('icon-filter');
+    if (iconFilter) {
+      iconFilter.addEventListener('change', () => this.renderIconList());
+    }
+
+    // 保存首页推荐区块设置
+    const saveHomeSectionsBtn = document.getElementById('save-home-sections');
+    if (saveHomeSectionsBtn) {
+      ActionGuard.bind(saveHomeSectionsBtn, () => this.saveHomeSectionSettings(), { loadingText: '保存中...', successTip: '设置已保存' });
+    }
+    const changePasswordBtn = document.getElementById('change-password');
+    if (changePasswordBtn) {
+      ActionGuard.bind(changePasswordBtn, () => this.changePassword(), { loadingText: '修改中...' });
+    }
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) {
+      ActionGuard.bind(logoutBtn, () => this.logout(), { loadingText: '退出中...' });
+    }
+    const revokeOtherSessionsBtn = document.getElementById('revoke-other-sessions');
+    if (revokeOtherSessionsBtn) {
+      ActionGuard.bind(revokeOtherSessionsBtn, () => this.revokeOtherSessions(), { loadingText: '撤销中...' });
+    }
+    const saveAuthSettingsBtn = document.getElementById('save-auth-settings');
+    if (saveAuthSettingsBtn) {
+      ActionGuard.bind(saveAuthSettingsBtn, () => this.saveAuthSettings(), { loadingText: '保存中...', successTip: '设置已保存' });
+    }
+    const saveFaviconProvidersBtn = document.getElementById('save-favicon-providers');
+    if (saveFaviconProvidersBtn) {
+      ActionGuard.bind(saveFaviconProvidersBtn, () => this.saveFaviconProviderSettings(), { loadingText: '保存中...', successTip: '设置已保存' });
+    }
+    const regenerateAvatarsBtn = document.getElementById('regenerate-avatars');
+    if (regenerateAvatarsBtn) {
+      ActionGuard.bind(regenerateAvatarsBtn, () => this.regenerateAvatars(), { loadingText: '生成中...' });
+    }
+
     // 导入Chrome书签
     const importBookmarksBtn = document.getElementById('import-bookmarks-btn');
     if (importBookmarksBtn) {
@@ -388,21 +454,40 @@ class AdminApp {
       await this.apiClient.get('/api/admin/data');
     } catch (e) {
       if (e && e.status === 401) {
-        try { sessionStorage.removeItem('admin_jwt'); } catch (_) {}
-        this.apiClient.setAdminJWT(null);
-        window.location.replace('/admin-login.html');
+        this.redirectToLogin();
         return;
       }
       throw e;
     }
   }
 
+  /**
+   * 清除本地令牌并返回登录页
+   */
+  redirectToLogin() {
+    try { sessionStorage.removeItem('admin_jwt'); } catch (_) {}
+    this.apiClient.setAdminJWT(null);
+    window.location.replace('/admin-login.html');
+  }
+
+  /**
+   * 退出登录：撤销当前会话、清除 Cookie 后返回登录页
+   */
+  async logout() {
+    try {
+      await this.apiClient.post('/api/admin/auth/logout', {});
+    } finally {
+      this.redirectToLogin();
+    }
+  }
+
   /**
    * 绑定搜索事件
    */
   bindSearchEvents() {
     const searchInput = document.getElementById('admin-search');
     const categoryFilter = document.getElementById('category-filter');
+    const linkFilter = document.getElementById('link-filter');
 
     if (searchInput) {
       let searchTimeout;
@@ -417,6 +502,10 @@ class AdminApp {
     if (categoryFilter) {
       categoryFilter.addEventListener('change', () => this.renderSites());
     }
+
+    if (linkFilter) {
+      linkFilter.addEventListener('change', () => this.renderSites());
+    }
   }
 
   /**
@@ -506,7 +595,7 @@ class AdminApp {
    */
   handleHashChange() {
     const hash = window.location.hash.slice(1); // 移除#号
-    const validTabs = ['categories', 'sites', 'settings'];
+    const validTabs = ['categories', 'sites', 'icons', 'stats', 'settings'];
     
     // 如果hash是有效的标签页名称，切换到对应标签页
     if (validTabs.includes(hash)) {
@@ -562,6 +651,12 @@ class AdminApp {
       case 'sites':
         this.renderSites();
         break;
+      case 'icons':
+        this.renderIcons();
+        break;
+      case 'stats':
+        this.renderStatistics();
+        break;
       case 'settings':
         this.renderSettings();
         break;
@@ -1209,6 +1304,8 @@ class AdminApp {
     const searchInput = document.getElementById('admin-search');
     const query = (searchInput && searchInput.value || '').toLowerCase().trim();
     const selectedCategoryId = categoryFilter ? (categoryFilter.value || '') : '';
+    const linkFilter = document.getElementById('link-filter');
+    const selectedLinkState = linkFilter ? (linkFilter.value || '') : '';
     
     if (categories.length === 0) {
       container.innerHTML = '<div class="no-results">暂无网站数据</div>';
@@ -1229,6 +1326,28 @@ class AdminApp {
     const hasImgIcon = (v) => (/^https?:\/\//i.test(v || '') || /^data:image\//i.test(v || ''));
     const renderCatIcon = (icon) => (icon ? (hasImgIcon(icon) ? `<img src="${icon}" alt="icon"/>` : icon) : '📁');
 
+    // 访问计数徽章：累计次数，悬停显示近期次数与最后访问时间
+    const clickSummary = this.adminData.clicks || {};
+    const renderClicks = (siteId) => {
+      const entry = siteId && clickSummary.sites ? clickSummary.sites[siteId] : null;
+      if (!entry || !entry.total) return '';
+      const last = entry.lastClickedAt ? new Date(entry.lastClickedAt).toLocaleString() : '-';
+      const tip = `近${clickSummary.recentDays || 30}天 ${entry.recent} 次，最后访问：${last}`;
+      return `<div class="site-clicks badge badge-muted" title="${this.escapeHtml(tip)}">👆 ${entry.total}</div>`;
+    };
+
+    // 链接检查徽章：只标注失效与跳转，悬停显示状态码与检查时间
+    const renderLinkCheck = (check) => {
+      if (!check || (check.state !== 'broken' && check.state !== 'redirected')) return '';
+      const checkedAt = check.checkedAt ? new Date(check.checkedAt).toLocaleString() : '-';
+      const detail = check.state === 'redirected'
+        ? `跳转到：${check.redirectTo}`
+        : (check.error || `HTTP ${check.status}`);
+      const tip = `${detail}\n检查时间：${checkedAt}`;
+      const label = check.state === 'redirected' ? '↪️ 跳转' : '⛔ 失效';
+      return `<div class="site-link-state badge link-${check.state}" title="${this.escapeHtml(tip)}">${label}</div>`;
+    };
+
     const renderSiteCard = (site, pathTitles, pathIds) => {
       // 优先使用稳定的 id 路径（若存在），否则使用标题路径
       const pathForAction = Array.isArray(pathIds) && pathIds.length
@@ -1251,11 +1370,14 @@ class AdminApp {
         .replace(/\"/g, '&quot;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;');
+      const safeId = this.escapeHtml(site.id || '');
+      const clicksHtml = renderClicks(site.id);
+      const linkCheckHtml = renderLinkCheck(site.linkCheck);
       return `
-        <div class="site-item">
+        <div class="site-item" data-site-id="${safeId}">
           <div class="card-actions">
-            <button class="btn btn-sm btn-icon" title="编辑" data-act="edit-site" data-path="${safePath}" data-title="${String(site.title).replace(/&/g,'&amp;').replace(/\"/g,'&quot;').replace(/'/g, "&#39;").replace(/</g,'&lt;').replace(/>/g,'&gt;')}">✏️</button>
-            <button class="btn btn-sm btn-icon btn-danger" title="删除" data-act="delete-site" data-path="${safePath}" data-title="${String(site.title).replace(/&/g,'&amp;').replace(/\"/g,'&quot;').replace(/'/g, "&#39;").replace(/</g,'&lt;').replace(/>/g,'&gt;')}">🗑️</button>
+            <button class="btn btn-sm btn-icon" title="编辑" data-act="edit-site" data-id="${safeId}" data-path="${safePath}" data-title="${String(site.title).replace(/&/g,'&amp;').replace(/\"/g,'&quot;').replace(/'/g, "&#39;").replace(/</g,'&lt;').replace(/>/g,'&gt;')}">✏️</button>
+            <button class="btn btn-sm btn-icon btn-danger" title="删除" data-act="delete-site" data-id="${safeId}" data-path="${safePath}" data-title="${String(site.title).replace(/&/g,'&amp;').replace(/\"/g,'&quot;').replace(/'/g, "&#39;").replace(/</g,'&lt;').replace(/>/g,'&gt;')}">🗑️</button>
             <button class="btn btn-sm btn-icon" title="刷新图标" data-act="refresh-fav" data-url="${site.url.replace(/'/g, "&#39;")}">🔄</button>
           </div>
           <div class="site-header">
@@ -1267,11 +1389,17 @@ class AdminApp {
           </div>
           <div class="site-description" title="${descTitle}">${site.description || ''}</div>
           <div class="site-category badge badge-muted">${pathTitles.join(' / ')}</div>
+          ${clicksHtml}
+          ${linkCheckHtml}
         </div>
       `;
     };
 
     const matchSite = (site, pathTitles) => {
+      if (selectedLinkState) {
+        const state = site.linkCheck ? site.linkCheck.state : 'unchecked';
+        if (state !== selectedLinkState) return false;
+      }
       if (!query) return true;
       const t = (site.title || '').toLowerCase();
       const u = (site.url || '').toLowerCase();
@@ -1320,9 +1448,9 @@ class AdminApp {
       if (!act) return;
       e.stopPropagation();
       if (act === 'edit-site') {
-        this.editSiteByPath(btn.getAttribute('data-path') || '', btn.getAttribute('data-title') || '');
+        this.editSiteByPath(btn.getAttribute('data-path') || '', btn.getAttribute('data-title') || '', btn.getAttribute('data-id') || '');
       } else if (act === 'delete-site') {
-        this.deleteSiteByPath(btn.getAttribute('data-path') || '', btn.getAttribute('data-title') || '');
+        this.deleteSiteByPath(btn.getAttribute('data-path') || '', btn.getAttribute('data-title') || '', btn.getAttribute('data-id') || '');
       } else if (act === 'refresh-fav') {
         const u = btn.getAttribute('data-url') || '';
         if (u) this.refreshFavicons([u]);
@@ -1380,9 +1508,9 @@ class AdminApp {
   }
 
   /**
-   * 基于路径的单项编辑
+   * 基于路径的单项编辑（有网站 id 时按 id 定位与提交）
    */
-  editSiteByPath(pathStr, siteTitle) {
+  editSiteByPath(pathStr, siteTitle, siteId = '') {
     const anyPath = (pathStr || '').split('/').map(s => this._decodeHtmlEntities(String(s).trim())).filter(Boolean);
     const titlePath = this._resolveTitlePath(anyPath) || anyPath;
     const node = this._findCategoryNodeByPath(titlePath);
@@ -1391,7 +1519,7 @@ class AdminApp {
       return;
     }
     const realTitle = this._decodeHtmlEntities(siteTitle);
-    const site = (node.sites || []).find(s => s.title === realTitle);
+    const site = (node.sites || []).find(s => (siteId ? s.id === siteId : s.title === realTitle));
     if (!site) {
       this.notificationManager.error('未找到网站');
       return;
@@ -1408,7 +1536,11 @@ class AdminApp {
       </div>
       <div class="form-group">
         <label class="form-label">网站URL</label>
-        <input type="url" id="edit-site-url" class="form-input" value="${site.url}">
+        <div class="input-with-action">
+          <input type="url" id="edit-site-url" class="form-input" value="${site.url}">
+          <button type="button" id="edit-site-fetch-metadata" class="btn btn-sm">自动获取</button>
+        </div>
+        <div class="form-help">💡 根据网址获取网页标题与描述，只填充留空的字段</div>
       </div>
       <div class="form-group">
         <label class="form-label">网站描述</label>
@@ -1437,10 +1569,14 @@ class AdminApp {
         return;
       }
       try {
-        await this.apiClient.put('/api/admin/sites', {
-          mode: 'update',
-          items: [{ path: titlePath.join('/'), title: siteTitle, update: { title, url, description, icon } }]
-        });
+        if (site.id) {
+          await this.apiClient.put(`/api/admin/sites/by-id/${encodeURIComponent(site.id)}`, { title, url, description, icon });
+        } else {
+          await this.apiClient.put('/api/admin/sites', {
+            mode: 'update',
+            items: [{ path: titlePath.join('/'), title: siteTitle, update: { title, url, description, icon } }]
+          });
+        }
         this.hideModal();
         this.notificationManager.success('网站更新成功');
         await this.loadAdminData();
@@ -1453,6 +1589,11 @@ class AdminApp {
     // 预览绑定：遵循 图片URL > favicon > 文本icon
     const iconInput = document.getElementById('edit-site-icon');
     const urlInput = document.getElementById('edit-site-url');
+    ActionGuard.bind(document.getElementById('edit-site-fetch-metadata'), () => this.fillSiteMetadata({
+      urlInput,
+      titleInput: document.getElementById('edit-site-title'),
+      descriptionInput: document.getElementById('edit-site-description')
+    }), { loadingText: '获取中...' });
     const iconPreview = document.getElementById('edit-icon-preview');
     const favPreview = document.getElementById('edit-favicon-preview');
     const hasImg = (v) => /^https?:\/\//i.test(v || '') || /^data:image\//i.test(v || '');
@@ -1497,9 +1638,9 @@ class AdminApp {
   }
 
   /**
-   * 基于路径的单项删除
+   * 基于路径的单项删除（有网站 id 时按 id 删除）
    */
-  async deleteSiteByPath(pathStr, siteTitle) {
+  async deleteSiteByPath(pathStr, siteTitle, siteId = '') {
     const anyPath = (pathStr || '').split('/').map(s => this._decodeHtmlEntities(String(s).trim())).filter(Boolean);
     const titlePath = this._resolveTitlePath(anyPath) || anyPath;
     const bodyHtml = `
@@ -1508,7 +1649,11 @@ class AdminApp {
     `;
     this.showModal('删除网站', bodyHtml, async () => {
       try {
-        await this.apiClient.delete('/api/admin/sites', { items: [{ path: titlePath.join('/'), titles: [this._decodeHtmlEntities(siteTitle)] }] });
+        if (siteId) {
+          await this.apiClient.delete(`/api/admin/sites/by-id/${encodeURIComponent(siteId)}`);
+        } else {
+          await this.apiClient.delete('/api/admin/sites', { items: [{ path: titlePath.join('/'), titles: [this._decodeHtmlEntities(siteTitle)] }] });
+        }
         this.hideModal();
         this.notificationManager.success('网站删除成功');
         await this.loadAdminData();
@@ -1805,36 +1950,1116 @@ class AdminApp {
     }
   }
 
+  /**
+   * 根据网址获取网页信息，填充名称与描述中留空的字段
+   * @param {{urlInput:HTMLInputElement, titleInput:HTMLInputElement, descriptionInput:HTMLTextAreaElement}} fields
+   * @param {{silent?:boolean}} [options] - silent：自动触发时不提示
+   */
+  async fillSiteMetadata(fields, options = {}) {
+    const notify = (type, message) => { if (!options.silent) this.notificationManager[type](message); };
+    const url = (fields.urlInput.value || '').trim();
+    try {
+      new URL(url);
+    } catch (_) {
+      notify('error', '请先填写有效的URL地址');
+      return;
+    }
+    const targets = [[fields.titleInput, 'title'], [fields.descriptionInput, 'description']]
+      .filter(([input]) => input && !input.value.trim());
+    if (targets.length === 0) {
+      notify('info', '名称与描述均已填写，如需重新获取请先清空');
+      return;
+    }
+
+    try {
+      const metadata = await this.apiClient.get(`/api/admin/metadata?url=${encodeURIComponent(url)}`);
+      // 获取期间网址被修改时丢弃结果；期间手动填写的字段也不覆盖
+      if ((fields.urlInput.value || '').trim() !== url) return;
+      let count = 0;
+      targets.forEach(([input, key]) => {
+        const value = metadata.suggested && metadata.suggested[key];
+        if (value && !input.value.trim()) {
+          input.value = value;
+          count += 1;
+        }
+      });
+      if (count > 0) notify('success', `已从网页获取 ${count} 项信息`);
+      else notify('info', '网页中没有可用的标题或描述');
+    } catch (error) {
+      notify('error', error.message);
+    }
+  }
+
+  /**
+   * 读取当前被选中网站的ID
+   * @returns {string[]}
+   */
+  _collectSelectedSiteIds() {
+    const items = (this._getSelectedSiteItems ? this._getSelectedSiteItems() : []);
+    return items.map(el => el.getAttribute('data-site-id')).filter(Boolean);
+  }
+
+  /**
+   * 检查链接确认框：有选中的网站时只检查选中的网站，否则检查全部网站
+   */
+  showCheckLinksConfirm() {
+    const ids = this._collectSelectedSiteIds();
+    const scope = ids.length > 0 ? `选中的 ${ids.length} 个网站` : '全部网站';
+    const bodyHtml = `
+      <div class="warning-message">
+        <div class="warning-icon">🔗</div>
+        <div class="warning-content">
+          <h4>检查${scope}的链接</h4>
+          <p>将逐个访问网站地址，标记失效（无法访问或返回 4xx/5xx）与跳转到其他地址的网站。</p>
+          <p class="warning-advice">💡 站点较多时耗时较长；系统每小时也会自动复查超过 7 天未检查的网站</p>
+        </div>
+      </div>
+    `;
+    this.showModal('检查链接', bodyHtml, async () => {
+      await this.checkLinks(ids);
+      this.hideModal();
+    }, { busyText: '正在检查链接...', loadingText: '检查中...' });
+  }
+
+  /**
+   * 分批检查链接，并在忙碌遮罩中显示进度
+   * @param {string[]} ids - 指定网站ID；为空时检查全部网站
+   */
+  async checkLinks(ids) {
+    const textEl = document.getElementById('busy-text');
+    const totals = { checked: 0, healthy: 0, redirected: 0, broken: 0, skipped: 0 };
+    const addTotals = (result) => {
+      Object.keys(totals).forEach(key => { totals[key] += Number(result[key]) || 0; });
+    };
+    const BATCH_SIZE = 10;
+    // 以本次开始时间为界：服务端受子请求额度限制可能提前结束一批，重复调用直到没有剩余未检查的网站
+    const before = new Date().toISOString();
+
+    if (ids.length > 0) {
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        if (textEl) textEl.textContent = `正在检查链接... ${i}/${ids.length}`;
+        for (;;) {
+          const result = await this.apiClient.post('/api/admin/sites/link-check', { ids: ids.slice(i, i + BATCH_SIZE), before });
+          addTotals(result);
+          if (!result.checked || !result.remaining) break;
+        }
+      }
+    } else {
+      for (;;) {
+        const result = await this.apiClient.post('/api/admin/sites/link-check', { before });
+        addTotals(result);
+        if (!result.checked || !result.remaining) break;
+        if (textEl) textEl.textContent = `正在检查链接... 已检查 ${totals.checked}，剩余 ${result.remaining}`;
+      }
+    }
+
+    this.notificationManager.success(`已检查 ${totals.checked} 个网站：失效 ${totals.broken}，跳转 ${totals.redirected}${totals.skipped ? `，跳过内网 ${totals.skipped}` : ''}`);
+    await this.loadAdminData();
+  }
+
+  /**
+   * 更新为跳转地址：有选中的网站时只处理选中的网站，否则处理全部跳转的网站
+   */
+  showApplyRedirectsModal() {
+    const selected = new Set(this._collectSelectedSiteIds());
+    const candidates = [];
+    const walk = (nodes) => (nodes || []).forEach(node => {
+      (node.sites || []).forEach(site => {
+        const check = site.linkCheck;
+        if (!site.id || !check || check.state !== 'redirected' || !check.redirectTo) return;
+        if (selected.size > 0 && !selected.has(site.id)) return;
+        candidates.push(site);
+      });
+      walk(node.children);
+    });
+    walk(this.adminData && this.adminData.data ? this.adminData.data.categories : []);
+
+    if (candidates.length === 0) {
+      this.notificationManager.warning(selected.size > 0 ? '选中的网站中没有检查结果为跳转的网站' : '没有检查结果为跳转的网站');
+      return;
+    }
+
+    const preview = candidates.slice(0, 10).map(site => `
+      <li><strong>${this.escapeHtml(site.title)}</strong>：${this.escapeHtml(site.url)} → ${this.escapeHtml(site.linkCheck.redirectTo)}</li>
+    `).join('');
+    const more = candidates.length > 10 ? `<li>……等共 ${candidates.length} 个网站</li>` : '';
+    const bodyHtml = `
+      <p>将以下网站的地址更新为检查时跳转到的地址：</p>
+      <ul class="redirect-preview">${preview}${more}</ul>
+    `;
+    this.showModal('更新为跳转地址', bodyHtml, async () => {
+      const result = await this.apiClient.post('/api/admin/sites/link-check/apply-redirects', {
+        ids: candidates.map(site => site.id)
+      });
+      this.hideModal();
+      this.notificationManager.success(`已更新 ${result.updated.length} 个网站`);
+      await this.loadAdminData();
+    }, { loadingText: '更新中...' });
+  }
+
+  /**
+   * 渲染统计页面
+   */
+  async renderStatistics() {
+    const container = document.getElementById('stats-container');
+    if (!container) return;
+    container.innerHTML = '<div class="loading">正在加载统计数据...</div>';
+
+    let stats;
+    try {
+      stats = await this.apiClient.get(`/api/admin/stats?days=${this.statsDays}`);
+    } catch (error) {
+      console.error('加载统计数据失败:', error);
+      container.innerHTML = `<div class="error">加载统计数据失败：${this.escapeHtml(error.message)}</div>`;
+      return;
+    }
+
+    const siteLink = (site) => `
+      <li>
+        <a href="${this.escapeHtml(site.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(site.title)}</a>
+        <span class="stats-muted">${this.escapeHtml(site.category || '')}</span>
+      </li>
+    `;
+    const siteList = ({ count, items }) => {
+      if (!count) return '<div class="chart-empty">无</div>';
+      const more = count > items.length ? `<li class="stats-muted">…另有 ${count - items.length} 个</li>` : '';
+      return `<ul class="stats-list">${items.map(siteLink).join('')}${more}</ul>`;
+    };
+    const panel = (title, body, wide = false) => `
+      <div class="stats-panel${wide ? ' stats-panel-wide' : ''}">
+        <h3>${title}</h3>
+        ${body}
+      </div>
+    `;
+
+    const { totals } = stats;
+    const summary = `
+      <div class="stats-summary">
+        <span>分类 <strong>${totals.categories}</strong></span>
+        <span>网站 <strong>${totals.sites}</strong></span>
+        <span>域名 <strong>${totals.hosts}</strong></span>
+        <span>近${stats.days}天点击 <strong>${totals.clicks}</strong></span>
+      </div>
+    `;
+    const duplicates = stats.duplicates.length === 0
+      ? '<div class="chart-empty">无</div>'
+      : stats.duplicates.map(group => `
+          <div class="stats-duplicate">
+            <div class="stats-muted">${this.escapeHtml(group.url)}</div>
+            <ul class="stats-list">${group.sites.map(siteLink).join('')}</ul>
+          </div>
+        `).join('');
+
+    container.innerHTML = summary + '<div class="stats-grid">' + [
+      panel(`每日点击（近${stats.days}天）`, Charts.timeSeries(
+        stats.clickSeries.map(d => ({ date: d.date, value: d.clicks })), { unit: ' 次' }
+      ), true),
+      panel(`点击最多（近${stats.days}天）`, Charts.barList(
+        stats.topClicked.map(s => ({ label: s.title, value: s.clicks, title: `${s.category} / ${s.title}` })),
+        { emptyText: '暂无点击记录' }
+      )),
+      panel('分类网站数（含子分类）', Charts.barList(
+        stats.categories.map(c => ({ label: c.title, value: c.totalSites, indent: c.depth, title: `${c.path}：${c.totalSites}（直属 ${c.sites}）` }))
+      )),
+      panel('域名排行', Charts.barList(stats.topHosts.map(h => ({ label: h.host, value: h.count })))),
+      panel('添加时间分布', Charts.barList(stats.ageDistribution.map(a => ({ label: a.label, value: a.count })))),
+      panel(`缺少描述（${stats.missing.description.count}）`, siteList(stats.missing.description)),
+      panel(`缺少图标（${stats.missing.icon.count}）`, siteList(stats.missing.icon)),
+      panel(`重复URL（${stats.duplicates.length}）`, duplicates)
+    ].join('') + '</div>';
+  }
+
   /**
    * 渲染设置页面
    */
   renderSettings() {
     // 设置页面主要是静态内容；系统强制使用KV，不再提供开关
+    this.loadHomeSectionSettings();
+    this.loadTwoFactorStatus();
+    this.loadSessions();
+    this.loadJobs();
+    this.loadRevisions();
+  }
+
+  /**
+   * 加载定时任务及其上次运行状态
+   */
+  async loadJobs() {
+    const container = document.getElementById('job-list');
+    if (!container) return;
+    try {
+      const data = await this.apiClient.get('/api/admin/jobs');
+      this.renderJobs(Array.isArray(data && data.jobs) ? data.jobs : []);
+    } catch (error) {
+      console.error('加载定时任务失败:', error);
+      container.innerHTML = `<div class="revision-empty">加载定时任务失败：${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * 渲染定时任务列表
+   * @param {Array} jobs
+   */
+  renderJobs(jobs) {
+    const container = document.getElementById('job-list');
+    if (!container) return;
+    if (jobs.length === 0) {
+      container.innerHTML = '<div class="revision-empty">暂无定时任务</div>';
+      return;
+    }
+    const formatInterval = (minutes) => (minutes % 1440 === 0
+      ? `每 ${minutes / 1440} 天`
+      : (minutes % 60 === 0 ? `每 ${minutes / 60} 小时` : `每 ${minutes} 分钟`));
+    container.innerHTML = jobs.map(job => {
+      const state = job.state;
+      let status = '<span class="badge badge-muted">从未运行</span>';
+      let detail = '';
+      if (state) {
+        const trigger = state.trigger === 'manual' ? '手动' : '定时';
+        status = state.ok
+          ? '<span class="badge job-ok">成功</span>'
+          : `<span class="badge job-failed">失败${state.consecutiveFailures > 1 ? ` ×${state.consecutiveFailures}` : ''}</span>`;
+        detail = `
+          <div class="revision-meta">
+            上次运行：${this.escapeHtml(new Date(state.lastRunAt).toLocaleString())}（${trigger}，${(state.durationMs / 1000).toFixed(1)} 秒）
+            · ${this.escapeHtml(state.ok ? state.summary : state.error)}
+          </div>`;
+      }
+      return `
+        <div class="revision-item">
+          <div class="revision-main">
+            <div class="revision-title">
+              ${this.escapeHtml(job.title)}
+              ${status}
+            </div>
+            <div class="revision-meta">${this.escapeHtml(job.description)} · ${formatInterval(job.intervalMinutes)}</div>
+            ${detail}
+          </div>
+          <div class="revision-actions">
+            <button class="btn btn-sm" data-run-job="${this.escapeHtml(job.id)}">立即运行</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('[data-run-job]').forEach(btn => {
+      ActionGuard.bind(btn, () => this.runJob(btn.getAttribute('data-run-job')), { loadingText: '运行中...' });
+    });
+  }
+
+  /**
+   * 立即运行定时任务，完成后重新加载管理数据（设置页随之刷新任务状态）
+   * @param {string} id - 任务ID
+   */
+  async runJob(id) {
+    const { state } = await this.apiClient.post(`/api/admin/jobs/${encodeURIComponent(id)}/run`, {});
+    if (state.ok) {
+      this.notificationManager.success(`任务完成：${state.summary}`);
+    } else {
+      this.notificationManager.error(`任务失败：${state.error}`);
+    }
+    await this.loadAdminData();
+  }
+
+  /**
+   * 加载系统设置并渲染首页推荐区块、网站图标与账户安全选项
+   */
+  async loadHomeSectionSettings() {
+    const containers = ['home-sections-settings', 'favicon-provider-settings']
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    if (containers.length === 0) return;
+    try {
+      const data = await this.apiClient.get('/api/admin/settings');
+      this.settings = data.settings;
+      this.faviconProviders = Array.isArray(data.faviconProviders) ? data.faviconProviders : [];
+      this.renderHomeSectionSettings();
+      this.renderFaviconProviderSettings();
+      this.renderAuthSettings();
+    } catch (error) {
+      console.error('加载设置失败:', error);
+      containers.forEach(container => {
+        container.innerHTML = `<div class="setting-description">加载设置失败：${this.escapeHtml(error.message)}</div>`;
+      });
+    }
+  }
+
+  /**
+   * 渲染首页推荐区块选项（开关 + 显示数量）
+   */
+  renderHomeSectionSettings() {
+    const container = document.getElementById('home-sections-settings');
+    if (!container || !this.settings) return;
+    const labels = {
+      popular: '常用网站（按访问热度）',
+      recentVisited: '最近访问（仅本设备）',
+      recentAdded: '最近添加'
+    };
+    const sections = this.settings.homeSections || {};
+    container.innerHTML = Object.entries(labels).map(([key, label]) => {
+      const conf = sections[key] || { enabled: false, count: 8 };
+      return `
+        <div class="home-section-row">
+          <label class="home-section-toggle">
+            <input type="checkbox" data-home-section="${key}" ${conf.enabled ? 'checked' : ''}>
+            <span>${label}</span>
+          </label>
+          <label class="home-section-count">
+            <span>显示数量</span>
+            <input type="number" class="form-input" min="1" max="24" data-home-section-count="${key}" value="${Number(conf.count) || 8}">
+          </label>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * 保存首页推荐区块设置
+   */
+  async saveHomeSectionSettings() {
+    const container = document.getElementById('home-sections-settings');
+    if (!container) return;
+    const homeSections = {};
+    container.querySelectorAll('input[data-home-section]').forEach(input => {
+      const key = input.getAttribute('data-home-section');
+      const countInput = container.querySelector(`input[data-home-section-count="${key}"]`);
+      homeSections[key] = { enabled: input.checked, count: Number(countInput && countInput.value) };
+    });
+    const data = await this.apiClient.put('/api/admin/settings', { homeSections });
+    this.settings = data.settings;
+    this.renderHomeSectionSettings();
+  }
+
+  /**
+   * 渲染网站图标选项：第三方服务（开关 + 尝试顺序，已启用的按设置顺序排在前面）与字母头像开关
+   */
+  renderFaviconProviderSettings() {
+    const container = document.getElementById('favicon-provider-settings');
+    if (!container || !this.settings) return;
+    const faviconSettings = this.settings.favicon || {};
+    const preferAvatarInput = document.getElementById('favicon-prefer-avatar');
+    if (preferAvatarInput) preferAvatarInput.checked = faviconSettings.preferAvatar !== false;
+    const enabled = faviconSettings.providers || [];
+    const providers = [...(this.faviconProviders || [])].sort((a, b) => {
+      const ia = enabled.indexOf(a.key);
+      const ib = enabled.indexOf(b.key);
+      return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+    });
+    container.innerHTML = providers.map(provider => `
+      <div class="home-section-row" data-favicon-provider-row="${this.escapeHtml(provider.key)}">
+        <label class="home-section-toggle">
+          <input type="checkbox" data-favicon-provider="${this.escapeHtml(provider.key)}" ${enabled.includes(provider.key) ? 'checked' : ''}>
+          <span>${this.escapeHtml(provider.title)}</span>
+        </label>
+        <span class="home-section-count">
+          <button type="button" class="btn btn-sm" data-move-provider="up" title="上移">↑</button>
+          <button type="button" class="btn btn-sm" data-move-provider="down" title="下移">↓</button>
+        </span>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('[data-move-provider]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const row = btn.closest('[data-favicon-provider-row]');
+        if (btn.getAttribute('data-move-provider') === 'up') {
+          if (row.previousElementSibling) container.insertBefore(row, row.previousElementSibling);
+        } else if (row.nextElementSibling) {
+          container.insertBefore(row.nextElementSibling, row);
+        }
+      });
+    });
+  }
+
+  /**
+   * 保存网站图标设置（第三方服务按当前顺序保存已勾选的项）
+   */
+  async saveFaviconProviderSettings() {
+    const container = document.getElementById('favicon-provider-settings');
+    if (!container) return;
+    const providers = Array.from(container.querySelectorAll('input[data-favicon-provider]'))
+      .filter(input => input.checked)
+      .map(input => input.getAttribute('data-favicon-provider'));
+    const preferAvatarInput = document.getElementById('favicon-prefer-avatar');
+    const favicon = { providers };
+    if (preferAvatarInput) favicon.preferAvatar = preferAvatarInput.checked;
+    const data = await this.apiClient.put('/api/admin/settings', { favicon });
+    this.settings = data.settings;
+    this.renderFaviconProviderSettings();
+  }
+
+  /**
+   * 渲染账户安全选项
+   */
+  renderAuthSettings() {
+    const input = document.getElementById('auth-allow-plaintext');
+    if (!input || !this.settings) return;
+    input.checked = !this.settings.auth || this.settings.auth.allowPlaintextPassword !== false;
+  }
+
+  /**
+   * 保存账户安全选项
+   */
+  async saveAuthSettings() {
+    const input = document.getElementById('auth-allow-plaintext');
+    if (!input) return;
+    const data = await this.apiClient.put('/api/admin/settings', { auth: { allowPlaintextPassword: input.checked } });
+    this.settings = data.settings;
+    this.renderAuthSettings();
+  }
+
+  /**
+   * 改用服务端新签发的登录令牌（修改密码、开启两步验证后）
+   * @param {string} token
+   */
+  applyAdminToken(token) {
+    if (!token) return;
+    try { sessionStorage.setItem('admin_jwt', token); } catch (_) {}
+    this.apiClient.setAdminJWT(token);
+  }
+
+  /**
+   * 加载两步验证状态
+   */
+  async loadTwoFactorStatus() {
+    const container = document.getElementById('two-factor-status');
+    if (!container) return;
+    try {
+      this.renderTwoFactorStatus(await this.apiClient.get('/api/admin/auth/2fa'));
+    } catch (error) {
+      console.error('加载两步验证状态失败:', error);
+      container.innerHTML = `<div class="setting-description">加载两步验证状态失败：${this.escapeHtml(error.message)}</div>`;
+    }
   }
 
   /**
-   * 获取所有网站
+   * 渲染两步验证状态与操作按钮
+   * @param {{available:boolean, enabled:boolean, enabledAt:string|null, recoveryCodesRemaining:number}} status
+   */
+  renderTwoFactorStatus(status) {
+    const container = document.getElementById('two-factor-status');
+    const actions = document.getElementById('two-factor-actions');
+    if (!container || !actions) return;
+    if (!status.available) {
+      container.innerHTML = '<div class="setting-description">KV存储不可用，无法使用两步验证</div>';
+      actions.innerHTML = '';
+      return;
+    }
+    if (!status.enabled) {
+      container.innerHTML = '<div class="setting-description">未开启</div>';
+      actions.innerHTML = `
+        <button id="enable-two-factor" class="btn btn-primary">
+          <span class="btn-icon">📱</span>
+          开启两步验证
+        </button>
+      `;
+      ActionGuard.bind(document.getElementById('enable-two-factor'), () => this.startTwoFactorSetup(), { loadingText: '生成中...' });
+      return;
+    }
+
+    const remaining = status.recoveryCodesRemaining;
+    container.innerHTML = `
+      <div class="setting-description">
+        <span class="badge job-ok">已开启</span>
+        开启于 ${this.escapeHtml(new Date(status.enabledAt).toLocaleString())} · 剩余恢复码 ${remaining} 个${remaining <= 3 ? '，建议重新生成' : ''}
+      </div>
+    `;
+    actions.innerHTML = `
+      <button id="regenerate-recovery-codes" class="btn">
+        <span class="btn-icon">🔁</span>
+        重新生成恢复码
+      </button>
+      <button id="disable-two-factor" class="btn btn-danger">
+        <span class="btn-icon">🚫</span>
+        关闭两步验证
+      </button>
+    `;
+    document.getElementById('regenerate-recovery-codes').addEventListener('click', () => this.showRegenerateRecoveryCodesDialog());
+    document.getElementById('disable-two-factor').addEventListener('click', () => this.showDisableTwoFactorDialog());
+  }
+
+  /**
+   * 开启两步验证：生成密钥并展示二维码，输入验证码确认后显示恢复码
+   */
+  async startTwoFactorSetup() {
+    const { secret, otpauthUri } = await this.apiClient.post('/api/admin/auth/2fa/setup', {});
+    const bodyHtml = `
+      <div class="two-factor-setup">
+        <p>1. 用验证器应用扫描二维码，或手动输入密钥</p>
+        <div class="two-factor-qr">${QrCode.toSvg(otpauthUri, { size: 200 })}</div>
+        <code class="two-factor-secret">${this.escapeHtml(secret.match(/.{1,4}/g).join(' '))}</code>
+        <div class="form-group">
+          <label for="two-factor-code">2. 输入验证器显示的 6 位验证码</label>
+          <input type="text" id="two-factor-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+        </div>
+      </div>
+    `;
+    this.showModal('开启两步验证', bodyHtml, async () => {
+      const code = (document.getElementById('two-factor-code')?.value || '').trim();
+      if (!code) {
+        throw new Error('请输入验证码');
+      }
+      const data = await this.apiClient.post('/api/admin/auth/2fa/enable', { code });
+      this.applyAdminToken(data.token);
+      this.showRecoveryCodes('两步验证已开启', data.recoveryCodes);
+      await this.loadTwoFactorStatus();
+    }, { loadingText: '验证中...', busyText: '正在开启两步验证...' });
+  }
+
+  /**
+   * 展示恢复码（只在生成时显示一次）
+   * @param {string} title
+   * @param {string[]} codes
+   */
+  showRecoveryCodes(title, codes) {
+    const bodyHtml = `
+      <div class="warning-message">
+        <div class="warning-icon">⚠️</div>
+        <div class="warning-content">
+          <h4>请妥善保存以下恢复码</h4>
+          <p>手机丢失时可用恢复码代替验证码登录，每个只能使用一次。关闭此窗口后将无法再次查看。</p>
+        </div>
+      </div>
+      <pre class="recovery-codes">${codes.map(code => this.escapeHtml(code)).join('\n')}</pre>
+    `;
+    this.showModal(title, bodyHtml, async () => {
+      this.hideModal();
+    });
+  }
+
+  /**
+   * 重新生成恢复码（需输入当前验证码）
+   */
+  showRegenerateRecoveryCodesDialog() {
+    const bodyHtml = `
+      <div class="form-group">
+        <label for="two-factor-code">验证码</label>
+        <input type="text" id="two-factor-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+        <div class="form-help">重新生成后，旧的恢复码全部失效</div>
+      </div>
+    `;
+    this.showModal('重新生成恢复码', bodyHtml, async () => {
+      const code = (document.getElementById('two-factor-code')?.value || '').trim();
+      if (!code) {
+        throw new Error('请输入验证码');
+      }
+      const data = await this.apiClient.post('/api/admin/auth/2fa/recovery-codes', { code });
+      this.showRecoveryCodes('已重新生成恢复码', data.recoveryCodes);
+      await this.loadTwoFactorStatus();
+    }, { loadingText: '生成中...', busyText: '正在生成恢复码...' });
+  }
+
+  /**
+   * 关闭两步验证（需输入密码与验证码）
+   */
+  showDisableTwoFactorDialog() {
+    const bodyHtml = `
+      <div class="form-group">
+        <label for="two-factor-password">管理员密码</label>
+        <input type="password" id="two-factor-password" autocomplete="current-password">
+      </div>
+      <div class="form-group">
+        <label for="two-factor-code">验证码或恢复码</label>
+        <input type="text" id="two-factor-code" autocomplete="one-time-code">
+      </div>
+    `;
+    this.showModal('关闭两步验证', bodyHtml, async () => {
+      const password = document.getElementById('two-factor-password')?.value || '';
+      const code = (document.getElementById('two-factor-code')?.value || '').trim();
+      if (!password || !code) {
+        throw new Error('请输入密码与验证码');
+      }
+      const data = await this.apiClient.post('/api/admin/auth/2fa/disable', { password, code });
+      this.hideModal();
+      this.notificationManager.success(data.message);
+      await this.loadTwoFactorStatus();
+    }, { loadingText: '关闭中...', busyText: '正在关闭两步验证...' });
+  }
+
+  /**
+   * 加载登录会话列表
+   */
+  async loadSessions() {
+    const container = document.getElementById('session-list');
+    if (!container) return;
+    try {
+      const data = await this.apiClient.get('/api/admin/auth/sessions');
+      this.renderSessions(Array.isArray(data && data.sessions) ? data.sessions : []);
+    } catch (error) {
+      console.error('加载登录会话失败:', error);
+      container.innerHTML = `<div class="revision-empty">加载登录会话失败：${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * 渲染登录会话列表
+   * @param {Array} sessions
+   */
+  renderSessions(sessions) {
+    const container = document.getElementById('session-list');
+    if (!container) return;
+    if (sessions.length === 0) {
+      container.innerHTML = '<div class="revision-empty">暂无登录会话</div>';
+      return;
+    }
+    container.innerHTML = sessions.map(session => `
+      <div class="revision-item">
+        <div class="revision-main">
+          <div class="revision-title">
+            ${this.escapeHtml(session.ip || '未知 IP')}
+            ${session.current ? '<span class="badge job-ok">当前会话</span>' : ''}
+            ${Array.isArray(session.amr) && session.amr.includes('otp') ? '<span class="badge badge-muted">两步验证</span>' : ''}
+          </div>
+          <div class="revision-meta">
+            登录于 ${this.escapeHtml(new Date(session.createdAt).toLocaleString())}
+            · 有效期至 ${this.escapeHtml(new Date(session.expiresAt).toLocaleString())}
+          </div>
+          <div class="revision-meta">${this.escapeHtml(session.userAgent || '未知浏览器')}</div>
+        </div>
+        <div class="revision-actions">
+          <button class="btn btn-sm" data-revoke-session="${this.escapeHtml(session.id)}" data-current="${session.current ? '1' : ''}">${session.current ? '退出' : '撤销'}</button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('[data-revoke-session]').forEach(btn => {
+      ActionGuard.bind(btn, () => this.revokeSession(btn.getAttribute('data-revoke-session'), !!btn.getAttribute('data-current')), { loadingText: '撤销中...' });
+    });
+  }
+
+  /**
+   * 撤销一个登录会话；撤销的是当前会话时返回登录页
+   * @param {string} id - 会话ID
+   * @param {boolean} current - 是否为当前会话
+   */
+  async revokeSession(id, current) {
+    await this.apiClient.delete(`/api/admin/auth/sessions/${encodeURIComponent(id)}`);
+    if (current) {
+      this.redirectToLogin();
+      return;
+    }
+    this.notificationManager.success('会话已撤销');
+    await this.loadSessions();
+  }
+
+  /**
+   * 撤销除当前会话外的全部登录会话
+   */
+  async revokeOtherSessions() {
+    const data = await this.apiClient.delete('/api/admin/auth/sessions');
+    this.notificationManager.success(data.message);
+    await this.loadSessions();
+  }
+
+  /**
+   * 修改管理员密码；成功后改用服务端返回的新令牌（旧令牌已全部失效）
+   */
+  async changePassword() {
+    const currentInput = document.getElementById('current-password');
+    const newInput = document.getElementById('new-password');
+    const confirmInput = document.getElementById('confirm-password');
+    const currentPassword = currentInput.value;
+    const newPassword = newInput.value;
+    if (!currentPassword || !newPassword) {
+      throw new Error('请填写当前密码与新密码');
+    }
+    if (newPassword !== confirmInput.value) {
+      throw new Error('两次输入的新密码不一致');
+    }
+
+    const data = await this.apiClient.post('/api/admin/auth/password', { currentPassword, newPassword });
+    this.applyAdminToken(data.token);
+    currentInput.value = '';
+    newInput.value = '';
+    confirmInput.value = '';
+    this.notificationManager.success(data.message);
+  }
+
+  /**
+   * 按当前网站名称重新生成字母头像（不影响已抓取到真实图标的网站）
+   */
+  async regenerateAvatars() {
+    const data = await this.apiClient.post('/api/admin/sites/favicon/avatars', {});
+    this.notificationManager.success(data.message);
+    // 提升版本号以破坏浏览器缓存，然后刷新数据
+    this.faviconVersion++;
+    await this.loadAdminData();
+  }
+
+  /**
+   * 渲染图标管理页：存储统计与图标列表
+   */
+  async renderIcons() {
+    const container = document.getElementById('icons-container');
+    if (!container) return;
+    if (!this.iconData) container.innerHTML = '<div class="loading">正在加载图标...</div>';
+
+    try {
+      const [list, usage] = await Promise.all([
+        this.apiClient.get('/api/admin/favicons'),
+        this.apiClient.get('/api/admin/favicons/usage')
+      ]);
+      this.iconData = list;
+      const usageEl = document.getElementById('icon-usage');
+      if (usageEl) {
+        usageEl.innerHTML = `
+          <span>域名 <strong>${usage.hosts}</strong></span>
+          <span>图片 <strong>${usage.blobs}</strong></span>
+          <span>占用 <strong>${this.formatFileSize(usage.storedBytes)}</strong></span>
+          <span>去重节省 <strong>${this.formatFileSize(usage.savedBytes)}</strong></span>
+          <span>无引用 <strong>${usage.orphanHosts}</strong></span>
+        `;
+      }
+    } catch (error) {
+      console.error('加载图标失败:', error);
+      container.innerHTML = `<div class="error">加载图标失败：${this.escapeHtml(error.message)}</div>`;
+      return;
+    }
+    this.renderIconList();
+  }
+
+  /**
+   * 按搜索词与筛选条件渲染图标列表（未缓存的域名排在最后）
+   */
+  renderIconList() {
+    const container = document.getElementById('icons-container');
+    if (!container || !this.iconData) return;
+    const keyword = (document.getElementById('icon-search')?.value || '').trim().toLowerCase();
+    const filter = document.getElementById('icon-filter')?.value || '';
+
+    const rows = [
+      ...this.iconData.items,
+      ...this.iconData.missing.map(entry => ({ ...entry, missing: true }))
+    ].filter(entry => {
+      if (filter === 'pinned' && !entry.pinned) return false;
+      if (filter === 'avatar' && entry.source !== 'avatar') return false;
+      if (filter === 'missing' && !entry.missing) return false;
+      if (filter === 'orphan' && (entry.missing || entry.sites.length > 0)) return false;
+      if (!keyword) return true;
+      return entry.host.toLowerCase().includes(keyword) ||
+        entry.sites.some(site => String(site.title || '').toLowerCase().includes(keyword));
+    });
+
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="revision-empty">没有符合条件的图标</div>';
+      return;
+    }
+
+    container.innerHTML = rows.map(entry => {
+      const host = this.escapeHtml(entry.host);
+      const sites = entry.sites.length > 0
+        ? entry.sites.map(site => this.escapeHtml(site.title)).join('、')
+        : '无网站引用';
+      const meta = entry.missing
+        ? ['未缓存']
+        : [
+            this.escapeHtml(entry.legacy ? '旧版格式' : entry.source || 'unknown'),
+            entry.size ? this.formatFileSize(entry.size) : '',
+            entry.updatedAt ? this.escapeHtml(new Date(entry.updatedAt).toLocaleString()) : ''
+          ].filter(Boolean);
+      const button = (action, text, extra = '') =>
+        `<button class="btn btn-sm${extra}" data-icon-action="${action}" data-host="${host}">${text}</button>`;
+      return `
+        <div class="revision-item">
+          <img class="icon-preview" src="/api/favicon/${encodeURIComponent(entry.host)}?v=${this.faviconVersion}" alt="" loading="lazy">
+          <div class="revision-main">
+            <div class="revision-title">
+              ${host}
+              ${entry.pinned ? '<span class="badge icon-pinned">已固定</span>' : ''}
+            </div>
+            <div class="revision-meta">${sites}</div>
+            <div class="revision-meta">${meta.join(' · ')}</div>
+          </div>
+          <div class="revision-actions">
+            ${button('upload', '上传')}
+            ${button('url', '从地址')}
+            ${entry.missing || entry.legacy ? '' : button(entry.pinned ? 'unpin' : 'pin', entry.pinned ? '取消固定' : '固定')}
+            ${entry.pinned ? '' : button('refetch', '重新抓取')}
+            ${entry.missing ? '' : button('clear', '清除', ' btn-danger')}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('[data-icon-action]').forEach(btn => {
+      const host = btn.getAttribute('data-host');
+      const action = btn.getAttribute('data-icon-action');
+      if (action === 'upload') {
+        btn.addEventListener('click', () => this.chooseIconFile(host));
+      } else if (action === 'url') {
+        btn.addEventListener('click', () => this.showIconUrlDialog(host));
+      } else if (action === 'clear') {
+        btn.addEventListener('click', () => this.confirmClearIcon(host));
+      } else {
+        ActionGuard.bind(btn, () => this.runIconAction(host, action), { loadingText: '处理中...' });
+      }
+    });
+  }
+
+  /**
+   * 图标接口地址
+   * @param {string} host
+   * @returns {string}
+   */
+  iconApiPath(host) {
+    return `/api/admin/favicons/${encodeURIComponent(host)}`;
+  }
+
+  /**
+   * 图标变更后破坏浏览器缓存并刷新数据（网站的 favicon 地址已在服务端更新）
+   */
+  async reloadAfterIconChange() {
+    this.faviconVersion++;
+    await this.loadAdminData();
+  }
+
+  /**
+   * 固定、取消固定或重新抓取图标
+   * @param {string} host
+   * @param {'pin'|'unpin'|'refetch'} action
+   */
+  async runIconAction(host, action) {
+    if (action === 'refetch') {
+      const result = await this.apiClient.post('/api/admin/sites/favicon/refresh', { urls: [`https://${host}`] });
+      this.notificationManager.success(result.message || '已重新抓取图标');
+      await this.reloadAfterIconChange();
+      return;
+    }
+    await this.apiClient.post(`${this.iconApiPath(host)}/pin`, { pinned: action === 'pin' });
+    this.notificationManager.success(action === 'pin' ? '已固定图标，自动刷新将跳过该域名' : '已取消固定');
+    await this.renderIcons();
+  }
+
+  /**
+   * 选择本地图片上传为某个域名的图标
+   * @param {string} host
+   */
+  chooseIconFile(host) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/png,image/x-icon,image/vnd.microsoft.icon,image/gif,image/jpeg,image/webp,image/svg+xml,.ico';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      const maxBytes = 100 * 1024;
+      if (file.size > maxBytes) {
+        this.notificationManager.error(`图片过大（${this.formatFileSize(file.size)}），最大 ${this.formatFileSize(maxBytes)}`);
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = async () => {
+        try {
+          await this.apiClient.put(this.iconApiPath(host), { data: reader.result });
+          this.notificationManager.success(`已上传 ${host} 的图标`);
+          await this.reloadAfterIconChange();
+        } catch (error) {
+          this.notificationManager.error('上传图标失败：' + error.message);
+        }
+      };
+      reader.onerror = () => this.notificationManager.error('读取文件失败');
+      reader.readAsDataURL(file);
+    });
+    input.click();
+  }
+
+  /**
+   * 从图片地址抓取并固定为某个域名的图标
+   * @param {string} host
+   */
+  showIconUrlDialog(host) {
+    const bodyHtml = `
+      <div class="form-group">
+        <label for="icon-url-input">图片地址</label>
+        <input type="url" id="icon-url-input" placeholder="https://example.com/logo.png">
+        <div class="form-help">抓取后固定为 ${this.escapeHtml(host)} 的图标，自动刷新不再覆盖</div>
+      </div>
+    `;
+    this.showModal(`设置 ${host} 的图标`, bodyHtml, async () => {
+      const url = (document.getElementById('icon-url-input')?.value || '').trim();
+      if (!url) {
+        throw new Error('请输入图片地址');
+      }
+      await this.apiClient.put(this.iconApiPath(host), { url });
+      this.hideModal();
+      this.notificationManager.success(`已更新 ${host} 的图标`);
+      await this.reloadAfterIconChange();
+    }, { loadingText: '抓取中...', busyText: '正在抓取图片...' });
+  }
+
+  /**
+   * 清除图标前的二次确认
+   * @param {string} host
+   */
+  confirmClearIcon(host) {
+    const bodyHtml = `
+      <div class="warning-message">
+        <div class="warning-icon">⚠️</div>
+        <div class="warning-content">
+          <h4>确定要清除 ${this.escapeHtml(host)} 的图标吗？</h4>
+          <p>清除后下次访问时会重新抓取，抓取不到则显示字母头像。</p>
+        </div>
+      </div>
+    `;
+    this.showModal('清除图标', bodyHtml, async () => {
+      await this.apiClient.delete(this.iconApiPath(host));
+      this.hideModal();
+      this.notificationManager.success(`已清除 ${host} 的图标`);
+      await this.reloadAfterIconChange();
+    }, { loadingText: '清除中...', busyText: '正在清除图标...' });
+  }
+
+  /**
+   * 加载版本历史列表
+   */
+  async loadRevisions() {
+    const container = document.getElementById('revision-list');
+    if (!container) return;
+    try {
+      const data = await this.apiClient.get('/api/admin/revisions');
+      this.renderRevisions(Array.isArray(data && data.revisions) ? data.revisions : []);
+    } catch (error) {
+      console.error('加载版本历史失败:', error);
+      container.innerHTML = `<div class="revision-empty">加载版本历史失败：${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * 渲染版本历史列表（最新在前）
+   * @param {Array} revisions
+   */
+  renderRevisions(revisions) {
+    const container = document.getElementById('revision-list');
+    if (!container) return;
+    if (revisions.length === 0) {
+      container.innerHTML = '<div class="revision-empty">暂无历史版本</div>';
+      return;
+    }
+    container.innerHTML = revisions.map((rev, i) => `
+      <div class="revision-item">
+        <div class="revision-main">
+          <div class="revision-title">
+            <span class="badge">#${rev.id}</span>
+            ${this.escapeHtml(rev.summary || '保存导航数据')}
+            ${i === 0 ? '<span class="badge badge-muted">当前</span>' : ''}
+          </div>
+          <div class="revision-meta">
+            ${this.escapeHtml(new Date(rev.createdAt).toLocaleString())} · ${this.escapeHtml(rev.author || 'admin')} · ${this.escapeHtml(rev.mode || 'snapshot')}
+          </div>
+        </div>
+        <div class="revision-actions">
+          ${i === 0 ? '' : `
+          <button class="btn btn-sm" onclick="adminApp.showRevisionDiff(${rev.id})">对比当前</button>
+          <button class="btn btn-sm btn-danger" onclick="adminApp.confirmRestoreRevision(${rev.id})">恢复</button>`}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * 显示某版本与当前数据的差异
+   * @param {number} id - 版本号
+   */
+  async showRevisionDiff(id) {
+    try {
+      const diff = await this.apiClient.get(`/api/admin/revisions/diff?from=${encodeURIComponent(id)}&to=current`);
+      const section = (title, items, render) => items.length === 0 ? '' : `
+        <div class="revision-diff-section">
+          <h4>${title}（${items.length}）</h4>
+          <ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>
+        </div>`;
+      const siteText = (s) => `${this.escapeHtml(s.title)} <span class="revision-diff-path">${this.escapeHtml(s.path)}</span>`;
+      const body = [
+        section('新增分类', diff.categories.added, p => this.escapeHtml(p)),
+        section('删除分类', diff.categories.removed, p => this.escapeHtml(p)),
+        section('新增网站', diff.sites.added, siteText),
+        section('删除网站', diff.sites.removed, siteText),
+        section('修改网站', diff.sites.changed, s => `${siteText(s)} <span class="revision-diff-path">${this.escapeHtml(s.fields.join(', '))}</span>`)
+      ].join('');
+      this.showModal(
+        `版本 #${id} → 当前`,
+        `<div class="revision-diff">${body || '<div class="revision-empty">与当前数据没有差异</div>'}</div>`,
+        () => this.hideModal()
+      );
+    } catch (error) {
+      console.error('对比版本失败:', error);
+      this.notificationManager.error('对比版本失败：' + error.message);
+    }
+  }
+
+  /**
+   * 恢复版本前的二次确认
+   * @param {number} id - 版本号
+   */
+  confirmRestoreRevision(id) {
+    const bodyHtml = `
+      <div class="warning-message">
+        <div class="warning-icon">⚠️</div>
+        <div class="warning-content">
+          <h4>确定要恢复到版本 #${id} 吗？</h4>
+          <p>当前数据会先保留为一个历史版本，恢复后仍可再次撤销。</p>
+        </div>
+      </div>
+    `;
+    this.showModal('恢复版本', bodyHtml, () => this.restoreRevision(id), { loadingText: '恢复中...', busyText: '正在恢复版本...' });
+  }
+
+  /**
+   * 恢复到指定版本
+   * @param {number} id - 版本号
+   */
+  async restoreRevision(id) {
+    try {
+      await this.apiClient.post(`/api/admin/revisions/${encodeURIComponent(id)}/restore`, {});
+      this.hideModal();
+      this.notificationManager.success(`已恢复到版本 #${id}`);
+      await this.loadAdminData();
+    } catch (error) {
+      console.error('恢复版本失败:', error);
+      this.notificationManager.error('恢复版本失败：' + error.message);
+    }
+  }
+
+  /**
+   * 转义HTML，用于拼接来自数据的文本
+   * @param {string} str
+   * @returns {string}
+   */
+  escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 获取所有网站（包含所有层级，字段与 /api/sites 一致）
    */
   getAllSites() {
     if (!this.adminData || !this.adminData.data.categories) {
       return [];
     }
 
-    return this.adminData.data.categories.flatMap(category => {
-      const topSites = (category.sites || []).map(site => ({
-        ...site,
-        category: category.title,
-        categoryId: category.id
-      }));
-      const subSites = (category.children || []).flatMap(child =>
-        (child.sites || []).map(site => ({
-          ...site,
-          category: `${category.title} / ${child.title}`,
-          categoryId: `${category.id}/${child.id}`
-        }))
-      );
-      return [...topSites, ...subSites];
-    });
+    const result = [];
+    const walk = (nodes, path, pathIds) => {
+      (nodes || []).forEach(node => {
+        if (!node) return;
+        const nodePath = [...path, node.title];
+        const nodePathIds = [...pathIds, node.id || node.title];
+        (node.sites || []).forEach(site => {
+          result.push({
+            ...site,
+            category: nodePath.join(' / '),
+            categoryId: nodePathIds.join('/'),
+            path: nodePath,
+            pathIds: nodePathIds
+          });
+        });
+        walk(node.children, nodePath, nodePathIds);
+      });
+    };
+    walk(this.adminData.data.categories, [], []);
+    return result;
   }
 
   /**
@@ -1871,6 +3096,7 @@ class AdminApp {
    * 显示模态框
    */
   showModal(title, bodyHtml, onConfirm, options = {}) {
+    this._runModalDismissHandler();
     this.modalTitle.textContent = title;
     this.modalBody.innerHTML = bodyHtml;
     this.modal.classList.add('show');
@@ -1907,12 +3133,76 @@ class AdminApp {
    */
   hideModal() {
     this.modal.classList.remove('show');
+    this._runModalDismissHandler();
     // 关闭时同步清理确认按钮与全局忙碌遮罩
     this._resetModalConfirm && this._resetModalConfirm();
     const overlay = document.getElementById('busy-overlay');
     if (overlay) overlay.classList.remove('show');
   }
 
+  /**
+   * 执行并清除模态框关闭回调
+   */
+  _runModalDismissHandler() {
+    const handler = this._modalDismissHandler;
+    this._modalDismissHandler = null;
+    if (typeof handler === 'function') handler();
+  }
+
+  /**
+   * 处理写入冲突：他人已修改数据，提示重新加载或合并后重试
+   * - 合并后重试：以最新版本号重新提交本次操作（服务端按目录合并，同一目录以本次修改为准）
+   * - 重新加载：放弃本次操作并拉取最新数据
+   * @param {Error} error - 带 currentRevision 的 409 错误
+   * @param {Function} retry - 重新发起原请求
+   * @returns {Promise<any>} 重试结果；放弃时以原错误拒绝
+   */
+  handleConflict(error, retry) {
+    return new Promise((resolve, reject) => {
+      const current = error.currentRevision;
+      const mine = this.apiClient.revision;
+      const bodyHtml = `
+        <div class="warning-message">
+          <div class="warning-icon">⚠️</div>
+          <div class="warning-content">
+            <h4>数据已被其他人修改</h4>
+            <p>你基于版本 #${this.escapeHtml(mine)} 编辑，服务器当前为版本 #${this.escapeHtml(current)}。</p>
+            <ul class="warning-list">
+              <li>🔀 <strong>合并后重试</strong>：把本次操作应用到最新数据上，同一目录内的冲突以你的修改为准</li>
+              <li>🔄 <strong>重新加载</strong>：放弃本次操作，加载最新数据</li>
+            </ul>
+          </div>
+        </div>
+        <div class="setting-actions">
+          <button type="button" class="btn" id="conflict-reload">🔄 重新加载</button>
+        </div>
+      `;
+      // 发起请求的模态框可能仍显示着忙碌遮罩，先移除以免挡住冲突提示
+      const overlay = document.getElementById('busy-overlay');
+      if (overlay) overlay.classList.remove('show');
+
+      this.showModal('保存冲突', bodyHtml, async () => {
+        this._modalDismissHandler = null;
+        this.apiClient.setRevision(current);
+        try {
+          resolve(await retry());
+        } catch (e) {
+          reject(e);
+        }
+      }, { loadingText: '重试中...', busyText: '正在合并...' });
+      this.modalConfirm.textContent = '合并后重试';
+      this._modalDismissHandler = () => reject(error);
+
+      const reloadBtn = document.getElementById('conflict-reload');
+      if (reloadBtn) {
+        reloadBtn.addEventListener('click', async () => {
+          this.hideModal();
+          await this.loadAdminData();
+        });
+      }
+    });
+  }
+
   /**
    * 重置模态框确认按钮状态
    */
@@ -2190,7 +3480,7 @@ class AdminApp {
           <ul class="warning-list">
             <li>🗑️ 删除所有自定义分类和网站</li>
             <li>🔄 恢复为系统默认配置</li>
-            <li>❌ <strong>此操作不可恢复！</strong></li>
+            <li>🕘 重置前的数据会保留在「版本历史」中，可随时恢复</li>
           </ul>
           <p class="warning-advice">💡 <strong>建议：</strong>在重置前先导出数据备份</p>
         </div>
@@ -2315,22 +3605,26 @@ class AdminApp {
       </div>
       <div class="form-group">
         <label class="form-label">
-          <span class="form-label-icon">🏷️</span>
-          网站名称 <span class="form-required">*</span>
+          <span class="form-label-icon">🔗</span>
+          网站URL <span class="form-required">*</span>
         </label>
-        <input type="text" id="site-title" class="form-input" placeholder="例如：GitHub" required>
+        <div class="input-with-action">
+          <input type="url" id="site-url" class="form-input" placeholder="https://github.com" required>
+          <button type="button" id="site-fetch-metadata" class="btn btn-sm">自动获取</button>
+        </div>
+        <div class="form-help">💡 填写网址后自动获取网页标题与描述，只填充留空的字段</div>
       </div>
       <div class="form-group">
         <label class="form-label">
-          <span class="form-label-icon">🔗</span>
-          网站URL <span class="form-required">*</span>
+          <span class="form-label-icon">🏷️</span>
+          网站名称 <span class="form-optional">(留空将自动获取)</span>
         </label>
-        <input type="url" id="site-url" class="form-input" placeholder="https://github.com" required>
+        <input type="text" id="site-title" class="form-input" placeholder="例如：GitHub">
       </div>
       <div class="form-group">
         <label class="form-label">
           <span class="form-label-icon">📄</span>
-          网站描述 <span class="form-optional">(选填)</span>
+          网站描述 <span class="form-optional">(留空将自动获取)</span>
         </label>
         <textarea id="site-description" class="form-textarea" placeholder="简要描述网站功能"></textarea>
       </div>
@@ -2388,6 +3682,15 @@ class AdminApp {
     iconInput.addEventListener('input', refreshPreview);
     urlInput.addEventListener('input', refreshPreview);
     setTimeout(refreshPreview, 0);
+
+    // 网页信息：网址修改完成后自动获取，也可手动点击
+    const metadataFields = {
+      urlInput,
+      titleInput: document.getElementById('site-title'),
+      descriptionInput: document.getElementById('site-description')
+    };
+    urlInput.addEventListener('change', () => this.fillSiteMetadata(metadataFields, { silent: true }));
+    ActionGuard.bind(document.getElementById('site-fetch-metadata'), () => this.fillSiteMetadata(metadataFields), { loadingText: '获取中...' });
     
     } catch (error) {
       console.error('初始化添加网站模态框失败:', error);
@@ -2446,9 +3749,9 @@ class AdminApp {
     const description = document.getElementById('site-description').value.trim();
     const icon = document.getElementById('site-icon').value.trim();
     
-    // 只验证必填字段：网站名称和URL
-    if (!title || !url) {
-      this.notificationManager.error('请填写网站名称和URL地址');
+    // 只验证必填字段：URL（名称与描述留空时由服务端根据网页信息补全）
+    if (!url) {
+      this.notificationManager.error('请填写URL地址');
       return;
     }
 
@@ -2467,15 +3770,13 @@ class AdminApp {
       categoryPath = [uncId];
     }
 
-    // 确保所有字段都有值，为空时提供默认值
-    const finalDescription = description || `${title}网站`; // 如果描述为空，使用默认描述
     const finalIcon = icon || ''; // 图标可以为空，后端会自动抓取
 
     try {
       // 优先使用批量接口支持任意层级路径
       await this.apiClient.put('/api/admin/sites', {
         mode: 'add',
-        items: [{ path: categoryPath, site: { title, url, description: finalDescription, icon: finalIcon } }]
+        items: [{ path: categoryPath, site: { title, url, description, icon: finalIcon } }]
       });
 
       this.hideModal();
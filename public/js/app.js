@@ -3,7 +3,7 @@
  * 负责应用的初始化和整体逻辑
  */
 
-import { ApiClient, ThemeManager, SearchManager, NotificationManager } from './utils.js';
+import { ApiClient, ThemeManager, SearchManager, NotificationManager, ClickReporter } from './utils.js';
 import { NavigationRenderer, StatsManager } from './navigation.js';
 import { BackgroundAnimator } from './background.js';
 
@@ -18,6 +18,8 @@ class NavigationApp {
     this.statsManager = new StatsManager();
     this.backgroundAnimator = null;
     this.navigationData = null;
+    // 首页推荐区块（常用/最近访问/最近添加）
+    this.homeSections = [];
     
     // 初始化搜索管理器
     this.searchManager = new SearchManager((query) => {
@@ -47,6 +49,9 @@ class NavigationApp {
 
       // 按 hash 初始化导航
       this.initHashRouter();
+
+      // 按 ?q= 进入搜索结果页（OpenSearch 等外部入口）
+      this.initQueryRouter();
       
     } catch (error) {
       console.error('应用初始化失败:', error);
@@ -84,6 +89,18 @@ class NavigationApp {
       this.searchManager.bindSearchInput(searchInput);
     }
 
+    // 网站卡片点击上报（含中键在新标签页打开）
+    const contentContainer = document.getElementById('content-container');
+    if (contentContainer) {
+      const reportCardClick = (e) => {
+        if (e.type === 'auxclick' && e.button !== 1) return;
+        const card = e.target.closest('a.card[data-site-id]');
+        if (card) ClickReporter.report(card.getAttribute('data-site-id'));
+      };
+      contentContainer.addEventListener('click', reportCardClick);
+      contentContainer.addEventListener('auxclick', reportCardClick);
+    }
+
     // 键盘快捷键
     document.addEventListener('keydown', (e) => {
       // Ctrl/Cmd + K 聚焦搜索框
@@ -105,18 +122,21 @@ class NavigationApp {
       this.statsManager.showLoading();
       this.navigationRenderer.container.innerHTML = '<div class="loading">正在加载导航数据...</div>';
 
-      // 并行加载导航数据和统计信息
-      const [navigationData, statsData] = await Promise.all([
+      // 并行加载导航数据、统计信息与推荐区块（推荐区块失败不影响首页）
+      const visited = ClickReporter.getRecentVisitIds().join(',');
+      const [navigationData, statsData, rankedData] = await Promise.all([
         this.apiClient.get('/api/navigation'),
-        this.apiClient.get('/api/stats')
+        this.apiClient.get('/api/stats'),
+        this.apiClient.get(`/api/sites/ranked?visited=${encodeURIComponent(visited)}`).catch(() => null)
       ]);
 
       // 保存数据
       this.navigationData = navigationData;
+      this.homeSections = rankedData && Array.isArray(rankedData.sections) ? rankedData.sections : [];
 
       // 更新UI
       this.statsManager.updateStats(statsData);
-      this.navigationRenderer.renderCategories(navigationData.categories);
+      this.navigationRenderer.renderCategories(navigationData.categories, this.homeSections);
 
       // 数据加载后再应用 hash 导航
       this.applyHashIfPresent();
@@ -157,15 +177,63 @@ class NavigationApp {
     } catch (_) {}
   }
 
+  /**
+   * 初始化查询参数路由
+   * 支持格式：/?q=关键词[&go=1]，go=1 时唯一精确命中直接跳转到该网站
+   */
+  initQueryRouter() {
+    window.addEventListener('popstate', () => this.applyQueryIfPresent());
+    this.applyQueryIfPresent();
+  }
+
+  /**
+   * 解析并应用当前地址中的 q 参数
+   */
+  applyQueryIfPresent() {
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const query = (params.get('q') || '').trim();
+      if (!query) return;
+
+      const searchInput = document.getElementById('search-input');
+      if (searchInput) searchInput.value = query;
+      this.searchManager.currentQuery = query;
+      this.handleSearch(query, { redirectExactMatch: params.get('go') === '1' });
+    } catch (_) {}
+  }
+
+  /**
+   * 将当前搜索词同步到地址栏（不产生新的历史记录）
+   * @param {string} query - 搜索关键词，为空时移除 q 参数
+   */
+  syncQueryParam(query) {
+    try {
+      const url = new URL(window.location.href);
+      if (query) {
+        url.searchParams.set('q', query);
+      } else {
+        url.searchParams.delete('q');
+      }
+      url.searchParams.delete('go');
+      if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url);
+      }
+    } catch (_) {}
+  }
+
   /**
    * 处理搜索
    * @param {string} query - 搜索关键词
+   * @param {Object} [options]
+   * @param {boolean} [options.redirectExactMatch=false] - 唯一标题精确命中时直接跳转
    */
-  async handleSearch(query) {
+  async handleSearch(query, options = {}) {
+    this.syncQueryParam(query);
+
     if (!query) {
       // 显示所有分类
       if (this.navigationData) {
-        this.navigationRenderer.renderCategories(this.navigationData.categories);
+        this.navigationRenderer.renderCategories(this.navigationData.categories, this.homeSections);
       }
       return;
     }
@@ -176,6 +244,16 @@ class NavigationApp {
       const searchData = await searchResponse.json();
 
       if (searchData.success) {
+        if (options.redirectExactMatch) {
+          const normalized = query.trim().toLowerCase();
+          const exact = (searchData.data || []).filter(site =>
+            String(site.title || '').trim().toLowerCase() === normalized
+          );
+          if (exact.length === 1 && exact[0].url) {
+            window.location.replace(exact[0].url);
+            return;
+          }
+        }
         this.navigationRenderer.renderSearchResults(searchData.data, query);
       } else {
         console.error('搜索失败:', searchData.error);
@@ -202,12 +280,14 @@ window.navigationApp = null;
 // 应用启动
 document.addEventListener('DOMContentLoaded', async () => {
   try {
-    // 开发/生产均仅使用 KV：清理本地存储避免混淆（保留主题）
+    // 开发/生产均仅使用 KV：清理本地存储避免混淆（保留主题与本设备的最近访问）
     try {
       const theme = localStorage.getItem('theme');
+      const recentVisits = localStorage.getItem(ClickReporter.RECENT_VISITS_KEY);
       localStorage.clear();
       sessionStorage.clear();
       if (theme) localStorage.setItem('theme', theme);
+      if (recentVisits) localStorage.setItem(ClickReporter.RECENT_VISITS_KEY, recentVisits);
     } catch (_) {}
 
     window.navigationApp = new NavigationApp();
@@ -0,0 +1,101 @@
+/**
+ * 图表渲染模块
+ * 纯前端生成 HTML/SVG 图表，不依赖任何外部库或 CDN
+ */
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {any} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 图表工具
+ */
+export class Charts {
+  /**
+   * 水平条形图（每行：标签 + 按比例的条 + 数值）
+   * @param {Array<{label:string, value:number, title?:string, indent?:number}>} items - 数据
+   * @param {{emptyText?:string}} [options]
+   * @returns {string} HTML
+   */
+  static barList(items, options = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return `<div class="chart-empty">${escapeHtml(options.emptyText || '暂无数据')}</div>`;
+    }
+    const max = Math.max(1, ...items.map(item => Number(item.value) || 0));
+    return `
+      <div class="chart-bars">
+        ${items.map(item => {
+          const value = Number(item.value) || 0;
+          const width = Math.max(value > 0 ? 1 : 0, Math.round((value / max) * 100));
+          const indent = Math.max(0, Number(item.indent) || 0);
+          return `
+            <div class="chart-bar-row" title="${escapeHtml(item.title || `${item.label}: ${value}`)}">
+              <div class="chart-bar-label" style="padding-left:${indent * 12}px">${escapeHtml(item.label)}</div>
+              <div class="chart-bar-track"><div class="chart-bar-fill" style="width:${width}%"></div></div>
+              <div class="chart-bar-value">${value}</div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * 按天的柱状时间序列（SVG），悬停柱子显示日期与数值
+   * @param {Array<{date:string, value:number}>} series - 按日期升序
+   * @param {{height?:number, unit?:string}} [options]
+   * @returns {string} HTML
+   */
+  static timeSeries(series, options = {}) {
+    if (!Array.isArray(series) || series.length === 0) {
+      return '<div class="chart-empty">暂无数据</div>';
+    }
+    const width = 600;
+    const height = options.height || 160;
+    const padding = { top: 10, right: 8, bottom: 22, left: 32 };
+    const unit = options.unit || '';
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = Math.max(1, ...series.map(d => Number(d.value) || 0));
+    const step = plotWidth / series.length;
+    const barWidth = Math.max(1, step * 0.7);
+
+    const bars = series.map((d, i) => {
+      const value = Number(d.value) || 0;
+      const barHeight = (value / max) * plotHeight;
+      const x = padding.left + i * step + (step - barWidth) / 2;
+      const y = padding.top + plotHeight - barHeight;
+      return `<rect class="chart-column" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${escapeHtml(`${d.date}: ${value}${unit}`)}</title></rect>`;
+    }).join('');
+
+    // 横轴只标注首、中、尾三个日期，避免拥挤
+    const labelIndexes = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])];
+    const labels = labelIndexes.map(i => {
+      const x = padding.left + i * step + step / 2;
+      const anchor = i === 0 ? 'start' : (i === series.length - 1 ? 'end' : 'middle');
+      return `<text class="chart-axis-label" x="${x.toFixed(1)}" y="${height - 6}" text-anchor="${anchor}">${escapeHtml(String(series[i].date).slice(5))}</text>`;
+    }).join('');
+
+    const baseline = padding.top + plotHeight;
+    return `
+      <svg class="chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="每日趋势">
+        <line class="chart-grid" x1="${padding.left}" y1="${padding.top}" x2="${width - padding.right}" y2="${padding.top}"/>
+        <line class="chart-axis" x1="${padding.left}" y1="${baseline}" x2="${width - padding.right}" y2="${baseline}"/>
+        <text class="chart-axis-label" x="${padding.left - 4}" y="${padding.top + 4}" text-anchor="end">${max}</text>
+        <text class="chart-axis-label" x="${padding.left - 4}" y="${baseline}" text-anchor="end">0</text>
+        ${bars}
+        ${labels}
+      </svg>
+    `;
+  }
+}
@@ -19,11 +19,21 @@ export class NavigationRenderer {
     this._pagingState = {};
   }
 
+  /**
+   * 首页推荐区块的标题与图标
+   */
+  static HOME_SECTION_META = {
+    popular: { title: '常用网站', icon: '🔥' },
+    recentVisited: { title: '最近访问', icon: '🕘' },
+    recentAdded: { title: '最近添加', icon: '🆕' }
+  };
+
   /**
    * 渲染导航分类
    * @param {Array} categories - 分类数据
+   * @param {Array<{key:string, sites:Array}>} [homeSections] - 置顶的推荐区块（来自 /api/sites/ranked），空区块不显示
    */
-  renderCategories(categories) {
+  renderCategories(categories, homeSections = []) {
     // 过滤掉没有任何站点（自身与所有后代都为空）的分类
     const hasAnySites = (node) => {
       if (!node) return false;
@@ -67,12 +77,36 @@ export class NavigationRenderer {
       `;
     }).join('');
 
-    this.container.innerHTML = sectionsHtml;
+    this.container.innerHTML = this.renderHomeSections(homeSections) + sectionsHtml;
     this.bindChipsForSections();
     // 默认展示每个分类的“全部”内容（无需手动点击）
     visibleCategories.forEach((_, idx) => this.updateSectionSites(idx, -1));
   }
 
+  /**
+   * 渲染首页推荐区块（不参与分类的 hash 导航与分页）
+   * @param {Array<{key:string, sites:Array}>} homeSections
+   * @returns {string} HTML
+   */
+  renderHomeSections(homeSections) {
+    return (Array.isArray(homeSections) ? homeSections : [])
+      .filter(section => section && NavigationRenderer.HOME_SECTION_META[section.key]
+        && Array.isArray(section.sites) && section.sites.length > 0)
+      .map(section => {
+        const meta = NavigationRenderer.HOME_SECTION_META[section.key];
+        return `
+        <section class="section section-home fade-in" data-home-section="${section.key}">
+          <h2 class="section-title">
+            <span class="section-icon">${meta.icon}</span><span>${meta.title}</span>
+          </h2>
+          <div class="cards-grid">
+            ${section.sites.map(site => this.renderSiteCard(site)).join('')}
+          </div>
+        </section>
+      `;
+      }).join('');
+  }
+
   /**
    * 渲染搜索结果
    * @param {Array} results - 搜索结果
@@ -585,19 +619,21 @@ export class NavigationRenderer {
     } else if (site.icon) {
       iconHtml = site.icon;
     }
+    const highlights = site.highlights || {};
     const rawDesc = site.description || '';
     const descTitle = String(rawDesc)
       .replace(/&/g, '&amp;')
       .replace(/\"/g, '&quot;')
       .replace(/</g, '&lt;')
       .replace(/>/g, '&gt;');
+    const siteIdAttr = site.id ? ` data-site-id="${String(site.id).replace(/"/g, '&quot;')}"` : '';
     return `
-      <a href="${site.url}" target="_blank" rel="noopener noreferrer" class="card">
+      <a href="${site.url}" target="_blank" rel="noopener noreferrer" class="card"${siteIdAttr}>
         <div class="card-header">
           <div class="card-icon">${iconHtml}</div>
-          <div class="card-title">${this.searchManager.highlightText(site.title)}</div>
+          <div class="card-title">${this.searchManager.highlightText(site.title, highlights.title)}</div>
         </div>
-        <div class="card-description" title="${descTitle}">${this.searchManager.highlightText(site.description)}</div>
+        <div class="card-description" title="${descTitle}">${this.searchManager.highlightText(site.description, highlights.description)}</div>
       </a>
     `;
   }
@@ -0,0 +1,430 @@
+/**
+ * 二维码生成模块
+ * 纯前端生成 SVG 二维码（字节模式、纠错等级 M、自动选择版本与掩码），不依赖任何外部库或 CDN；
+ * 用于两步验证设置时展示 otpauth:// 地址，密钥不会发送给第三方
+ */
+
+/**
+ * 纠错等级 M 下各版本每个块的纠错码字数（下标为版本号）
+ */
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+
+/**
+ * 纠错等级 M 下各版本的块数（下标为版本号）
+ */
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+/**
+ * 格式信息中纠错等级 M 的编码
+ */
+const ECL_FORMAT_BITS = 0;
+
+/**
+ * 读取整数的第 i 位
+ * @param {number} value
+ * @param {number} i
+ * @returns {boolean}
+ */
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+/**
+ * 版本中可用于数据与纠错码的模块数
+ * @param {number} version
+ * @returns {number}
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * 版本可容纳的数据码字数
+ * @param {number} version
+ * @returns {number}
+ */
+function getNumDataCodewords(version) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * GF(256) 乘法（本原多项式 0x11D）
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function rsMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon 生成多项式
+ * @param {number} degree
+ * @returns {number[]}
+ */
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = rsMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = rsMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * 计算纠错码字
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= rsMultiply(coef, factor); });
+  }
+  return result;
+}
+
+/**
+ * 把文本编码为数据码字，并选择能容纳的最小版本
+ * @param {string} text
+ * @returns {{version:number, codewords:number[]}}
+ */
+function encodeData(text) {
+  const bytes = new TextEncoder().encode(String(text));
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= getNumDataCodewords(version) * 8) break;
+  }
+  if (version > 40) throw new Error('内容过长，无法生成二维码');
+
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0x4, 4); // 字节模式
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(b => append(b, 8));
+
+  const capacityBits = getNumDataCodewords(version) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return { version, codewords };
+}
+
+/**
+ * 分块计算纠错码并交织
+ * @param {number} version
+ * @param {number[]} data - 数据码字
+ * @returns {number[]} 全部码字
+ */
+function addEccAndInterleave(version, data) {
+  const numBlocks = ERROR_CORRECTION_BLOCKS[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // 短块在数据末尾补的占位不输出
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/**
+ * 二维码矩阵
+ */
+class QrMatrix {
+  /**
+   * @param {number} version
+   */
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.drawFunctionPatterns();
+  }
+
+  /**
+   * 设置功能图形模块
+   */
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  /**
+   * 绘制定位、定时、校正图形，以及格式与版本信息
+   */
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(this.size - 4, 3);
+    this.drawFinderPattern(3, this.size - 4);
+
+    const positions = this.getAlignmentPatternPositions();
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // 与定位图形重叠的三个位置不绘制
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignmentPattern(x, y);
+      });
+    });
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  /**
+   * 绘制定位图形（含分隔符）
+   */
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * 绘制校正图形
+   */
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * 校正图形的中心坐标
+   * @returns {number[]}
+   */
+  getAlignmentPatternPositions() {
+    if (this.version === 1) return [];
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = this.size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  /**
+   * 绘制格式信息（纠错等级与掩码，BCH 编码）
+   * @param {number} mask
+   */
+  drawFormatBits(mask) {
+    const data = (ECL_FORMAT_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+    this.setFunctionModule(8, this.size - 8, true);
+  }
+
+  /**
+   * 绘制版本信息（版本 7 及以上）
+   */
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  /**
+   * 按之字形顺序填入码字
+   * @param {number[]} data
+   */
+  drawCodewords(data) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * 对数据区域应用（或撤销）掩码
+   * @param {number} mask
+   */
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (!this.isFunction[y][x] && invert) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * 掩码评分（越低越易识别）：连续同色、2×2 同色块、类定位图形、深浅比例
+   * @returns {number}
+   */
+  getPenaltyScore() {
+    const lines = [];
+    for (let i = 0; i < this.size; i++) {
+      lines.push(this.modules[i].map(m => (m ? '1' : '0')).join(''));
+      lines.push(this.modules.map(row => (row[i] ? '1' : '0')).join(''));
+    }
+    let score = 0;
+    for (const line of lines) {
+      for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+      score += ((line.match(/(?=10111010000|00001011101)/g) || []).length) * 40;
+    }
+    let dark = 0;
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) dark++;
+        if (x < this.size - 1 && y < this.size - 1) {
+          const color = this.modules[y][x];
+          if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+    const total = this.size * this.size;
+    score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return score;
+  }
+}
+
+/**
+ * 二维码工具
+ */
+export class QrCode {
+  /**
+   * 生成二维码矩阵
+   * @param {string} text - 内容（按 UTF-8 编码）
+   * @returns {boolean[][]} modules[y][x]，true 为深色
+   */
+  static encode(text) {
+    const { version, codewords } = encodeData(text);
+    const matrix = new QrMatrix(version);
+    matrix.drawCodewords(addEccAndInterleave(version, codewords));
+
+    let bestMask = 0;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      matrix.applyMask(mask);
+      matrix.drawFormatBits(mask);
+      const score = matrix.getPenaltyScore();
+      if (score < bestScore) {
+        bestScore = score;
+        bestMask = mask;
+      }
+      matrix.applyMask(mask); // 掩码是异或，再应用一次即撤销
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(bestMask);
+    return matrix.modules;
+  }
+
+  /**
+   * 生成 SVG 二维码
+   * @param {string} text - 内容
+   * @param {{border?:number, size?:number}} [options] - border 为四周留白的模块数，size 为显示尺寸（像素）
+   * @returns {string} SVG
+   */
+  static toSvg(text, options = {}) {
+    const modules = QrCode.encode(text);
+    const border = options.border ?? 4;
+    const dimension = modules.length + border * 2;
+    const size = options.size || 200;
+    const path = [];
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+      });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="qr-code" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img" aria-label="二维码">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+  }
+}
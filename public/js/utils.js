@@ -11,6 +11,14 @@ export class ApiClient {
     this.baseUrl = baseUrl;
     this.adminToken = null;
     this.adminJWT = null;
+    // 最近一次从服务端获得的快照版本（ETag），写请求会以 If-Match 携带
+    this.revision = null;
+    // 写请求返回 409 时的处理钩子：(error, retry) => Promise<any>
+    this.onConflict = null;
+  }
+
+  setRevision(revision) {
+    this.revision = (revision === null || revision === undefined) ? null : String(revision);
   }
 
   setAdminToken(token) {
@@ -32,6 +40,56 @@ export class ApiClient {
     return h;
   }
 
+  #withRevision(headers = {}) {
+    const h = { ...headers };
+    if (this.revision !== null) {
+      h['If-Match'] = `"${this.revision}"`;
+    }
+    return h;
+  }
+
+  /**
+   * 记录响应中的 ETag 作为最新快照版本
+   * @param {Response} response
+   */
+  #trackRevision(response) {
+    const etag = response.headers.get('ETag');
+    if (etag) this.setRevision(etag.replace(/^W\//i, '').replace(/^"|"$/g, ''));
+  }
+
+  /**
+   * 由失败响应构造错误对象；409 时附带 currentRevision
+   * @param {Response} response
+   * @returns {Promise<Error>}
+   */
+  async #buildError(response) {
+    let text = '';
+    try { text = await response.text(); } catch(_) {}
+    let body = null;
+    try { body = text ? JSON.parse(text) : null; } catch(_) {}
+    const err = response.status === 409 && body && body.error
+      ? new Error(body.error)
+      : new Error(`HTTP ${response.status}: ${response.statusText}${text?` - ${text}`:''}`);
+    err.status = response.status;
+    if (body && body.currentRevision !== undefined) err.currentRevision = body.currentRevision;
+    return err;
+  }
+
+  /**
+   * 处理写请求失败：冲突时交给 onConflict，由调用方决定重试或放弃
+   * @param {Response} response
+   * @param {Function} retry - 重新发起同一请求
+   * @returns {Promise<any>}
+   */
+  async #handleWriteFailure(response, retry) {
+    const err = await this.#buildError(response);
+    // 仅版本冲突会携带 currentRevision；其它 409（如网站已存在）照常抛出
+    if (err.status === 409 && err.currentRevision !== undefined && typeof this.onConflict === 'function') {
+      return this.onConflict(err, retry);
+    }
+    throw err;
+  }
+
   /**
    * 发送GET请求
    * @param {string} url - 请求URL
@@ -44,13 +102,9 @@ export class ApiClient {
       });
       
       if (!response.ok) {
-        // 尝试解析错误内容
-        let text = '';
-        try { text = await response.text(); } catch(_) {}
-        const err = new Error(`HTTP ${response.status}: ${response.statusText}${text?` - ${text}`:''}`);
-        err.status = response.status;
-        throw err;
+        throw await this.#buildError(response);
       }
+      this.#trackRevision(response);
       
       const data = await response.json();
       
@@ -76,17 +130,14 @@ export class ApiClient {
       const isFormData = typeof FormData !== 'undefined' && data instanceof FormData;
       const response = await fetch(`${this.baseUrl}${url}`, {
         method: 'POST',
-        headers: isFormData ? this.#withAuth() : this.#withAuth({ 'Content-Type': 'application/json' }),
+        headers: this.#withRevision(isFormData ? this.#withAuth() : this.#withAuth({ 'Content-Type': 'application/json' })),
         body: isFormData ? data : JSON.stringify(data)
       });
       
       if (!response.ok) {
-        let text = '';
-        try { text = await response.text(); } catch(_) {}
-        const err = new Error(`HTTP ${response.status}: ${response.statusText}${text?` - ${text}`:''}`);
-        err.status = response.status;
-        throw err;
+        return await this.#handleWriteFailure(response, () => this.post(url, data));
       }
+      this.#trackRevision(response);
       
       const result = await response.json();
       
@@ -111,17 +162,14 @@ export class ApiClient {
     try {
       const response = await fetch(`${this.baseUrl}${url}`, {
         method: 'PUT',
-        headers: this.#withAuth({ 'Content-Type': 'application/json' }),
+        headers: this.#withRevision(this.#withAuth({ 'Content-Type': 'application/json' })),
         body: JSON.stringify(data)
       });
       
       if (!response.ok) {
-        let text = '';
-        try { text = await response.text(); } catch(_) {}
-        const err = new Error(`HTTP ${response.status}: ${response.statusText}${text?` - ${text}`:''}`);
-        err.status = response.status;
-        throw err;
+        return await this.#handleWriteFailure(response, () => this.put(url, data));
       }
+      this.#trackRevision(response);
       
       const result = await response.json();
       
@@ -146,17 +194,14 @@ export class ApiClient {
     try {
       const response = await fetch(`${this.baseUrl}${url}`, {
         method: 'PATCH',
-        headers: this.#withAuth({ 'Content-Type': 'application/json' }),
+        headers: this.#withRevision(this.#withAuth({ 'Content-Type': 'application/json' })),
         body: JSON.stringify(data)
       });
 
       if (!response.ok) {
-        let text = '';
-        try { text = await response.text(); } catch(_) {}
-        const err = new Error(`HTTP ${response.status}: ${response.statusText}${text?` - ${text}`:''}`);
-        err.status = response.status;
-        throw err;
+        return await this.#handleWriteFailure(response, () => this.patch(url, data));
       }
+      this.#trackRevision(response);
 
       const result = await response.json();
 
@@ -181,17 +226,14 @@ export class ApiClient {
       const hasBody = data !== undefined;
       const response = await fetch(`${this.baseUrl}${url}`, {
         method: 'DELETE',
-        headers: hasBody ? this.#withAuth({ 'Content-Type': 'application/json' }) : this.#withAuth(),
+        headers: this.#withRevision(hasBody ? this.#withAuth({ 'Content-Type': 'application/json' }) : this.#withAuth()),
         body: hasBody ? JSON.stringify(data) : undefined
       });
       
       if (!response.ok) {
-        let text = '';
-        try { text = await response.text(); } catch(_) {}
-        const err = new Error(`HTTP ${response.status}: ${response.statusText}${text?` - ${text}`:''}`);
-        err.status = response.status;
-        throw err;
+        return await this.#handleWriteFailure(response, () => this.delete(url, data));
       }
+      this.#trackRevision(response);
       
       const result = await response.json();
       
@@ -372,6 +414,14 @@ export class SearchManager {
     this.currentQuery = '';
     this.searchTimeout = null;
     this.engineManager = new SearchEngineManager();
+
+    // 搜索建议下拉框状态
+    this.inputElement = null;
+    this.suggestBox = null;
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.suggestTimeout = null;
+    this.suggestController = null;
     
     // 设置本站搜索处理函数
     this.engineManager.setLocalSearch((query) => {
@@ -391,6 +441,9 @@ export class SearchManager {
    * @param {HTMLElement} inputElement - 搜索输入框元素
    */
   bindSearchInput(inputElement) {
+    this.inputElement = inputElement;
+    this.createSuggestBox(inputElement);
+
     inputElement.addEventListener('input', (e) => {
       clearTimeout(this.searchTimeout);
       const query = e.target.value;
@@ -401,9 +454,39 @@ export class SearchManager {
           this.performLocalSearch(query);
         }, 300);
       }
+
+      clearTimeout(this.suggestTimeout);
+      this.suggestTimeout = setTimeout(() => {
+        this.fetchSuggestions(query);
+      }, 150);
+    });
+
+    inputElement.addEventListener('blur', () => {
+      this.hideSuggestions();
     });
 
     inputElement.addEventListener('keydown', (e) => {
+      // 下拉框打开时优先处理上下选择、回车打开与 Esc 关闭
+      if (this.suggestions.length > 0) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          const count = this.suggestions.length;
+          // 在 -1（输入框）与各条建议之间循环
+          this.setActiveSuggestion((this.activeSuggestion + 1 + step + count + 1) % (count + 1) - 1);
+          return;
+        }
+        if (e.key === 'Enter' && this.activeSuggestion >= 0) {
+          e.preventDefault();
+          this.applySuggestion(this.suggestions[this.activeSuggestion]);
+          return;
+        }
+        if (e.key === 'Escape') {
+          this.hideSuggestions();
+          return;
+        }
+      }
+
       if (e.key === 'Escape') {
         inputElement.value = '';
         this.currentQuery = '';
@@ -413,13 +496,203 @@ export class SearchManager {
       } else if (e.key === 'Enter') {
         e.preventDefault();
         const query = inputElement.value.trim();
+        this.hideSuggestions();
         this.engineManager.search(query);
       }
     });
   }
 
+  /**
+   * 创建搜索建议下拉框
+   * @param {HTMLElement} inputElement - 搜索输入框元素
+   */
+  createSuggestBox(inputElement) {
+    const box = DomUtils.createElement('ul', {
+      id: 'search-suggestions',
+      className: 'search-suggestions',
+      role: 'listbox',
+      hidden: ''
+    });
+    // 阻止 mousedown 导致输入框失焦，保证点击能选中建议
+    box.addEventListener('mousedown', (e) => e.preventDefault());
+    box.addEventListener('click', (e) => {
+      const item = e.target.closest('.search-suggestion');
+      if (item) this.applySuggestion(this.suggestions[Number(item.dataset.index)]);
+    });
+
+    const container = inputElement.closest('.search-container') || inputElement.parentNode;
+    container.appendChild(box);
+    this.suggestBox = box;
+
+    inputElement.setAttribute('role', 'combobox');
+    inputElement.setAttribute('aria-autocomplete', 'list');
+    inputElement.setAttribute('aria-controls', box.id);
+    inputElement.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * 请求搜索建议
+   * 外部搜索引擎下只保留网站建议（可直接打开），分类/标签建议仅对本站搜索有意义；
+   * 请求失败时静默隐藏下拉框，不影响正常搜索
+   * @param {string} query - 输入内容
+   */
+  async fetchSuggestions(query) {
+    const q = (query || '').trim();
+    if (this.suggestController) this.suggestController.abort();
+    if (!q) {
+      this.hideSuggestions();
+      return;
+    }
+
+    const controller = new AbortController();
+    this.suggestController = controller;
+    try {
+      const response = await fetch(`/api/search/suggest?q=${encodeURIComponent(q)}`, { signal: controller.signal });
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || `HTTP ${response.status}`);
+
+      const local = this.engineManager.getCurrentEngine() === 'local';
+      const items = (result.data || []).filter(item => local || item.type === 'site');
+      // 输入已变化或已失焦时丢弃过期结果
+      if (this.inputElement.value.trim() !== q || document.activeElement !== this.inputElement) return;
+      this.renderSuggestions(items);
+    } catch (error) {
+      if (error.name !== 'AbortError') this.hideSuggestions();
+    } finally {
+      if (this.suggestController === controller) this.suggestController = null;
+    }
+  }
+
+  /**
+   * 渲染搜索建议
+   * @param {Array<Object>} items - /api/search/suggest 返回的建议
+   */
+  renderSuggestions(items) {
+    this.suggestions = items;
+    this.activeSuggestion = -1;
+    if (!this.suggestBox) return;
+    if (items.length === 0) {
+      this.hideSuggestions();
+      return;
+    }
+
+    const typeLabels = { site: '网站', category: '分类', tag: '标签' };
+    this.suggestBox.replaceChildren(...items.map((item, index) => {
+      const li = DomUtils.createElement('li', {
+        id: `search-suggestion-${index}`,
+        className: `search-suggestion search-suggestion-${item.type}`,
+        role: 'option',
+        'aria-selected': 'false'
+      });
+      li.dataset.index = String(index);
+
+      const icon = DomUtils.createElement('span', { className: 'search-suggestion-icon' });
+      if (item.type === 'site' && item.favicon) {
+        const img = DomUtils.createElement('img', { src: item.favicon, alt: '' });
+        img.addEventListener('error', () => { icon.textContent = item.icon || '🌐'; });
+        icon.appendChild(img);
+      } else {
+        icon.textContent = item.type === 'category' ? '📁' : item.type === 'tag' ? '🏷️' : (item.icon || '🌐');
+      }
+
+      const text = DomUtils.createElement('span', { className: 'search-suggestion-text' });
+      this.#appendHighlighted(text, item.text || '', item.highlights);
+
+      const meta = DomUtils.createElement('span', { className: 'search-suggestion-meta' });
+      meta.textContent = item.type === 'site' && item.category ? item.category : typeLabels[item.type] || '';
+
+      li.append(icon, text, meta);
+      return li;
+    }));
+    this.suggestBox.hidden = false;
+    this.inputElement.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * 设置当前选中的建议（-1 表示回到输入框）
+   * @param {number} index
+   */
+  setActiveSuggestion(index) {
+    this.activeSuggestion = index;
+    if (!this.suggestBox) return;
+    this.suggestBox.querySelectorAll('.search-suggestion').forEach((li, i) => {
+      const active = i === index;
+      li.classList.toggle('active', active);
+      li.setAttribute('aria-selected', active ? 'true' : 'false');
+      if (active) li.scrollIntoView({ block: 'nearest' });
+    });
+    if (index >= 0) {
+      this.inputElement.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    } else {
+      this.inputElement.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * 隐藏搜索建议
+   */
+  hideSuggestions() {
+    clearTimeout(this.suggestTimeout);
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    if (this.suggestBox) {
+      this.suggestBox.hidden = true;
+      this.suggestBox.replaceChildren();
+    }
+    if (this.inputElement) {
+      this.inputElement.setAttribute('aria-expanded', 'false');
+      this.inputElement.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * 选择一条建议
+   * - 网站：直接在新标签页打开
+   * - 分类/标签：填入对应的限定符（in:"..." / tag:...）并执行本站搜索
+   * @param {Object} item - 建议项
+   */
+  applySuggestion(item) {
+    if (!item) return;
+    this.hideSuggestions();
+
+    if (item.type === 'site') {
+      ClickReporter.report(item.id);
+      window.open(item.url, '_blank', 'noopener');
+      return;
+    }
+    if (item.query && this.inputElement) {
+      this.inputElement.value = item.query;
+      clearTimeout(this.searchTimeout);
+      this.performLocalSearch(item.query);
+    }
+  }
+
+  /**
+   * 按高亮区间写入文本（使用文本节点，避免把网站数据当作 HTML 解析）
+   * @param {HTMLElement} element - 目标元素
+   * @param {string} text - 原文
+   * @param {Array<[number, number]>} [ranges] - 高亮区间 [start, end)
+   */
+  #appendHighlighted(element, text, ranges) {
+    let cursor = 0;
+    [...(Array.isArray(ranges) ? ranges : [])]
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([start, end]) => {
+        start = Math.max(start, cursor);
+        end = Math.min(end, text.length);
+        if (end <= start) return;
+        element.append(text.slice(cursor, start));
+        const mark = DomUtils.createElement('span', { className: 'highlight' });
+        mark.textContent = text.slice(start, end);
+        element.append(mark);
+        cursor = end;
+      });
+    element.append(text.slice(cursor));
+  }
+
   /**
    * 执行本站搜索
+   * 实际匹配由 /api/search 完成（含模糊、拼音全拼与首字母匹配），结果带高亮区间
    * @param {string} query - 搜索关键词
    */
   performLocalSearch(query) {
@@ -437,17 +710,94 @@ export class SearchManager {
 
   /**
    * 高亮搜索关键词
+   * - 提供 ranges（服务端返回的 highlights 区间）时按区间高亮，可覆盖模糊匹配与限定符搜索
+   * - 否则退回按当前关键词做不区分大小写的匹配
    * @param {string} text - 要高亮的文本
+   * @param {Array<[number, number]>} [ranges] - 高亮区间 [start, end)
    * @returns {string} 高亮后的HTML
    */
-  highlightText(text) {
+  highlightText(text, ranges) {
+    if (!text) return text;
+
+    if (Array.isArray(ranges)) {
+      let html = '';
+      let cursor = 0;
+      [...ranges]
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([start, end]) => {
+          start = Math.max(start, cursor);
+          end = Math.min(end, text.length);
+          if (end <= start) return;
+          html += text.slice(cursor, start) + `<span class="highlight">${text.slice(start, end)}</span>`;
+          cursor = end;
+        });
+      return html + text.slice(cursor);
+    }
+
     if (!this.currentQuery) return text;
     
-    const regex = new RegExp(`(${this.currentQuery})`, 'gi');
+    const escaped = this.currentQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`(${escaped})`, 'gi');
     return text.replace(regex, '<span class="highlight">$1</span>');
   }
 }
 
+/**
+ * 网站点击上报
+ * 使用 sendBeacon，页面跳转或新标签页打开时也能送达；不支持时退回 keepalive 请求
+ * 同时在本地记录最近访问（仅当前设备），用于首页“最近访问”区块
+ */
+export class ClickReporter {
+  /** 本地最近访问记录的存储键（启动清理本地存储时需保留） */
+  static RECENT_VISITS_KEY = 'recentVisits';
+  /** 本地最多保留的最近访问数量 */
+  static RECENT_VISITS_MAX = 50;
+
+  /**
+   * 上报一次网站点击（失败静默忽略）
+   * @param {string} siteId - 网站ID
+   */
+  static report(siteId) {
+    if (!siteId) return;
+    ClickReporter.rememberVisit(siteId);
+    try {
+      // 使用 text/plain 避免触发预检请求，服务端按 JSON 解析
+      const body = JSON.stringify({ id: siteId });
+      const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+      if (navigator.sendBeacon && navigator.sendBeacon('/api/click', blob)) return;
+      fetch('/api/click', { method: 'POST', body, keepalive: true }).catch(() => {});
+    } catch (_) {}
+  }
+
+  /**
+   * 记录本地最近访问（最新在前，去重）
+   * @param {string} siteId - 网站ID
+   */
+  static rememberVisit(siteId) {
+    try {
+      const ids = ClickReporter.getRecentVisitIds().filter(id => id !== siteId);
+      ids.unshift(siteId);
+      localStorage.setItem(
+        ClickReporter.RECENT_VISITS_KEY,
+        JSON.stringify(ids.slice(0, ClickReporter.RECENT_VISITS_MAX))
+      );
+    } catch (_) {}
+  }
+
+  /**
+   * 读取本地最近访问的网站ID（最新在前）
+   * @returns {string[]}
+   */
+  static getRecentVisitIds() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(ClickReporter.RECENT_VISITS_KEY) || '[]');
+      return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+    } catch (_) {
+      return [];
+    }
+  }
+}
+
 /**
  * DOM操作工具
  */
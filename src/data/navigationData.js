@@ -3,6 +3,8 @@
  * 负责提供网站导航的基础数据结构
  */
 
+import { flattenSites, countTree } from '../utils/categoryTree.js';
+
 /**
  * 个人资料配置
  */
@@ -178,63 +180,17 @@ export const navigationData = {
  * 获取所有网站列表（扁平化）
  */
 export function getAllSites() {
-  /**
-   * 递归展开分类，生成带有分类路径信息的网站列表
-   * @param {Array} categories - 分类数组
-   * @param {Array<string>} pathTitles - 标题路径
-   * @param {Array<string>} pathIds - ID路径
-   * @returns {Array}
-   */
-  const flatten = (categories, pathTitles = [], pathIds = []) => {
-    if (!Array.isArray(categories) || categories.length === 0) return [];
-    let result = [];
-    for (const cat of categories) {
-      const titles = [...pathTitles, cat.title];
-      const ids = [...pathIds, cat.id || ""];
-      const sites = Array.isArray(cat.sites) ? cat.sites : [];
-      result = result.concat(
-        sites.map(site => ({
-          ...site,
-          category: titles.join(' / '),
-          categoryId: ids.filter(Boolean).join('/')
-        }))
-      );
-      const children = Array.isArray(cat.children) ? cat.children : [];
-      if (children.length > 0) {
-        result = result.concat(flatten(children, titles, ids));
-      }
-    }
-    return result;
-  };
-
-  return flatten(navigationCategories);
+  return flattenSites(navigationCategories);
 }
 
 /**
  * 获取统计信息
  */
 export function getNavigationStats() {
-  /**
-   * 递归统计分类数量与站点数量
-   * @param {Array} categories
-   * @returns {{cat:number, sites:number}}
-   */
-  const count = (categories) => {
-    if (!Array.isArray(categories) || categories.length === 0) {
-      return { cat: 0, sites: 0 };
-    }
-    return categories.reduce((acc, cat) => {
-      const selfSites = Array.isArray(cat.sites) ? cat.sites.length : 0;
-      const children = Array.isArray(cat.children) ? cat.children : [];
-      const childCount = count(children);
-      return { cat: acc.cat + 1 + childCount.cat, sites: acc.sites + selfSites + childCount.sites };
-    }, { cat: 0, sites: 0 });
-  };
-
-  const res = count(navigationCategories);
+  const res = countTree(navigationCategories);
   
   return {
-    totalCategories: res.cat,
+    totalCategories: res.categories,
     totalSites: res.sites,
     lastUpdated: new Date().toISOString()
   };
@@ -277,7 +233,7 @@ export async function getNavigationDataWithFallback(kvManager) {
     return kvData;
   }
 
-  await kvManager.saveNavigationData(navigationData);
+  await kvManager.saveNavigationData(navigationData, { mode: 'init', summary: '初始化默认数据', author: 'system' });
   const initialized = await kvManager.getNavigationData();
   return initialized || navigationData;
 }
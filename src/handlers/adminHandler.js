@@ -5,10 +5,12 @@
 
 import { navigationData } from '../data/navigationData.js';
 import { KVStorageManager } from '../utils/kvStorage.js';
+import { getClickSummary } from '../utils/clickTracker.js';
 import { 
   createSuccessResponse, 
   createErrorResponse, 
   isMethodAllowed,
+  getRequestActor,
   HTTP_STATUS 
 } from '../utils/responseUtils.js';
 
@@ -39,17 +41,22 @@ export async function handleGetAdminData(request, env) {
     // 统一通过 KV 获取；若 KV 为空则自动初始化为默认数据
     let currentData = await kvManager.getNavigationData();
     if (!currentData) {
-      await kvManager.saveNavigationData(navigationData);
+      await kvManager.saveNavigationData(navigationData, { mode: 'init', summary: '初始化默认数据', author: 'system' });
       currentData = await kvManager.getNavigationData();
     }
 
     const storageInfo = await kvManager.getStorageInfo();
+    const revision = Number(currentData.revision) || 0;
+    // 访问计数单独返回（按网站ID），不混入 data，避免后台保存时写回快照
+    const clicks = await getClickSummary(kvManager);
 
     return createSuccessResponse({
       data: currentData,
       dataSource: 'kv',
-      storageInfo: storageInfo
-    });
+      storageInfo: storageInfo,
+      clicks,
+      revision
+    }, { 'ETag': `"${revision}"` });
   } catch (error) {
     console.error('获取管理数据失败:', error);
     return createErrorResponse(
@@ -97,7 +104,11 @@ export async function handleSaveAdminData(request, env) {
     let currentData = await kvManager.getNavigationData();
     if (!currentData) {
       // 首次初始化仍然使用整树一次写入（单键），写入次数最少
-      const success = await kvManager.saveNavigationData(body.data);
+      const success = await kvManager.saveNavigationData(body.data, {
+        mode: 'snapshot',
+        summary: '首次保存导航数据',
+        author: getRequestActor(request)
+      });
       if (success) {
         return createSuccessResponse({
           message: '数据保存成功',
@@ -151,7 +162,11 @@ export async function handleSaveAdminData(request, env) {
     const same = isSameStructure(currentData.categories, incoming.categories);
     if (!same) {
       // 结构发生变化（新增/删除/重命名/层级变动），回退整树一次写入
-      const success = await kvManager.saveNavigationData(incoming);
+      const success = await kvManager.saveNavigationData(incoming, {
+        mode: 'snapshot',
+        summary: '保存导航数据（分类结构变更）',
+        author: getRequestActor(request)
+      });
       if (success) {
         return createSuccessResponse({
           message: '数据保存成功',
@@ -179,7 +194,11 @@ export async function handleSaveAdminData(request, env) {
 
     const metaSame = isSameMeta(currentData.categories, incoming.categories);
     if (!metaSame) {
-      const success = await kvManager.saveNavigationData(incoming);
+      const success = await kvManager.saveNavigationData(incoming, {
+        mode: 'snapshot-meta',
+        summary: '保存导航数据（分类信息变更）',
+        author: getRequestActor(request)
+      });
       if (success) {
         return createSuccessResponse({
           message: '数据保存成功',
@@ -226,7 +245,11 @@ export async function handleSaveAdminData(request, env) {
       });
     }
 
-    await kvManager.putFolderNodesBulk(updates);
+    await kvManager.putFolderNodesBulk(updates, {
+      mode: 'bulk-sites',
+      summary: `保存导航数据（${updates.length} 个目录的网站变更）`,
+      author: getRequestActor(request)
+    });
     return createSuccessResponse({
       message: '数据保存成功',
       timestamp: new Date().toISOString(),
@@ -345,7 +368,11 @@ export async function handleAddCategory(request, env) {
       currentData.categories.push(newCategory);
     }
     if (kvManager.isAvailable()) {
-      await kvManager.saveNavigationData(currentData);
+      await kvManager.saveNavigationData(currentData, {
+        mode: 'snapshot',
+        summary: `添加分类 ${newCategory.title}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({
@@ -420,12 +447,19 @@ export async function handleUpdateCategory(request, env, categoryId) {
 
     if (sameTitle && sameIcon && !sameSites) {
       // 仅 sites 变更，局部聚合写入
-      await kvManager.putFolderNodesBulk([{ segments: [updatedCategory.title], node: { sites: safeNewSites } }]);
+      await kvManager.putFolderNodesBulk([{ segments: [updatedCategory.title], node: { sites: safeNewSites } }], {
+        summary: `更新分类 ${updatedCategory.title} 的网站`,
+        author: getRequestActor(request)
+      });
     } else {
       // 结构或元数据变更，回退快照写入
       currentData.categories[categoryIndex] = updatedCategory;
       if (kvManager.isAvailable()) {
-        await kvManager.saveNavigationData(currentData);
+        await kvManager.saveNavigationData(currentData, {
+          mode: 'snapshot',
+          summary: `更新分类 ${updatedCategory.title}`,
+          author: getRequestActor(request)
+        });
       }
     }
 
@@ -479,7 +513,11 @@ export async function handleDeleteCategory(request, env, categoryId) {
     // 删除分类：结构变化，直接快照一次写入
     const deletedCategory = currentData.categories.splice(categoryIndex, 1)[0];
     if (kvManager.isAvailable()) {
-      await kvManager.saveNavigationData(currentData);
+      await kvManager.saveNavigationData(currentData, {
+        mode: 'snapshot',
+        summary: `删除分类 ${deletedCategory.title}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({
@@ -0,0 +1,463 @@
+/**
+ * 管理员认证API处理器
+ * 登录签发令牌（同时写入 HttpOnly Cookie）与退出登录、登录会话管理、修改管理员密码，
+ * 以及两步验证（TOTP）的设置与登录第二步
+ * 密码与验证码的校验都受登录限流约束（见 loginThrottle.js）
+ */
+
+import {
+  loadAdminCredential,
+  authenticateAdminPassword,
+  verifyAdminPassword,
+  changeAdminPassword,
+  verifyAdminToken,
+  createAdminSession,
+  listAdminSessions,
+  revokeAdminSession,
+  revokeAdminSessions,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  recordTwoFactorChallengeFailure,
+  consumeTwoFactorChallenge,
+  isTwoFactorEnabled,
+  describeTwoFactor,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  ADMIN_TOKEN_TTL_SECONDS,
+  PASSWORD_MIN_LENGTH
+} from '../utils/adminAuth.js';
+import { buildOtpauthUri } from '../utils/totp.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  createThrottledResponse,
+  describeRetryAfter
+} from '../utils/loginThrottle.js';
+
+/**
+ * 生成保存令牌的 Cookie
+ * @param {Request} request - 请求对象
+ * @param {string} token - JWT，为空时生成清除 Cookie 的值
+ * @returns {string} Set-Cookie 的值
+ */
+function buildTokenCookie(request, token) {
+  const isHttps = new URL(request.url).protocol === 'https:';
+  const maxAge = token ? ADMIN_TOKEN_TTL_SECONDS : 0;
+  return `admin_token=${encodeURIComponent(token || '')}; Path=/; Max-Age=${maxAge}; HttpOnly; ${isHttps ? 'Secure; ' : ''}SameSite=Lax`;
+}
+
+/**
+ * 读取请求携带的登录令牌（X-Admin-JWT、Cookie admin_token 或 Authorization: JWT <token>）
+ * @param {Request} request - 请求对象
+ * @returns {string}
+ */
+function readRequestToken(request) {
+  const jwtHeader = request.headers.get('X-Admin-JWT') || '';
+  if (jwtHeader) return jwtHeader.trim();
+  const cookie = (request.headers.get('Cookie') || '').split(';').map(s => s.trim()).find(s => s.startsWith('admin_token='));
+  if (cookie) {
+    try { return decodeURIComponent(cookie.slice('admin_token='.length)).trim(); } catch (_) { /* 忽略无效编码 */ }
+  }
+  const headerAuth = request.headers.get('Authorization') || '';
+  return headerAuth.startsWith('JWT ') ? headerAuth.slice(4).trim() : '';
+}
+
+/**
+ * 记录一次密码或验证码错误并生成错误响应；需要等待时在提示中说明并附带 Retry-After
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} message - 错误提示
+ * @param {number} status - HTTP 状态码
+ * @returns {Promise<Response>}
+ */
+async function createAuthFailureResponse(request, env, message, status, extra = {}) {
+  const waitSeconds = await recordLoginFailure(env, request);
+  if (waitSeconds <= 0) return createErrorResponse(message, status, {}, extra);
+  return createErrorResponse(
+    `${message}，请在 ${describeRetryAfter(waitSeconds)}后重试`,
+    status,
+    { 'Retry-After': String(waitSeconds) },
+    { ...extra, retryAfter: waitSeconds }
+  );
+}
+
+/**
+ * 读取 JSON 请求体
+ * @param {Request} request
+ * @returns {Promise<Object|null>} 格式错误时返回 null
+ */
+async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' ? body : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 处理管理员登录请求
+ * POST /api/admin/auth/login，请求体 { password }
+ * 成功后设置 HttpOnly Cookie 并返回令牌；失败次数过多时返回 429 与 Retry-After。
+ * 已开启两步验证时不签发令牌，而是返回 { twoFactorRequired: true, challenge }，
+ * 由 POST /api/admin/auth/login/2fa 完成登录
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAdminLogin(request, env) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+  const body = await readJsonBody(request);
+  if (!body) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const throttle = await checkLoginThrottle(env, request);
+    if (!throttle.allowed) {
+      return createThrottledResponse(throttle);
+    }
+    const result = await authenticateAdminPassword(env, body.password ? String(body.password) : '');
+    if (!result.configured) {
+      return createErrorResponse('管理员密码未配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    if (!result.ok) {
+      return createAuthFailureResponse(request, env, '密码错误', HTTP_STATUS.UNAUTHORIZED);
+    }
+    if (isTwoFactorEnabled(result.credential)) {
+      // 失败记录在验证码通过后才清除，避免反复输入正确密码来重置验证码的尝试次数
+      const challenge = await issueTwoFactorChallenge(env, result.credential);
+      return createSuccessResponse({ ok: true, twoFactorRequired: true, challenge });
+    }
+    if (throttle.failures > 0) {
+      await clearLoginFailures(env, request);
+    }
+    const { token } = await createAdminSession(env, result.credential, request);
+    return createSuccessResponse({ ok: true, token }, { 'Set-Cookie': buildTokenCookie(request, token) });
+  } catch (error) {
+    console.error('管理员登录失败:', error);
+    return createErrorResponse('登录失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理两步登录的第二步
+ * POST /api/admin/auth/login/2fa，请求体 { challenge, code }，code 为验证器的 6 位验证码或恢复码
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleTwoFactorLogin(request, env) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+  const body = await readJsonBody(request);
+  if (!body) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+  const code = typeof body.code === 'string' ? body.code.trim() : '';
+  if (!code) {
+    return createErrorResponse('请输入验证码', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const throttle = await checkLoginThrottle(env, request);
+    if (!throttle.allowed) {
+      return createThrottledResponse(throttle);
+    }
+    const credential = await loadAdminCredential(env);
+    const challengeId = isTwoFactorEnabled(credential)
+      ? await verifyTwoFactorChallenge(env, credential, typeof body.challenge === 'string' ? body.challenge : '')
+      : null;
+    if (!challengeId) {
+      return createErrorResponse('登录已过期，请重新输入密码', HTTP_STATUS.UNAUTHORIZED, {}, { challengeExpired: true });
+    }
+    const result = await verifySecondFactor(env, credential, code);
+    if (!result.ok) {
+      if (await recordTwoFactorChallengeFailure(env, challengeId)) {
+        return createAuthFailureResponse(request, env, '验证码错误', HTTP_STATUS.UNAUTHORIZED);
+      }
+      return createAuthFailureResponse(request, env, '验证码错误次数过多，请重新输入密码',
+        HTTP_STATUS.UNAUTHORIZED, { challengeExpired: true });
+    }
+    // 凭证只能成功使用一次
+    await consumeTwoFactorChallenge(env, challengeId);
+    if (throttle.failures > 0) {
+      await clearLoginFailures(env, request);
+    }
+    const { token } = await createAdminSession(env, result.credential, request, ['pwd', 'otp']);
+    return createSuccessResponse(
+      { ok: true, token, method: result.method, recoveryCodesRemaining: result.recoveryCodesRemaining },
+      { 'Set-Cookie': buildTokenCookie(request, token) }
+    );
+  } catch (error) {
+    console.error('两步验证登录失败:', error);
+    return createErrorResponse('登录失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理修改管理员密码请求（需已登录）
+ * POST /api/admin/auth/password，请求体 { currentPassword, newPassword }
+ * 修改后所有已签发的令牌失效，响应中返回当前客户端的新令牌（沿用当前会话的验证方式）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {{amr?:string[]}} [session] - 当前会话
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleChangePassword(request, env, session = {}) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+  const body = await readJsonBody(request);
+  if (!body) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+  const currentPassword = typeof body.currentPassword === 'string' ? body.currentPassword : '';
+  const newPassword = typeof body.newPassword === 'string' ? body.newPassword : '';
+  if (!currentPassword || !newPassword) {
+    return createErrorResponse('请填写当前密码与新密码', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (newPassword.length < PASSWORD_MIN_LENGTH) {
+    return createErrorResponse(`新密码至少 ${PASSWORD_MIN_LENGTH} 个字符`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (newPassword === currentPassword) {
+    return createErrorResponse('新密码不能与当前密码相同', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const credential = await loadAdminCredential(env);
+    if (!credential) {
+      return createErrorResponse('管理员密码未配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    if (credential.legacy) {
+      return createErrorResponse('KV存储不可用，无法修改密码', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    const throttle = await checkLoginThrottle(env, request);
+    if (!throttle.allowed) {
+      return createThrottledResponse(throttle);
+    }
+    if (!(await verifyAdminPassword(credential, currentPassword))) {
+      return createAuthFailureResponse(request, env, '当前密码错误', HTTP_STATUS.BAD_REQUEST);
+    }
+    if (throttle.failures > 0) {
+      await clearLoginFailures(env, request);
+    }
+
+    const updated = await changeAdminPassword(env, credential, newPassword);
+    const { token } = await createAdminSession(env, updated, request, session.amr);
+    return createSuccessResponse(
+      { message: '密码已修改，其他已登录的会话需要重新登录', token },
+      { 'Set-Cookie': buildTokenCookie(request, token) }
+    );
+  } catch (error) {
+    console.error('修改管理员密码失败:', error);
+    return createErrorResponse('修改管理员密码失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 读取可以设置两步验证的凭据
+ * @param {Object} env - 环境对象
+ * @returns {Promise<{credential?:Object, response?:Response}>} 不可用时 response 为错误响应
+ */
+async function loadTwoFactorCredential(env) {
+  const credential = await loadAdminCredential(env);
+  if (!credential) {
+    return { response: createErrorResponse('管理员密码未配置', HTTP_STATUS.SERVICE_UNAVAILABLE) };
+  }
+  if (credential.legacy) {
+    return { response: createErrorResponse('KV存储不可用，无法使用两步验证', HTTP_STATUS.SERVICE_UNAVAILABLE) };
+  }
+  return { credential };
+}
+
+/**
+ * 处理两步验证相关请求（需已登录）
+ * - GET  /api/admin/auth/2fa：状态 { available, enabled, enabledAt, recoveryCodesRemaining }
+ * - POST /api/admin/auth/2fa/setup：生成待确认的密钥，返回 { secret, otpauthUri }
+ * - POST /api/admin/auth/2fa/enable：{ code } 确认并开启，返回恢复码与新令牌（amr 含 otp）
+ * - POST /api/admin/auth/2fa/recovery-codes：{ code } 重新生成恢复码
+ * - POST /api/admin/auth/2fa/disable：{ password, code } 关闭
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} action - 路径中 /2fa 之后的部分（'' | setup | enable | recovery-codes | disable）
+ * @param {{id?:string|null}} [session] - 当前会话；开启后以新会话代替
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleTwoFactor(request, env, action, session = {}) {
+  const method = action ? 'POST' : 'GET';
+  if (!isMethodAllowed(request, method)) {
+    return createErrorResponse(`请求方法不支持，仅支持${method}请求`, HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const { credential, response } = await loadTwoFactorCredential(env);
+    if (response) return response;
+    if (!action) {
+      return createSuccessResponse(describeTwoFactor(credential));
+    }
+
+    if (action === 'setup') {
+      if (isTwoFactorEnabled(credential)) {
+        return createErrorResponse('两步验证已开启', HTTP_STATUS.CONFLICT);
+      }
+      const secret = await beginTwoFactorSetup(env, credential);
+      const issuer = new URL(request.url).hostname;
+      return createSuccessResponse({ secret, otpauthUri: buildOtpauthUri({ secret, issuer, account: 'admin' }) });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+    }
+    const code = typeof body.code === 'string' ? body.code.trim() : '';
+    if (!code) {
+      return createErrorResponse('请输入验证码', HTTP_STATUS.BAD_REQUEST);
+    }
+    const throttle = await checkLoginThrottle(env, request);
+    if (!throttle.allowed) {
+      return createThrottledResponse(throttle);
+    }
+
+    if (action === 'enable') {
+      if (isTwoFactorEnabled(credential)) {
+        return createErrorResponse('两步验证已开启', HTTP_STATUS.CONFLICT);
+      }
+      if (!credential.totpPending) {
+        return createErrorResponse('请先生成两步验证密钥', HTTP_STATUS.BAD_REQUEST);
+      }
+      const result = await enableTwoFactor(env, credential, code);
+      if (!result) {
+        return createAuthFailureResponse(request, env, '验证码错误', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (throttle.failures > 0) await clearLoginFailures(env, request);
+      const { token } = await createAdminSession(env, result.credential, request, ['pwd', 'otp']);
+      if (session.id) await revokeAdminSession(env, session.id);
+      return createSuccessResponse(
+        { message: '两步验证已开启', recoveryCodes: result.recoveryCodes, token },
+        { 'Set-Cookie': buildTokenCookie(request, token) }
+      );
+    }
+
+    if (!isTwoFactorEnabled(credential)) {
+      return createErrorResponse('未开启两步验证', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (action === 'recovery-codes') {
+      const verified = await verifySecondFactor(env, credential, code, { allowRecoveryCode: false });
+      if (!verified.ok) {
+        return createAuthFailureResponse(request, env, '验证码错误', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (throttle.failures > 0) await clearLoginFailures(env, request);
+      const recoveryCodes = await regenerateRecoveryCodes(env, verified.credential);
+      return createSuccessResponse({ message: '已重新生成恢复码，旧的恢复码已失效', recoveryCodes });
+    }
+
+    if (action === 'disable') {
+      const password = typeof body.password === 'string' ? body.password : '';
+      if (!(await verifyAdminPassword(credential, password))) {
+        return createAuthFailureResponse(request, env, '密码错误', HTTP_STATUS.BAD_REQUEST);
+      }
+      const verified = await verifySecondFactor(env, credential, code);
+      if (!verified.ok) {
+        return createAuthFailureResponse(request, env, '验证码错误', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (throttle.failures > 0) await clearLoginFailures(env, request);
+      await disableTwoFactor(env, verified.credential);
+      return createSuccessResponse({ message: '两步验证已关闭' });
+    }
+
+    return createErrorResponse(`API接口不存在: /api/admin/auth/2fa/${action}`, HTTP_STATUS.NOT_FOUND);
+  } catch (error) {
+    console.error('两步验证操作失败:', error);
+    return createErrorResponse('两步验证操作失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理退出登录请求
+ * POST /api/admin/auth/logout：撤销当前令牌对应的会话并清除 Cookie（令牌已失效时也会清除 Cookie）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAdminLogout(request, env) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const token = readRequestToken(request);
+    const credential = token ? await loadAdminCredential(env) : null;
+    if (credential && !credential.legacy) {
+      const verify = await verifyAdminToken(credential, token);
+      if (verify && verify.valid && verify.payload.jti) {
+        await revokeAdminSession(env, String(verify.payload.jti));
+      }
+    }
+    return createSuccessResponse({ message: '已退出登录' }, { 'Set-Cookie': buildTokenCookie(request, '') });
+  } catch (error) {
+    console.error('退出登录失败:', error);
+    return createErrorResponse('退出登录失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理登录会话请求（需已登录）
+ * - GET    /api/admin/auth/sessions：会话列表（登录时间、IP、User-Agent），current 标记当前会话
+ * - DELETE /api/admin/auth/sessions：撤销除当前会话外的全部会话
+ * - DELETE /api/admin/auth/sessions/:id：撤销指定会话（撤销当前会话时同时清除 Cookie）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string|null} id - 会话ID，未指定时为整个列表
+ * @param {{id?:string|null}} [session] - 当前会话（使用明文密码调用时为空）
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleSessions(request, env, id, session = {}) {
+  const allowed = id ? ['DELETE'] : ['GET', 'DELETE'];
+  if (!isMethodAllowed(request, allowed)) {
+    return createErrorResponse(`请求方法不支持，仅支持${allowed.join('/')}请求`, HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const credential = await loadAdminCredential(env);
+    if (!credential || credential.legacy) {
+      return createErrorResponse('KV存储不可用，无法管理登录会话', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    const currentId = session.id || null;
+
+    if (request.method === 'GET') {
+      const sessions = await listAdminSessions(env);
+      return createSuccessResponse({
+        sessions: sessions.map(item => ({ ...item, current: item.id === currentId }))
+      });
+    }
+
+    if (!id) {
+      const revoked = await revokeAdminSessions(env, currentId);
+      return createSuccessResponse({ message: `已撤销 ${revoked} 个其他会话`, revoked });
+    }
+
+    if (!(await revokeAdminSession(env, id))) {
+      return createErrorResponse('会话不存在或已失效', HTTP_STATUS.NOT_FOUND);
+    }
+    const headers = id === currentId ? { 'Set-Cookie': buildTokenCookie(request, '') } : {};
+    return createSuccessResponse({ message: '会话已撤销', current: id === currentId }, headers);
+  } catch (error) {
+    console.error('登录会话操作失败:', error);
+    return createErrorResponse('登录会话操作失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
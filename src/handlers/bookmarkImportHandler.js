@@ -5,10 +5,12 @@
 
 import { KVStorageManager } from '../utils/kvStorage.js';
 import { getNavigationDataWithFallback } from '../data/navigationData.js';
+import { generateSiteId } from '../utils/siteIds.js';
 import {
   createSuccessResponse,
   createErrorResponse,
   isMethodAllowed,
+  getRequestActor,
   HTTP_STATUS
 } from '../utils/responseUtils.js';
 
@@ -157,7 +159,11 @@ export async function handleImportBookmarks(request, env) {
     });
 
     // 保存
-    const saveOk = await kvManager.saveNavigationData(currentData);
+    const saveOk = await kvManager.saveNavigationData(currentData, {
+      mode: mode === 'replace' ? 'import-replace' : 'import-merge',
+      summary: `导入书签（新增 ${result.addedSites} 个网站，跳过 ${result.skippedSites} 个）`,
+      author: getRequestActor(request)
+    });
     if (!saveOk) {
       return createErrorResponse('保存导入数据失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
     }
@@ -226,6 +232,7 @@ function parseBookmarksHtml(html) {
       // 若存在 ICON（如 data:image/... 或 http(s) 链接），优先作为 favicon；此时不设置 icon，
       // 以便前端遵循“icon(若有) > favicon”的优先级显示 favicon
       const site = {
+        id: generateSiteId(),
         title,
         description: '',
         url,
@@ -0,0 +1,55 @@
+/**
+ * 访问计数API处理器
+ * 记录首页网站卡片的点击
+ */
+
+import { KVStorageManager } from '../utils/kvStorage.js';
+import { isValidSiteId } from '../utils/siteIds.js';
+import { recordClicks, CLICK_BATCH_MAX_IDS } from '../utils/clickTracker.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 处理网站点击上报请求
+ * POST /api/click
+ * 请求体：{ id } 或 { ids: [...] }（首页使用 navigator.sendBeacon 上报）
+ * 计数在实例内存中合并，稍后批量写入 KV，因此响应不代表已经持久化
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {Object} ctx - 执行上下文
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleRecordClick(request, env, ctx) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const rawIds = Array.isArray(body && body.ids) ? body.ids : [body && body.id];
+    const ids = [...new Set(rawIds.filter(isValidSiteId))].slice(0, CLICK_BATCH_MAX_IDS);
+    if (ids.length === 0) {
+      return createErrorResponse('缺少有效的网站ID', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!new KVStorageManager(env.NAVIGATION_KV).isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    recordClicks(env, ids, ctx);
+    return createSuccessResponse({ accepted: ids.length });
+  } catch (error) {
+    console.error('记录访问失败:', error);
+    return createErrorResponse('记录访问失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
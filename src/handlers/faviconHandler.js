@@ -0,0 +1,183 @@
+/**
+ * 网站图标管理API处理器
+ * 查看已缓存的图标与存储占用，上传替换图标、固定图标（自动刷新不再覆盖）以及清除缓存
+ * （无用图标的清理由定时任务 favicon-gc 执行，也可在后台立即运行）
+ */
+
+import { KVStorageManager, FAVICON_MAX_BYTES, bytesToBase64 } from '../utils/kvStorage.js';
+import { getFaviconUsage, listFavicons } from '../utils/faviconStorage.js';
+import { sniffImageType, fetchIcon } from '../utils/faviconDiscovery.js';
+import { bumpSiteFavicons } from '../utils/faviconRefresh.js';
+import { normalizeHostname, assertPublicUrl } from '../utils/outboundFetch.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  getRequestActor,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 解析上传的图片（Base64 或 data URL），按文件头识别类型
+ * @param {string} data
+ * @returns {{contentType:string, base64:string, size:number}|{error:string}}
+ */
+function parseUploadedImage(data) {
+  const base64 = String(data || '').replace(/^data:[^,]*;base64,/i, '').replace(/\s+/g, '');
+  if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) return { error: '图片数据格式错误，需为 Base64 或 data URL' };
+  const size = Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+  if (size > FAVICON_MAX_BYTES) return { error: `图片不能超过 ${Math.round(FAVICON_MAX_BYTES / 1024)}KB` };
+  const contentType = sniffImageType(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+  if (!contentType) return { error: '不支持的图片格式，仅支持 PNG、ICO、GIF、JPEG、WebP、SVG' };
+  return { contentType, base64, size };
+}
+
+/**
+ * 处理获取图标列表请求
+ * GET /api/admin/favicons
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListFavicons(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const result = await listFavicons(env);
+    return createSuccessResponse(result);
+  } catch (error) {
+    console.error('获取图标列表失败:', error);
+    return createErrorResponse('获取图标列表失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理单个主机的图标请求
+ * PUT    /api/admin/favicons/<host>      上传替换图标，请求体 { data?: string, url?: string, pinned?: boolean }
+ *        data 为 Base64 或 data URL，url 为图片地址（二选一）；pinned 默认为 true
+ * DELETE /api/admin/favicons/<host>      清除缓存（之后按默认顺序重新查找，找不到时显示字母头像）
+ * POST   /api/admin/favicons/<host>/pin  固定或取消固定，请求体 { pinned: boolean }
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} rawHost - 路径中的主机名
+ * @param {string|null} action - 子操作（pin）
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleFaviconHost(request, env, rawHost, action) {
+  const host = normalizeHostname(rawHost);
+  if (!host) {
+    return createErrorResponse('无效的主机名', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (action === 'pin' ? !isMethodAllowed(request, 'POST') : !isMethodAllowed(request, ['PUT', 'DELETE'])) {
+    return createErrorResponse('请求方法不支持', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  let body = {};
+  if (request.method !== 'DELETE') {
+    try {
+      body = await request.json();
+    } catch (_) {
+      return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+    }
+    if (!body || typeof body !== 'object') {
+      return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    const author = getRequestActor(request);
+
+    if (action === 'pin') {
+      if (typeof body.pinned !== 'boolean') {
+        return createErrorResponse('pinned 必须为布尔值', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (!(await kvManager.setFaviconPinned(host, body.pinned))) {
+        return createErrorResponse(`没有 ${host} 的缓存图标`, HTTP_STATUS.NOT_FOUND);
+      }
+      return createSuccessResponse({ message: body.pinned ? '已固定图标' : '已取消固定', host, pinned: body.pinned });
+    }
+
+    if (request.method === 'DELETE') {
+      await kvManager.deleteFavicon(host);
+      const sites = await bumpSiteFavicons(env, host, { author });
+      return createSuccessResponse({ message: `已清除 ${host} 的图标缓存`, host, sites });
+    }
+
+    let image;
+    let sourceUrl = null;
+    if (body.url) {
+      let url;
+      try {
+        url = assertPublicUrl(body.url);
+      } catch (e) {
+        return createErrorResponse(`图片地址无效：${e.message}`, HTTP_STATUS.BAD_REQUEST);
+      }
+      const icon = await fetchIcon(url.href);
+      if (!icon) {
+        return createErrorResponse(`无法从该地址获取有效图片（需为不超过 ${Math.round(FAVICON_MAX_BYTES / 1024)}KB 的图片）`, HTTP_STATUS.BAD_GATEWAY);
+      }
+      image = { contentType: icon.contentType, base64: bytesToBase64(icon.bytes), size: icon.bytes.length };
+      sourceUrl = url.href;
+    } else {
+      image = parseUploadedImage(body.data);
+      if (image.error) {
+        return createErrorResponse(image.error, HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    const pinned = body.pinned !== false;
+    const ok = await kvManager.putFavicon(host, image.contentType, image.base64, { source: 'upload', sourceUrl, pinned });
+    if (!ok) {
+      return createErrorResponse('保存图标失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+    const sites = await bumpSiteFavicons(env, host, { author });
+    return createSuccessResponse({
+      message: `已更新 ${host} 的图标`,
+      host,
+      contentType: image.contentType,
+      size: image.size,
+      pinned,
+      sites
+    });
+  } catch (error) {
+    console.error('更新图标失败:', error);
+    return createErrorResponse('更新图标失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理获取图标存储占用请求
+ * GET /api/admin/favicons/usage
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetFaviconUsage(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const usage = await getFaviconUsage(env);
+    return createSuccessResponse(usage);
+  } catch (error) {
+    console.error('获取图标存储占用失败:', error);
+    return createErrorResponse('获取图标存储占用失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
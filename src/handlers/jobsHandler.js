@@ -0,0 +1,67 @@
+/**
+ * 定时任务API处理器
+ * 查看定时任务的上次运行状态，以及手动立即运行
+ */
+
+import { KVStorageManager } from '../utils/kvStorage.js';
+import { listScheduledJobs, findScheduledJob, runScheduledJob } from '../utils/scheduledJobs.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 处理获取定时任务列表请求
+ * GET /api/admin/jobs
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListJobs(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const jobs = await listScheduledJobs(env);
+    return createSuccessResponse({ jobs });
+  } catch (error) {
+    console.error('获取定时任务失败:', error);
+    return createErrorResponse('获取定时任务失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理立即运行定时任务请求（同步执行，返回本次运行状态）
+ * POST /api/admin/jobs/<id>/run
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} jobId - 任务ID
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleRunJob(request, env, jobId) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  const job = findScheduledJob(jobId);
+  if (!job) {
+    return createErrorResponse(`定时任务不存在: ${jobId}`, HTTP_STATUS.NOT_FOUND);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const previous = (await kvManager.getJobStates([job.id]))[job.id];
+    const state = await runScheduledJob(env, job, { trigger: 'manual', previous });
+    return createSuccessResponse({ id: job.id, state });
+  } catch (error) {
+    console.error('运行定时任务失败:', error);
+    return createErrorResponse('运行定时任务失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * 失效链接检查API处理器
+ * 后台按需触发链接检查，以及把跳转的网站批量更新为跳转后的地址
+ */
+
+import { KVStorageManager } from '../utils/kvStorage.js';
+import { isValidSiteId } from '../utils/siteIds.js';
+import { runLinkCheck, applyRedirectTargets, LINK_CHECK_BATCH_SIZE } from '../utils/linkChecker.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  getRequestActor,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 单次请求最多处理的网站ID数
+ */
+const MAX_IDS = 500;
+
+/**
+ * 读取并校验请求体中的网站ID列表
+ * @param {any} value
+ * @returns {string[]|null} 未提供时返回null
+ */
+function parseSiteIds(value) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter(isValidSiteId))].slice(0, MAX_IDS);
+}
+
+/**
+ * 处理链接检查请求（每次检查一批，客户端根据 remaining 继续调用）
+ * POST /api/admin/sites/link-check
+ * 请求体：{ ids?: string[], before?: string, limit?: number }
+ * - ids: 只检查指定网站
+ * - before: 检查从未检查或上次检查早于该时间的网站，未传 ids 时默认 7 天前；
+ *   后台发起检查时传入开始时间，重复调用直到 remaining 为 0（子请求额度用尽时一批可能分多次完成）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleRunLinkCheck(request, env) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const ids = parseSiteIds(body && body.ids);
+  if (ids && ids.length === 0) {
+    return createErrorResponse('缺少有效的网站ID', HTTP_STATUS.BAD_REQUEST);
+  }
+  const before = body && body.before;
+  if (before !== undefined && !Number.isFinite(new Date(before).getTime())) {
+    return createErrorResponse('before 参数不是有效的时间', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const result = await runLinkCheck(env, {
+      ids: ids || undefined,
+      before,
+      limit: Number(body && body.limit) || LINK_CHECK_BATCH_SIZE,
+      author: getRequestActor(request)
+    });
+    return createSuccessResponse(result);
+  } catch (error) {
+    console.error('检查链接失败:', error);
+    return createErrorResponse('检查链接失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理批量更新为跳转地址请求（只处理检查结果为“跳转”的网站）
+ * POST /api/admin/sites/link-check/apply-redirects
+ * 请求体：{ ids: string[] }
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleApplyRedirects(request, env) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+  const ids = parseSiteIds(body && body.ids);
+  if (!ids || ids.length === 0) {
+    return createErrorResponse('缺少有效的网站ID', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const data = await kvManager.getNavigationData();
+    const updated = data ? applyRedirectTargets(data, ids) : [];
+    if (updated.length > 0) {
+      const success = await kvManager.saveNavigationData(data, {
+        mode: 'snapshot',
+        summary: `更新 ${updated.length} 个网站为跳转地址`,
+        author: getRequestActor(request)
+      });
+      if (!success) {
+        return createErrorResponse('保存数据失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+      }
+    }
+
+    return createSuccessResponse({
+      message: `已更新 ${updated.length} 个网站`,
+      updated
+    });
+  } catch (error) {
+    console.error('更新跳转地址失败:', error);
+    return createErrorResponse('更新跳转地址失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
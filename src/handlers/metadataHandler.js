@@ -0,0 +1,45 @@
+/**
+ * 网页元数据API处理器
+ * 后台添加/编辑网站时根据网址自动获取名称、描述等信息
+ */
+
+import { fetchPageMetadata } from '../utils/pageMetadata.js';
+import { assertPublicUrl } from '../utils/outboundFetch.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 处理获取网页元数据请求
+ * GET /api/admin/metadata?url=https://example.com
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleFetchMetadata(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  const target = (new URL(request.url).searchParams.get('url') || '').trim();
+  if (!target) {
+    return createErrorResponse('缺少 url 参数', HTTP_STATUS.BAD_REQUEST);
+  }
+  try {
+    assertPublicUrl(target);
+  } catch (error) {
+    return createErrorResponse(error.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const metadata = await fetchPageMetadata(target);
+    return createSuccessResponse(metadata);
+  } catch (error) {
+    // 目标页面无法访问属于上游错误，返回具体原因便于后台提示
+    console.warn('获取网页信息失败:', target, error && error.message);
+    return createErrorResponse(`获取网页信息失败：${(error && error.message) || '未知错误'}`, HTTP_STATUS.BAD_GATEWAY);
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * OpenSearch 描述文档处理器
+ * 让浏览器可以把导航站添加为地址栏搜索引擎
+ */
+
+import { profileConfig } from '../data/navigationData.js';
+import { KVStorageManager } from '../utils/kvStorage.js';
+import { isMethodAllowed, createErrorResponse, HTTP_STATUS } from '../utils/responseUtils.js';
+
+/**
+ * OpenSearch 规范要求 ShortName 不超过 16 个字符
+ */
+const SHORT_NAME_MAX_LENGTH = 16;
+
+/**
+ * 处理 OpenSearch 描述文档请求
+ * GET /opensearch.xml
+ * - 搜索结果页：/?q={searchTerms}
+ * - 搜索建议：/api/search/opensearch?q={searchTerms}（OpenSearch JSON 建议格式）
+ * - 环境变量 OPENSEARCH_REDIRECT="true" 时结果页附带 go=1：唯一精确命中时直接跳转到该网站
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleOpenSearchDescription(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const origin = new URL(request.url).origin;
+    const profile = await loadProfile(env);
+    const shortName = Array.from(profile.name || 'Navigation').slice(0, SHORT_NAME_MAX_LENGTH).join('');
+    const redirectParam = String(env && env.OPENSEARCH_REDIRECT).toLowerCase() === 'true' ? '&amp;go=1' : '';
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/" xmlns:moz="http://www.mozilla.org/2006/browser/search/">
+  <ShortName>${escapeXml(shortName)}</ShortName>
+  <Description>${escapeXml(profile.subtitle || profile.description || profile.name || '')}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Image width="16" height="16" type="image/svg+xml">${origin}/asset/favicon.svg</Image>
+  <Url type="text/html" method="get" template="${origin}/?q={searchTerms}${redirectParam}"/>
+  <Url type="application/x-suggestions+json" method="get" template="${origin}/api/search/opensearch?q={searchTerms}"/>
+  <Url type="application/opensearchdescription+xml" rel="self" template="${origin}/opensearch.xml"/>
+  <moz:SearchForm>${origin}/</moz:SearchForm>
+</OpenSearchDescription>
+`;
+
+    return new Response(xml, {
+      status: HTTP_STATUS.OK,
+      headers: {
+        'Content-Type': 'application/opensearchdescription+xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600'
+      }
+    });
+  } catch (error) {
+    console.error('生成OpenSearch描述文档失败:', error);
+    return createErrorResponse('生成OpenSearch描述文档失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 读取站点资料（KV 中的 profile 优先，缺失时使用默认配置）
+ * @param {Object} env
+ * @returns {Promise<Object>}
+ */
+async function loadProfile(env) {
+  const kvManager = new KVStorageManager(env && env.NAVIGATION_KV);
+  const data = kvManager.isAvailable() ? await kvManager.getNavigationData() : null;
+  return { ...profileConfig, ...((data && data.profile) || {}) };
+}
+
+/**
+ * 转义 XML 特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
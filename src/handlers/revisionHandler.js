@@ -0,0 +1,218 @@
+/**
+ * 历史版本API处理器
+ * 提供快照历史版本的列表、对比与恢复
+ */
+
+import { KVStorageManager } from '../utils/kvStorage.js';
+import { walkCategories } from '../utils/categoryTree.js';
+import { ensureSiteCreatedAt } from '../utils/siteIds.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  getQueryParam,
+  getRequestActor,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 处理获取历史版本列表请求
+ * GET /api/admin/revisions
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListRevisions(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    const revisions = await kvManager.listRevisions();
+    return createSuccessResponse({ revisions });
+  } catch (error) {
+    console.error('获取历史版本失败:', error);
+    return createErrorResponse('获取历史版本失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理获取单个历史版本请求（含完整数据）
+ * GET /api/admin/revisions/:id
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} revisionId - 版本号
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetRevision(request, env, revisionId) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const revision = await kvManager.getRevision(revisionId);
+    if (!revision) {
+      return createErrorResponse(`历史版本不存在: ${revisionId}`, HTTP_STATUS.NOT_FOUND);
+    }
+    return createSuccessResponse({ revision });
+  } catch (error) {
+    console.error('获取历史版本失败:', error);
+    return createErrorResponse('获取历史版本失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理对比两个历史版本请求
+ * GET /api/admin/revisions/diff?from=<id>&to=<id|current>
+ * - to 缺省为 current（当前快照）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDiffRevisions(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const fromId = (getQueryParam(request, 'from') || '').trim();
+    const toId = (getQueryParam(request, 'to') || 'current').trim();
+    if (!fromId) {
+      return createErrorResponse('缺少参数 from', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const loadData = async (id) => {
+      if (id === 'current') return kvManager.getNavigationData();
+      const rev = await kvManager.getRevision(id);
+      return rev ? rev.data : null;
+    };
+
+    const [fromData, toData] = await Promise.all([loadData(fromId), loadData(toId)]);
+    if (!fromData) {
+      return createErrorResponse(`历史版本不存在: ${fromId}`, HTTP_STATUS.NOT_FOUND);
+    }
+    if (!toData) {
+      return createErrorResponse(`历史版本不存在: ${toId}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return createSuccessResponse({
+      from: fromId,
+      to: toId,
+      ...diffNavigationData(fromData, toData)
+    });
+  } catch (error) {
+    console.error('对比历史版本失败:', error);
+    return createErrorResponse('对比历史版本失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理恢复历史版本请求
+ * POST /api/admin/revisions/:id/restore
+ * 恢复本身也会生成一个新版本，因此可以再次撤销
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} revisionId - 版本号
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleRestoreRevision(request, env, revisionId) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+    const revision = await kvManager.getRevision(revisionId);
+    if (!revision) {
+      return createErrorResponse(`历史版本不存在: ${revisionId}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    // 早期版本中的网站没有添加时间，恢复时不能被当作新添加
+    ensureSiteCreatedAt(revision.data, null);
+    const success = await kvManager.saveNavigationData(revision.data, {
+      mode: 'restore',
+      summary: `恢复到版本 #${revision.id}`,
+      author: getRequestActor(request)
+    });
+    if (!success) {
+      return createErrorResponse('恢复历史版本失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+
+    return createSuccessResponse({
+      message: `已恢复到版本 #${revision.id}`,
+      restoredFrom: revision.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('恢复历史版本失败:', error);
+    return createErrorResponse('恢复历史版本失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 对比两份导航数据
+ * - 分类按标题路径比较
+ * - 网站按 URL 比较；同 URL 路径不同视为移动
+ * @param {Object} fromData
+ * @param {Object} toData
+ * @returns {{categories:{added:string[], removed:string[]}, sites:{added:Array, removed:Array, changed:Array}}}
+ */
+function diffNavigationData(fromData, toData) {
+  const collect = (data) => {
+    const categories = new Set();
+    const sites = new Map();
+    walkCategories(data && data.categories, (node, { path }) => {
+      const pathStr = path.join(' / ');
+      categories.add(pathStr);
+      (Array.isArray(node.sites) ? node.sites : []).forEach(site => {
+        if (site && site.url && !sites.has(site.url)) sites.set(site.url, { site, path: pathStr });
+      });
+    });
+    return { categories, sites };
+  };
+
+  const a = collect(fromData);
+  const b = collect(toData);
+  const COMPARED_FIELDS = ['title', 'description', 'icon'];
+  const brief = (entry) => ({ title: entry.site.title, url: entry.site.url, path: entry.path });
+
+  const sitesAdded = [];
+  const sitesRemoved = [];
+  const sitesChanged = [];
+  for (const [url, entry] of b.sites) {
+    if (!a.sites.has(url)) sitesAdded.push(brief(entry));
+  }
+  for (const [url, entry] of a.sites) {
+    const next = b.sites.get(url);
+    if (!next) {
+      sitesRemoved.push(brief(entry));
+      continue;
+    }
+    const fields = COMPARED_FIELDS.filter(f => (entry.site[f] || '') !== (next.site[f] || ''));
+    if (entry.path !== next.path) fields.push('path');
+    if (fields.length > 0) {
+      sitesChanged.push({ ...brief(next), fields, before: brief(entry) });
+    }
+  }
+
+  return {
+    categories: {
+      added: [...b.categories].filter(p => !a.categories.has(p)),
+      removed: [...a.categories].filter(p => !b.categories.has(p))
+    },
+    sites: {
+      added: sitesAdded,
+      removed: sitesRemoved,
+      changed: sitesChanged
+    }
+  };
+}
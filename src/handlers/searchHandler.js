@@ -5,18 +5,26 @@
 
 import { getNavigationDataWithFallback } from '../data/navigationData.js';
 import { KVStorageManager } from '../utils/kvStorage.js';
+import { flattenSites } from '../utils/categoryTree.js';
+import { searchSites, suggestSites, SEARCH_MAX_LIMIT, SUGGEST_MAX_LIMIT } from '../utils/siteSearch.js';
+import { selectCandidates } from '../utils/searchIndex.js';
 import { 
   createSearchResponse, 
+  createSuccessResponse,
   createErrorResponse, 
   isMethodAllowed,
   getQueryParam,
   isValidParam,
+  CORS_HEADERS,
   HTTP_STATUS 
 } from '../utils/responseUtils.js';
 
 /**
  * 处理搜索网站请求
- * GET /api/search?q=关键词
+ * GET /api/search?q=关键词[&limit=20&offset=0]
+ * - 支持模糊匹配与相关度排序，语法见 utils/siteSearch.js
+ * - 每条结果附带 score / matches / highlights
+ * - 优先使用预构建的倒排索引筛选候选网站，索引过期或损坏时退回线性扫描
  * @param {Request} request - 请求对象
  * @param {Object} env - 环境对象
  * @returns {Promise<Response>} 响应对象
@@ -42,34 +50,27 @@ export async function handleSearchSites(request, env) {
       );
     }
 
+    // 验证分页参数
+    const limit = parsePagingParam(getQueryParam(request, 'limit'));
+    const offset = parsePagingParam(getQueryParam(request, 'offset'));
+    if (Number.isNaN(limit) || Number.isNaN(offset) || limit === 0) {
+      return createErrorResponse(
+        `分页参数无效：limit 需为 1-${SEARCH_MAX_LIMIT} 的整数，offset 需为非负整数`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
     const kvManager = new KVStorageManager(env.NAVIGATION_KV);
-    const navigationData = await getNavigationDataWithFallback(kvManager);
+    const candidates = await loadSearchCandidates(kvManager, query.trim());
     
     // 执行搜索
-    const searchTerm = query.toLowerCase().trim();
-    const allSites = navigationData.categories.flatMap(cat => {
-      const topSites = (cat.sites || []).map(site => ({
-        ...site,
-        category: cat.title,
-        categoryId: cat.id
-      }));
-      const subSites = (cat.children || []).flatMap(child =>
-        (child.sites || []).map(site => ({
-          ...site,
-          category: `${cat.title} / ${child.title}`,
-          categoryId: `${cat.id}/${child.id}`
-        }))
-      );
-      return [...topSites, ...subSites];
-    });
+    const { results, total } = searchSites(candidates, query.trim(), { limit, offset });
     
-    const results = allSites.filter(site => 
-      (site.title && site.title.toLowerCase().includes(searchTerm)) ||
-      (site.description && site.description.toLowerCase().includes(searchTerm)) ||
-      (site.category && site.category.toLowerCase().includes(searchTerm))
-    );
-    
-    return createSearchResponse(results, query);
+    return createSearchResponse(results, query, {
+      total,
+      offset: offset || 0,
+      limit: limit ? Math.min(limit, SEARCH_MAX_LIMIT) : null
+    });
     
   } catch (error) {
     console.error('Search sites error:', error);
@@ -79,3 +80,138 @@ export async function handleSearchSites(request, env) {
     );
   }
 }
+
+/**
+ * 处理搜索建议请求（输入框自动补全）
+ * GET /api/search/suggest?q=关键词[&limit=8]
+ * 返回标题命中的网站，以及命中的分类、标签补全，见 utils/siteSearch.js 的 suggestSites
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleSearchSuggest(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse(
+      '请求方法不支持，仅支持GET请求', 
+      HTTP_STATUS.METHOD_NOT_ALLOWED
+    );
+  }
+
+  try {
+    const query = getQueryParam(request, 'q');
+    if (!isValidParam(query)) {
+      return createErrorResponse(
+        '搜索关键词不能为空',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const limit = parsePagingParam(getQueryParam(request, 'limit'));
+    if (Number.isNaN(limit) || limit === 0) {
+      return createErrorResponse(
+        `参数无效：limit 需为 1-${SUGGEST_MAX_LIMIT} 的整数`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const candidates = await loadSearchCandidates(kvManager, query.trim());
+    const suggestions = suggestSites(candidates, query, { limit });
+
+    return createSuccessResponse(suggestions);
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    return createErrorResponse(
+      '获取搜索建议失败', 
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+}
+
+/**
+ * 处理 OpenSearch 搜索建议请求（浏览器地址栏）
+ * GET /api/search/opensearch?q=关键词
+ * 返回 OpenSearch JSON 建议格式：[查询, [补全词], [说明], [网址]]
+ * - 网站建议补全为标题，网址为网站地址
+ * - 分类/标签建议补全为对应的限定符（in:"..." / tag:...），网址为站内结果页
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleOpenSearchSuggest(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse(
+      '请求方法不支持，仅支持GET请求', 
+      HTTP_STATUS.METHOD_NOT_ALLOWED
+    );
+  }
+
+  try {
+    const query = (getQueryParam(request, 'q') || '').trim();
+    const completions = [];
+    const descriptions = [];
+    const urls = [];
+
+    if (query) {
+      const origin = new URL(request.url).origin;
+      const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+      const candidates = await loadSearchCandidates(kvManager, query);
+      for (const item of suggestSites(candidates, query)) {
+        if (item.type === 'site') {
+          completions.push(item.text);
+          descriptions.push(item.category || '');
+          urls.push(item.url);
+        } else {
+          completions.push(item.query);
+          descriptions.push(item.type === 'category' ? `分类：${item.text}` : `标签：${item.text}`);
+          urls.push(`${origin}/?q=${encodeURIComponent(item.query)}`);
+        }
+      }
+    }
+
+    return new Response(JSON.stringify([query, completions, descriptions, urls]), {
+      status: HTTP_STATUS.OK,
+      headers: {
+        'Content-Type': 'application/x-suggestions+json; charset=utf-8',
+        ...CORS_HEADERS
+      }
+    });
+  } catch (error) {
+    console.error('OpenSearch suggest error:', error);
+    return createErrorResponse(
+      '获取搜索建议失败', 
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+}
+
+/**
+ * 获取搜索候选网站
+ * 优先使用预构建的倒排索引筛选；索引过期或损坏时退回线性扫描，
+ * 并用已读取的快照修复索引，供后续请求使用
+ * @param {KVStorageManager} kvManager
+ * @param {string} query - 搜索语句
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadSearchCandidates(kvManager, query) {
+  const { index, state } = await kvManager.loadSearchIndex();
+  if (index) {
+    return selectCandidates(index, query);
+  }
+
+  const navigationData = await getNavigationDataWithFallback(kvManager);
+  if (state === 'stale' || state === 'corrupt') {
+    await kvManager.saveSearchIndex(navigationData);
+  }
+  return flattenSites(navigationData.categories);
+}
+
+/**
+ * 解析分页参数
+ * @param {string|null} value - 查询参数值
+ * @returns {number|undefined} 未提供时为 undefined，非法时为 NaN
+ */
+function parsePagingParam(value) {
+  if (!isValidParam(value)) return undefined;
+  return /^\d+$/.test(value.trim()) ? Number(value.trim()) : NaN;
+}
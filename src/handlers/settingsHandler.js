@@ -0,0 +1,88 @@
+/**
+ * 系统设置API处理器
+ * 读取与修改后台“设置”页中的选项
+ */
+
+import { KVStorageManager } from '../utils/kvStorage.js';
+import { loadSettings, mergeSettings } from '../utils/settings.js';
+import { FAVICON_PROVIDERS } from '../utils/faviconDiscovery.js';
+import {
+  createSuccessResponse,
+  createErrorResponse,
+  isMethodAllowed,
+  HTTP_STATUS
+} from '../utils/responseUtils.js';
+
+/**
+ * 可选的第三方图标服务（供后台渲染选项）
+ * @returns {Array<{key:string, title:string}>}
+ */
+function listFaviconProviders() {
+  return Object.entries(FAVICON_PROVIDERS).map(([key, provider]) => ({ key, title: provider.title }));
+}
+
+/**
+ * 处理获取设置请求
+ * GET /api/admin/settings
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetSettings(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const settings = await loadSettings(kvManager);
+    return createSuccessResponse({ settings, faviconProviders: listFaviconProviders() });
+  } catch (error) {
+    console.error('获取设置失败:', error);
+    return createErrorResponse('获取设置失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 处理修改设置请求（部分更新，未提供的字段保持不变）
+ * PUT /api/admin/settings
+ * 请求体：{ homeSections: { popular: { enabled, count }, ... }, favicon: { providers: string[] },
+ *          auth: { allowPlaintextPassword: boolean } }
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleUpdateSettings(request, env) {
+  if (!isMethodAllowed(request, 'PUT')) {
+    return createErrorResponse('请求方法不支持，仅支持PUT请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    if (!kvManager.isAvailable()) {
+      return createErrorResponse('KV存储不可用，请检查配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const config = (await kvManager.getConfig()) || {};
+    const settings = mergeSettings(config.settings, body);
+    const success = await kvManager.saveConfig({ ...config, settings });
+    if (!success) {
+      return createErrorResponse('保存设置失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+
+    return createSuccessResponse({ message: '设置已保存', settings });
+  } catch (error) {
+    console.error('保存设置失败:', error);
+    return createErrorResponse('保存设置失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
@@ -9,9 +9,19 @@ import {
   createSuccessResponse, 
   createErrorResponse, 
   isMethodAllowed,
+  getRequestActor,
   HTTP_STATUS 
 } from '../utils/responseUtils.js';
 import { KVStorageManager as _KVSM } from '../utils/kvStorage.js';
+import { generateSiteId } from '../utils/siteIds.js';
+import { extractHost, fetchAndCacheFavicon, refreshFavicons, regenerateAvatars } from '../utils/faviconRefresh.js';
+import { fetchPageMetadata } from '../utils/pageMetadata.js';
+import { SubrequestBudget } from '../utils/outboundFetch.js';
+
+/**
+ * 批量新增时最多自动获取网页信息的网站数（受 Worker 单次调用子请求数限制）
+ */
+const METADATA_FILL_LIMIT = 10;
 
 /**
  * 规范化路径段：
@@ -46,6 +56,57 @@ function findSiteIndexByTitle(node, title) {
   return node.sites.findIndex(s => s && s.title === t);
 }
 
+/**
+ * 可通过接口修改的网站字段；id、createdAt、favicon、linkCheck 等由服务端维护
+ */
+const EDITABLE_SITE_FIELDS = ['title', 'url', 'description', 'icon', 'tags'];
+
+/**
+ * 将请求中的修改合并到网站：只接受可编辑字段，其余字段保持不变
+ * 网站地址变化后，旧的链接检查结果不再适用，一并清除
+ * @param {Object} prev - 修改前的网站
+ * @param {Object} changes - 请求中的修改
+ * @returns {Object} 修改后的网站（新对象）
+ */
+function applySiteChanges(prev, changes) {
+  const next = { ...prev };
+  for (const field of EDITABLE_SITE_FIELDS) {
+    const value = changes ? changes[field] : undefined;
+    if (value === undefined) continue;
+    if (field === 'tags') {
+      if (!Array.isArray(value)) continue;
+      const tags = value.map(t => String(t).trim()).filter(Boolean);
+      if (tags.length > 0) next.tags = tags;
+      else delete next.tags;
+    } else {
+      next[field] = value === null ? '' : String(value);
+    }
+  }
+  if (next.url !== prev.url) delete next.linkCheck;
+  return next;
+}
+
+/**
+ * 为缺少名称或描述的待新增网站抓取网页信息（失败或额度用尽的网址被忽略）
+ * @param {Array} items - 批量新增条目 { path, site }
+ * @param {SubrequestBudget} budget - 子请求额度（与图标抓取共用）
+ * @returns {Promise<Map<string, {title:string, description:string}>>} 网址 -> 建议的名称与描述
+ */
+async function prefetchSiteMetadata(items, budget) {
+  const urls = Array.from(new Set(items
+    .map(it => it && it.site)
+    .filter(site => site && site.url && (!site.title || !site.description))
+    .map(site => String(site.url))))
+    .slice(0, METADATA_FILL_LIMIT);
+  const results = new Map();
+  await Promise.all(urls.map(async (url) => {
+    try {
+      results.set(url, (await fetchPageMetadata(url, { budget })).suggested);
+    } catch (_) { /* 获取失败时保持原值 */ }
+  }));
+  return results;
+}
+
 /**
  * 在节点的站点数组中按URL查找索引
  */
@@ -55,6 +116,106 @@ function findSiteIndexByUrl(node, url) {
   return node.sites.findIndex(s => s && s.url === u);
 }
 
+/**
+ * 在整棵分类树中按 id 查找网站
+ * @param {Array} categories - 顶层分类
+ * @param {string} siteId - 网站ID
+ * @returns {{node:Object, index:number, segments:string[], site:Object}|null}
+ */
+function findSiteById(categories, siteId) {
+  const id = String(siteId || '').trim();
+  if (!id) return null;
+  const walk = (nodes, titles) => {
+    for (const node of (Array.isArray(nodes) ? nodes : [])) {
+      if (!node) continue;
+      const segments = [...titles, node.title];
+      const index = Array.isArray(node.sites) ? node.sites.findIndex(s => s && s.id === id) : -1;
+      if (index !== -1) return { node, index, segments, site: node.sites[index] };
+      const hit = walk(node.children, segments);
+      if (hit) return hit;
+    }
+    return null;
+  };
+  return walk(categories, []);
+}
+
+/**
+ * 在整棵分类树中按分类 id 查找节点
+ * @param {Array} categories - 顶层分类
+ * @param {string} categoryId - 分类ID
+ * @returns {{node:Object, segments:string[]}|null}
+ */
+function findCategoryById(categories, categoryId) {
+  const walk = (nodes, titles) => {
+    for (const node of (Array.isArray(nodes) ? nodes : [])) {
+      if (!node) continue;
+      const segments = [...titles, node.title];
+      if (node.id === categoryId) return { node, segments };
+      const hit = walk(node.children, segments);
+      if (hit) return hit;
+    }
+    return null;
+  };
+  return walk(categories, []);
+}
+
+/**
+ * 解析分类引用，支持任意层级：
+ * - 字符串：先按分类 id 全树精确匹配（嵌套 id 如 "dev/tools"），再按 "/" 分割为路径
+ * - 数组：视为路径
+ * 路径的每一段可以是分类标题或 id
+ * @param {Array} categories - 顶层分类
+ * @param {string|string[]} ref - 分类ID或路径
+ * @returns {{node:Object, segments:string[]}|{error:string}} segments 为标题路径；失败时 error 指明缺失的部分
+ */
+function resolveCategoryRef(categories, ref) {
+  const parts = (Array.isArray(ref) ? ref : String(ref || '').split('/'))
+    .map(p => String(p || '').trim())
+    .filter(Boolean);
+  if (parts.length === 0) return { error: '未指定分类' };
+
+  if (!Array.isArray(ref)) {
+    const byId = findCategoryById(categories, String(ref).trim());
+    if (byId) return byId;
+  }
+
+  let nodes = categories;
+  let current = null;
+  const segments = [];
+  for (const part of parts) {
+    current = (Array.isArray(nodes) ? nodes : []).find(c => c && (c.id === part || c.title === part)) || null;
+    if (!current) {
+      return {
+        error: segments.length > 0
+          ? `分类不存在：在 "${segments.join(' / ')}" 下找不到 "${part}"`
+          : `分类不存在：找不到顶层分类 "${part}"`
+      };
+    }
+    segments.push(current.title);
+    nodes = current.children;
+  }
+  return { node: current, segments };
+}
+
+/**
+ * 绑定站点 favicon 到 /api/favicon/<host>，并尽量预先抓取缓存
+ * 子请求额度用尽后只绑定地址、不再抓取（图标路由会在首次访问时抓取）
+ * @param {KVStorageManager} kvManager
+ * @param {Object} site - 会被原地修改
+ * @param {{budget?:SubrequestBudget}} [options] - budget: 子请求额度，未提供时使用本次调用的默认额度
+ */
+async function bindSiteFavicon(kvManager, site, options = {}) {
+  const host = extractHost(site.url);
+  if (!host) return;
+  site.favicon = `/api/favicon/${encodeURIComponent(host)}`;
+  const budget = options.budget || new SubrequestBudget();
+  if (budget.remaining === 0) return;
+  try {
+    const cached = await fetchAndCacheFavicon(kvManager, host, site, { budget });
+    if (cached.ok && cached.path) site.favicon = cached.path;
+  } catch (_) { /* 抓取失败或额度用尽时保留默认地址 */ }
+}
+
 /**
  * 确保目标节点中不存在同URL站点
  */
@@ -73,50 +234,10 @@ function isImageUrl(s) {
   return /^https?:\/\//i.test(v) || /^data:image\//i.test(v);
 }
 
-/**
- * 从URL提取host
- * @param {string} url
- * @returns {string|null}
- */
-function extractHost(url) {
-  try { return new URL(String(url)).hostname; } catch (_) { return null; }
-}
-
-/**
- * 抓取并缓存favicon（duckduckgo优先，回退站点根/favicon.ico）
- * @param {KVStorageManager} kvManager
- * @param {string} host
- * @returns {Promise<{ok:boolean, path?:string}>}
- */
-async function fetchAndCacheFavicon(kvManager, host) {
-  if (!host) return { ok: false };
-  const candidates = [
-    `https://icons.duckduckgo.com/ip3/${host}.ico`,
-    `https://${host}/favicon.ico`
-  ];
-  for (const url of candidates) {
-    try {
-      const resp = await fetch(url, { method: 'GET' });
-      if (!resp || !resp.ok) continue;
-      const ct = resp.headers.get('content-type') || 'image/x-icon';
-      if (!/image\//i.test(ct)) continue;
-      const buf = await resp.arrayBuffer();
-      const base64 = (() => {
-        const bytes = new Uint8Array(buf);
-        let bin = '';
-        for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
-        return btoa(bin);
-      })();
-      const ok = await kvManager.putFavicon(host, ct, base64);
-      if (ok) return { ok: true, path: `/api/favicon/${encodeURIComponent(host)}` };
-    } catch (_) { /* ignore and try next */ }
-  }
-  return { ok: false };
-}
-
 /**
  * 处理添加网站请求
  * POST /api/admin/sites
+ * body.categoryId 可为任意层级的分类ID，也可用 body.path 传入分类路径（标题或ID，字符串或数组）
  * @param {Request} request - 请求对象
  * @param {Object} env - 环境对象
  * @returns {Promise<Response>} 响应对象
@@ -132,9 +253,10 @@ export async function handleAddSite(request, env) {
   try {
     const body = await request.json();
     
-    if (!body || !body.categoryId || !body.title || !body.url || !body.description) {
+    const categoryRef = body && (body.path || body.categoryId);
+    if (!body || !categoryRef || !body.title || !body.url || !body.description) {
       return createErrorResponse(
-        '网站信息不完整，需要提供categoryId、title、url和description',
+        '网站信息不完整，需要提供categoryId（或path）、title、url和description',
         HTTP_STATUS.BAD_REQUEST
       );
     }
@@ -147,17 +269,16 @@ export async function handleAddSite(request, env) {
       currentData = await getNavigationDataWithFallback(kvManager);
     }
 
-    // 查找目标分类
-    const categoryIndex = currentData.categories.findIndex(cat => cat.id === body.categoryId);
-    if (categoryIndex === -1) {
-      return createErrorResponse(
-        '指定的分类不存在',
-        HTTP_STATUS.NOT_FOUND
-      );
+    // 查找目标分类（支持任意层级）
+    const resolved = resolveCategoryRef(currentData.categories, categoryRef);
+    if (resolved.error) {
+      return createErrorResponse(resolved.error, HTTP_STATUS.NOT_FOUND);
     }
+    const category = resolved.node;
+    if (!Array.isArray(category.sites)) category.sites = [];
 
     // 检查网站是否已存在
-    const existingSite = currentData.categories[categoryIndex].sites.find(site => 
+    const existingSite = category.sites.find(site => 
       site.title === body.title || site.url === body.url
     );
     if (existingSite) {
@@ -169,37 +290,35 @@ export async function handleAddSite(request, env) {
 
     // 添加新网站（支持icon为emoji或图片URL；favicon统一指向 /api/favicon/<host>）
     const newSite = {
+      id: generateSiteId(),
       title: body.title,
       description: body.description,
       url: body.url,
       icon: body.icon || '🌐'
     };
+    if (Array.isArray(body.tags) && body.tags.length > 0) {
+      newSite.tags = body.tags.map(t => String(t).trim()).filter(Boolean);
+    }
 
     // favicon 统一：始终绑定到 /api/favicon/<host>
-    {
-      const host = extractHost(body.url);
-      if (host) {
-        try {
-          const cached = await fetchAndCacheFavicon(kvManager, host);
-          if (cached.ok && cached.path) newSite.favicon = cached.path;
-          else newSite.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-        } catch (_) {
-          newSite.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-        }
-      }
-    }
+    await bindSiteFavicon(kvManager, newSite);
 
-    currentData.categories[categoryIndex].sites.push(newSite);
+    category.sites.push(newSite);
 
     // 保存数据
     if (kvManager.isAvailable()) {
-      await kvManager.saveNavigationData(currentData);
+      await kvManager.saveNavigationData(currentData, {
+        mode: 'snapshot',
+        summary: `添加网站 ${newSite.title}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({
       message: '网站添加成功',
       site: newSite,
-      category: currentData.categories[categoryIndex].title
+      category: category.title,
+      path: resolved.segments
     });
   } catch (error) {
     console.error('添加网站失败:', error);
@@ -213,6 +332,7 @@ export async function handleAddSite(request, env) {
 /**
  * 处理更新网站请求
  * PUT /api/admin/sites/:categoryId/:siteTitle
+ * categoryId 可为任意层级的分类ID或分类路径
  * @param {Request} request - 请求对象
  * @param {Object} env - 环境对象
  * @param {string} categoryId - 分类ID
@@ -245,54 +365,43 @@ export async function handleUpdateSite(request, env, categoryId, siteTitle) {
       currentData = await getNavigationDataWithFallback(kvManager);
     }
 
-    // 查找目标分类
-    const categoryIndex = currentData.categories.findIndex(cat => cat.id === categoryId);
-    if (categoryIndex === -1) {
-      return createErrorResponse(
-        '指定的分类不存在',
-        HTTP_STATUS.NOT_FOUND
-      );
+    // 查找目标分类（支持任意层级的分类ID或路径）
+    const resolved = resolveCategoryRef(currentData.categories, categoryId);
+    if (resolved.error) {
+      return createErrorResponse(resolved.error, HTTP_STATUS.NOT_FOUND);
     }
+    const category = resolved.node;
 
     // 查找要更新的网站（传入的 siteTitle 在路由层已 decode）
-    const siteIndex = currentData.categories[categoryIndex].sites.findIndex(site => 
-      site.title === siteTitle
-    );
+    const siteIndex = findSiteIndexByTitle(category, siteTitle);
     if (siteIndex === -1) {
       return createErrorResponse(
-        '指定的网站不存在',
+        `网站不存在：分类 "${resolved.segments.join(' / ')}" 中没有 "${siteTitle}"`,
         HTTP_STATUS.NOT_FOUND
       );
     }
 
     // 更新网站信息（同步处理favicon逻辑；favicon统一到 /api/favicon/<host>）
-    const prev = currentData.categories[categoryIndex].sites[siteIndex];
-    const updatedSite = { ...prev, ...body };
-    {
-      const host = extractHost(updatedSite.url || prev.url);
-      if (host) {
-        try {
-          const kvManager = new KVStorageManager(env.NAVIGATION_KV);
-          const cached = await fetchAndCacheFavicon(kvManager, host);
-          if (cached.ok && cached.path) updatedSite.favicon = cached.path;
-          else updatedSite.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-        } catch (_) {
-          updatedSite.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-        }
-      }
-    }
+    const prev = category.sites[siteIndex];
+    const updatedSite = applySiteChanges(prev, body);
+    await bindSiteFavicon(kvManager, updatedSite);
 
-    currentData.categories[categoryIndex].sites[siteIndex] = updatedSite;
+    category.sites[siteIndex] = updatedSite;
 
     // 保存数据
     if (kvManager.isAvailable()) {
-      await kvManager.saveNavigationData(currentData);
+      await kvManager.saveNavigationData(currentData, {
+        mode: 'snapshot',
+        summary: `更新网站 ${updatedSite.title}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({
       message: '网站更新成功',
       site: updatedSite,
-      category: currentData.categories[categoryIndex].title
+      category: category.title,
+      path: resolved.segments
     });
   } catch (error) {
     console.error('更新网站失败:', error);
@@ -306,6 +415,7 @@ export async function handleUpdateSite(request, env, categoryId, siteTitle) {
 /**
  * 处理删除网站请求
  * DELETE /api/admin/sites/:categoryId/:siteTitle
+ * categoryId 可为任意层级的分类ID或分类路径
  * @param {Request} request - 请求对象
  * @param {Object} env - 环境对象
  * @param {string} categoryId - 分类ID
@@ -329,38 +439,39 @@ export async function handleDeleteSite(request, env, categoryId, siteTitle) {
       currentData = await getNavigationDataWithFallback(kvManager);
     }
 
-    // 查找目标分类
-    const categoryIndex = currentData.categories.findIndex(cat => cat.id === categoryId);
-    if (categoryIndex === -1) {
-      return createErrorResponse(
-        '指定的分类不存在',
-        HTTP_STATUS.NOT_FOUND
-      );
+    // 查找目标分类（支持任意层级的分类ID或路径）
+    const resolved = resolveCategoryRef(currentData.categories, categoryId);
+    if (resolved.error) {
+      return createErrorResponse(resolved.error, HTTP_STATUS.NOT_FOUND);
     }
+    const category = resolved.node;
 
     // 查找要删除的网站（传入的 siteTitle 在路由层已 decode）
-    const siteIndex = currentData.categories[categoryIndex].sites.findIndex(site => 
-      site.title === siteTitle
-    );
+    const siteIndex = findSiteIndexByTitle(category, siteTitle);
     if (siteIndex === -1) {
       return createErrorResponse(
-        '指定的网站不存在',
+        `网站不存在：分类 "${resolved.segments.join(' / ')}" 中没有 "${siteTitle}"`,
         HTTP_STATUS.NOT_FOUND
       );
     }
 
     // 删除网站
-    const deletedSite = currentData.categories[categoryIndex].sites.splice(siteIndex, 1)[0];
+    const deletedSite = category.sites.splice(siteIndex, 1)[0];
 
     // 保存数据
     if (kvManager.isAvailable()) {
-      await kvManager.saveNavigationData(currentData);
+      await kvManager.saveNavigationData(currentData, {
+        mode: 'snapshot',
+        summary: `删除网站 ${deletedSite.title}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({
       message: '网站删除成功',
       site: deletedSite,
-      category: currentData.categories[categoryIndex].title
+      category: category.title,
+      path: resolved.segments
     });
   } catch (error) {
     console.error('删除网站失败:', error);
@@ -374,6 +485,7 @@ export async function handleDeleteSite(request, env, categoryId, siteTitle) {
 /**
  * 处理移动网站到其他分类请求
  * PATCH /api/admin/sites/:categoryId/:siteTitle/move
+ * 源与目标分类均支持任意层级；目标可用 body.targetCategoryId 或 body.target（路径）
  * @param {Request} request - 请求对象
  * @param {Object} env - 环境对象
  * @param {string} categoryId - 原分类ID
@@ -391,9 +503,10 @@ export async function handleMoveSite(request, env, categoryId, siteTitle) {
   try {
     const body = await request.json();
     
-    if (!body || !body.targetCategoryId) {
+    const targetRef = body && (body.target || body.targetCategoryId);
+    if (!targetRef) {
       return createErrorResponse(
-        '请求数据不完整，需要提供targetCategoryId',
+        '请求数据不完整，需要提供targetCategoryId（或target）',
         HTTP_STATUS.BAD_REQUEST
       );
     }
@@ -407,48 +520,50 @@ export async function handleMoveSite(request, env, categoryId, siteTitle) {
     }
 
     // 查找原分类
-    const sourceCategoryIndex = currentData.categories.findIndex(cat => cat.id === categoryId);
-    if (sourceCategoryIndex === -1) {
-      return createErrorResponse(
-        '原分类不存在',
-        HTTP_STATUS.NOT_FOUND
-      );
+    const source = resolveCategoryRef(currentData.categories, categoryId);
+    if (source.error) {
+      return createErrorResponse(`原${source.error}`, HTTP_STATUS.NOT_FOUND);
     }
 
     // 查找目标分类
-    const targetCategoryIndex = currentData.categories.findIndex(cat => cat.id === body.targetCategoryId);
-    if (targetCategoryIndex === -1) {
-      return createErrorResponse(
-        '目标分类不存在',
-        HTTP_STATUS.NOT_FOUND
-      );
+    const target = resolveCategoryRef(currentData.categories, targetRef);
+    if (target.error) {
+      return createErrorResponse(`目标${target.error}`, HTTP_STATUS.NOT_FOUND);
     }
 
     // 查找要移动的网站（传入的 siteTitle 在路由层已 decode）
-    const siteIndex = currentData.categories[sourceCategoryIndex].sites.findIndex(site => 
-      site.title === siteTitle
-    );
+    const siteIndex = findSiteIndexByTitle(source.node, siteTitle);
     if (siteIndex === -1) {
       return createErrorResponse(
-        '指定的网站不存在',
+        `网站不存在：分类 "${source.segments.join(' / ')}" 中没有 "${siteTitle}"`,
         HTTP_STATUS.NOT_FOUND
       );
     }
+    if (!Array.isArray(target.node.sites)) target.node.sites = [];
+    if (target.node !== source.node && !canInsertSite(target.node, source.node.sites[siteIndex])) {
+      return createErrorResponse('目标分类中已存在相同URL的网站', HTTP_STATUS.CONFLICT);
+    }
 
     // 移动网站
-    const siteToMove = currentData.categories[sourceCategoryIndex].sites.splice(siteIndex, 1)[0];
-    currentData.categories[targetCategoryIndex].sites.push(siteToMove);
+    const siteToMove = source.node.sites.splice(siteIndex, 1)[0];
+    target.node.sites.push(siteToMove);
 
     // 保存数据
     if (kvManager.isAvailable()) {
-      await kvManager.saveNavigationData(currentData);
+      await kvManager.saveNavigationData(currentData, {
+        mode: 'snapshot',
+        summary: `移动网站 ${siteToMove.title}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({
       message: '网站移动成功',
       site: siteToMove,
-      fromCategory: currentData.categories[sourceCategoryIndex].title,
-      toCategory: currentData.categories[targetCategoryIndex].title
+      fromCategory: source.node.title,
+      toCategory: target.node.title,
+      fromPath: source.segments,
+      toPath: target.segments
     });
   } catch (error) {
     console.error('移动网站失败:', error);
@@ -459,16 +574,218 @@ export async function handleMoveSite(request, env, categoryId, siteTitle) {
   }
 }
 
+/**
+ * 读取当前快照并按 id 定位网站（by-id 路由公用）
+ * @param {Object} env
+ * @param {string} siteId
+ * @returns {Promise<{kvManager:KVStorageManager, currentData:Object, hit:Object|null}>}
+ */
+async function loadSiteById(env, siteId) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  let currentData = await kvManager.getNavigationData();
+  if (!currentData) {
+    currentData = await getNavigationDataWithFallback(kvManager);
+  }
+  return { kvManager, currentData, hit: findSiteById(currentData.categories, siteId) };
+}
+
+/**
+ * 按 id 获取网站
+ * GET /api/admin/sites/by-id/:id
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} siteId - 网站ID
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetSiteById(request, env, siteId) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse('请求方法不支持，仅支持GET请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const { hit } = await loadSiteById(env, siteId);
+    if (!hit) {
+      return createErrorResponse(`网站不存在: ${siteId}`, HTTP_STATUS.NOT_FOUND);
+    }
+    return createSuccessResponse({
+      site: hit.site,
+      path: hit.segments,
+      categoryId: hit.node.id
+    });
+  } catch (error) {
+    console.error('获取网站失败:', error);
+    return createErrorResponse('获取网站失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 按 id 更新网站
+ * PUT /api/admin/sites/by-id/:id
+ * body: Partial<{ title, url, description, icon, tags }>（其他字段被忽略）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} siteId - 网站ID
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleUpdateSiteById(request, env, siteId) {
+  if (!isMethodAllowed(request, 'PUT')) {
+    return createErrorResponse('请求方法不支持，仅支持PUT请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const body = await request.json();
+    if (!body || typeof body !== 'object') {
+      return createErrorResponse('请求数据不能为空', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const { kvManager, currentData, hit } = await loadSiteById(env, siteId);
+    if (!hit) {
+      return createErrorResponse(`网站不存在: ${siteId}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const prev = hit.site;
+    const updatedSite = applySiteChanges(prev, body);
+    if (!updatedSite.title || !updatedSite.url) {
+      return createErrorResponse('网站标题和URL不能为空', HTTP_STATUS.BAD_REQUEST);
+    }
+    const urlOwner = findSiteIndexByUrl(hit.node, updatedSite.url);
+    if (urlOwner !== -1 && urlOwner !== hit.index) {
+      return createErrorResponse('同一分类下已存在相同URL的网站', HTTP_STATUS.CONFLICT);
+    }
+    if (updatedSite.url !== prev.url || !updatedSite.favicon) {
+      await bindSiteFavicon(kvManager, updatedSite);
+    }
+
+    hit.node.sites[hit.index] = updatedSite;
+    await kvManager.saveNavigationData(currentData, {
+      mode: 'snapshot',
+      summary: `更新网站 ${updatedSite.title}`,
+      author: getRequestActor(request)
+    });
+
+    return createSuccessResponse({
+      message: '网站更新成功',
+      site: updatedSite,
+      path: hit.segments
+    });
+  } catch (error) {
+    console.error('更新网站失败:', error);
+    return createErrorResponse('更新网站失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 按 id 删除网站
+ * DELETE /api/admin/sites/by-id/:id
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} siteId - 网站ID
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDeleteSiteById(request, env, siteId) {
+  if (!isMethodAllowed(request, 'DELETE')) {
+    return createErrorResponse('请求方法不支持，仅支持DELETE请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const { kvManager, currentData, hit } = await loadSiteById(env, siteId);
+    if (!hit) {
+      return createErrorResponse(`网站不存在: ${siteId}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const deletedSite = hit.node.sites.splice(hit.index, 1)[0];
+    await kvManager.saveNavigationData(currentData, {
+      mode: 'snapshot',
+      summary: `删除网站 ${deletedSite.title}`,
+      author: getRequestActor(request)
+    });
+
+    return createSuccessResponse({
+      message: '网站删除成功',
+      site: deletedSite,
+      path: hit.segments
+    });
+  } catch (error) {
+    console.error('删除网站失败:', error);
+    return createErrorResponse('删除网站失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * 按 id 移动网站
+ * PATCH /api/admin/sites/by-id/:id/move
+ * body: { target: string[]|string }（标题路径）或 { targetCategoryId: string }（任意层级的分类ID）
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @param {string} siteId - 网站ID
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleMoveSiteById(request, env, siteId) {
+  if (!isMethodAllowed(request, 'PATCH')) {
+    return createErrorResponse('请求方法不支持，仅支持PATCH请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+
+  try {
+    const body = await request.json();
+    const targetSegments = normalizeSegments({ path: body && body.target });
+    if (!body || (targetSegments.length === 0 && !body.targetCategoryId)) {
+      return createErrorResponse('请求数据不完整，需要提供target或targetCategoryId', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const { kvManager, currentData, hit } = await loadSiteById(env, siteId);
+    if (!hit) {
+      return createErrorResponse(`网站不存在: ${siteId}`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const resolved = resolveCategoryRef(
+      currentData.categories,
+      targetSegments.length > 0 ? targetSegments : body.targetCategoryId
+    );
+    if (resolved.error) {
+      return createErrorResponse(`目标${resolved.error}`, HTTP_STATUS.NOT_FOUND);
+    }
+    const target = resolved.node;
+    const toSegments = resolved.segments;
+    if (target === hit.node) {
+      return createSuccessResponse({ message: '网站已在目标分类中', site: hit.site, path: hit.segments });
+    }
+    if (!Array.isArray(target.sites)) target.sites = [];
+    if (!canInsertSite(target, hit.site)) {
+      return createErrorResponse('目标分类中已存在相同URL的网站', HTTP_STATUS.CONFLICT);
+    }
+
+    const siteToMove = hit.node.sites.splice(hit.index, 1)[0];
+    target.sites.push(siteToMove);
+    await kvManager.saveNavigationData(currentData, {
+      mode: 'snapshot',
+      summary: `移动网站 ${siteToMove.title} 到 ${toSegments.join(' / ')}`,
+      author: getRequestActor(request)
+    });
+
+    return createSuccessResponse({
+      message: '网站移动成功',
+      site: siteToMove,
+      fromPath: hit.segments,
+      toPath: toSegments
+    });
+  } catch (error) {
+    console.error('移动网站失败:', error);
+    return createErrorResponse('移动网站失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 /**
  * 批量新增或更新网站
  * PUT /api/admin/sites
  * body: {
  *   mode: 'add' | 'update',
  *   items: Array<
- *     mode='add': { path: string[]|string, site: { title, url, description?, icon? } }
- *     mode='update': { path: string[]|string, title: string, update: Partial<site> }
+ *     mode='add': { path: string[]|string, site: { title?, url, description?, icon? } }
+ *     mode='update': { path: string[]|string, title: string, update: Partial<{ title, url, description, icon, tags }> }
  *   >
  * }
+ * 新增时名称或描述留空的网站会抓取网页信息补全（每次最多 10 个，名称仍为空时使用域名）
+ * 网页信息与图标抓取共用一份子请求额度，用尽后其余网站的图标在首次访问时再抓取
  */
 export async function handleBatchAddSites(request, env) {
   if (!isMethodAllowed(request, 'PUT')) {
@@ -487,6 +804,11 @@ export async function handleBatchAddSites(request, env) {
 
     let added = 0;
     let updated = 0;
+    let filled = 0;
+    // 网页信息与图标抓取共用本次请求的子请求额度，用尽后其余网站只绑定图标地址
+    const budget = new SubrequestBudget();
+    // 新增模式下，名称或描述留空的网站自动从网页信息中补全
+    const metadataByUrl = mode === 'add' ? await prefetchSiteMetadata(items, budget) : new Map();
 
     // 收集每个目录的最终节点，最后一次性写入
     const segKey = (segs) => segs.map(s => String(s || '').trim()).filter(Boolean).join('/');
@@ -509,27 +831,21 @@ export async function handleBatchAddSites(request, env) {
 
       if (mode === 'add') {
         const site = it && it.site;
-        if (!site || !site.title || !site.url) continue;
+        if (!site || !site.url) continue;
+        const suggested = metadataByUrl.get(String(site.url));
+        const title = site.title || (suggested && suggested.title) || extractHost(site.url);
+        if (!title) continue;
         if (canInsertSite(node, site)) {
           const s = {
-            title: site.title,
-            description: site.description || '',
+            id: generateSiteId(),
+            title,
+            description: site.description || (suggested && suggested.description) || '',
             url: site.url,
             icon: site.icon || '🌐'
           };
+          if (suggested) filled += 1;
           // favicon 统一：始终绑定到 /api/favicon/<host>
-          {
-            const host = extractHost(s.url);
-            if (host) {
-              try {
-                const cached = await fetchAndCacheFavicon(kvManager, host);
-                if (cached.ok && cached.path) s.favicon = cached.path;
-                else s.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-              } catch (_) {
-                s.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-              }
-            }
-          }
+          await bindSiteFavicon(kvManager, s, { budget });
           node.sites.push(s);
           added += 1;
         }
@@ -539,20 +855,9 @@ export async function handleBatchAddSites(request, env) {
         const idx = findSiteIndexByTitle(node, title);
         if (idx !== -1) {
           const prev = node.sites[idx];
-          const merged = { ...prev, ...update };
+          const merged = applySiteChanges(prev, update);
           // favicon 统一：始终绑定到 /api/favicon/<host>
-          {
-            const host = extractHost(merged.url || prev.url);
-            if (host) {
-              try {
-                const cached = await fetchAndCacheFavicon(kvManager, host);
-                if (cached.ok && cached.path) merged.favicon = cached.path;
-                else merged.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-              } catch (_) {
-                merged.favicon = `/api/favicon/${encodeURIComponent(host)}`;
-              }
-            }
-          }
+          await bindSiteFavicon(kvManager, merged, { budget });
           node.sites[idx] = merged;
           updated += 1;
         }
@@ -560,10 +865,13 @@ export async function handleBatchAddSites(request, env) {
     }
 
     if (pendingMap.size > 0) {
-      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()));
+      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()), {
+        summary: mode === 'add' ? `批量新增 ${added} 个网站` : `批量更新 ${updated} 个网站`,
+        author: getRequestActor(request)
+      });
     }
 
-    return createSuccessResponse({ message: '批量处理完成', mode, added, updated });
+    return createSuccessResponse({ message: '批量处理完成', mode, added, updated, filled });
   } catch (error) {
     console.error('批量新增/更新网站失败:', error);
     return createErrorResponse('批量新增/更新网站失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
@@ -614,7 +922,10 @@ export async function handleBatchDeleteSites(request, env) {
     }
 
     if (pendingMap.size > 0) {
-      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()));
+      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()), {
+        summary: `批量删除 ${deleted} 个网站`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({ message: '批量删除完成', deleted });
@@ -691,7 +1002,10 @@ export async function handleBatchMoveSites(request, env) {
     }
 
     if (pendingMap.size > 0) {
-      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()));
+      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()), {
+        summary: `批量移动 ${moved} 个网站到 ${targetSegments.join(' / ')}`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({ message: '批量移动完成', moved });
@@ -736,13 +1050,17 @@ export async function handleBatchUpdateSites(request, env) {
       const update = (it && it.update) || {};
       const idx = findSiteIndexByTitle(node, title);
       if (idx !== -1) {
-        node.sites[idx] = { ...node.sites[idx], ...update };
+        const prev = node.sites[idx];
+        node.sites[idx] = applySiteChanges(prev, update);
         updated += 1;
       }
     }
 
     if (pendingMap.size > 0) {
-      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()));
+      await kvManager.putFolderNodesBulk(Array.from(pendingMap.values()), {
+        summary: `批量更新 ${updated} 个网站`,
+        author: getRequestActor(request)
+      });
     }
 
     return createSuccessResponse({ message: '批量更新完成', updated });
@@ -755,123 +1073,54 @@ export async function handleBatchUpdateSites(request, env) {
 /**
  * 手动刷新 favicon
  * POST /api/admin/sites/favicon/refresh
- * body: { urls: string[] }
+ * body: { urls?: string[], force?: boolean }
+ * 传入 urls 或 force=true 时同步刷新；否则在后台刷新超过7天或从未刷新的站点
  */
 export async function handleRefreshFavicons(request, env, ctx) {
   if (!isMethodAllowed(request, 'POST')) {
     return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
   }
   try {
-    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
     const body = await request.json().catch(() => ({}));
     const urls = Array.isArray(body && body.urls) ? body.urls : [];
     const force = !!(body && body.force);
-    let hosts = Array.from(new Set(urls.map(u => { try { return new URL(u).hostname; } catch(_) { return ''; } }).filter(Boolean)));
-    let refreshed = 0;
-    // 记录成功抓取的 favicon 原始数据，随后统一写入 KV，并让站点引用 /api/favicon/<host>
-    const hostToFavicon = new Map(); // host -> { b64, ct }
-    const doWork = async () => {
-      const now = Date.now();
-      const MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7天
-      // 若 force=true 则刷新全部站点；否则当未传 urls 时仅刷新超过7天或从未刷新的主机
-      if (hosts.length === 0) {
-        let nav = await kvManager.getNavigationData();
-        if (!nav) nav = await getNavigationDataWithFallback(kvManager);
-        const collectHosts = (category) => {
-          if (Array.isArray(category.sites)) {
-            for (const site of category.sites) {
-              try {
-                const h = new URL(site.url).hostname;
-                const ts = Number(site.faviconUpdatedAt || 0);
-                if (!h) continue;
-                if (force) {
-                  hosts.push(h);
-                } else if (!ts || (now - ts) > MAX_AGE) {
-                  hosts.push(h);
-                }
-              } catch(_) {}
-            }
-          }
-          if (Array.isArray(category.children)) category.children.forEach(collectHosts);
-        };
-        if (nav && Array.isArray(nav.categories)) nav.categories.forEach(collectHosts);
-        hosts = Array.from(new Set(hosts.filter(Boolean)));
-      }
-      for (const host of hosts) {
-        try {
-          // 优先 duckduckgo，其次站点根 /favicon.ico
-          const tryFetch = async (url) => {
-            const r = await fetch(url);
-            if (!r || !r.ok) return null;
-            const ct = r.headers.get('content-type') || 'image/x-icon';
-            if (!/image\//i.test(ct)) return null;
-            const buf = await r.arrayBuffer();
-            const bytes = new Uint8Array(buf);
-            let bin = '';
-            for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
-            return { b64: btoa(bin), ct };
-          };
+    const hosts = Array.from(new Set(urls.map(extractHost).filter(Boolean)));
+    const doWork = () => refreshFavicons(env, { urls, force, author: getRequestActor(request) });
 
-          let result = await tryFetch(`https://icons.duckduckgo.com/ip3/${encodeURIComponent(host)}.ico`);
-          if (!result) {
-            result = await tryFetch(`https://${host}/favicon.ico`);
-          }
-          if (result) {
-            refreshed += 1;
-            hostToFavicon.set(host, { b64: result.b64, ct: result.ct });
-          }
-        } catch (_) {}
-      }
-      if (hostToFavicon.size > 0) {
-        // 先批量写入 favicon 缓存（按 host 键并行，内部已去重）
-        try {
-          await Promise.all(Array.from(hostToFavicon.entries()).map(([h, v]) => 
-            kvManager.putFavicon(h, v.ct, v.b64)
-          ));
-        } catch (_) {}
-
-        let nav = await kvManager.getNavigationData();
-        if (!nav) nav = await getNavigationDataWithFallback(kvManager);
-        if (nav && Array.isArray(nav.categories)) {
-          const updateCategory = (category) => {
-            if (Array.isArray(category.sites)) {
-              category.sites = category.sites.map(site => {
-                try {
-                  const h = new URL(site.url).hostname;
-                  if (hostToFavicon.has(h)) {
-                    return { ...site, favicon: `/api/favicon/${encodeURIComponent(h)}`, faviconUpdatedAt: now };
-                  }
-                } catch (_) {}
-                return site;
-              });
-            }
-            if (Array.isArray(category.children)) category.children.forEach(updateCategory);
-          };
-          nav.categories.forEach(updateCategory);
-          await kvManager.saveNavigationData(nav);
-        }
-      }
-    };
     // 强制刷新或明确传入urls时，改为同步执行，确保返回时数据已更新
-    try {
-      if (force || (urls && urls.length > 0)) {
-        await doWork();
-        return createSuccessResponse({ message: '已刷新完成', total: hosts.length, mode: 'sync' });
-      } else {
-        if (ctx && typeof ctx.waitUntil === 'function') {
-          ctx.waitUntil(doWork());
-          return createSuccessResponse({ message: '刷新任务已提交', total: hosts.length, mode: 'async' });
-        }
-        await doWork();
-        return createSuccessResponse({ message: '已刷新完成', total: hosts.length, mode: 'sync-fallback' });
-      }
-    } catch (_) {
-      await doWork();
-      return createSuccessResponse({ message: '已刷新完成', total: hosts.length, mode: 'sync-fallback' });
+    if (force || urls.length > 0) {
+      const result = await doWork();
+      return createSuccessResponse({ message: '已刷新完成', total: result.total, remaining: result.remaining, mode: 'sync' });
     }
+    if (ctx && typeof ctx.waitUntil === 'function') {
+      ctx.waitUntil(doWork().catch(error => console.error('刷新favicon失败:', error)));
+      return createSuccessResponse({ message: '刷新任务已提交', total: hosts.length, mode: 'async' });
+    }
+    const result = await doWork();
+    return createSuccessResponse({ message: '已刷新完成', total: result.total, remaining: result.remaining, mode: 'sync-fallback' });
   } catch (error) {
     console.error('刷新favicon失败:', error);
     return createErrorResponse('刷新favicon失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
   }
 }
 
+/**
+ * 重新生成字母头像（只处理没有真实图标的站点，不重新抓取）
+ * POST /api/admin/sites/favicon/avatars
+ * body: { urls?: string[] }
+ */
+export async function handleRegenerateAvatars(request, env) {
+  if (!isMethodAllowed(request, 'POST')) {
+    return createErrorResponse('请求方法不支持，仅支持POST请求', HTTP_STATUS.METHOD_NOT_ALLOWED);
+  }
+  try {
+    const body = await request.json().catch(() => ({}));
+    const urls = Array.isArray(body && body.urls) ? body.urls : [];
+    const result = await regenerateAvatars(env, { urls });
+    return createSuccessResponse({ message: `已重新生成 ${result.regenerated} 个字母头像`, ...result });
+  } catch (error) {
+    console.error('重新生成字母头像失败:', error);
+    return createErrorResponse('重新生成字母头像失败', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
@@ -5,13 +5,23 @@
 
 import { getNavigationDataWithFallback } from '../data/navigationData.js';
 import { KVStorageManager } from '../utils/kvStorage.js';
+import { flattenSites } from '../utils/categoryTree.js';
+import { isValidSiteId } from '../utils/siteIds.js';
+import { loadSettings, HOME_SECTION_KEYS } from '../utils/settings.js';
+import { rankPopularSites, rankRecentlyAddedSites, pickSitesByIds } from '../utils/siteRanking.js';
 import { 
   createSuccessResponse, 
   createErrorResponse, 
   isMethodAllowed,
+  getQueryParam,
   HTTP_STATUS 
 } from '../utils/responseUtils.js';
 
+/**
+ * 最近访问最多接受的网站ID数量
+ */
+const VISITED_MAX_IDS = 50;
+
 /**
  * 处理获取所有网站请求
  * GET /api/sites
@@ -32,21 +42,7 @@ export async function handleGetAllSites(request, env) {
     const kvManager = new KVStorageManager(env.NAVIGATION_KV);
     const navigationData = await getNavigationDataWithFallback(kvManager);
     
-    const allSites = navigationData.categories.flatMap(cat => {
-      const topSites = (cat.sites || []).map(site => ({
-        ...site,
-        category: cat.title,
-        categoryId: cat.id
-      }));
-      const subSites = (cat.children || []).flatMap(child =>
-        (child.sites || []).map(site => ({
-          ...site,
-          category: `${cat.title} / ${child.title}`,
-          categoryId: `${cat.id}/${child.id}`
-        }))
-      );
-      return [...topSites, ...subSites];
-    });
+    const allSites = flattenSites(navigationData.categories);
     
     return createSuccessResponse(allSites);
   } catch (error) {
@@ -57,3 +53,58 @@ export async function handleGetAllSites(request, env) {
     );
   }
 }
+
+/**
+ * 处理获取首页推荐区块请求
+ * GET /api/sites/ranked?visited=<id,id,...>
+ * - 按后台设置返回已启用的区块（顺序固定），每个区块的网站数量不超过设置值
+ * - popular: 常用网站，按访问热度排序
+ * - recentVisited: 最近访问，访问记录保存在浏览器本地，由 visited 参数按时间倒序传入
+ * - recentAdded: 最近添加，按添加时间倒序
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetRankedSites(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse(
+      '请求方法不支持，仅支持GET请求', 
+      HTTP_STATUS.METHOD_NOT_ALLOWED
+    );
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const [navigationData, settings] = await Promise.all([
+      getNavigationDataWithFallback(kvManager),
+      loadSettings(kvManager)
+    ]);
+    const allSites = flattenSites(navigationData.categories);
+    const visitedIds = [...new Set(
+      (getQueryParam(request, 'visited') || '').split(',').map(s => s.trim()).filter(isValidSiteId)
+    )].slice(0, VISITED_MAX_IDS);
+
+    const sections = [];
+    for (const key of HOME_SECTION_KEYS) {
+      const { enabled, count } = settings.homeSections[key];
+      if (!enabled) continue;
+      let sites = [];
+      if (key === 'popular') {
+        sites = rankPopularSites(allSites, await kvManager.getClickTotals(), count);
+      } else if (key === 'recentVisited') {
+        sites = pickSitesByIds(allSites, visitedIds, count);
+      } else if (key === 'recentAdded') {
+        sites = rankRecentlyAddedSites(allSites, count);
+      }
+      sections.push({ key, count, sites });
+    }
+
+    return createSuccessResponse({ sections });
+  } catch (error) {
+    console.error('Get ranked sites error:', error);
+    return createErrorResponse(
+      '获取推荐网站失败', 
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+}
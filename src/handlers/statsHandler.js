@@ -4,14 +4,34 @@
  */
 
 import { getNavigationDataWithFallback } from '../data/navigationData.js';
-import { KVStorageManager } from '../utils/kvStorage.js';
+import { KVStorageManager, CLICK_RETENTION_DAYS } from '../utils/kvStorage.js';
+import { countTree, walkCategories, flattenSites } from '../utils/categoryTree.js';
 import { 
   createSuccessResponse, 
   createErrorResponse, 
   isMethodAllowed,
+  getQueryParam,
   HTTP_STATUS 
 } from '../utils/responseUtils.js';
 
+/**
+ * 统计列表的展示上限
+ */
+const TOP_HOSTS_LIMIT = 20;
+const TOP_CLICKED_LIMIT = 10;
+const MISSING_ITEMS_LIMIT = 100;
+
+/**
+ * 添加时间分布的区间（按天，从近到远）
+ */
+const AGE_BUCKETS = [
+  { key: '7d', label: '7天内', maxDays: 7 },
+  { key: '30d', label: '30天内', maxDays: 30 },
+  { key: '90d', label: '90天内', maxDays: 90 },
+  { key: '1y', label: '1年内', maxDays: 365 },
+  { key: 'older', label: '1年以上', maxDays: Infinity }
+];
+
 /**
  * 处理获取统计信息请求
  * GET /api/stats
@@ -32,35 +52,8 @@ export async function handleGetStats(request, env) {
     const kvManager = new KVStorageManager(env.NAVIGATION_KV);
     const navigationData = await getNavigationDataWithFallback(kvManager);
 
-    // 递归统计分类数量（包含所有层级）
-    const countCategoriesRecursive = (node) => {
-      let count = 1; // 计入当前分类
-      if (Array.isArray(node.children)) {
-        for (const child of node.children) {
-          count += countCategoriesRecursive(child);
-        }
-      }
-      return count;
-    };
-
-    // 递归统计网站数量（包含所有层级）
-    const countSitesRecursive = (node) => {
-      let count = Array.isArray(node.sites) ? node.sites.length : 0;
-      if (Array.isArray(node.children)) {
-        for (const child of node.children) {
-          count += countSitesRecursive(child);
-        }
-      }
-      return count;
-    };
-
-    const totalCategories = Array.isArray(navigationData.categories)
-      ? navigationData.categories.reduce((sum, cat) => sum + countCategoriesRecursive(cat), 0)
-      : 0;
-
-    const totalSites = Array.isArray(navigationData.categories)
-      ? navigationData.categories.reduce((sum, cat) => sum + countSitesRecursive(cat), 0)
-      : 0;
+    // 统计所有层级的分类与网站数量
+    const { categories: totalCategories, sites: totalSites } = countTree(navigationData.categories);
     
     // 获取最后更新时间
     let lastUpdated = new Date().toISOString();
@@ -86,3 +79,202 @@ export async function handleGetStats(request, env) {
     );
   }
 }
+
+/**
+ * 处理获取管理统计信息请求
+ * GET /api/admin/stats?days=30
+ * - 分类网站数（含子分类）、域名排行、缺少描述/图标的网站、重复URL、添加时间分布
+ * - 最近 days 天（默认 30，最多为访问计数保留天数）的每日点击量
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetAdminStats(request, env) {
+  if (!isMethodAllowed(request, 'GET')) {
+    return createErrorResponse(
+      '请求方法不支持，仅支持GET请求', 
+      HTTP_STATUS.METHOD_NOT_ALLOWED
+    );
+  }
+
+  const rawDays = getQueryParam(request, 'days');
+  const days = rawDays === null || rawDays === '' ? 30 : Number(rawDays);
+  if (!Number.isInteger(days) || days < 1 || days > CLICK_RETENTION_DAYS) {
+    return createErrorResponse(
+      `参数 days 必须是 1-${CLICK_RETENTION_DAYS} 之间的整数`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const navigationData = await getNavigationDataWithFallback(kvManager);
+    const categories = navigationData.categories;
+    const sites = flattenSites(categories);
+    const now = Date.now();
+
+    const { categories: totalCategories, sites: totalSites } = countTree(categories);
+    const hostCounts = countHosts(sites);
+    const buckets = await kvManager.getClickBuckets(days, now);
+    const clickSeries = buckets.map(({ date, counts }) => ({
+      date,
+      clicks: Object.values(counts).reduce((sum, n) => sum + (Number(n) || 0), 0),
+      sites: Object.keys(counts).length
+    }));
+
+    return createSuccessResponse({
+      generatedAt: new Date(now).toISOString(),
+      days,
+      totals: {
+        categories: totalCategories,
+        sites: totalSites,
+        hosts: hostCounts.length,
+        clicks: clickSeries.reduce((sum, d) => sum + d.clicks, 0)
+      },
+      categories: summarizeCategories(categories),
+      topHosts: hostCounts.slice(0, TOP_HOSTS_LIMIT),
+      missing: {
+        description: limitItems(sites.filter(site => !String(site.description || '').trim())),
+        icon: limitItems(sites.filter(site => !site.icon && !site.favicon))
+      },
+      duplicates: findDuplicateUrls(sites),
+      ageDistribution: summarizeAges(sites, now),
+      clickSeries,
+      topClicked: summarizeTopClicked(sites, buckets)
+    });
+  } catch (error) {
+    console.error('Get admin stats error:', error);
+    return createErrorResponse(
+      '获取统计信息失败', 
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+}
+
+/**
+ * 网站的简要信息（统计列表使用）
+ * @param {Object} site - 扁平化网站
+ * @returns {{id:string, title:string, url:string, category:string}}
+ */
+function briefSite(site) {
+  return { id: site.id, title: site.title, url: site.url, category: site.category };
+}
+
+/**
+ * 截断列表并保留总数
+ * @param {Array<Object>} sites
+ * @returns {{count:number, items:Array<Object>}}
+ */
+function limitItems(sites) {
+  return { count: sites.length, items: sites.slice(0, MISSING_ITEMS_LIMIT).map(briefSite) };
+}
+
+/**
+ * 统计每个分类的网站数（按树顺序展开，totalSites 含所有子分类）
+ * @param {Array} categories
+ * @returns {Array<{id:string, title:string, path:string, depth:number, sites:number, totalSites:number}>}
+ */
+function summarizeCategories(categories) {
+  const rows = [];
+  walkCategories(categories, (node, { path, pathIds, depth }) => {
+    rows.push({
+      id: pathIds.join('/'),
+      title: node.title,
+      path: path.join(' / '),
+      depth,
+      sites: Array.isArray(node.sites) ? node.sites.length : 0,
+      totalSites: countTree([node]).sites
+    });
+  });
+  return rows;
+}
+
+/**
+ * 提取用于统计的主机名（小写，去掉 www. 前缀）
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeHost(url) {
+  try {
+    return new URL(String(url)).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 按主机名统计网站数量（降序）
+ * @param {Array<Object>} sites
+ * @returns {Array<{host:string, count:number}>}
+ */
+function countHosts(sites) {
+  const counts = new Map();
+  for (const site of sites) {
+    const host = normalizeHost(site.url);
+    if (host) counts.set(host, (counts.get(host) || 0) + 1);
+  }
+  return [...counts]
+    .map(([host, count]) => ({ host, count }))
+    .sort((a, b) => (b.count - a.count) || a.host.localeCompare(b.host));
+}
+
+/**
+ * 查找重复的 URL（忽略协议、www.、末尾斜杠与 # 片段）
+ * @param {Array<Object>} sites
+ * @returns {Array<{url:string, sites:Array<Object>}>}
+ */
+function findDuplicateUrls(sites) {
+  const groups = new Map();
+  for (const site of sites) {
+    let key = String(site.url || '').trim().toLowerCase();
+    try {
+      const u = new URL(site.url);
+      key = `${normalizeHost(site.url)}${u.pathname.replace(/\/+$/, '')}${u.search}`;
+    } catch (_) {}
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(site);
+  }
+  return [...groups]
+    .filter(([, list]) => list.length > 1)
+    .map(([url, list]) => ({ url, sites: list.map(briefSite) }));
+}
+
+/**
+ * 统计网站添加时间分布
+ * @param {Array<Object>} sites
+ * @param {number} now - 当前时间戳（ms）
+ * @returns {Array<{key:string, label:string, count:number}>}
+ */
+function summarizeAges(sites, now) {
+  const rows = [...AGE_BUCKETS.map(b => ({ key: b.key, label: b.label, count: 0 })), { key: 'unknown', label: '未知', count: 0 }];
+  for (const site of sites) {
+    const time = Date.parse(site.createdAt);
+    if (!Number.isFinite(time)) {
+      rows[rows.length - 1].count += 1;
+      continue;
+    }
+    const ageDays = Math.max(0, now - time) / (24 * 60 * 60 * 1000);
+    const index = AGE_BUCKETS.findIndex(b => ageDays <= b.maxDays);
+    rows[index].count += 1;
+  }
+  return rows;
+}
+
+/**
+ * 统计区间内点击最多的网站
+ * @param {Array<Object>} sites
+ * @param {Array<{date:string, counts:Object<string, number>}>} buckets
+ * @returns {Array<Object>} 附带 clicks 的网站简要信息
+ */
+function summarizeTopClicked(sites, buckets) {
+  const totals = new Map();
+  for (const { counts } of buckets) {
+    for (const [id, n] of Object.entries(counts)) totals.set(id, (totals.get(id) || 0) + (Number(n) || 0));
+  }
+  return sites
+    .filter(site => site.id && totals.get(site.id) > 0)
+    .map(site => ({ ...briefSite(site), clicks: totals.get(site.id) }))
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, TOP_CLICKED_LIMIT);
+}
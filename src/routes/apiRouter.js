@@ -4,9 +4,10 @@
  */
 
 import { handleGetNavigation } from '../handlers/navigationHandler.js';
-import { handleGetAllSites } from '../handlers/sitesHandler.js';
-import { handleSearchSites } from '../handlers/searchHandler.js';
-import { handleGetStats } from '../handlers/statsHandler.js';
+import { handleGetAllSites, handleGetRankedSites } from '../handlers/sitesHandler.js';
+import { handleSearchSites, handleSearchSuggest, handleOpenSearchSuggest } from '../handlers/searchHandler.js';
+import { handleGetStats, handleGetAdminStats } from '../handlers/statsHandler.js';
+import { handleRecordClick } from '../handlers/clickHandler.js';
 import { 
   handleGetAdminData, 
   handleSaveAdminData, 
@@ -16,6 +17,25 @@ import {
   handleDeleteCategory
 } from '../handlers/adminHandler.js';
 import { handleImportBookmarks } from '../handlers/bookmarkImportHandler.js';
+import { handleGetSettings, handleUpdateSettings } from '../handlers/settingsHandler.js';
+import { handleRunLinkCheck, handleApplyRedirects } from '../handlers/linkCheckHandler.js';
+import { handleListJobs, handleRunJob } from '../handlers/jobsHandler.js';
+import { handleFetchMetadata } from '../handlers/metadataHandler.js';
+import { handleGetFaviconUsage, handleListFavicons, handleFaviconHost } from '../handlers/faviconHandler.js';
+import {
+  handleAdminLogin,
+  handleTwoFactorLogin,
+  handleAdminLogout,
+  handleChangePassword,
+  handleTwoFactor,
+  handleSessions
+} from '../handlers/authHandler.js';
+import {
+  handleListRevisions,
+  handleGetRevision,
+  handleDiffRevisions,
+  handleRestoreRevision
+} from '../handlers/revisionHandler.js';
 import {
   handleAddSite,
   handleUpdateSite,
@@ -25,15 +45,38 @@ import {
   handleBatchMoveSites,
   handleBatchUpdateSites,
   handleBatchAddSites,
-  handleRefreshFavicons
+  handleRefreshFavicons,
+  handleRegenerateAvatars,
+  handleGetSiteById,
+  handleUpdateSiteById,
+  handleDeleteSiteById,
+  handleMoveSiteById
 } from '../handlers/siteManagementHandler.js';
 import { 
   createErrorResponse, 
   handleOptionsRequest,
+  getIfMatchRevisions,
   HTTP_STATUS 
 } from '../utils/responseUtils.js';
-import { signJWT, verifyJWT } from '../utils/jwt.js';
+import {
+  loadAdminCredential,
+  verifyAdminToken,
+  verifyAdminPassword,
+  getTokenAmr,
+  isTwoFactorEnabled,
+  isAdminSessionActive
+} from '../utils/adminAuth.js';
 import { KVStorageManager } from '../utils/kvStorage.js';
+import { fetchAndCacheFavicon, findSiteByHost, FAVICON_MAX_AGE_MS } from '../utils/faviconRefresh.js';
+import { normalizeHostname } from '../utils/outboundFetch.js';
+import { createLetterAvatar } from '../utils/letterAvatar.js';
+import { loadSettings } from '../utils/settings.js';
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  createThrottledResponse
+} from '../utils/loginThrottle.js';
 
 /**
  * API路由配置
@@ -41,8 +84,12 @@ import { KVStorageManager } from '../utils/kvStorage.js';
 const API_ROUTES = {
   '/api/navigation': handleGetNavigation,
   '/api/sites': handleGetAllSites,
+  '/api/sites/ranked': handleGetRankedSites,
   '/api/search': handleSearchSites,
-  '/api/stats': handleGetStats
+  '/api/search/suggest': handleSearchSuggest,
+  '/api/search/opensearch': handleOpenSearchSuggest,
+  '/api/stats': handleGetStats,
+  '/api/click': handleRecordClick
 };
 
 /**
@@ -69,30 +116,38 @@ export async function handleAPIRequest(request, env, ctx) {
       const cacheHit = await cache.match(request);
       if (cacheHit) return cacheHit;
 
-      const host = decodeURIComponent(favMatch[1] || '').trim();
+      const host = normalizeHostname(favMatch[1]);
+      if (!host) {
+        return new Response('Bad Request', { status: HTTP_STATUS.BAD_REQUEST });
+      }
       const kv = new KVStorageManager(env.NAVIGATION_KV);
       let stored = await kv.getFavicon(host);
-      const needsRefresh = !stored || !stored.updatedAt || (Date.now() - stored.updatedAt) > (7 * 24 * 60 * 60 * 1000);
+      const needsRefresh = !stored || (!stored.pinned && (!stored.updatedAt || (Date.now() - stored.updatedAt) > FAVICON_MAX_AGE_MS));
       if (needsRefresh) {
-        // 静默刷新：不阻塞响应
-        fetch(`https://icons.duckduckgo.com/ip3/${encodeURIComponent(host)}.ico`).then(async (resp) => {
-          if (resp && resp.ok && (/image\//i.test(resp.headers.get('content-type') || ''))) {
-            const buf = await resp.arrayBuffer();
-            const bytes = new Uint8Array(buf);
-            let bin = '';
-            for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
-            const b64 = btoa(bin);
-            await kv.putFavicon(host, resp.headers.get('content-type') || 'image/x-icon', b64);
-          }
-        }).catch(() => {});
+        // 静默刷新：不阻塞响应。只为导航中的网站或已缓存的主机抓取并写入 KV，
+        // 任意主机名只返回即时生成的头像，不会触发外部请求
+        const refresh = (async () => {
+          const site = await findSiteByHost(kv, host);
+          if (site || stored) await fetchAndCacheFavicon(kv, host, site || {});
+        })().catch(() => {});
+        if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(refresh);
       }
-      if (!stored) {
+      // 没有真实图标：按设置返回字母头像（尚未缓存时按域名即时生成），或返回404由页面显示 emoji 图标
+      const isAvatar = !stored || stored.source === 'avatar';
+      if (isAvatar && !(await loadSettings(kv)).favicon.preferAvatar) {
         return new Response('Not Found', { status: HTTP_STATUS.NOT_FOUND });
       }
-      const bytes = Uint8Array.from(atob(stored.data), c => c.charCodeAt(0));
+      const bytes = stored
+        ? Uint8Array.from(atob(stored.data), c => c.charCodeAt(0))
+        : new TextEncoder().encode(createLetterAvatar({ host }));
       const response = new Response(bytes, {
         status: HTTP_STATUS.OK,
-        headers: { 'Content-Type': stored.contentType, 'Cache-Control': 'public, max-age=604800' }
+        headers: {
+          'Content-Type': stored ? stored.contentType : 'image/svg+xml',
+          // 字母头像缓存时间较短，以便尽快换成抓取到的真实图标、或随设置切换
+          'Cache-Control': isAvatar ? 'public, max-age=86400' : 'public, max-age=604800',
+          'X-Favicon-Source': stored ? stored.source || 'unknown' : 'avatar'
+        }
       });
       // 写入边缘缓存
       try { await cache.put(request, response.clone()); } catch (_) {}
@@ -103,19 +158,30 @@ export async function handleAPIRequest(request, env, ctx) {
     if (pathname === '/api/admin/auth/login') {
       return await handleAdminLogin(request, env);
     }
+    if (pathname === '/api/admin/auth/login/2fa') {
+      return await handleTwoFactorLogin(request, env);
+    }
+    if (pathname === '/api/admin/auth/logout') {
+      return await handleAdminLogout(request, env);
+    }
 
     // 基础API路由
     const handler = API_ROUTES[pathname];
     if (handler) {
-      return await handler(request, env);
+      return await handler(request, env, ctx);
     }
     
     // 管理API路由（动态路径）
     if (pathname.startsWith('/api/admin/')) {
       // 管理接口鉴权
-      const authResp = await ensureAdminAuthorized(request, env);
+      const { response: authResp, session } = await ensureAdminAuthorized(request, env);
       if (authResp) return authResp;
-      return await handleAdminRoute(request, env, pathname, ctx);
+      const twoFactorResp = ensureTwoFactorSession(request, pathname, session);
+      if (twoFactorResp) return twoFactorResp;
+      const conflictResp = await ensureRevisionMatch(request, env, pathname);
+      if (conflictResp) return conflictResp;
+      const response = await handleAdminRoute(request, env, pathname, ctx, session);
+      return await attachRevisionTag(request, env, pathname, response);
     }
     
     // 路由不存在
@@ -133,53 +199,25 @@ export async function handleAPIRequest(request, env, ctx) {
   }
 }
 /**
- * 管理登录：POST { password }
- * 成功后设置 HttpOnly Cookie 并返回成功
- */
-async function handleAdminLogin(request, env) {
-  if (request.method !== 'POST') {
-    return createErrorResponse('请求方法不支持', HTTP_STATUS.METHOD_NOT_ALLOWED);
-  }
-  const configuredPassword = (env && env.ADMIN_PASSWORD) ? String(env.ADMIN_PASSWORD) : '';
-  if (!configuredPassword) {
-    return createErrorResponse('管理员密码未配置', HTTP_STATUS.SERVICE_UNAVAILABLE);
-  }
-  try {
-    const body = await request.json();
-    const pwd = (body && body.password) ? String(body.password) : '';
-    if (!pwd || pwd !== configuredPassword) {
-      return createErrorResponse('密码错误', HTTP_STATUS.UNAUTHORIZED);
-    }
-    const jwt = await signJWT({ sub: 'admin' }, configuredPassword, 86400);
-    const isHttps = new URL(request.url).protocol === 'https:';
-    const cookieFlags = `Path=/; Max-Age=86400; HttpOnly; ${isHttps ? 'Secure; ' : ''}SameSite=Lax`;
-    const headers = new Headers({
-      'Content-Type': 'application/json',
-      ...{ 'Set-Cookie': `admin_token=${encodeURIComponent(jwt)}; ${cookieFlags}` }
-    });
-    return new Response(JSON.stringify({ success: true, data: { ok: true, token: jwt } }), {
-      status: HTTP_STATUS.OK,
-      headers
-    });
-  } catch (e) {
-    return createErrorResponse('请求数据格式错误', HTTP_STATUS.BAD_REQUEST);
-  }
-}
-
-/**
- * 管理接口鉴权：使用 Authorization: Bearer <ADMIN_PASSWORD> 或 X-Admin-Token
- * 未配置 ADMIN_PASSWORD 则返回 503
+ * 管理接口鉴权：优先校验登录令牌（X-Admin-JWT、Cookie admin_token 或 Authorization: JWT <token>），
+ * 令牌对应的会话已退出或被撤销时返回 401；
+ * 其次接受明文密码（Authorization: Bearer <密码> 或 X-Admin-Token；可在设置中关闭，开启两步验证后不再接受），
+ * 明文密码的校验受登录限流约束
+ * 未配置管理员密码则返回 503，限流中返回 429
  * @param {Request} request
  * @param {Object} env
- * @returns {Promise<Response|null>} 未授权时返回响应，否则返回null
+ * @returns {Promise<{response?:Response, session?:{id:string|null, credential:Object, amr:string[], payload:Object|null}}>}
+ *   未授权时 response 为错误响应；否则 session 为当前会话（id 为会话ID，amr 为登录时通过的验证方式）
  */
 async function ensureAdminAuthorized(request, env) {
-  const configuredPassword = (env && env.ADMIN_PASSWORD) ? String(env.ADMIN_PASSWORD) : '';
-  if (!configuredPassword) {
-    return createErrorResponse(
-      '管理员密码未配置',
-      HTTP_STATUS.SERVICE_UNAVAILABLE
-    );
+  const credential = await loadAdminCredential(env);
+  if (!credential) {
+    return {
+      response: createErrorResponse(
+        '管理员密码未配置',
+        HTTP_STATUS.SERVICE_UNAVAILABLE
+      )
+    };
   }
 
   const headerAuth = request.headers.get('Authorization') || '';
@@ -202,24 +240,139 @@ async function ensureAdminAuthorized(request, env) {
   // 先尝试JWT
   const jwtToken = (jwtHeader || cookieToken || (headerAuth.startsWith('JWT ') ? headerAuth.slice(4).trim() : '')).trim();
   if (jwtToken) {
-    const verify = await verifyJWT(jwtToken, configuredPassword);
-    if (verify && verify.valid) return null;
+    const verify = await verifyAdminToken(credential, jwtToken);
+    if (verify && verify.valid) {
+      if (!(await isAdminSessionActive(env, credential, verify.payload))) {
+        return {
+          response: createErrorResponse(
+            '登录已失效，请重新登录',
+            HTTP_STATUS.UNAUTHORIZED,
+            { 'WWW-Authenticate': 'Bearer realm="admin"' }
+          )
+        };
+      }
+      const id = verify.payload.jti ? String(verify.payload.jti) : null;
+      return { session: { id, credential, amr: getTokenAmr(verify.payload), payload: verify.payload } };
+    }
   }
 
-  // 再回退到明文口令（兼容旧版本调试工具）
+  // 再回退到明文口令（兼容旧版本调试工具）；已过期的 JWT Cookie 不当作密码校验
   let provided = '';
   if (headerAuth.startsWith('Bearer ')) provided = headerAuth.slice('Bearer '.length).trim();
   else if (tokenHeader) provided = tokenHeader.trim();
-  else if (cookieToken) provided = cookieToken.trim();
+  else if (cookieToken && cookieToken.split('.').length !== 3) provided = cookieToken.trim();
 
-  if (!provided || provided !== configuredPassword) {
-    return createErrorResponse(
+  const unauthorized = () => ({
+    response: createErrorResponse(
       '未授权的管理请求',
       HTTP_STATUS.UNAUTHORIZED,
       { 'WWW-Authenticate': 'Bearer realm="admin"' }
-    );
+    )
+  });
+  if (!provided || isTwoFactorEnabled(credential)) return unauthorized();
+
+  const settings = await loadSettings(new KVStorageManager(env.NAVIGATION_KV));
+  if (!settings.auth.allowPlaintextPassword) return unauthorized();
+
+  const throttle = await checkLoginThrottle(env, request);
+  if (!throttle.allowed) return { response: createThrottledResponse(throttle) };
+  if (!(await verifyAdminPassword(credential, provided))) {
+    await recordLoginFailure(env, request);
+    return unauthorized();
   }
-  return null;
+  if (throttle.failures > 0) await clearLoginFailures(env, request);
+  return { session: { id: null, credential, amr: ['pwd'], payload: null } };
+}
+
+/**
+ * 判断是否为破坏性的管理路由（清空/覆盖数据、批量删除、恢复历史版本，以及修改密码等账户安全操作）
+ * @param {Request} request
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+function isDestructiveRoute(request, pathname) {
+  const method = request.method;
+  if (pathname === '/api/admin/data') return method === 'POST' || method === 'DELETE';
+  if (pathname === '/api/admin/import/bookmarks') {
+    return (new URL(request.url).searchParams.get('mode') || '').toLowerCase() === 'replace';
+  }
+  if (pathname === '/api/admin/sites' || pathname.startsWith('/api/admin/categories/')) return method === 'DELETE';
+  return /^\/api\/admin\/revisions\/\d+\/restore$/.test(pathname) ||
+    ['/api/admin/auth/password', '/api/admin/auth/2fa/recovery-codes', '/api/admin/auth/2fa/disable'].includes(pathname);
+}
+
+/**
+ * 已开启两步验证时，破坏性路由要求当前会话登录时通过了两步验证（否则返回 403）
+ * @param {Request} request
+ * @param {string} pathname
+ * @param {{credential:Object, amr:string[]}} session - 当前会话
+ * @returns {Response|null}
+ */
+function ensureTwoFactorSession(request, pathname, session) {
+  if (!isTwoFactorEnabled(session.credential) || session.amr.includes('otp')) return null;
+  if (!isDestructiveRoute(request, pathname)) return null;
+  return createErrorResponse(
+    '该操作需要通过两步验证的登录，请退出后重新登录',
+    HTTP_STATUS.FORBIDDEN,
+    {},
+    { twoFactorRequired: true }
+  );
+}
+
+/**
+ * 判断是否为会写入导航快照的管理路由
+ * @param {Request} request
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+function isSnapshotWriteRoute(request, pathname) {
+  if (request.method === 'GET') return false;
+  return /^\/api\/admin\/(data|categories|sites|import|revisions|favicons)(\/|$)/.test(pathname);
+}
+
+/**
+ * 乐观并发校验：请求携带 If-Match 且与当前快照版本不一致时返回 409
+ * 未携带 If-Match 的请求保持原有行为（兼容脚本与旧版后台）
+ * 注意：KV 不支持原子比较写入，此校验只能发现绝大多数（非同一瞬间）的并发覆盖
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} pathname
+ * @returns {Promise<Response|null>} 冲突时返回响应，否则返回null
+ */
+async function ensureRevisionMatch(request, env, pathname) {
+  if (!isSnapshotWriteRoute(request, pathname)) return null;
+  // favicon 刷新、字母头像、图标管理与链接检查只补充维护字段，不会覆盖他人的编辑，无需校验
+  if (pathname === '/api/admin/sites/favicon/refresh' || pathname === '/api/admin/sites/favicon/avatars' ||
+      pathname.startsWith('/api/admin/favicons/') || pathname === '/api/admin/sites/link-check') return null;
+  const expected = getIfMatchRevisions(request);
+  if (!expected || expected.includes('*')) return null;
+
+  const currentRevision = await new KVStorageManager(env.NAVIGATION_KV).getSnapshotRevision();
+  if (expected.includes(String(currentRevision))) return null;
+
+  return createErrorResponse(
+    `数据已被其他人修改（当前版本 #${currentRevision}），请重新加载或合并后重试`,
+    HTTP_STATUS.CONFLICT,
+    { 'ETag': `"${currentRevision}"` },
+    { currentRevision }
+  );
+}
+
+/**
+ * 为写操作的成功响应附加最新快照版本（ETag），便于客户端继续后续写入
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} pathname
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function attachRevisionTag(request, env, pathname, response) {
+  if (!response || !response.ok || response.headers.has('ETag')) return response;
+  if (!isSnapshotWriteRoute(request, pathname)) return response;
+  const currentRevision = await new KVStorageManager(env.NAVIGATION_KV).getSnapshotRevision();
+  const tagged = new Response(response.body, response);
+  tagged.headers.set('ETag', `"${currentRevision}"`);
+  return tagged;
 }
 
 /**
@@ -227,9 +380,28 @@ async function ensureAdminAuthorized(request, env) {
  * @param {Request} request - 请求对象
  * @param {Object} env - 环境对象
  * @param {string} pathname - 路径
+ * @param {Object} ctx - 执行上下文
+ * @param {Object} session - 当前会话（见 ensureAdminAuthorized）
  * @returns {Promise<Response>} 响应对象
  */
-async function handleAdminRoute(request, env, pathname, ctx) {
+async function handleAdminRoute(request, env, pathname, ctx, session) {
+  // 修改管理员密码
+  if (pathname === '/api/admin/auth/password') {
+    return await handleChangePassword(request, env, session);
+  }
+
+  // 两步验证
+  const twoFactorMatch = pathname.match(/^\/api\/admin\/auth\/2fa(?:\/(setup|enable|recovery-codes|disable))?$/);
+  if (twoFactorMatch) {
+    return await handleTwoFactor(request, env, twoFactorMatch[1] || '', session);
+  }
+
+  // 登录会话
+  const sessionMatch = pathname.match(/^\/api\/admin\/auth\/sessions(?:\/([^/]+))?$/);
+  if (sessionMatch) {
+    return await handleSessions(request, env, sessionMatch[1] ? decodeURIComponent(sessionMatch[1]) : null, session);
+  }
+
   // 管理数据路由
   if (pathname === '/api/admin/data') {
     switch (request.method) {
@@ -260,6 +432,54 @@ async function handleAdminRoute(request, env, pathname, ctx) {
     }
   }
   
+  // 统计路由
+  if (pathname === '/api/admin/stats') {
+    return await handleGetAdminStats(request, env);
+  }
+
+  // 系统设置路由
+  if (pathname === '/api/admin/settings') {
+    switch (request.method) {
+      case 'GET':
+        return await handleGetSettings(request, env);
+      case 'PUT':
+        return await handleUpdateSettings(request, env);
+      default:
+        return createErrorResponse(
+          '请求方法不支持',
+          HTTP_STATUS.METHOD_NOT_ALLOWED
+        );
+    }
+  }
+
+  // 网页元数据（添加网站时自动填写）
+  if (pathname === '/api/admin/metadata') {
+    return await handleFetchMetadata(request, env);
+  }
+
+  // 定时任务路由
+  if (pathname === '/api/admin/jobs') {
+    return await handleListJobs(request, env);
+  }
+  const jobMatch = pathname.match(/^\/api\/admin\/jobs\/([^\/]+)\/run$/);
+  if (jobMatch) {
+    return await handleRunJob(request, env, decodeURIComponent(jobMatch[1]));
+  }
+
+  // 历史版本路由
+  if (pathname === '/api/admin/revisions') {
+    return await handleListRevisions(request, env);
+  }
+  if (pathname === '/api/admin/revisions/diff') {
+    return await handleDiffRevisions(request, env);
+  }
+  const revisionMatch = pathname.match(/^\/api\/admin\/revisions\/(\d+)(\/restore)?$/);
+  if (revisionMatch) {
+    return revisionMatch[2]
+      ? await handleRestoreRevision(request, env, revisionMatch[1])
+      : await handleGetRevision(request, env, revisionMatch[1]);
+  }
+  
   // 分类管理路由
   if (pathname === '/api/admin/categories') {
     switch (request.method) {
@@ -322,39 +542,88 @@ async function handleAdminRoute(request, env, pathname, ctx) {
         return createErrorResponse('请求方法不支持', HTTP_STATUS.METHOD_NOT_ALLOWED);
     }
   }
+
+  // 重新生成字母头像
+  if (pathname === '/api/admin/sites/favicon/avatars') {
+    return await handleRegenerateAvatars(request, env);
+  }
+
+  // 图标管理
+  if (pathname === '/api/admin/favicons') {
+    return await handleListFavicons(request, env);
+  }
+  if (pathname === '/api/admin/favicons/usage') {
+    return await handleGetFaviconUsage(request, env);
+  }
+  const faviconMatch = pathname.match(/^\/api\/admin\/favicons\/([^/]+)(?:\/(pin))?$/);
+  if (faviconMatch) {
+    return await handleFaviconHost(request, env, faviconMatch[1], faviconMatch[2] || null);
+  }
+
+  // 失效链接检查
+  if (pathname === '/api/admin/sites/link-check') {
+    return await handleRunLinkCheck(request, env);
+  }
+  if (pathname === '/api/admin/sites/link-check/apply-redirects') {
+    return await handleApplyRedirects(request, env);
+  }
   
-  // 单个网站操作路由
-  const siteMatch = pathname.match(/^\/api\/admin\/sites\/([^\/]+)\/(.+)$/);
+  // 按 id 的单个网站操作路由（不受标题改名/重名影响）
+  const siteIdMatch = pathname.match(/^\/api\/admin\/sites\/by-id\/([^\/]+)(\/move)?$/);
+  if (siteIdMatch) {
+    const siteId = decodeURIComponent(siteIdMatch[1]);
+    if (siteIdMatch[2]) {
+      return await handleMoveSiteById(request, env, siteId);
+    }
+    switch (request.method) {
+      case 'GET':
+        return await handleGetSiteById(request, env, siteId);
+      case 'PUT':
+        return await handleUpdateSiteById(request, env, siteId);
+      case 'DELETE':
+        return await handleDeleteSiteById(request, env, siteId);
+      default:
+        return createErrorResponse(
+          '请求方法不支持',
+          HTTP_STATUS.METHOD_NOT_ALLOWED
+        );
+    }
+  }
+  
+  // 单个网站操作路由（按标题，兼容旧客户端）
+  // 形如 /api/admin/sites/<分类>/<标题>[/move]，<分类> 可以是嵌套分类ID（"/" 编码为 %2F）
+  // 或由多段组成的分类路径；按原始路径切分后再逐段解码，标题中的 "/" 需编码为 %2F
+  const siteMatch = pathname.match(/^\/api\/admin\/sites\/(.+)\/([^\/]+)$/);
   if (siteMatch) {
-    const categoryId = decodeURIComponent(siteMatch[1]);
-    const siteTitle = decodeURIComponent(siteMatch[2]);
+    let rawCategory = siteMatch[1];
+    let rawTitle = siteMatch[2];
     
-    // 处理移动网站的特殊路由
-    if (siteTitle.endsWith('/move')) {
-      const actualSiteTitle = siteTitle.replace('/move', '');
-      switch (request.method) {
-        case 'PATCH':
-          return await handleMoveSite(request, env, categoryId, actualSiteTitle);
-        default:
-          return createErrorResponse(
-            '请求方法不支持',
-            HTTP_STATUS.METHOD_NOT_ALLOWED
-          );
+    // 移动网站：仅 PATCH 且以 /move 结尾
+    const isMove = request.method === 'PATCH' && rawTitle === 'move';
+    if (isMove) {
+      const moveMatch = rawCategory.match(/^(.+)\/([^\/]+)$/);
+      if (!moveMatch) {
+        return createErrorResponse(`管理API接口不存在: ${pathname}`, HTTP_STATUS.NOT_FOUND);
       }
+      rawCategory = moveMatch[1];
+      rawTitle = moveMatch[2];
     }
+    const categoryId = rawCategory.split('/').map(decodeURIComponent).join('/');
+    const siteTitle = decodeURIComponent(rawTitle);
     
-    // 普通网站操作
     switch (request.method) {
+      case 'PATCH':
+        if (isMove) return await handleMoveSite(request, env, categoryId, siteTitle);
+        break;
       case 'PUT':
         return await handleUpdateSite(request, env, categoryId, siteTitle);
       case 'DELETE':
         return await handleDeleteSite(request, env, categoryId, siteTitle);
-      default:
-        return createErrorResponse(
-          '请求方法不支持',
-          HTTP_STATUS.METHOD_NOT_ALLOWED
-        );
     }
+    return createErrorResponse(
+      '请求方法不支持',
+      HTTP_STATUS.METHOD_NOT_ALLOWED
+    );
   }
   
   return createErrorResponse(
@@ -7,6 +7,8 @@
 
 import { handleAPIRequest, isAPIRequest } from './routes/apiRouter.js';
 import { handleStaticAssets, isStaticAssetRequest } from './utils/assetHandler.js';
+import { handleOpenSearchDescription } from './handlers/openSearchHandler.js';
+import { runDueJobs } from './utils/scheduledJobs.js';
 
 /**
  * 主请求处理器
@@ -23,6 +25,11 @@ async function handleRequest(request, env, ctx) {
     if (isAPIRequest(url)) {
       return await handleAPIRequest(request, env, ctx);
     }
+
+    // OpenSearch 描述文档（浏览器地址栏搜索引擎）
+    if (url.pathname === '/opensearch.xml') {
+      return await handleOpenSearchDescription(request, env);
+    }
     
     // 静态资源请求
     if (isStaticAssetRequest(url)) {
@@ -43,9 +50,24 @@ async function handleRequest(request, env, ctx) {
   }
 }
 
+/**
+ * 定时任务处理器（Cron Triggers，见 wrangler.toml 的 [triggers]）
+ * 运行到期的定时任务（见 utils/scheduledJobs.js）
+ * @param {Object} event - 定时事件
+ * @param {Object} env - 环境变量对象
+ * @param {Object} ctx - 执行上下文对象
+ */
+async function handleScheduled(event, env, ctx) {
+  ctx.waitUntil(
+    runDueJobs(env, event.scheduledTime)
+      .catch(error => console.error('定时任务失败:', error))
+  );
+}
+
 /**
  * Cloudflare Worker导出对象
  */
 export default {
-  fetch: handleRequest
+  fetch: handleRequest,
+  scheduled: handleScheduled
 };
@@ -0,0 +1,587 @@
+/**
+ * 管理员认证模块
+ * 管理员密码以 PBKDF2-SHA256 哈希保存在 KV（见 KVStorageManager.getAdminCredential），盐按部署随机生成；
+ * 首次使用时由环境变量 ADMIN_PASSWORD 初始化。JWT 使用单独随机生成的签名密钥，修改密码时一并更换，
+ * 已签发的令牌随之失效。
+ * 修改环境变量 ADMIN_PASSWORD 后用新值登录，会按新值重置凭据（忘记后台修改过的密码时的恢复途径）。
+ * 可选的两步验证（TOTP，见 totp.js）与恢复码也保存在同一凭据中；令牌的 amr 声明记录登录时通过的验证方式
+ * （pwd：密码，otp：验证码或恢复码）。
+ * 两步登录凭证同样带 jti 并登记在 KV（auth:challenge:<jti>），登录成功或验证码错误次数过多后作废。
+ * 每次登录登记一个会话（KV 键 auth:session:<jti>），令牌的 jti 对应的会话不存在即视为已退出或被撤销；
+ * 修改或重置密码时撤销全部会话。
+ * KV 不可用时沿用旧方式：直接比对环境变量，并以其作为签名密钥，不支持两步验证
+ */
+
+import { KVStorageManager } from './kvStorage.js';
+import { signJWT, verifyJWT } from './jwt.js';
+import { generateTotpSecret, verifyTotp } from './totp.js';
+import { getClientIP } from './responseUtils.js';
+
+/**
+ * PBKDF2 迭代次数（Workers 支持的上限）
+ */
+export const PASSWORD_HASH_ITERATIONS = 100000;
+
+/**
+ * 新密码的最小长度
+ */
+export const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * 登录令牌有效期（秒）
+ */
+export const ADMIN_TOKEN_TTL_SECONDS = 86400;
+
+/**
+ * 两步登录中，密码验证通过后等待输入验证码的有效期（秒）
+ */
+export const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 300;
+
+/**
+ * 同一个两步登录凭证最多可尝试的验证码次数，超过后需重新输入密码
+ */
+export const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+
+/**
+ * 每次生成的恢复码数量
+ */
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 会话中保存的 User-Agent 最大长度（会话信息同时写入 KV 元数据，总大小不能超过 1024 字节）
+ */
+const SESSION_USER_AGENT_MAX_LENGTH = 200;
+
+/**
+ * 恢复码字符集（去掉了易混淆的 0/o、1/l/i）
+ */
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * 盐与签名密钥的字节数
+ */
+const SALT_BYTES = 16;
+const SECRET_BYTES = 32;
+
+/**
+ * 生成随机字节并编码为 Base64
+ * @param {number} length
+ * @returns {string}
+ */
+function randomBase64(length) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * 计算密码的 PBKDF2-SHA256 哈希
+ * @param {string} password
+ * @param {string} salt - Base64
+ * @param {number} iterations
+ * @returns {Promise<string>} Base64
+ */
+async function hashPassword(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: Uint8Array.from(atob(salt), c => c.charCodeAt(0)), iterations },
+    key,
+    256
+  );
+  return btoa(String.fromCharCode(...new Uint8Array(bits)));
+}
+
+/**
+ * 长度无关的字符串比较（避免按比较耗时猜测密码）
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  const x = new TextEncoder().encode(String(a));
+  const y = new TextEncoder().encode(String(b));
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    diff |= (x[i] || 0) ^ (y[i] || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 计算 SHA-256 并编码为十六进制（用于保存恢复码）
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 生成一个恢复码，形如 abcde-fghjk
+ * @returns {string}
+ */
+function generateRecoveryCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  const chars = [...bytes].map(b => RECOVERY_CODE_ALPHABET[b % RECOVERY_CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/**
+ * 规范化用户输入的恢复码（忽略大小写、空格与连字符）
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * 保存凭据
+ * @param {Object} env
+ * @param {Object} credential
+ * @throws {Error} KV 不可用或保存失败
+ */
+async function persistCredential(env, credential) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable() || credential.legacy) {
+    throw new Error('KV存储不可用');
+  }
+  if (!(await kvManager.saveAdminCredential(credential))) {
+    throw new Error('保存管理员凭据失败');
+  }
+}
+
+/**
+ * 环境变量中配置的初始密码
+ * @param {Object} env
+ * @returns {string}
+ */
+function envPassword(env) {
+  return (env && env.ADMIN_PASSWORD) ? String(env.ADMIN_PASSWORD) : '';
+}
+
+/**
+ * 按环境变量中的密码创建凭据
+ * @param {string} password
+ * @param {string} [salt] - 沿用已有的盐
+ * @returns {Promise<Object>}
+ */
+async function createCredentialFromEnv(password, salt = randomBase64(SALT_BYTES)) {
+  const hash = await hashPassword(password, salt, PASSWORD_HASH_ITERATIONS);
+  const now = new Date().toISOString();
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations: PASSWORD_HASH_ITERATIONS,
+    salt,
+    hash,
+    // 初始化时环境变量密码的哈希：与当前环境变量不一致说明环境变量已被修改
+    envHash: hash,
+    secret: randomBase64(SECRET_BYTES),
+    createdAt: now,
+    passwordChangedAt: now
+  };
+}
+
+/**
+ * 读取管理员凭据，首次使用时由环境变量初始化
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Object|null>} 未配置密码时返回 null；KV 不可用时返回 { legacy: true, password, secret }
+ */
+export async function loadAdminCredential(env) {
+  const kvManager = new KVStorageManager(env && env.NAVIGATION_KV);
+  const initial = envPassword(env);
+  if (!kvManager.isAvailable()) {
+    return initial ? { legacy: true, password: initial, secret: initial } : null;
+  }
+
+  const stored = await kvManager.getAdminCredential();
+  if (stored) return stored;
+  if (!initial) return null;
+
+  const credential = await createCredentialFromEnv(initial);
+  if (!(await kvManager.saveAdminCredential(credential))) {
+    throw new Error('保存管理员凭据失败');
+  }
+  return credential;
+}
+
+/**
+ * 校验密码
+ * @param {Object} credential - loadAdminCredential 的返回值
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAdminPassword(credential, password) {
+  if (!credential || !password) return false;
+  if (credential.legacy) return timingSafeEqual(password, credential.password);
+  const hash = await hashPassword(String(password), credential.salt, credential.iterations);
+  return timingSafeEqual(hash, credential.hash);
+}
+
+/**
+ * 登录时校验密码；密码与当前凭据不符但等于已修改过的环境变量时，按环境变量重置凭据
+ * （重置会同时关闭两步验证，作为丢失验证器与恢复码时的最后手段）
+ * @param {Object} env - 环境对象
+ * @param {string} password
+ * @returns {Promise<{configured:boolean, ok:boolean, credential?:Object, reset?:boolean}>}
+ */
+export async function authenticateAdminPassword(env, password) {
+  const credential = await loadAdminCredential(env);
+  if (!credential) return { configured: false, ok: false };
+  if (await verifyAdminPassword(credential, password)) return { configured: true, ok: true, credential };
+
+  const initial = envPassword(env);
+  if (credential.legacy || !initial || !timingSafeEqual(password, initial)) {
+    return { configured: true, ok: false };
+  }
+  const envHash = await hashPassword(initial, credential.salt, credential.iterations);
+  if (timingSafeEqual(envHash, credential.envHash)) {
+    // 环境变量未变，密码已在后台修改过：旧密码不再有效
+    return { configured: true, ok: false };
+  }
+  const reset = await createCredentialFromEnv(initial, credential.salt);
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!(await kvManager.saveAdminCredential(reset))) {
+    throw new Error('保存管理员凭据失败');
+  }
+  await revokeAdminSessions(env);
+  console.warn('环境变量 ADMIN_PASSWORD 已修改，已按新值重置管理员密码');
+  return { configured: true, ok: true, credential: reset, reset: true };
+}
+
+/**
+ * 修改管理员密码，并更换签名密钥、撤销全部会话，使已签发的令牌全部失效
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 当前凭据
+ * @param {string} newPassword
+ * @returns {Promise<Object>} 新凭据
+ * @throws {Error} KV 不可用或保存失败
+ */
+export async function changeAdminPassword(env, credential, newPassword) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable() || credential.legacy) {
+    throw new Error('KV存储不可用，无法修改密码');
+  }
+  const updated = {
+    ...credential,
+    hash: await hashPassword(newPassword, credential.salt, credential.iterations),
+    secret: randomBase64(SECRET_BYTES),
+    passwordChangedAt: new Date().toISOString()
+  };
+  if (!(await kvManager.saveAdminCredential(updated))) {
+    throw new Error('保存管理员凭据失败');
+  }
+  await revokeAdminSessions(env);
+  return updated;
+}
+
+/**
+ * 签发管理员令牌（只通过 createAdminSession 调用，确保每个令牌都登记了会话）
+ * @param {Object} credential
+ * @param {string[]} amr - 登录时通过的验证方式
+ * @param {string} [jti] - 会话ID（KV 不可用时没有会话）
+ * @returns {Promise<string>}
+ */
+function issueAdminToken(credential, amr, jti) {
+  return signJWT(jti ? { sub: 'admin', amr, jti } : { sub: 'admin', amr }, credential.secret, ADMIN_TOKEN_TTL_SECONDS);
+}
+
+/**
+ * 登录成功后登记会话并签发令牌
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 当前凭据
+ * @param {Request} request - 登录请求（记录 IP 与 User-Agent）
+ * @param {string[]} [amr] - 登录时通过的验证方式
+ * @returns {Promise<{token:string, session:Object|null}>} KV 不可用时不登记会话
+ * @throws {Error} 保存会话失败
+ */
+export async function createAdminSession(env, credential, request, amr = ['pwd']) {
+  if (credential.legacy) {
+    return { token: await issueAdminToken(credential, amr), session: null };
+  }
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ADMIN_TOKEN_TTL_SECONDS * 1000).toISOString(),
+    ip: getClientIP(request) || '',
+    userAgent: (request.headers.get('User-Agent') || '').slice(0, SESSION_USER_AGENT_MAX_LENGTH),
+    amr
+  };
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!(await kvManager.saveAdminSession(session, ADMIN_TOKEN_TTL_SECONDS))) {
+    throw new Error('保存登录会话失败');
+  }
+  return { token: await issueAdminToken(credential, amr, session.id), session };
+}
+
+/**
+ * 令牌对应的会话是否仍然有效（KV 不可用时不检查）
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 当前凭据
+ * @param {Object} payload - 已通过签名校验的令牌负载
+ * @returns {Promise<boolean>} 没有 jti 的令牌（早期签发）视为无效
+ */
+export async function isAdminSessionActive(env, credential, payload) {
+  if (credential.legacy) return true;
+  if (!payload || typeof payload.jti !== 'string' || !payload.jti) return false;
+  return !!(await new KVStorageManager(env.NAVIGATION_KV).getAdminSession(payload.jti));
+}
+
+/**
+ * 列出登录会话（按登录时间从新到旧）
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Array<{id:string, createdAt:string, expiresAt:string, ip:string, userAgent:string, amr:string[]}>>}
+ */
+export async function listAdminSessions(env) {
+  const sessions = await new KVStorageManager(env.NAVIGATION_KV).listAdminSessions();
+  return sessions.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+}
+
+/**
+ * 撤销会话
+ * @param {Object} env - 环境对象
+ * @param {string} id - 会话ID
+ * @returns {Promise<boolean>} 会话存在并已删除时返回 true
+ */
+export async function revokeAdminSession(env, id) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!id || !(await kvManager.getAdminSession(id))) return false;
+  return kvManager.deleteAdminSession(id);
+}
+
+/**
+ * 撤销全部会话
+ * @param {Object} env - 环境对象
+ * @param {string|null} [exceptId] - 保留的会话（当前会话）
+ * @returns {Promise<number>} 撤销的会话数
+ */
+export async function revokeAdminSessions(env, exceptId = null) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const sessions = await kvManager.listAdminSessions();
+  let revoked = 0;
+  for (const session of sessions) {
+    if (session.id === exceptId) continue;
+    if (await kvManager.deleteAdminSession(session.id)) revoked += 1;
+  }
+  return revoked;
+}
+
+/**
+ * 读取令牌的验证方式（早期签发的令牌没有 amr，视为只验证过密码）
+ * @param {Object} payload - 令牌负载
+ * @returns {string[]}
+ */
+export function getTokenAmr(payload) {
+  return payload && Array.isArray(payload.amr) ? payload.amr.map(String) : ['pwd'];
+}
+
+/**
+ * 两步登录凭证的签名密钥：与登录令牌的密钥不同，凭证不能当作登录令牌使用
+ * @param {Object} credential
+ * @returns {string}
+ */
+function challengeSecret(credential) {
+  return `${credential.secret}:2fa-challenge`;
+}
+
+/**
+ * 签发两步登录凭证（密码已验证，等待输入验证码），并在 KV 中登记其 jti
+ * @param {Object} env - 环境对象
+ * @param {Object} credential
+ * @returns {Promise<string>}
+ * @throws {Error} 保存凭证记录失败
+ */
+export async function issueTwoFactorChallenge(env, credential) {
+  const id = crypto.randomUUID();
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const record = { attempts: 0, createdAt: new Date().toISOString() };
+  if (!(await kvManager.saveTwoFactorChallenge(id, record, TWO_FACTOR_CHALLENGE_TTL_SECONDS))) {
+    throw new Error('保存两步登录凭证失败');
+  }
+  return signJWT({ sub: 'admin', amr: ['pwd'], jti: id }, challengeSecret(credential), TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+}
+
+/**
+ * 校验两步登录凭证：签名有效、未过期，且 jti 仍登记在 KV（未使用、未作废）
+ * @param {Object} env - 环境对象
+ * @param {Object} credential
+ * @param {string} challenge
+ * @returns {Promise<string|null>} 凭证的 jti，无效时返回 null
+ */
+export async function verifyTwoFactorChallenge(env, credential, challenge) {
+  if (!credential || credential.legacy || !challenge) return null;
+  const result = await verifyJWT(challenge, challengeSecret(credential));
+  const id = result && result.valid && result.payload ? result.payload.jti : null;
+  if (typeof id !== 'string' || !id) return null;
+  const record = await new KVStorageManager(env.NAVIGATION_KV).getTwoFactorChallenge(id);
+  return record ? id : null;
+}
+
+/**
+ * 记录一次验证码错误，达到次数上限时作废凭证
+ * @param {Object} env - 环境对象
+ * @param {string} id - 凭证的 jti
+ * @returns {Promise<boolean>} 凭证是否仍可继续使用
+ */
+export async function recordTwoFactorChallengeFailure(env, id) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const record = await kvManager.getTwoFactorChallenge(id);
+  if (!record) return false;
+  const attempts = (Number(record.attempts) || 0) + 1;
+  if (attempts >= TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) {
+    await kvManager.deleteTwoFactorChallenge(id);
+    return false;
+  }
+  const remainingMs = Date.parse(record.createdAt) + TWO_FACTOR_CHALLENGE_TTL_SECONDS * 1000 - Date.now();
+  await kvManager.saveTwoFactorChallenge(id, { ...record, attempts }, remainingMs / 1000);
+  return true;
+}
+
+/**
+ * 作废两步登录凭证（登录成功后调用，凭证只能使用一次）
+ * @param {Object} env - 环境对象
+ * @param {string} id - 凭证的 jti
+ * @returns {Promise<void>}
+ */
+export async function consumeTwoFactorChallenge(env, id) {
+  await new KVStorageManager(env.NAVIGATION_KV).deleteTwoFactorChallenge(id);
+}
+
+/**
+ * 是否已开启两步验证
+ * @param {Object|null} credential
+ * @returns {boolean}
+ */
+export function isTwoFactorEnabled(credential) {
+  return !!(credential && !credential.legacy && credential.totp && credential.totp.secret);
+}
+
+/**
+ * 两步验证状态（不含密钥）
+ * @param {Object|null} credential
+ * @returns {{available:boolean, enabled:boolean, enabledAt:string|null, recoveryCodesRemaining:number}}
+ */
+export function describeTwoFactor(credential) {
+  const enabled = isTwoFactorEnabled(credential);
+  return {
+    available: !!(credential && !credential.legacy),
+    enabled,
+    enabledAt: enabled ? credential.totp.enabledAt : null,
+    recoveryCodesRemaining: enabled && Array.isArray(credential.totp.recoveryCodes) ? credential.totp.recoveryCodes.length : 0
+  };
+}
+
+/**
+ * 生成一组恢复码
+ * @returns {Promise<{codes:string[], hashes:string[]}>} codes 只在生成时返回给用户，保存的是哈希
+ */
+async function createRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const hashes = await Promise.all(codes.map(code => sha256Hex(normalizeRecoveryCode(code))));
+  return { codes, hashes };
+}
+
+/**
+ * 开始设置两步验证：生成待确认的密钥（确认前不生效，重复调用会换一个新密钥）
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 当前凭据
+ * @returns {Promise<string>} Base32 密钥
+ * @throws {Error} KV 不可用或保存失败
+ */
+export async function beginTwoFactorSetup(env, credential) {
+  const secret = generateTotpSecret();
+  await persistCredential(env, { ...credential, totpPending: { secret, createdAt: new Date().toISOString() } });
+  return secret;
+}
+
+/**
+ * 用验证码确认待设置的密钥，开启两步验证并生成恢复码
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 当前凭据
+ * @param {string} code - 验证器应用显示的验证码
+ * @returns {Promise<{credential:Object, recoveryCodes:string[]}|null>} 验证码错误时返回 null
+ * @throws {Error} 没有待确认的密钥、KV 不可用或保存失败
+ */
+export async function enableTwoFactor(env, credential, code) {
+  const pending = credential.totpPending;
+  if (!pending || !pending.secret) throw new Error('请先生成两步验证密钥');
+  const step = await verifyTotp(pending.secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = await createRecoveryCodes();
+  const { totpPending, ...rest } = credential;
+  const updated = {
+    ...rest,
+    totp: { secret: pending.secret, enabledAt: new Date().toISOString(), lastStep: step, recoveryCodes: hashes }
+  };
+  await persistCredential(env, updated);
+  return { credential: updated, recoveryCodes: codes };
+}
+
+/**
+ * 校验第二步验证：验证器的验证码或一次性恢复码（使用后作废）
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 已开启两步验证的凭据
+ * @param {string} code - 验证码或恢复码
+ * @param {{allowRecoveryCode?:boolean}} [options]
+ * @returns {Promise<{ok:boolean, method?:'totp'|'recovery', credential?:Object, recoveryCodesRemaining?:number}>}
+ */
+export async function verifySecondFactor(env, credential, code, options = {}) {
+  if (!isTwoFactorEnabled(credential)) return { ok: false };
+  const totp = credential.totp;
+  const step = await verifyTotp(totp.secret, code, { lastStep: Number(totp.lastStep) });
+  if (step !== null) {
+    const updated = { ...credential, totp: { ...totp, lastStep: step } };
+    await persistCredential(env, updated);
+    return { ok: true, method: 'totp', credential: updated, recoveryCodesRemaining: totp.recoveryCodes.length };
+  }
+
+  if (options.allowRecoveryCode === false) return { ok: false };
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== 10) return { ok: false };
+  const hash = await sha256Hex(normalized);
+  const remaining = totp.recoveryCodes.filter(item => !timingSafeEqual(item, hash));
+  if (remaining.length === totp.recoveryCodes.length) return { ok: false };
+  const updated = { ...credential, totp: { ...totp, recoveryCodes: remaining } };
+  await persistCredential(env, updated);
+  console.warn(`已使用恢复码登录，剩余 ${remaining.length} 个`);
+  return { ok: true, method: 'recovery', credential: updated, recoveryCodesRemaining: remaining.length };
+}
+
+/**
+ * 重新生成恢复码（旧的恢复码全部作废）
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 已开启两步验证的凭据
+ * @returns {Promise<string[]>} 新的恢复码
+ * @throws {Error} 未开启两步验证、KV 不可用或保存失败
+ */
+export async function regenerateRecoveryCodes(env, credential) {
+  if (!isTwoFactorEnabled(credential)) throw new Error('未开启两步验证');
+  const { codes, hashes } = await createRecoveryCodes();
+  await persistCredential(env, { ...credential, totp: { ...credential.totp, recoveryCodes: hashes } });
+  return codes;
+}
+
+/**
+ * 关闭两步验证
+ * @param {Object} env - 环境对象
+ * @param {Object} credential - 当前凭据
+ * @returns {Promise<Object>} 新凭据
+ * @throws {Error} KV 不可用或保存失败
+ */
+export async function disableTwoFactor(env, credential) {
+  const { totp, totpPending, ...rest } = credential;
+  await persistCredential(env, rest);
+  return rest;
+}
+
+/**
+ * 校验管理员令牌
+ * @param {Object} credential
+ * @param {string} token
+ * @returns {Promise<{valid:boolean, payload?:any, error?:string}>}
+ */
+export function verifyAdminToken(credential, token) {
+  return verifyJWT(token, credential.secret);
+}
@@ -3,6 +3,11 @@
  * 负责处理静态文件请求和错误处理
  */
 
+import { loadAdminCredential, verifyAdminPassword, isTwoFactorEnabled } from './adminAuth.js';
+import { KVStorageManager } from './kvStorage.js';
+import { loadSettings } from './settings.js';
+import { checkLoginThrottle, recordLoginFailure, clearLoginFailures } from './loginThrottle.js';
+
 /**
  * 处理静态资源请求
  * @param {Request} request - 请求对象
@@ -68,12 +73,12 @@ function isAdminPageRequest(url) {
 }
 
 /**
- * 管理页面鉴权（使用与API相同的 ADMIN_PASSWORD）
+ * 管理页面鉴权（与API使用相同的管理员凭据，见 adminAuth.js）
  * 支持 Authorization Bearer / X-Admin-Token / Cookie admin_token
  */
 async function ensureAdminPageAuthorized(request, env) {
-  const configuredPassword = (env && env.ADMIN_PASSWORD) ? String(env.ADMIN_PASSWORD) : '';
-  if (!configuredPassword) return { authorized: false };
+  const credential = await loadAdminCredential(env);
+  if (!credential) return { authorized: false };
   const headerAuth = request.headers.get('Authorization') || '';
   const tokenHeader = request.headers.get('X-Admin-Token') || '';
   const cookieHeader = request.headers.get('Cookie') || '';
@@ -97,14 +102,26 @@ async function ensureAdminPageAuthorized(request, env) {
   // 支持 JWT：当 admin_token 已是 JWT 时，认为已授权（后端API会再严格校验签名与过期）
   const isJWT = !!(provided && provided.split('.').length === 3);
   if (isJWT) return { authorized: true };
-  return { authorized: !!provided && provided === configuredPassword };
+  if (!provided || isTwoFactorEnabled(credential)) return { authorized: false };
+
+  // 明文密码：与管理接口一样受设置开关与登录限流约束，开启两步验证后不再接受
+  const settings = await loadSettings(new KVStorageManager(env.NAVIGATION_KV));
+  if (!settings.auth.allowPlaintextPassword) return { authorized: false };
+  const throttle = await checkLoginThrottle(env, request);
+  if (!throttle.allowed) return { authorized: false };
+  if (!(await verifyAdminPassword(credential, provided))) {
+    await recordLoginFailure(env, request);
+    return { authorized: false };
+  }
+  if (throttle.failures > 0) await clearLoginFailures(env, request);
+  return { authorized: true };
 }
 
 /**
  * 返回一个简单的管理员登录页面（静态渲染）
  */
 function renderAdminLoginPage() {
-  const html = `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"/><meta name="viewport" content="width=device-width, initial-scale=1.0"/><title>管理后台登录</title><link rel="icon" href="/asset/favicon.svg" type="image/svg+xml"><link rel="stylesheet" href="/css/styles.css"></head><body><div class="container" style="max-width:420px;margin:80px auto;"> <h1 style="text-align:center;">管理后台登录</h1><div class="card" style="padding:16px;"> <div class="form-group"><label class="form-label">管理员密码</label><input type="password" id="pwd" class="form-input" placeholder="请输入管理员密码"></div><button id="login-btn" class="btn btn-primary" style="width:100%;margin-top:8px;">登录</button><div id="msg" style="color:#e00;margin-top:8px;display:none;"></div> </div><p style="text-align:center;margin-top:12px;"><a href="/">返回首页</a></p></div><script>document.getElementById('login-btn').addEventListener('click', async ()=>{ const pwdEl = document.getElementById('pwd'); const msg = document.getElementById('msg'); msg.style.display='none'; try { const resp = await fetch('/api/admin/auth/login',{ method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ password: pwdEl.value||'' }) }); const data = await resp.json().catch(()=>({})); if(resp.ok && data && data.success){ try{ sessionStorage.setItem('admin_jwt', data.data.token); }catch(_){} location.href='/admin.html'; } else { msg.textContent = (data && data.error) || ('HTTP '+resp.status); msg.style.display='block'; } } catch(e){ msg.textContent = '请求失败'; msg.style.display='block'; } }); </script></body></html>`;
+  const html = `<!DOCTYPE html><html lang="zh-CN"><head><meta charset="UTF-8"/><meta name="viewport" content="width=device-width, initial-scale=1.0"/><title>管理后台登录</title><link rel="icon" href="/asset/favicon.svg" type="image/svg+xml"><link rel="stylesheet" href="/css/styles.css"></head><body><div class="container" style="max-width:420px;margin:80px auto;"> <h1 style="text-align:center;">管理后台登录</h1><div class="card" style="padding:16px;"> <div class="form-group" id="pwd-group"><label class="form-label">管理员密码</label><input type="password" id="pwd" class="form-input" placeholder="请输入管理员密码"></div><div class="form-group" id="otp-group" style="display:none;"><label class="form-label">验证码（已开启两步验证）</label><input type="text" id="otp" class="form-input" placeholder="验证器应用中的 6 位验证码，或恢复码" autocomplete="one-time-code"></div><button id="login-btn" class="btn btn-primary" style="width:100%;margin-top:8px;">登录</button><div id="msg" style="color:#e00;margin-top:8px;display:none;"></div> </div><p style="text-align:center;margin-top:12px;"><a href="/">返回首页</a></p></div><script>let challenge=null; const showStep=(otp)=>{ document.getElementById('pwd-group').style.display=otp?'none':''; document.getElementById('otp-group').style.display=otp?'':'none'; document.getElementById(otp?'otp':'pwd').focus(); }; document.getElementById('login-btn').addEventListener('click', async ()=>{ const pwdEl = document.getElementById('pwd'); const otpEl = document.getElementById('otp'); const msg = document.getElementById('msg'); msg.style.display='none'; try { const resp = await fetch(challenge?'/api/admin/auth/login/2fa':'/api/admin/auth/login',{ method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify(challenge?{ challenge, code: otpEl.value||'' }:{ password: pwdEl.value||'' }) }); const data = await resp.json().catch(()=>({})); if(resp.ok && data && data.success && data.data.twoFactorRequired){ challenge=data.data.challenge; otpEl.value=''; showStep(true); } else if(resp.ok && data && data.success){ try{ sessionStorage.setItem('admin_jwt', data.data.token); }catch(_){} location.href='/admin.html'; } else { if(data && data.challengeExpired){ challenge=null; showStep(false); } msg.textContent = (data && data.error) || ('HTTP '+resp.status); msg.style.display='block'; } } catch(e){ msg.textContent = '请求失败'; msg.style.display='block'; } }); </script></body></html>`;
   return new Response(html, { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
 }
 
@@ -0,0 +1,70 @@
+/**
+ * 分类树遍历工具模块
+ * 统一处理任意层级的分类树：展开网站列表、统计数量
+ */
+
+/**
+ * 最大遍历深度（防御异常数据导致的深递归）
+ */
+const MAX_DEPTH = 50;
+
+/**
+ * 深度优先遍历分类树
+ * @param {Array} categories - 顶层分类
+ * @param {(node:Object, ctx:{path:string[], pathIds:string[], depth:number}) => void} visit - 访问回调
+ */
+export function walkCategories(categories, visit) {
+  const walk = (nodes, path, pathIds, depth) => {
+    if (!Array.isArray(nodes) || depth >= MAX_DEPTH) return;
+    for (const node of nodes) {
+      if (!node) continue;
+      const nodePath = [...path, node.title];
+      const nodePathIds = [...pathIds, node.id || node.title];
+      visit(node, { path: nodePath, pathIds: nodePathIds, depth });
+      walk(node.children, nodePath, nodePathIds, depth + 1);
+    }
+  };
+  walk(categories, [], [], 0);
+}
+
+/**
+ * 展开所有层级的网站
+ * 每项在网站字段基础上附加：
+ * - category: 面包屑字符串，如 "开发工具 / 代码托管"
+ * - categoryId: 各级分类ID以 "/" 连接
+ * - path / pathIds: 从顶层到所属分类的标题与ID数组
+ * @param {Array} categories - 顶层分类
+ * @returns {Array<Object>}
+ */
+export function flattenSites(categories) {
+  const result = [];
+  walkCategories(categories, (node, { path, pathIds }) => {
+    if (!Array.isArray(node.sites)) return;
+    for (const site of node.sites) {
+      if (!site) continue;
+      result.push({
+        ...site,
+        category: path.join(' / '),
+        categoryId: pathIds.join('/'),
+        path,
+        pathIds
+      });
+    }
+  });
+  return result;
+}
+
+/**
+ * 统计所有层级的分类与网站数量
+ * @param {Array} categories - 顶层分类
+ * @returns {{categories:number, sites:number}}
+ */
+export function countTree(categories) {
+  let categoryCount = 0;
+  let siteCount = 0;
+  walkCategories(categories, (node) => {
+    categoryCount += 1;
+    siteCount += Array.isArray(node.sites) ? node.sites.length : 0;
+  });
+  return { categories: categoryCount, sites: siteCount };
+}
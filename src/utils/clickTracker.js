@@ -0,0 +1,122 @@
+/**
+ * 网站访问计数模块
+ * 点击先在当前 Worker 实例的内存中累加，延迟一段时间后合并写入 KV（按天分桶），
+ * 避免每次点击都产生 KV 写入；实例在写入前被回收时，少量计数可能丢失
+ */
+
+import { KVStorageManager } from './kvStorage.js';
+import { walkCategories } from './categoryTree.js';
+
+/**
+ * 首次点击后等待多久合并写入（需小于 waitUntil 的 30 秒上限）
+ */
+export const CLICK_FLUSH_DELAY_MS = 10 * 1000;
+
+/**
+ * 单次上报最多接受的网站数量
+ */
+export const CLICK_BATCH_MAX_IDS = 20;
+
+/**
+ * 管理数据中“近期访问”的统计天数
+ */
+export const CLICK_RECENT_DAYS = 30;
+
+/** @type {Map<string, Map<string, number>>} 日期 → (网站ID → 次数) */
+const pendingDaily = new Map();
+/** @type {Map<string, number>} 网站ID → 最后访问时间戳 */
+const pendingLast = new Map();
+/** @type {Promise<number>|null} 已安排的合并写入 */
+let scheduledFlush = null;
+
+/**
+ * 记录网站访问（仅写入内存，并安排一次延迟写入）
+ * @param {Object} env - 环境对象
+ * @param {string[]} siteIds - 网站ID列表（已校验格式）
+ * @param {{waitUntil?: Function}} [ctx] - 执行上下文，用于让写入在响应返回后继续完成
+ * @param {number} [now] - 当前时间戳（ms）
+ */
+export function recordClicks(env, siteIds, ctx, now = Date.now()) {
+  const date = new Date(now).toISOString().slice(0, 10);
+  const counts = pendingDaily.get(date) || new Map();
+  pendingDaily.set(date, counts);
+  for (const id of siteIds) {
+    counts.set(id, (counts.get(id) || 0) + 1);
+    pendingLast.set(id, now);
+  }
+
+  if (!scheduledFlush) {
+    scheduledFlush = new Promise(resolve => setTimeout(resolve, CLICK_FLUSH_DELAY_MS))
+      .then(() => {
+        // 写入开始后到达的点击会安排下一次写入
+        scheduledFlush = null;
+        return flushClicks(env);
+      });
+  }
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(scheduledFlush);
+  }
+}
+
+/**
+ * 将内存中的访问计数合并写入 KV
+ * 仅保留当前导航数据中存在的网站，写入失败时计数放回内存等待下次写入
+ * @param {Object} env - 环境对象
+ * @returns {Promise<number>} 写入的访问次数
+ */
+export async function flushClicks(env) {
+  if (pendingDaily.size === 0) return 0;
+
+  const daily = {};
+  for (const [date, counts] of pendingDaily) daily[date] = Object.fromEntries(counts);
+  const last = Object.fromEntries(pendingLast);
+  pendingDaily.clear();
+  pendingLast.clear();
+
+  try {
+    const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+    const data = await kvManager.getNavigationData();
+    const knownIds = new Set();
+    walkCategories(data && data.categories, (node) => {
+      (Array.isArray(node.sites) ? node.sites : []).forEach(site => {
+        if (site && site.id) knownIds.add(site.id);
+      });
+    });
+    return await kvManager.addClicks(daily, last, knownIds);
+  } catch (error) {
+    console.warn('写入访问计数失败:', error);
+    for (const [date, counts] of Object.entries(daily)) {
+      const target = pendingDaily.get(date) || new Map();
+      pendingDaily.set(date, target);
+      for (const [id, n] of Object.entries(counts)) target.set(id, (target.get(id) || 0) + n);
+    }
+    for (const [id, ts] of Object.entries(last)) {
+      pendingLast.set(id, Math.max(pendingLast.get(id) || 0, ts));
+    }
+    return 0;
+  }
+}
+
+/**
+ * 汇总每个网站的访问计数（供管理数据使用）
+ * @param {KVStorageManager} kvManager
+ * @param {number} [days] - 近期统计天数
+ * @returns {Promise<{recentDays:number, sites:Object<string, {total:number, recent:number, lastClickedAt:string|null}>}>}
+ */
+export async function getClickSummary(kvManager, days = CLICK_RECENT_DAYS) {
+  const [totals, buckets] = await Promise.all([
+    kvManager.getClickTotals(),
+    kvManager.getClickBuckets(days)
+  ]);
+
+  const sites = {};
+  for (const [id, entry] of Object.entries(totals)) {
+    sites[id] = { total: Number(entry.total) || 0, recent: 0, lastClickedAt: entry.lastClickedAt || null };
+  }
+  for (const { counts } of buckets) {
+    for (const [id, n] of Object.entries(counts)) {
+      if (sites[id]) sites[id].recent += Number(n) || 0;
+    }
+  }
+  return { recentDays: days, sites };
+}
@@ -0,0 +1,251 @@
+/**
+ * 网站图标（favicon）发现模块
+ * 按顺序尝试：
+ * 1. 网页声明的图标：<link rel="icon">、apple-touch-icon 与 Web App Manifest 中的 icons，按尺寸择优
+ * 2. 站点根目录的 /favicon.ico
+ * 3. 设置中启用的第三方图标服务（按设置顺序）
+ * 每个候选都会校验响应大小与文件头（按文件头确定真实的图片类型），通过校验的第一个即为结果
+ * 所有请求经过 outboundFetch.js，网页中声明的图标指向内网地址时同样会被拒绝；
+ * 传入子请求额度时，额度用尽会中止发现并抛出 SubrequestBudgetError，而不是当作没有图标
+ */
+
+import { fetchPageMetadata } from './pageMetadata.js';
+import { FAVICON_MAX_BYTES } from './kvStorage.js';
+import { outboundFetch, readLimitedBody, isPublicHostname, SubrequestBudgetError } from './outboundFetch.js';
+
+/**
+ * 单次抓取图标/manifest 的超时（毫秒）
+ */
+const FAVICON_TIMEOUT_MS = 5000;
+
+/**
+ * manifest 文件的最大字节数
+ */
+const MANIFEST_MAX_BYTES = 64 * 1024;
+
+/**
+ * 理想的图标边长（像素）：卡片图标按 32px 显示，兼顾高分屏
+ */
+const TARGET_ICON_SIZE = 64;
+
+/**
+ * 网页声明的图标最多尝试的个数（控制子请求数）
+ */
+const MAX_PAGE_ICON_ATTEMPTS = 3;
+
+/**
+ * 第三方图标服务
+ * - title: 后台显示名称
+ * - url(host): 图标地址
+ */
+export const FAVICON_PROVIDERS = {
+  duckduckgo: {
+    title: 'DuckDuckGo',
+    url: (host) => `https://icons.duckduckgo.com/ip3/${encodeURIComponent(host)}.ico`
+  },
+  google: {
+    title: 'Google',
+    url: (host) => `https://www.google.com/s2/favicons?domain=${encodeURIComponent(host)}&sz=${TARGET_ICON_SIZE}`
+  },
+  iconhorse: {
+    title: 'Icon Horse',
+    url: (host) => `https://icon.horse/icon/${encodeURIComponent(host)}`
+  }
+};
+
+/**
+ * 抓取图标或 manifest，读取不超过上限的响应体（地址检查、超时与重定向限制见 outboundFetch.js）
+ * @param {string} url
+ * @param {string} accept
+ * @param {number} maxBytes
+ * @param {SubrequestBudget} [budget] - 子请求额度
+ * @returns {Promise<{bytes:Uint8Array, url:string}|null>} 失败、非 2xx 或超过上限时返回 null；url 为跳转后的地址
+ * @throws {SubrequestBudgetError} 额度已用完
+ */
+async function fetchLimited(url, accept, maxBytes, budget) {
+  try {
+    return await outboundFetch(url, {
+      budget,
+      timeoutMs: FAVICON_TIMEOUT_MS,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; NavigationFaviconFetcher/1.0)', 'Accept': accept }
+    }, async (response, info) => {
+      if (!response.ok) return null;
+      const bytes = await readLimitedBody(response, maxBytes);
+      return bytes ? { bytes, url: info.url } : null;
+    });
+  } catch (error) {
+    if (error instanceof SubrequestBudgetError) throw error;
+    return null;
+  }
+}
+
+/**
+ * 按文件头识别图片类型（不信任响应头：不少站点对 .ico 返回 octet-stream，或对不存在的图标返回 200 的 HTML）
+ * @param {Uint8Array} bytes
+ * @returns {string|null} MIME 类型，无法识别时返回 null
+ */
+export function sniffImageType(bytes) {
+  if (!bytes || bytes.length < 4) return null;
+  const startsWith = (...values) => values.every((value, i) => bytes[i] === value);
+  if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+  if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+  if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+  if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+  if (startsWith(0x52, 0x49, 0x46, 0x46) && bytes.length >= 12 &&
+      String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+    return 'image/webp';
+  }
+  const text = new TextDecoder().decode(bytes.subarray(0, 1024)).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+/**
+ * 抓取并校验单个图标
+ * @param {string} url
+ * @param {{budget?:SubrequestBudget}} [options] - budget: 子请求额度
+ * @returns {Promise<{contentType:string, bytes:Uint8Array}|null>}
+ */
+export async function fetchIcon(url, options = {}) {
+  const result = await fetchLimited(url, 'image/avif,image/webp,image/svg+xml,image/*;q=0.8,*/*;q=0.5', FAVICON_MAX_BYTES, options.budget);
+  const contentType = result && sniffImageType(result.bytes);
+  return contentType ? { contentType, bytes: result.bytes } : null;
+}
+
+/**
+ * 解析图标的边长（取 sizes 中最大的一项）
+ * @param {{sizes?:string, type?:string, href:string}} icon
+ * @returns {number} SVG 或 sizes="any" 返回 Infinity，未声明时返回 0
+ */
+function parseIconSize(icon) {
+  const sizes = String(icon.sizes || '').toLowerCase();
+  if (sizes.split(/\s+/).includes('any') || /svg/i.test(icon.type || '') || /\.svg(\?|#|$)/i.test(icon.href)) {
+    return Infinity;
+  }
+  let best = 0;
+  for (const match of sizes.matchAll(/(\d+)x(\d+)/g)) {
+    best = Math.max(best, Math.min(Number(match[1]), Number(match[2])));
+  }
+  return best;
+}
+
+/**
+ * 图标与理想尺寸的差距（越小越好）：矢量图最优，偏小的图标放大后模糊，比偏大的扣分更多
+ * @param {{size:number, source:string}} candidate
+ * @returns {number}
+ */
+function scoreIcon(candidate) {
+  // 未声明尺寸时按惯例估算：apple-touch-icon 通常为 180px，普通图标通常为 16/32px
+  const size = candidate.size || (candidate.source === 'apple-touch-icon' ? 180 : 32);
+  if (size === Infinity) return 0;
+  return size >= TARGET_ICON_SIZE ? size - TARGET_ICON_SIZE : (TARGET_ICON_SIZE - size) * 4;
+}
+
+/**
+ * 读取 Web App Manifest 中的图标
+ * @param {string} manifestUrl
+ * @param {SubrequestBudget} [budget] - 子请求额度
+ * @returns {Promise<Array<{href:string, sizes:string, type:string}>>}
+ */
+async function loadManifestIcons(manifestUrl, budget) {
+  const result = await fetchLimited(manifestUrl, 'application/manifest+json,application/json;q=0.9,*/*;q=0.5', MANIFEST_MAX_BYTES, budget);
+  if (!result) return [];
+  try {
+    const manifest = JSON.parse(new TextDecoder().decode(result.bytes));
+    const icons = Array.isArray(manifest && manifest.icons) ? manifest.icons : [];
+    return icons
+      // maskable/monochrome 图标带安全边距或为单色，不适合直接显示
+      .filter(icon => icon && typeof icon.src === 'string' &&
+        (!icon.purpose || String(icon.purpose).split(/\s+/).includes('any')))
+      .map(icon => {
+        try {
+          const href = new URL(icon.src, result.url).href;
+          return /^https?:/.test(href) ? { href, sizes: String(icon.sizes || ''), type: String(icon.type || '') } : null;
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * 从网页收集图标候选，并按尺寸排序
+ * @param {string} pageUrl
+ * @param {SubrequestBudget} [budget] - 子请求额度
+ * @returns {Promise<{origin:string, candidates:Array<{href:string, size:number, source:string}>}>}
+ */
+async function collectPageIcons(pageUrl, budget) {
+  let metadata;
+  try {
+    metadata = await fetchPageMetadata(pageUrl, { budget });
+  } catch (error) {
+    if (error instanceof SubrequestBudgetError) throw error;
+    return { origin: new URL(pageUrl).origin, candidates: [] };
+  }
+
+  const candidates = [];
+  for (const icon of metadata.icons || []) {
+    const rel = icon.rel.split(' ');
+    // mask-icon 为 Safari 固定标签页使用的单色图标，不适合直接显示
+    if (rel.includes('mask-icon')) continue;
+    const source = rel.some(r => r.startsWith('apple-touch-icon')) ? 'apple-touch-icon' : 'link-icon';
+    candidates.push({ href: icon.href, size: parseIconSize(icon), source });
+  }
+  if (metadata.manifest) {
+    for (const icon of await loadManifestIcons(metadata.manifest, budget)) {
+      if (candidates.some(c => c.href === icon.href)) continue;
+      candidates.push({ href: icon.href, size: parseIconSize(icon), source: 'manifest' });
+    }
+  }
+
+  candidates.sort((a, b) => scoreIcon(a) - scoreIcon(b));
+  return { origin: new URL(metadata.finalUrl || pageUrl).origin, candidates };
+}
+
+/**
+ * 发现站点图标
+ * @param {string} host - 主机名
+ * @param {{pageUrl?:string, providers?:string[], budget?:SubrequestBudget}} [options]
+ *   - pageUrl: 用于解析图标声明的网页，默认 https://<host>/（内网或子路径应用传入网站地址更准确）
+ *   - providers: 按顺序尝试的第三方服务（FAVICON_PROVIDERS 的键）
+ *   - budget: 子请求额度
+ * @returns {Promise<{contentType:string, bytes:Uint8Array, source:string, url:string}|null>}
+ *   source 为命中的来源：link-icon、apple-touch-icon、manifest、favicon.ico 或第三方服务的键
+ * @throws {SubrequestBudgetError} 额度在找到图标前用尽
+ */
+export async function discoverFavicon(host, options = {}) {
+  // 内网、本机地址与格式无效的主机不抓取（由调用方改用字母头像）
+  if (!isPublicHostname(host)) return null;
+  let pageUrl = `https://${host}/`;
+  try {
+    const candidate = new URL(options.pageUrl);
+    if ((candidate.protocol === 'http:' || candidate.protocol === 'https:') && candidate.hostname === host) {
+      pageUrl = candidate.href;
+    }
+  } catch (_) { /* 使用默认首页 */ }
+
+  const attempts = [];
+  const { origin, candidates } = await collectPageIcons(pageUrl, options.budget);
+  for (const candidate of candidates.slice(0, MAX_PAGE_ICON_ATTEMPTS)) {
+    attempts.push({ url: candidate.href, source: candidate.source });
+  }
+  const rootIcon = `${origin}/favicon.ico`;
+  if (!attempts.some(attempt => attempt.url === rootIcon)) {
+    attempts.push({ url: rootIcon, source: 'favicon.ico' });
+  }
+  for (const key of options.providers || []) {
+    const provider = FAVICON_PROVIDERS[key];
+    if (provider) attempts.push({ url: provider.url(host), source: key });
+  }
+
+  for (const attempt of attempts) {
+    const icon = await fetchIcon(attempt.url, { budget: options.budget });
+    if (icon) return { ...icon, source: attempt.source, url: attempt.url };
+  }
+  return null;
+}
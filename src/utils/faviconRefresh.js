@@ -0,0 +1,254 @@
+/**
+ * 网站图标（favicon）抓取与刷新模块
+ * 图标按 host 缓存在 KV（fav:<host>），网站通过 /api/favicon/<host> 引用；
+ * 抓取不到图标时缓存按网站名称生成的字母头像（source 为 avatar），之后抓取成功会被真实图标替换
+ * 供网站管理接口（新增/修改网站、手动刷新）、图标读取路由与定时任务共用
+ */
+
+import { KVStorageManager, bytesToBase64 } from './kvStorage.js';
+import { getNavigationDataWithFallback } from '../data/navigationData.js';
+import { walkCategories } from './categoryTree.js';
+import { discoverFavicon } from './faviconDiscovery.js';
+import { createLetterAvatar } from './letterAvatar.js';
+import { loadSettings } from './settings.js';
+import { normalizeHostname, SubrequestBudget, SubrequestBudgetError } from './outboundFetch.js';
+
+/**
+ * 图标超过该时间未刷新视为过期
+ */
+export const FAVICON_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 从URL提取host
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function extractHost(url) {
+  try { return new URL(String(url)).hostname; } catch (_) { return null; }
+}
+
+/**
+ * 缓存字母头像
+ * @param {KVStorageManager} kvManager
+ * @param {string} host
+ * @param {string} [title] - 网站名称，为空时按域名生成
+ * @returns {Promise<boolean>}
+ */
+async function cacheLetterAvatar(kvManager, host, title) {
+  if (normalizeHostname(host) !== host) return false;
+  const svg = createLetterAvatar({ host, title });
+  return kvManager.putFavicon(host, 'image/svg+xml', bytesToBase64(new TextEncoder().encode(svg)), { source: 'avatar' });
+}
+
+/**
+ * 抓取并缓存favicon（发现顺序见 faviconDiscovery.js，第三方服务按设置启用）
+ * 后台固定的图标不会被替换；抓取失败时：已缓存真实图标则保留；否则缓存字母头像（未提供网站名称时不覆盖已有头像）
+ * @param {KVStorageManager} kvManager
+ * @param {string} host
+ * @param {{url?:string, title?:string}} [site] - 网站：url 用于从网页中解析图标声明（默认站点首页），title 用于生成字母头像
+ * @param {{budget?:SubrequestBudget}} [options] - budget: 子请求额度
+ * @returns {Promise<{ok:boolean, path?:string, source?:string}>}
+ * @throws {SubrequestBudgetError} 额度在抓取完成前用尽（不会缓存字母头像）
+ */
+export async function fetchAndCacheFavicon(kvManager, host, site = {}, options = {}) {
+  // 只接受规范的主机名（小写、无端口），避免把任意路径参数写入 KV
+  if (normalizeHostname(host) !== host) return { ok: false };
+  const path = `/api/favicon/${encodeURIComponent(host)}`;
+  try {
+    const existing = await kvManager.getFavicon(host);
+    if (existing && existing.pinned) return { ok: true, path, source: existing.source };
+
+    const settings = await loadSettings(kvManager);
+    const icon = await discoverFavicon(host, {
+      pageUrl: site.url,
+      providers: settings.favicon.providers,
+      budget: options.budget
+    });
+    if (icon) {
+      const ok = await kvManager.putFavicon(host, icon.contentType, bytesToBase64(icon.bytes), {
+        source: icon.source,
+        sourceUrl: icon.url
+      });
+      return ok ? { ok: true, path, source: icon.source } : { ok: false };
+    }
+
+    if (!existing || (existing.source === 'avatar' && site.title)) {
+      const ok = await cacheLetterAvatar(kvManager, host, site.title);
+      if (ok) return { ok: true, path, source: 'avatar' };
+    }
+  } catch (error) {
+    if (error instanceof SubrequestBudgetError) throw error;
+    console.warn(`抓取favicon失败: ${host}`, error);
+  }
+  return { ok: false };
+}
+
+/**
+ * 收集网站对应的主机（同一主机取第一个网站）
+ * @param {KVStorageManager} kvManager
+ * @param {(site:Object) => boolean} [filter]
+ * @returns {Promise<Map<string, Object>>} host -> 网站
+ */
+async function collectSitesByHost(kvManager, filter = () => true) {
+  let nav = await kvManager.getNavigationData();
+  if (!nav) nav = await getNavigationDataWithFallback(kvManager);
+  const sites = new Map();
+  walkCategories(nav && nav.categories, (node) => {
+    if (!Array.isArray(node.sites)) return;
+    for (const site of node.sites) {
+      const host = site && extractHost(site.url);
+      if (host && !sites.has(host) && filter(site)) sites.set(host, site);
+    }
+  });
+  return sites;
+}
+
+/**
+ * 查找使用该主机的第一个网站
+ * @param {KVStorageManager} kvManager
+ * @param {string} host
+ * @returns {Promise<Object|null>}
+ */
+export async function findSiteByHost(kvManager, host) {
+  const sites = await collectSitesByHost(kvManager, site => extractHost(site.url) === host);
+  return sites.get(host) || null;
+}
+
+/**
+ * 重新生成字母头像：只处理尚未缓存图标或缓存的是字母头像的主机（不会覆盖真实图标）
+ * 网站改名或头像样式调整后使用，不会重新抓取图标
+ * @param {Object} env - 环境对象
+ * @param {{urls?:string[]}} [options] - 传入 urls 时只处理这些网站地址对应的主机
+ * @returns {Promise<{total:number, regenerated:number}>}
+ */
+export async function regenerateAvatars(env, options = {}) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const wanted = new Set((options.urls || []).map(extractHost).filter(Boolean));
+  const sites = await collectSitesByHost(kvManager, site => wanted.size === 0 || wanted.has(extractHost(site.url)));
+
+  let regenerated = 0;
+  for (const [host, site] of sites) {
+    const existing = await kvManager.getFavicon(host);
+    if (existing && (existing.source !== 'avatar' || existing.pinned)) continue;
+    if (await cacheLetterAvatar(kvManager, host, site.title)) regenerated += 1;
+  }
+  return { total: sites.size, regenerated };
+}
+
+/**
+ * 后台替换或清除某个主机的图标后，为对应网站的 favicon 地址加上新的版本参数，
+ * 使浏览器与边缘缓存中的旧图标失效
+ * @param {Object} env - 环境对象
+ * @param {string} host
+ * @param {{author?:string}} [options]
+ * @returns {Promise<number>} 更新的网站数
+ */
+export async function bumpSiteFavicons(env, host, options = {}) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const nav = await kvManager.getNavigationData();
+  if (!nav || !Array.isArray(nav.categories)) return 0;
+
+  const path = `/api/favicon/${encodeURIComponent(host)}`;
+  const favicon = `${path}?v=${Date.now().toString(36)}`;
+  let updated = 0;
+  walkCategories(nav.categories, (node) => {
+    if (!Array.isArray(node.sites)) return;
+    node.sites = node.sites.map(site => {
+      if (!site || (extractHost(site.url) !== host && String(site.favicon || '').split('?')[0] !== path)) return site;
+      updated += 1;
+      return { ...site, favicon };
+    });
+  });
+  if (updated > 0) {
+    await kvManager.saveNavigationData(nav, {
+      mode: 'favicon-refresh',
+      summary: `更新 ${host} 的图标`,
+      author: options.author,
+      skipHistory: true
+    });
+  }
+  return updated;
+}
+
+/**
+ * 刷新一批主机的图标，并让对应网站引用 /api/favicon/<host>
+ * - 传入 urls 时只刷新这些网站地址对应的主机
+ * - 否则 force=true 刷新全部网站，force=false 只刷新超过 7 天或从未刷新的网站
+ * - limit 限制本次刷新的主机数（定时任务受子请求数限制）；候选超过上限时随机挑选，
+ *   避免始终抓取失败的主机每次都占满名额
+ * - budget 为子请求额度（未提供时使用本次调用的默认额度），用尽时提前结束，未处理的主机计入 remaining
+ * @param {Object} env - 环境对象
+ * @param {{urls?:string[], force?:boolean, limit?:number, author?:string, budget?:SubrequestBudget}} [options]
+ * @returns {Promise<{total:number, refreshed:number, remaining:number}>} total 为本次处理的主机数
+ */
+export async function refreshFavicons(env, options = {}) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const now = Date.now();
+  let sites;
+  if (Array.isArray(options.urls) && options.urls.length > 0) {
+    const wanted = new Set(options.urls.map(extractHost).filter(Boolean));
+    sites = await collectSitesByHost(kvManager, site => wanted.has(extractHost(site.url)));
+    // 尚未加入导航的地址也照常抓取
+    for (const url of options.urls) {
+      const host = extractHost(url);
+      if (host && !sites.has(host)) sites.set(host, { url });
+    }
+  } else {
+    sites = await collectSitesByHost(kvManager, (site) => {
+      const ts = Number(site.faviconUpdatedAt || 0);
+      return options.force || !ts || (now - ts) > FAVICON_MAX_AGE_MS;
+    });
+  }
+  let hosts = Array.from(sites.keys());
+
+  const candidates = hosts.length;
+  const limit = Math.floor(Number(options.limit));
+  if (limit > 0 && hosts.length > limit) {
+    for (let i = hosts.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [hosts[i], hosts[j]] = [hosts[j], hosts[i]];
+    }
+    hosts = hosts.slice(0, limit);
+  }
+
+  const budget = options.budget || new SubrequestBudget();
+  const refreshedHosts = new Set();
+  let attempted = 0;
+  for (const host of hosts) {
+    try {
+      const result = await fetchAndCacheFavicon(kvManager, host, sites.get(host), { budget });
+      if (result.ok) refreshedHosts.add(host);
+    } catch (error) {
+      if (!(error instanceof SubrequestBudgetError)) throw error;
+      break;
+    }
+    attempted += 1;
+  }
+
+  if (refreshedHosts.size > 0) {
+    // 抓取耗时较长，期间可能有其他写入：重新读取最新快照，只更新已刷新主机对应网站的图标字段
+    const freshManager = new KVStorageManager(env.NAVIGATION_KV);
+    let nav = await freshManager.getNavigationData();
+    if (!nav) nav = await getNavigationDataWithFallback(freshManager);
+    if (nav && Array.isArray(nav.categories)) {
+      walkCategories(nav.categories, (node) => {
+        if (!Array.isArray(node.sites)) return;
+        node.sites = node.sites.map(site => {
+          const host = site && extractHost(site.url);
+          if (host && refreshedHosts.has(host)) {
+            return { ...site, favicon: `/api/favicon/${encodeURIComponent(host)}`, faviconUpdatedAt: now };
+          }
+          return site;
+        });
+      });
+      await freshManager.saveNavigationData(nav, {
+        mode: 'favicon-refresh',
+        summary: `刷新 ${refreshedHosts.size} 个站点图标`,
+        author: options.author,
+        skipHistory: true
+      });
+    }
+  }
+
+  return { total: attempted, refreshed: refreshedHosts.size, remaining: candidates - attempted };
+}
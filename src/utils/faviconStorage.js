@@ -0,0 +1,206 @@
+/**
+ * favicon 存储维护模块
+ * 图标内容按哈希保存在 favblob:<hash>，fav:<host> 为 host 到哈希的映射（见 kvStorage.js）。
+ * 垃圾回收删除没有网站引用的映射与没有映射引用的内容，并把旧版（直接保存内容的）条目转换为新格式；
+ * 图标列表与存储统计供后台“图标”页查看
+ */
+
+import { KVStorageManager, FAVICON_MAX_BYTES } from './kvStorage.js';
+import { walkCategories } from './categoryTree.js';
+import { extractHost } from './faviconRefresh.js';
+
+/**
+ * 新写入的映射与内容在该时间内不清理：新增网站时先缓存图标、后保存导航数据，
+ * 二者之间运行的垃圾回收不应误删
+ */
+const GC_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * 单次垃圾回收最多执行的删除/转换次数（控制 KV 操作数）
+ */
+const GC_MAX_OPERATIONS = 200;
+
+/**
+ * 统计中列出的最大图标数
+ */
+const USAGE_TOP_COUNT = 10;
+
+/**
+ * 收集导航数据中引用的 host：网站地址的 host，以及 favicon 字段指向的 /api/favicon/<host>
+ * @param {Object|null} data - 导航数据
+ * @returns {{hosts:Map<string, Array<{id:string, title:string}>>, sites:number}} host -> 引用的网站
+ */
+function collectReferencedHosts(data) {
+  const hosts = new Map();
+  let sites = 0;
+  const add = (host, site) => {
+    if (!hosts.has(host)) hosts.set(host, []);
+    const list = hosts.get(host);
+    if (!list.some(item => item.id === site.id)) list.push({ id: site.id, title: site.title });
+  };
+  walkCategories(data && data.categories, (node) => {
+    if (!Array.isArray(node.sites)) return;
+    for (const site of node.sites) {
+      if (!site) continue;
+      sites += 1;
+      const host = extractHost(site.url);
+      if (host) add(host, site);
+      const match = /^\/api\/favicon\/([^?#]+)/.exec(String(site.favicon || ''));
+      if (match) {
+        try { add(decodeURIComponent(match[1]), site); } catch (_) { /* 忽略无效编码 */ }
+      }
+    }
+  });
+  return { hosts, sites };
+}
+
+/**
+ * 列出所有已缓存的图标及引用它们的网站，另附尚未缓存图标的 host
+ * @param {Object} env - 环境对象
+ * @returns {Promise<{items:Array<Object>, missing:Array<{host:string, sites:Array<Object>}>}>}
+ */
+export async function listFavicons(env) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const [data, entries] = await Promise.all([
+    kvManager.getNavigationData(),
+    kvManager.listFaviconEntries()
+  ]);
+  const referenced = collectReferencedHosts(data);
+  const items = entries
+    .map(entry => ({ ...entry, sites: referenced.hosts.get(entry.host) || [] }))
+    .sort((a, b) => a.host.localeCompare(b.host));
+  const cached = new Set(entries.map(entry => entry.host));
+  const missing = [...referenced.hosts.entries()]
+    .filter(([host]) => !cached.has(host))
+    .map(([host, sites]) => ({ host, sites }))
+    .sort((a, b) => a.host.localeCompare(b.host));
+  return { items, missing };
+}
+
+/**
+ * 运行一次 favicon 垃圾回收
+ * 导航数据缺失或没有任何网站时不删除映射，避免数据异常时清空全部图标
+ * @param {Object} env - 环境对象
+ * @param {{now?:number}} [options]
+ * @returns {Promise<{hosts:number, removedHosts:number, migrated:number, removedBlobs:number, freedBytes:number, remaining:number}>}
+ */
+export async function collectFaviconGarbage(env, options = {}) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const now = options.now || Date.now();
+  const result = { hosts: 0, removedHosts: 0, migrated: 0, removedBlobs: 0, freedBytes: 0, remaining: 0 };
+  if (!kvManager.isAvailable()) return result;
+
+  const data = await kvManager.getNavigationData();
+  const referenced = collectReferencedHosts(data);
+  const entries = await kvManager.listFaviconEntries();
+  let budget = GC_MAX_OPERATIONS;
+  const kept = [];
+
+  for (const entry of entries) {
+    const orphan = referenced.sites > 0 && !referenced.hosts.has(entry.host) && now - entry.updatedAt > GC_GRACE_MS;
+    if (orphan && budget > 0) {
+      budget -= 1;
+      if (await kvManager.deleteFavicon(entry.host)) {
+        result.removedHosts += 1;
+        continue;
+      }
+    } else if (orphan) {
+      result.remaining += 1;
+    }
+    kept.push(entry);
+  }
+
+  // 旧版条目：重新写入即转换为哈希存储（超过大小上限的保留原样）
+  const referencedHashes = new Set();
+  for (const entry of kept) {
+    if (!entry.legacy) {
+      referencedHashes.add(entry.hash);
+      continue;
+    }
+    if (budget <= 0) {
+      result.remaining += 1;
+      continue;
+    }
+    budget -= 1;
+    const stored = await kvManager.getFavicon(entry.host);
+    if (stored && stored.data && await kvManager.putFavicon(entry.host, stored.contentType, stored.data, stored)) {
+      result.migrated += 1;
+      const migrated = await kvManager.getFavicon(entry.host);
+      if (migrated && migrated.hash) referencedHashes.add(migrated.hash);
+    }
+  }
+  result.hosts = kept.length;
+
+  for (const blob of await kvManager.listFaviconBlobs()) {
+    if (referencedHashes.has(blob.hash) || now - blob.createdAt <= GC_GRACE_MS) continue;
+    if (budget <= 0) {
+      result.remaining += 1;
+      continue;
+    }
+    budget -= 1;
+    if (await kvManager.deleteFaviconBlob(blob.hash)) {
+      result.removedBlobs += 1;
+      result.freedBytes += blob.size;
+    }
+  }
+  return result;
+}
+
+/**
+ * 统计 favicon 存储占用
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Object>}
+ */
+export async function getFaviconUsage(env) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const [data, entries, blobs] = await Promise.all([
+    kvManager.getNavigationData(),
+    kvManager.listFaviconEntries(),
+    kvManager.listFaviconBlobs()
+  ]);
+  const referenced = collectReferencedHosts(data);
+
+  const hostsByHash = new Map();
+  const bySource = {};
+  let logicalBytes = 0;
+  for (const entry of entries) {
+    const source = entry.legacy ? 'legacy' : entry.source || 'unknown';
+    bySource[source] = (bySource[source] || 0) + 1;
+    if (entry.legacy) continue;
+    logicalBytes += entry.size;
+    if (!hostsByHash.has(entry.hash)) hostsByHash.set(entry.hash, []);
+    hostsByHash.get(entry.hash).push(entry.host);
+  }
+
+  let storedBytes = 0;
+  let orphanBlobs = 0;
+  let orphanBytes = 0;
+  for (const blob of blobs) {
+    storedBytes += blob.size;
+    if (!hostsByHash.has(blob.hash)) {
+      orphanBlobs += 1;
+      orphanBytes += blob.size;
+    }
+  }
+
+  const largest = [...blobs]
+    .sort((a, b) => b.size - a.size)
+    .slice(0, USAGE_TOP_COUNT)
+    .map(blob => ({ ...blob, hosts: hostsByHash.get(blob.hash) || [] }));
+
+  return {
+    maxBytes: FAVICON_MAX_BYTES,
+    hosts: entries.length,
+    orphanHosts: referenced.sites > 0 ? entries.filter(entry => !referenced.hosts.has(entry.host)).length : 0,
+    legacyHosts: bySource.legacy || 0,
+    blobs: blobs.length,
+    sharedBlobs: [...hostsByHash.values()].filter(hosts => hosts.length > 1).length,
+    orphanBlobs,
+    storedBytes,
+    logicalBytes,
+    savedBytes: Math.max(0, logicalBytes - (storedBytes - orphanBytes)),
+    orphanBytes,
+    bySource,
+    largest
+  };
+}
@@ -3,6 +3,9 @@
  * 负责处理Cloudflare KV存储操作
  */
 
+import { ensureSiteIds, ensureSiteCreatedAt } from './siteIds.js';
+import { buildSearchIndex, isValidSearchIndex, SEARCH_INDEX_VERSION } from './searchIndex.js';
+
 /**
  * KV存储键名常量
  */
@@ -18,7 +21,90 @@ export const KV_KEYS = {
 const NAV_PREFIX = 'nav:';
 const ROOT_KEY = `${NAV_PREFIX}__root__`;
 const SNAPSHOT_KEY = `${NAV_PREFIX}__snapshot__`;
-const FAV_PREFIX = 'fav:'; // 站点favicon存储前缀，按host命名
+const FAV_PREFIX = 'fav:'; // 站点favicon映射前缀，按host命名，指向 favblob:<hash>
+const FAV_BLOB_PREFIX = 'favblob:'; // favicon图片内容，按 SHA-256 命名，多个host可共用
+const REV_PREFIX = 'rev:'; // 快照历史版本前缀
+const REV_INDEX_KEY = `${REV_PREFIX}__index__`;
+const SEARCH_INDEX_KEY = 'idx:__search__'; // 搜索倒排索引，随快照写入重建
+const CLICK_PREFIX = 'clk:'; // 网站访问计数前缀，按天分桶：clk:YYYY-MM-DD
+const CLICK_TOTALS_KEY = `${CLICK_PREFIX}__totals__`;
+const JOB_PREFIX = 'job:'; // 定时任务上次运行状态，按任务ID命名
+const AUTH_PREFIX = 'auth:'; // 管理员认证数据
+const ADMIN_CREDENTIAL_KEY = `${AUTH_PREFIX}admin`; // 管理员密码哈希与令牌签名密钥（见 adminAuth.js）
+const LOGIN_THROTTLE_PREFIX = `${AUTH_PREFIX}throttle:`; // 登录失败记录，按 global 或 ip:<IP> 命名（见 loginThrottle.js）
+const ADMIN_SESSION_PREFIX = `${AUTH_PREFIX}session:`; // 登录会话，按令牌的 jti 命名，元数据为会话信息（见 adminAuth.js）
+const TWO_FACTOR_CHALLENGE_PREFIX = `${AUTH_PREFIX}challenge:`; // 两步登录凭证，按凭证的 jti 命名，使用一次后删除（见 adminAuth.js）
+
+/**
+ * 历史版本保留策略
+ * - maxCount: 最多保留的版本数量
+ * - maxAgeDays: 超过该天数的版本会被清理（始终保留最新一个）
+ */
+export const REVISION_RETENTION = {
+  maxCount: 30,
+  maxAgeDays: 30
+};
+
+/**
+ * 访问计数按天分桶的保留天数（到期由 KV 自动删除）
+ */
+export const CLICK_RETENTION_DAYS = 120;
+
+/**
+ * 单个favicon的最大字节数，超过时拒绝写入
+ */
+export const FAVICON_MAX_BYTES = 100 * 1024;
+
+/**
+ * 访问热度半衰期（天）：热度按时间指数衰减，用于“常用网站”排序，近期访问权重更高
+ */
+export const CLICK_SCORE_HALF_LIFE_DAYS = 14;
+
+/**
+ * 计算访问热度在指定时刻衰减后的值
+ * @param {{score?:number, scoreAt?:string}} entry - 累计访问数据
+ * @param {number} [now] - 当前时间戳（ms）
+ * @returns {number}
+ */
+export function decayClickScore(entry, now = Date.now()) {
+  const score = Number(entry && entry.score) || 0;
+  const since = Date.parse(entry && entry.scoreAt);
+  if (!score || !Number.isFinite(since)) return score;
+  const days = Math.max(0, now - since) / (24 * 60 * 60 * 1000);
+  return score * Math.pow(0.5, days / CLICK_SCORE_HALF_LIFE_DAYS);
+}
+
+/**
+ * Base64 转字节数组
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(String(base64 || '')), c => c.charCodeAt(0));
+}
+
+/**
+ * 字节数组转 Base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return btoa(bin);
+}
+
+/**
+ * 计算 SHA-256 十六进制摘要
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
 
 /**
  * 对目录名进行编码，确保可作为KV键的一部分
@@ -56,6 +142,15 @@ function generateCategoryIdFromPath(segments) {
   return slugify(segments.join('/')) || 'root';
 }
 
+/**
+ * 历史版本键名（定长补零，便于按前缀列举时保持顺序）
+ * @param {number} id
+ * @returns {string}
+ */
+function revisionKey(id) {
+  return `${REV_PREFIX}${String(id).padStart(8, '0')}`;
+}
+
 /**
  * KV存储管理器
  */
@@ -93,6 +188,11 @@ export class KVStorageManager {
         return this._cache.get(cacheKey);
       }
       const snapshot = await this.kv.get(SNAPSHOT_KEY, 'json');
+      // 旧数据迁移：为缺少 id 的网站补齐确定性 id，并将添加时间标记为未知（下次写入时持久化）
+      if (snapshot && snapshot.categories) {
+        ensureSiteIds(snapshot, { deterministic: true });
+        ensureSiteCreatedAt(snapshot, null);
+      }
       if (snapshot) this._cache.set(cacheKey, snapshot);
       if (snapshot && snapshot.categories) return snapshot;
       return null;
@@ -105,22 +205,19 @@ export class KVStorageManager {
   /**
    * 保存导航数据
    * @param {Object} navigationData - 导航数据
+   * @param {{mode?:string, summary?:string, author?:string, skipHistory?:boolean}} [meta] - 版本记录信息；
+   *   skipHistory 用于链接检查、图标刷新等维护性写入，沿用当前版本号且不占用历史版本
    * @returns {Promise<boolean>} 是否保存成功
    */
-  async saveNavigationData(navigationData) {
+  async saveNavigationData(navigationData, meta = {}) {
     if (!this.isAvailable()) {
       return false;
     }
 
     try {
-      // 优先写入快照（单键写入）
-      await this.kv.put(SNAPSHOT_KEY, JSON.stringify(navigationData || { profile: {}, categories: [] }));
-      // 写后更新请求级缓存
-      try { this._cache.set(`${SNAPSHOT_KEY}::json`, navigationData || { profile: {}, categories: [] }); } catch (_) {}
-
-      // 更新时间
-      await this.#touchLastUpdated();
-
+      // 深拷贝后再写入版本号与网站 id，避免改动调用方传入的对象（例如默认数据模块）
+      const data = structuredClone(navigationData || { profile: {}, categories: [] });
+      await this.#writeSnapshot(data, { mode: 'snapshot', ...meta });
       return true;
     } catch (error) {
       console.error('保存KV导航数据失败:', error);
@@ -128,6 +225,114 @@ export class KVStorageManager {
     }
   }
 
+  /**
+   * 获取当前快照的版本号（用于 ETag / If-Match 乐观并发控制）
+   * 旧数据尚无版本号时返回 0
+   * @returns {Promise<number>}
+   */
+  async getSnapshotRevision() {
+    const snapshot = await this.getNavigationData();
+    return snapshot ? (Number(snapshot.revision) || 0) : 0;
+  }
+
+  /**
+   * 写入快照：分配单调递增的版本号、更新时间并记录历史版本
+   * 版本号与历史版本编号一致，重置后也不会回退；
+   * 维护性写入（skipHistory）沿用当前版本号，避免定时任务让管理员页面持有的 ETag 失效而触发 409
+   * @param {Object} snapshot - 完整快照（会写入 revision 字段）
+   * @param {{mode?:string, summary?:string, author?:string, skipHistory?:boolean}} meta
+   */
+  async #writeSnapshot(snapshot, meta) {
+    const [index, current] = await Promise.all([
+      this.#getRevisionIndex(),
+      this.getSnapshotRevision()
+    ]);
+    snapshot.revision = meta.skipHistory && current > 0 ? current : Math.max(index.seq, current) + 1;
+    ensureSiteIds(snapshot);
+    ensureSiteCreatedAt(snapshot, new Date().toISOString());
+    await this.kv.put(SNAPSHOT_KEY, JSON.stringify(snapshot));
+    // 写后更新请求级缓存
+    try { this._cache.set(`${SNAPSHOT_KEY}::json`, snapshot); } catch (_) {}
+    await this.saveSearchIndex(snapshot);
+    await this.#touchLastUpdated();
+    if (!meta.skipHistory) {
+      await this.#recordRevision(snapshot, meta);
+    }
+  }
+
+  /**
+   * 读取搜索索引
+   * - 缺失时根据当前快照即时构建并写入（懒重建）
+   * - 损坏、格式版本不符或落后于最新版本时不返回索引，由调用方退回线性扫描
+   * @returns {Promise<{index:Object|null, state:'fresh'|'rebuilt'|'stale'|'corrupt'|'missing'}>}
+   */
+  async loadSearchIndex() {
+    if (!this.isAvailable()) {
+      return { index: null, state: 'missing' };
+    }
+
+    let stored;
+    try {
+      stored = await this.#getStoredSearchIndex();
+    } catch (error) {
+      console.warn('读取搜索索引失败:', error);
+      return { index: null, state: 'corrupt' };
+    }
+
+    if (stored === null) {
+      const data = await this.getNavigationData();
+      const index = data ? await this.saveSearchIndex(data) : null;
+      return { index, state: index ? 'rebuilt' : 'missing' };
+    }
+    if (!isValidSearchIndex(stored)) {
+      return { index: null, state: 'corrupt' };
+    }
+    // 与快照自身的版本号比较（不是历史版本序号：不记录历史的维护性写入不会推进序号）
+    if (stored.revision < await this.getSnapshotRevision()) {
+      return { index: null, state: 'stale' };
+    }
+    return { index: stored, state: 'fresh' };
+  }
+
+  /**
+   * 由导航数据构建并写入搜索索引
+   * 不会用较旧版本的数据覆盖已有的较新索引
+   * @param {Object} data - 导航快照
+   * @returns {Promise<Object|null>} 写入的索引；失败或被跳过时返回 null
+   */
+  async saveSearchIndex(data) {
+    if (!this.isAvailable() || !data) {
+      return null;
+    }
+
+    try {
+      const cacheKey = `${SEARCH_INDEX_KEY}::json`;
+      const index = buildSearchIndex(data);
+      const current = this._cache.get(cacheKey);
+      if (isValidSearchIndex(current) && current.revision > index.revision) {
+        return null;
+      }
+      await this.kv.put(SEARCH_INDEX_KEY, JSON.stringify(index));
+      this._cache.set(cacheKey, index);
+      return index;
+    } catch (error) {
+      console.warn('写入搜索索引失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 读取已存储的搜索索引（原样返回，不做校验）
+   * @returns {Promise<Object|null>} 内容不是合法 JSON 时抛出异常
+   */
+  async #getStoredSearchIndex() {
+    const cacheKey = `${SEARCH_INDEX_KEY}::json`;
+    if (this._cache.has(cacheKey)) return this._cache.get(cacheKey);
+    const index = await this.kv.get(SEARCH_INDEX_KEY, 'json');
+    this._cache.set(cacheKey, index);
+    return index;
+  }
+
   /**
    * 删除指定前缀的所有KV键
    * @param {string} prefix
@@ -192,8 +397,9 @@ export class KVStorageManager {
    * 覆盖写入单个目录节点
    * @param {string[]} segments
    * @param {{title:string, sites:Array, children:Array}} node
+   * @param {{mode?:string, summary?:string, author?:string}} [meta] - 版本记录信息
    */
-  async putFolderNode(segments, node) {
+  async putFolderNode(segments, node, meta = {}) {
     // 仅更新快照中的对应节点（单键写入）
     const snapshot = await this.getNavigationData();
     if (snapshot && Array.isArray(snapshot.categories)) {
@@ -210,9 +416,7 @@ export class KVStorageManager {
       };
       const ok = segments.length === 0 ? false : updateNode(snapshot.categories, 0);
       if (ok) {
-        await this.kv.put(SNAPSHOT_KEY, JSON.stringify(snapshot));
-        try { this._cache.set(`${SNAPSHOT_KEY}::json`, snapshot); } catch (_) {}
-        await this.#touchLastUpdated();
+        await this.#writeSnapshot(snapshot, { mode: 'folder', summary: `更新目录 ${segments.join(' / ')}`, ...meta });
         return;
       }
     }
@@ -224,9 +428,10 @@ export class KVStorageManager {
    * 仅更新各节点的 sites 字段，保持 title/children 不变
    * 当快照不存在时回退为分别写入分层键
    * @param {Array<{segments: string[], node: {title?: string, sites: Array, children?: Array}}>} updates
+   * @param {{mode?:string, summary?:string, author?:string}} [meta] - 版本记录信息
    * @returns {Promise<void>}
    */
-  async putFolderNodesBulk(updates) {
+  async putFolderNodesBulk(updates, meta = {}) {
     if (!Array.isArray(updates) || updates.length === 0) return;
     // 去重：同一路径仅以最后一个为准
     const pathKey = (segs) => (Array.isArray(segs) ? segs.map(s => String(s || '').trim()).filter(Boolean).join('/') : '');
@@ -260,14 +465,125 @@ export class KVStorageManager {
         updateNode(snapshot.categories, segs, 0);
       }
 
-      await this.kv.put(SNAPSHOT_KEY, JSON.stringify(snapshot));
-      try { this._cache.set(`${SNAPSHOT_KEY}::json`, snapshot); } catch (_) {}
-      await this.#touchLastUpdated();
+      await this.#writeSnapshot(snapshot, { mode: 'bulk-sites', summary: `更新 ${dedup.size} 个目录的网站`, ...meta });
       return;
     }
     // 若无快照则忽略（初始化流程会保证存在快照）
   }
 
+  /**
+   * 列出历史版本（按时间倒序，不含数据本体）
+   * @returns {Promise<Array<{id:number, createdAt:string, author:string, summary:string, mode:string, size:number}>>}
+   */
+  async listRevisions() {
+    if (!this.isAvailable()) return [];
+    const index = await this.#getRevisionIndex();
+    return index.items.slice().reverse();
+  }
+
+  /**
+   * 读取单个历史版本（含数据本体）
+   * @param {number|string} id - 版本号
+   * @returns {Promise<{id:number, createdAt:string, author:string, summary:string, mode:string, data:Object}|null>}
+   */
+  async getRevision(id) {
+    if (!this.isAvailable()) return null;
+    const n = Number(id);
+    if (!Number.isInteger(n) || n <= 0) return null;
+    try {
+      const rev = await this.kv.get(revisionKey(n), 'json');
+      return rev && rev.data ? rev : null;
+    } catch (error) {
+      console.error('读取历史版本失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 按保留策略清理历史版本（始终保留最新一个）
+   * @param {number} [now] - 当前时间戳（ms），便于定时任务传入
+   * @returns {Promise<number>} 被清理的版本数量
+   */
+  async pruneRevisions(now = Date.now()) {
+    if (!this.isAvailable()) return 0;
+    const index = await this.#getRevisionIndex();
+    const removed = this.#applyRetention(index, now);
+    if (removed.length === 0) return 0;
+    await this.kv.put(REV_INDEX_KEY, JSON.stringify(index));
+    this._cache.set(`${REV_INDEX_KEY}::json`, index);
+    await Promise.all(removed.map(item => this.kv.delete(revisionKey(item.id)).catch(() => {})));
+    return removed.length;
+  }
+
+  /**
+   * 记录一次快照提交为历史版本（失败不影响主写入）
+   * @param {Object} data - 写入后的完整快照
+   * @param {{mode?:string, summary?:string, author?:string}} meta
+   */
+  async #recordRevision(data, meta = {}) {
+    try {
+      const index = await this.#getRevisionIndex();
+      const id = Number(data.revision) || index.seq + 1;
+      const body = JSON.stringify(data);
+      const item = {
+        id,
+        createdAt: new Date().toISOString(),
+        author: String(meta.author || 'admin'),
+        summary: String(meta.summary || ''),
+        mode: String(meta.mode || 'snapshot'),
+        size: body.length
+      };
+      await this.kv.put(revisionKey(id), JSON.stringify({ ...item, data }));
+      index.seq = Math.max(index.seq, id);
+      index.items.push(item);
+      const removed = this.#applyRetention(index, Date.now());
+      await this.kv.put(REV_INDEX_KEY, JSON.stringify(index));
+      this._cache.set(`${REV_INDEX_KEY}::json`, index);
+      if (removed.length > 0) {
+        await Promise.all(removed.map(r => this.kv.delete(revisionKey(r.id)).catch(() => {})));
+      }
+    } catch (error) {
+      console.warn('记录历史版本失败:', error);
+    }
+  }
+
+  /**
+   * 读取版本索引（带请求级缓存）
+   * @returns {Promise<{seq:number, items:Array}>}
+   */
+  async #getRevisionIndex() {
+    const cacheKey = `${REV_INDEX_KEY}::json`;
+    if (this._cache.has(cacheKey)) return this._cache.get(cacheKey);
+    let index = null;
+    try {
+      index = await this.kv.get(REV_INDEX_KEY, 'json');
+    } catch (_) {}
+    if (!index || !Array.isArray(index.items)) {
+      index = { seq: 0, items: [] };
+    }
+    index.seq = Number(index.seq) || index.items.reduce((m, it) => Math.max(m, Number(it.id) || 0), 0);
+    this._cache.set(cacheKey, index);
+    return index;
+  }
+
+  /**
+   * 在索引上应用保留策略，返回被移除的条目
+   * @param {{seq:number, items:Array}} index
+   * @param {number} now
+   * @returns {Array}
+   */
+  #applyRetention(index, now) {
+    const maxAge = REVISION_RETENTION.maxAgeDays * 24 * 60 * 60 * 1000;
+    const latest = index.items[index.items.length - 1];
+    const kept = index.items.filter(it => it === latest || (now - Date.parse(it.createdAt)) <= maxAge);
+    const overflow = Math.max(0, kept.length - REVISION_RETENTION.maxCount);
+    const finalItems = kept.slice(overflow);
+    const keepIds = new Set(finalItems.map(it => it.id));
+    const removed = index.items.filter(it => !keepIds.has(it.id));
+    index.items = finalItems;
+    return removed;
+  }
+
   /**
    * 从旧结构迁移到分层结构（不会删除旧数据）
    * @returns {Promise<{migrated:boolean, categories:number}>}
@@ -346,14 +662,15 @@ export class KVStorageManager {
     }
 
     try {
-      // 删除分层结构与favicon的所有键
+      // 删除分层结构与favicon的所有键（保留历史版本与系统设置，便于重置后恢复）
       await this.#deleteAllWithPrefix(NAV_PREFIX);
       await this.#deleteAllWithPrefix(FAV_PREFIX);
+      await this.#deleteAllWithPrefix(FAV_BLOB_PREFIX);
       await Promise.all([
         // 同时清理历史键位，避免旧版残留
         this.kv.delete(KV_KEYS.NAVIGATION_DATA),
-        this.kv.delete(KV_KEYS.NAVIGATION_CONFIG),
-        this.kv.delete(KV_KEYS.LAST_UPDATED)
+        this.kv.delete(KV_KEYS.LAST_UPDATED),
+        this.kv.delete(SEARCH_INDEX_KEY)
       ]);
       try { this._cache.clear(); } catch (_) {}
       return true;
@@ -389,12 +706,17 @@ export class KVStorageManager {
         const data = await this.getNavigationData();
         dataSize = data ? JSON.stringify(data).length : 0;
       }
+      const revisionIndex = await this.#getRevisionIndex();
+      const searchIndex = await this.#describeSearchIndex(await this.getSnapshotRevision());
 
       return {
         available: true,
         hasData,
         lastUpdated: lastUpdated,
-        dataSize
+        dataSize,
+        revisions: revisionIndex.items.length,
+        latestRevision: revisionIndex.seq,
+        searchIndex
       };
     } catch (error) {
       console.error('获取存储信息失败:', error);
@@ -408,9 +730,341 @@ export class KVStorageManager {
   }
 
   /**
-   * 读取已缓存的favicon
+   * 汇总搜索索引状态（供 getStorageInfo 使用）
+   * @param {number} latestRevision - 当前快照的版本号
+   * @returns {Promise<Object>}
+   */
+  async #describeSearchIndex(latestRevision) {
+    const info = { version: null, expectedVersion: SEARCH_INDEX_VERSION, state: 'missing' };
+    try {
+      const stored = await this.#getStoredSearchIndex();
+      if (!stored) return info;
+      if (!isValidSearchIndex(stored)) {
+        return { ...info, version: stored.version ?? null, state: 'corrupt' };
+      }
+      return {
+        ...info,
+        version: stored.version,
+        state: stored.revision < latestRevision ? 'stale' : 'fresh',
+        revision: stored.revision,
+        builtAt: stored.builtAt,
+        sites: stored.sites.length,
+        keys: Object.keys(stored.postings).length
+      };
+    } catch (_) {
+      return { ...info, state: 'corrupt' };
+    }
+  }
+
+  /**
+   * 合并写入网站访问计数
+   * - 按天累加到 clk:YYYY-MM-DD 分桶，同时更新累计总数、访问热度与最后访问时间
+   * - 提供 knownIds 时丢弃未知网站的计数，并从累计数据中移除已删除的网站
+   * 注意：KV 不支持原子累加，多个实例同时写入同一分桶时可能少计
+   * @param {Object<string, Object<string, number>>} dailyCounts - 日期 → { 网站ID: 次数 }
+   * @param {Object<string, number>} lastClickedAt - 网站ID → 最后访问时间戳（ms）
+   * @param {Set<string>} [knownIds] - 当前存在的网站ID
+   * @returns {Promise<number>} 写入的访问次数
+   */
+  async addClicks(dailyCounts, lastClickedAt = {}, knownIds = null) {
+    if (!this.isAvailable()) return 0;
+    const isKnown = (id) => !knownIds || knownIds.has(id);
+    let written = 0;
+
+    for (const [date, counts] of Object.entries(dailyCounts || {})) {
+      const entries = Object.entries(counts || {}).filter(([id, n]) => isKnown(id) && n > 0);
+      if (entries.length === 0) continue;
+      const key = `${CLICK_PREFIX}${date}`;
+      const bucket = (await this.kv.get(key, 'json').catch(() => null)) || {};
+      const merged = { ...(bucket.counts || {}) };
+      for (const [id, n] of entries) {
+        merged[id] = (Number(merged[id]) || 0) + n;
+        written += n;
+      }
+      await this.kv.put(key, JSON.stringify({ date, counts: merged, updatedAt: new Date().toISOString() }), {
+        expirationTtl: CLICK_RETENTION_DAYS * 24 * 60 * 60
+      });
+    }
+    if (written === 0) return 0;
+
+    const totals = await this.getClickTotals();
+    const now = Date.now();
+    for (const counts of Object.values(dailyCounts)) {
+      for (const [id, n] of Object.entries(counts || {})) {
+        if (!isKnown(id) || !(n > 0)) continue;
+        const entry = totals[id] || (totals[id] = { total: 0, lastClickedAt: null });
+        entry.total += n;
+        entry.score = decayClickScore(entry, now) + n;
+        entry.scoreAt = new Date(now).toISOString();
+        const last = Number(lastClickedAt[id]) || 0;
+        if (last && (!entry.lastClickedAt || Date.parse(entry.lastClickedAt) < last)) {
+          entry.lastClickedAt = new Date(last).toISOString();
+        }
+      }
+    }
+    if (knownIds) {
+      for (const id of Object.keys(totals)) {
+        if (!knownIds.has(id)) delete totals[id];
+      }
+    }
+    await this.kv.put(CLICK_TOTALS_KEY, JSON.stringify({ sites: totals, updatedAt: new Date().toISOString() }));
+    this._cache.set(`${CLICK_TOTALS_KEY}::json`, totals);
+    return written;
+  }
+
+  /**
+   * 读取网站累计访问次数
+   * @returns {Promise<Object<string, {total:number, lastClickedAt:string|null, score?:number, scoreAt?:string}>>}
+   */
+  async getClickTotals() {
+    if (!this.isAvailable()) return {};
+    const cacheKey = `${CLICK_TOTALS_KEY}::json`;
+    if (this._cache.has(cacheKey)) return this._cache.get(cacheKey);
+    let totals = {};
+    try {
+      const stored = await this.kv.get(CLICK_TOTALS_KEY, 'json');
+      if (stored && stored.sites && typeof stored.sites === 'object') totals = stored.sites;
+    } catch (error) {
+      console.warn('读取访问计数失败:', error);
+    }
+    this._cache.set(cacheKey, totals);
+    return totals;
+  }
+
+  /**
+   * 读取最近若干天的访问计数分桶（按日期升序，无访问的日期 counts 为空对象）
+   * @param {number} days - 天数（含今天，UTC 日期）
+   * @param {number} [now] - 当前时间戳（ms）
+   * @returns {Promise<Array<{date:string, counts:Object<string, number>}>>}
+   */
+  async getClickBuckets(days, now = Date.now()) {
+    const count = Math.max(1, Math.min(CLICK_RETENTION_DAYS, Math.floor(Number(days) || 1)));
+    const dates = [];
+    for (let i = count - 1; i >= 0; i--) {
+      dates.push(new Date(now - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+    }
+    if (!this.isAvailable()) return dates.map(date => ({ date, counts: {} }));
+    return Promise.all(dates.map(async (date) => {
+      const bucket = await this.kv.get(`${CLICK_PREFIX}${date}`, 'json').catch(() => null);
+      return { date, counts: (bucket && bucket.counts) || {} };
+    }));
+  }
+
+  /**
+   * 读取定时任务的上次运行状态
+   * @param {string[]} ids - 任务ID
+   * @returns {Promise<Object<string, Object|null>>} 任务ID -> 状态（从未运行为 null）
+   */
+  async getJobStates(ids) {
+    const states = {};
+    await Promise.all(ids.map(async (id) => {
+      states[id] = this.isAvailable()
+        ? await this.kv.get(`${JOB_PREFIX}${id}`, 'json').catch(() => null)
+        : null;
+    }));
+    return states;
+  }
+
+  /**
+   * 保存定时任务的运行状态
+   * @param {string} id - 任务ID
+   * @param {Object} state - 运行状态
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveJobState(id, state) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.put(`${JOB_PREFIX}${id}`, JSON.stringify(state));
+      return true;
+    } catch (error) {
+      console.error('保存定时任务状态失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取管理员凭据
+   * @returns {Promise<Object|null>} 未初始化时返回 null
+   */
+  async getAdminCredential() {
+    if (!this.isAvailable()) return null;
+    return this.kv.get(ADMIN_CREDENTIAL_KEY, 'json');
+  }
+
+  /**
+   * 保存管理员凭据
+   * @param {Object} credential
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveAdminCredential(credential) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.put(ADMIN_CREDENTIAL_KEY, JSON.stringify(credential));
+      return true;
+    } catch (error) {
+      console.error('保存管理员凭据失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取登录会话
+   * @param {string} id - 会话ID（令牌的 jti）
+   * @returns {Promise<Object|null>}
+   */
+  async getAdminSession(id) {
+    if (!this.isAvailable()) return null;
+    return this.kv.get(`${ADMIN_SESSION_PREFIX}${encodeSegment(id)}`, 'json');
+  }
+
+  /**
+   * 保存登录会话（与令牌同时到期，到期后自动删除）
+   * @param {Object} session - 会话信息，需包含 id；同时写入元数据以便列出时无需逐个读取
+   * @param {number} ttlSeconds - 保留时长（KV 要求不少于 60 秒）
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveAdminSession(session, ttlSeconds) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.put(`${ADMIN_SESSION_PREFIX}${encodeSegment(session.id)}`, JSON.stringify(session), {
+        expirationTtl: Math.max(60, Math.ceil(ttlSeconds)),
+        metadata: session
+      });
+      return true;
+    } catch (error) {
+      console.error('保存登录会话失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 删除登录会话
+   * @param {string} id - 会话ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteAdminSession(id) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.delete(`${ADMIN_SESSION_PREFIX}${encodeSegment(id)}`);
+      return true;
+    } catch (error) {
+      console.error('删除登录会话失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 列出所有登录会话（读取元数据）
+   * @returns {Promise<Array<Object>>}
+   */
+  async listAdminSessions() {
+    if (!this.isAvailable()) return [];
+    const keys = await this.#listAllKeys(ADMIN_SESSION_PREFIX);
+    return keys.map(({ name, metadata }) => ({
+      ...(metadata || {}),
+      id: decodeURIComponent(name.slice(ADMIN_SESSION_PREFIX.length))
+    }));
+  }
+
+  /**
+   * 读取两步登录凭证记录
+   * @param {string} id - 凭证的 jti
+   * @returns {Promise<Object|null>}
+   */
+  async getTwoFactorChallenge(id) {
+    if (!this.isAvailable()) return null;
+    return this.kv.get(`${TWO_FACTOR_CHALLENGE_PREFIX}${encodeSegment(id)}`, 'json').catch(() => null);
+  }
+
+  /**
+   * 保存两步登录凭证记录（与凭证同时到期，到期后自动删除）
+   * @param {string} id - 凭证的 jti
+   * @param {Object} record
+   * @param {number} ttlSeconds - 保留时长（KV 要求不少于 60 秒）
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveTwoFactorChallenge(id, record, ttlSeconds) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.put(`${TWO_FACTOR_CHALLENGE_PREFIX}${encodeSegment(id)}`, JSON.stringify(record), {
+        expirationTtl: Math.max(60, Math.ceil(ttlSeconds))
+      });
+      return true;
+    } catch (error) {
+      console.error('保存两步登录凭证失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 删除两步登录凭证记录
+   * @param {string} id - 凭证的 jti
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteTwoFactorChallenge(id) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.delete(`${TWO_FACTOR_CHALLENGE_PREFIX}${encodeSegment(id)}`);
+      return true;
+    } catch (error) {
+      console.error('删除两步登录凭证失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取登录失败记录
+   * @param {string} scope - global 或 ip:<IP>
+   * @returns {Promise<Object|null>}
+   */
+  async getLoginThrottle(scope) {
+    if (!this.isAvailable()) return null;
+    return this.kv.get(`${LOGIN_THROTTLE_PREFIX}${encodeSegment(scope)}`, 'json').catch(() => null);
+  }
+
+  /**
+   * 保存登录失败记录（到期自动删除）
+   * @param {string} scope - global 或 ip:<IP>
+   * @param {Object} record
+   * @param {number} ttlSeconds - 保留时长（KV 要求不少于 60 秒）
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveLoginThrottle(scope, record, ttlSeconds) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.put(`${LOGIN_THROTTLE_PREFIX}${encodeSegment(scope)}`, JSON.stringify(record), {
+        expirationTtl: Math.max(60, Math.ceil(ttlSeconds))
+      });
+      return true;
+    } catch (error) {
+      console.error('保存登录失败记录失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 删除登录失败记录
+   * @param {string} scope - global 或 ip:<IP>
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteLoginThrottle(scope) {
+    if (!this.isAvailable()) return false;
+    try {
+      await this.kv.delete(`${LOGIN_THROTTLE_PREFIX}${encodeSegment(scope)}`);
+      return true;
+    } catch (error) {
+      console.error('删除登录失败记录失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取已缓存的favicon（解析 host 映射并读取对应内容；兼容旧版直接保存内容的条目）
    * @param {string} host - 站点主机名，例如 example.com
-   * @returns {Promise<{contentType:string, data:string}|null>} data为base64字符串
+   * @returns {Promise<{contentType:string, data:string, updatedAt:number, hash?:string, size?:number,
+   *   source?:string, sourceUrl?:string, pinned?:boolean}|null>}
+   *   data为base64字符串，source/sourceUrl 为图标的来源（见 faviconDiscovery.js），旧版条目没有 hash；
+   *   pinned 为 true 时表示后台固定的图标，自动刷新不会覆盖
    */
   async getFavicon(host) {
     if (!this.isAvailable()) return null;
@@ -419,9 +1073,17 @@ export class KVStorageManager {
       const cacheKey = `${key}::json`;
       if (this._cache.has(cacheKey)) return this._cache.get(cacheKey) || null;
       const stored = await this.kv.get(key, 'json');
-      if (!stored || !stored.data || !stored.contentType) return null;
-      try { this._cache.set(cacheKey, stored); } catch (_) {}
-      return stored;
+      if (!stored || !stored.contentType) return null;
+      let entry = null;
+      if (stored.hash) {
+        const bytes = await this.kv.get(`${FAV_BLOB_PREFIX}${stored.hash}`, 'arrayBuffer');
+        if (bytes) entry = { ...stored, data: bytesToBase64(new Uint8Array(bytes)) };
+      } else if (stored.data) {
+        entry = stored;
+      }
+      if (!entry) return null;
+      try { this._cache.set(cacheKey, entry); } catch (_) {}
+      return entry;
     } catch (e) {
       console.warn('读取favicon失败:', e);
       return null;
@@ -430,16 +1092,26 @@ export class KVStorageManager {
 
   /**
    * 写入favicon
+   * 图片内容按 SHA-256 保存在 favblob:<hash>（多个host共用同一份），fav:<host> 只保存映射与来源；
+   * 超过 FAVICON_MAX_BYTES 的图片直接拒绝
    * @param {string} host - 主机名
    * @param {string} contentType - MIME类型，如 image/png
    * @param {string} base64Data - Base64编码数据（不含data:头部）
+   * @param {{source?:string, sourceUrl?:string, pinned?:boolean}} [origin] - 图标来源，以及是否固定
    * @returns {Promise<boolean>}
    */
-  async putFavicon(host, contentType, base64Data) {
+  async putFavicon(host, contentType, base64Data, origin = {}) {
     if (!this.isAvailable()) return false;
     const key = `${FAV_PREFIX}${encodeSegment(host || '')}`;
     try {
-      // 先读取现有（优先使用请求级缓存），若内容一致则跳过写入
+      const bytes = base64ToBytes(base64Data);
+      if (bytes.length === 0 || bytes.length > FAVICON_MAX_BYTES) {
+        console.warn(`favicon大小超出限制（${bytes.length} 字节）: ${host}`);
+        return false;
+      }
+      const hash = await sha256Hex(bytes);
+
+      // 先读取现有映射（优先使用请求级缓存），若内容与来源一致则跳过写入
       let existing = null;
       const cacheKey = `${key}::json`;
       if (this._cache.has(cacheKey)) {
@@ -447,11 +1119,23 @@ export class KVStorageManager {
       } else {
         existing = await this.kv.get(key, 'json').catch(() => null);
       }
-      if (existing && existing.data === base64Data && existing.contentType === contentType) {
+      const source = origin.source || null;
+      const sourceUrl = origin.sourceUrl || null;
+      const pinned = !!origin.pinned;
+      if (existing && existing.hash === hash && existing.contentType === contentType &&
+          (existing.source || null) === source && (existing.sourceUrl || null) === sourceUrl &&
+          !!existing.pinned === pinned) {
         return true;
       }
-      await this.kv.put(key, JSON.stringify({ contentType, data: base64Data, updatedAt: Date.now() }));
-      try { this._cache.set(cacheKey, { contentType, data: base64Data, updatedAt: Date.now() }); } catch (_) {}
+
+      // 相同内容只保存一份；内容已存在时同样重新写入以刷新 createdAt：
+      // KV 的 list 是最终一致的，垃圾回收可能还列不到新的映射，刷新后内容处于宽限期内，不会被误删
+      const blobKey = `${FAV_BLOB_PREFIX}${hash}`;
+      await this.kv.put(blobKey, bytes, { metadata: { contentType, size: bytes.length, createdAt: Date.now() } });
+
+      const mapping = { hash, contentType, size: bytes.length, updatedAt: Date.now(), source, sourceUrl, pinned };
+      await this.#writeFaviconMapping(key, mapping);
+      try { this._cache.set(cacheKey, { ...mapping, data: base64Data }); } catch (_) {}
       return true;
     } catch (e) {
       console.error('写入favicon失败:', e);
@@ -459,6 +1143,128 @@ export class KVStorageManager {
     }
   }
 
+  /**
+   * 固定或取消固定 host 的favicon（不改变图标内容与更新时间）
+   * @param {string} host
+   * @param {boolean} pinned
+   * @returns {Promise<boolean>} 没有缓存图标或为旧版条目时返回 false
+   */
+  async setFaviconPinned(host, pinned) {
+    if (!this.isAvailable()) return false;
+    const key = `${FAV_PREFIX}${encodeSegment(host || '')}`;
+    try {
+      const mapping = await this.kv.get(key, 'json');
+      if (!mapping || !mapping.hash) return false;
+      await this.#writeFaviconMapping(key, { ...mapping, pinned: !!pinned });
+      this._cache.delete(`${key}::json`);
+      return true;
+    } catch (e) {
+      console.error('更新favicon固定状态失败:', e);
+      return false;
+    }
+  }
+
+  /**
+   * 写入 host 映射；元数据随 list 返回，统计与清理时无需逐个读取
+   * @param {string} key
+   * @param {Object} mapping
+   */
+  async #writeFaviconMapping(key, mapping) {
+    const { hash, size, source, updatedAt, pinned } = mapping;
+    await this.kv.put(key, JSON.stringify(mapping), { metadata: { hash, size, source, updatedAt, pinned: !!pinned } });
+  }
+
+  /**
+   * 列出所有 host 的 favicon 映射（旧版条目没有元数据，legacy 为 true）
+   * @returns {Promise<Array<{host:string, hash:string|null, size:number, source:string|null, updatedAt:number,
+   *   pinned:boolean, legacy:boolean}>>}
+   */
+  async listFaviconEntries() {
+    if (!this.isAvailable()) return [];
+    const keys = await this.#listAllKeys(FAV_PREFIX);
+    return keys.map(({ name, metadata }) => {
+      const meta = metadata || {};
+      return {
+        host: decodeURIComponent(name.slice(FAV_PREFIX.length)),
+        hash: meta.hash || null,
+        size: Number(meta.size) || 0,
+        source: meta.source || null,
+        updatedAt: Number(meta.updatedAt) || 0,
+        pinned: !!meta.pinned,
+        legacy: !meta.hash
+      };
+    });
+  }
+
+  /**
+   * 列出所有 favicon 内容（createdAt 为最近一次写入或被新映射引用的时间）
+   * @returns {Promise<Array<{hash:string, size:number, contentType:string|null, createdAt:number}>>}
+   */
+  async listFaviconBlobs() {
+    if (!this.isAvailable()) return [];
+    const keys = await this.#listAllKeys(FAV_BLOB_PREFIX);
+    return keys.map(({ name, metadata }) => {
+      const meta = metadata || {};
+      return {
+        hash: name.slice(FAV_BLOB_PREFIX.length),
+        size: Number(meta.size) || 0,
+        contentType: meta.contentType || null,
+        createdAt: Number(meta.createdAt) || 0
+      };
+    });
+  }
+
+  /**
+   * 删除 host 的 favicon 映射（内容由垃圾回收统一清理）
+   * @param {string} host
+   * @returns {Promise<boolean>}
+   */
+  async deleteFavicon(host) {
+    if (!this.isAvailable()) return false;
+    const key = `${FAV_PREFIX}${encodeSegment(host || '')}`;
+    try {
+      await this.kv.delete(key);
+      this._cache.delete(`${key}::json`);
+      return true;
+    } catch (e) {
+      console.error('删除favicon失败:', e);
+      return false;
+    }
+  }
+
+  /**
+   * 删除 favicon 内容
+   * @param {string} hash
+   * @returns {Promise<boolean>}
+   */
+  async deleteFaviconBlob(hash) {
+    if (!this.isAvailable() || !/^[0-9a-f]{64}$/.test(String(hash))) return false;
+    try {
+      await this.kv.delete(`${FAV_BLOB_PREFIX}${hash}`);
+      return true;
+    } catch (e) {
+      console.error('删除favicon内容失败:', e);
+      return false;
+    }
+  }
+
+  /**
+   * 列出指定前缀的所有键（含元数据）
+   * @param {string} prefix
+   * @returns {Promise<Array<{name:string, metadata?:Object}>>}
+   */
+  async #listAllKeys(prefix) {
+    const result = [];
+    let cursor = undefined;
+    for (let guard = 0; guard < 100; guard++) {
+      const listResult = await this.kv.list({ prefix, cursor });
+      if (listResult && Array.isArray(listResult.keys)) result.push(...listResult.keys);
+      if (!listResult || listResult.list_complete) break;
+      cursor = listResult.cursor;
+    }
+    return result;
+  }
+
   /**
    * 刷新最后更新时间（导航数据发生变更时调用）
    * @returns {Promise<void>}
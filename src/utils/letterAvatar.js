@@ -0,0 +1,92 @@
+/**
+ * 字母头像模块
+ * 为抓取不到图标的网站生成 SVG 头像：文字取网站名称（或域名）的首字，背景色由域名决定，
+ * 相同输入总是生成相同的图片，不同网站的卡片不再千篇一律
+ */
+
+/**
+ * 头像边长（像素，SVG 可任意缩放）
+ */
+const AVATAR_SIZE = 64;
+
+/**
+ * 从主机名中去掉的常见前缀
+ */
+const HOST_PREFIX_PATTERN = /^(www\d*|m|wap)\./i;
+
+/**
+ * 中日韩文字（只取一个字）
+ */
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * 字母或数字
+ */
+const ALNUM_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * 32 位 FNV-1a 哈希
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 转义 XML 文本
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+/**
+ * 取文本的头像文字：中日韩文字取首字；其他取前两个单词的首字母（只有一个单词时取首字母）
+ * @param {string} text
+ * @returns {string} 没有可用字符时返回空字符串
+ */
+function initialsOf(text) {
+  const words = String(text || '')
+    .split(/[\s\-_.·|:：,，/()（）\[\]【】]+/)
+    .map(word => Array.from(word).filter(ch => ALNUM_PATTERN.test(ch)))
+    .filter(chars => chars.length > 0);
+  if (words.length === 0) return '';
+  if (CJK_PATTERN.test(words[0][0])) return words[0][0];
+  const second = words[1] && !CJK_PATTERN.test(words[1][0]) ? words[1][0] : '';
+  return (words[0][0] + second).toUpperCase();
+}
+
+/**
+ * 去掉常见前缀后的主机名
+ * @param {string} host
+ * @returns {string}
+ */
+function normalizeHost(host) {
+  return String(host || '').toLowerCase().replace(HOST_PREFIX_PATTERN, '');
+}
+
+/**
+ * 生成字母头像
+ * @param {{host:string, title?:string}} options
+ *   - host: 决定背景色，网站名称为空或不含文字时也用于生成头像文字
+ *   - title: 网站名称
+ * @returns {string} SVG 文本
+ */
+export function createLetterAvatar({ host, title }) {
+  const normalizedHost = normalizeHost(host);
+  const label = initialsOf(title) || initialsOf(normalizedHost.split('.')[0]) || '?';
+  const hue = hashString(normalizedHost) % 360;
+  const fontSize = Array.from(label).length > 1 ? 26 : 32;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" viewBox="0 0 ${AVATAR_SIZE} ${AVATAR_SIZE}">` +
+    `<rect width="${AVATAR_SIZE}" height="${AVATAR_SIZE}" rx="14" fill="hsl(${hue}, 55%, 46%)"/>` +
+    `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#fff" font-size="${fontSize}" font-weight="600" ` +
+    `font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', 'PingFang SC', 'Microsoft YaHei', sans-serif">${escapeXml(label)}</text>` +
+    '</svg>';
+}
@@ -0,0 +1,272 @@
+/**
+ * 失效链接检查模块
+ * 逐个探测网站地址（先 HEAD，失败或被拒绝时改用 GET），并把结果写回网站的 linkCheck 字段：
+ * { state: 'healthy'|'redirected'|'broken'|'skipped', status, redirectTo, error, checkedAt }
+ * 内网、本机等 Worker 无法访问的地址不发起请求，结果为 skipped（不计入失效）
+ * 每轮只检查有限数量的网站，并受子请求额度限制（Worker 单次调用的子请求数有上限，见 outboundFetch.js），
+ * 额度用尽时未检查的网站留到下一轮；由定时任务或后台按需多次调用
+ */
+
+import { KVStorageManager } from './kvStorage.js';
+import { flattenSites, walkCategories } from './categoryTree.js';
+import {
+  outboundFetch,
+  assertPublicUrl,
+  isPublicHostname,
+  SubrequestBudget,
+  SubrequestBudgetError
+} from './outboundFetch.js';
+
+/**
+ * 单次请求超时（毫秒）
+ */
+export const LINK_CHECK_TIMEOUT_MS = 8000;
+
+/**
+ * 同时进行的检查数
+ */
+export const LINK_CHECK_CONCURRENCY = 4;
+
+/**
+ * 每轮最多检查的网站数（每个网站通常需要 1~2 个子请求，需与同一次调用中的其他任务共享子请求额度）
+ */
+export const LINK_CHECK_BATCH_SIZE = 10;
+
+/**
+ * 定时任务只复查超过该天数未检查的网站
+ */
+export const LINK_CHECK_MAX_AGE_DAYS = 7;
+
+/**
+ * 探测请求使用的 User-Agent（部分网站会拒绝没有 UA 的请求）
+ */
+const LINK_CHECK_USER_AGENT = 'Mozilla/5.0 (compatible; NavigationLinkChecker/1.0)';
+
+/**
+ * 这些状态码说明服务器仍在正常响应，只是拒绝了匿名或频繁的访问，不视为失效
+ */
+const ALIVE_STATUSES = new Set([401, 403, 429]);
+
+/**
+ * 发起一次探测请求，不读取响应体
+ * @param {string} url
+ * @param {'HEAD'|'GET'} method
+ * @param {SubrequestBudget} [budget] - 子请求额度
+ * @returns {Promise<{status:number, finalUrl:string, redirected:boolean}>}
+ */
+async function probe(url, method, budget) {
+  const result = await outboundFetch(url, {
+    method,
+    budget,
+    timeoutMs: LINK_CHECK_TIMEOUT_MS,
+    headers: { 'User-Agent': LINK_CHECK_USER_AGENT, 'Accept': '*/*' }
+  });
+  return { status: result.status, finalUrl: result.url, redirected: result.redirected };
+}
+
+/**
+ * 比较两个地址是否相同（忽略末尾的 "/"，如 https://a.com 与 https://a.com/）
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameUrl(a, b) {
+  return String(a).replace(/\/+$/, '') === String(b).replace(/\/+$/, '');
+}
+
+/**
+ * 是否为内网或本机地址（Worker 无法访问，不检查）
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isInternalUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(String(url));
+    return (protocol === 'http:' || protocol === 'https:') && !isPublicHostname(hostname);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 将请求异常转换为简短说明
+ * @param {any} error
+ * @returns {string}
+ */
+function describeError(error) {
+  return String((error && error.message) || error || '请求失败').slice(0, 200);
+}
+
+/**
+ * 检查单个链接
+ * @param {string} url - 网站地址
+ * @param {{budget?:SubrequestBudget}} [options] - budget: 子请求额度
+ * @returns {Promise<{state:string, status:number|null, redirectTo:string|null, error:string|null, checkedAt:string}>}
+ * @throws {SubrequestBudgetError} 额度在检查完成前用尽（此时没有可靠结果）
+ */
+export async function checkLink(url, options = {}) {
+  const checkedAt = new Date().toISOString();
+  let parsed;
+  try {
+    parsed = assertPublicUrl(url);
+  } catch (e) {
+    const state = isInternalUrl(url) ? 'skipped' : 'broken';
+    return { state, status: null, redirectTo: null, error: describeError(e), checkedAt };
+  }
+
+  let result = null;
+  let error = null;
+  try {
+    result = await probe(parsed.href, 'HEAD', options.budget);
+  } catch (e) {
+    if (e instanceof SubrequestBudgetError) throw e;
+    error = e;
+  }
+  // 不少网站不支持 HEAD（返回 404/405/501 或直接断开），此时以 GET 结果为准
+  if (!result || result.status >= 400) {
+    try {
+      result = await probe(parsed.href, 'GET', options.budget);
+      error = null;
+    } catch (e) {
+      if (e instanceof SubrequestBudgetError) throw e;
+      if (!result) error = e;
+    }
+  }
+
+  if (!result) {
+    return { state: 'broken', status: null, redirectTo: null, error: describeError(error), checkedAt };
+  }
+
+  const redirectTo = result.redirected && !isSameUrl(result.finalUrl, parsed.href) ? result.finalUrl : null;
+  let state = 'healthy';
+  if (result.status >= 400 && !ALIVE_STATUSES.has(result.status)) {
+    state = 'broken';
+  } else if (redirectTo) {
+    state = 'redirected';
+  }
+  return { state, status: result.status, redirectTo, error: null, checkedAt };
+}
+
+/**
+ * 以有限并发检查一组网站；子请求额度用尽时停止，未完成的网站不出现在结果中
+ * @param {Array<{id:string, url:string}>} sites
+ * @param {{concurrency?:number, budget?:SubrequestBudget}} [options]
+ * @returns {Promise<Map<string, Object>>} 网站ID -> 检查结果
+ */
+export async function checkLinks(sites, options = {}) {
+  const concurrency = options.concurrency || LINK_CHECK_CONCURRENCY;
+  const results = new Map();
+  let cursor = 0;
+  let exhausted = false;
+  const worker = async () => {
+    while (!exhausted && cursor < sites.length) {
+      const site = sites[cursor++];
+      try {
+        results.set(site.id, { url: site.url, ...(await checkLink(site.url, { budget: options.budget })) });
+      } catch (e) {
+        if (!(e instanceof SubrequestBudgetError)) throw e;
+        exhausted = true;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, sites.length) }, worker));
+  return results;
+}
+
+/**
+ * 执行一轮链接检查并保存结果
+ * - 指定 ids 时只检查这些网站（同时指定 before 时跳过在 before 之后已检查过的网站）
+ * - 否则检查从未检查过、或上次检查早于 before 的网站
+ * 都按从未检查的优先、其次按检查时间从早到晚的顺序检查
+ * 结果按网站ID合并到最新快照；检查期间地址已被修改的网站不会写入旧结果
+ * 结果属于维护数据，保存时不记录历史版本
+ * 子请求额度用尽时提前结束，未检查的网站计入 remaining
+ * @param {Object} env - 环境对象
+ * @param {{ids?:string[], before?:string|number, limit?:number, author?:string, budget?:SubrequestBudget}} [options]
+ *   budget: 子请求额度，未提供时使用本次调用的默认额度
+ * @returns {Promise<{checked:number, healthy:number, redirected:number, broken:number, skipped:number, remaining:number}>}
+ */
+export async function runLinkCheck(env, options = {}) {
+  const summary = { checked: 0, healthy: 0, redirected: 0, broken: 0, skipped: 0, remaining: 0 };
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable()) return summary;
+
+  const data = await kvManager.getNavigationData();
+  if (!data) return summary;
+
+  const sites = flattenSites(data.categories).filter(site => site.id && site.url);
+  const checkedTime = (site) => {
+    const time = site.linkCheck ? Date.parse(site.linkCheck.checkedAt) : NaN;
+    return Number.isFinite(time) ? time : 0;
+  };
+  let candidates;
+  if (Array.isArray(options.ids)) {
+    const wanted = new Set(options.ids);
+    const beforeTime = options.before === undefined ? Infinity : new Date(options.before).getTime();
+    candidates = sites.filter(site => wanted.has(site.id) && checkedTime(site) < beforeTime);
+  } else {
+    const beforeTime = options.before === undefined
+      ? Date.now() - LINK_CHECK_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+      : new Date(options.before).getTime();
+    candidates = sites.filter(site => checkedTime(site) < beforeTime);
+  }
+  candidates.sort((a, b) => checkedTime(a) - checkedTime(b));
+
+  const limit = Math.max(1, Math.min(LINK_CHECK_BATCH_SIZE, Math.floor(Number(options.limit)) || LINK_CHECK_BATCH_SIZE));
+  const batch = candidates.slice(0, limit);
+  if (batch.length === 0) return summary;
+
+  const results = await checkLinks(batch, { budget: options.budget || new SubrequestBudget() });
+  summary.remaining = candidates.length - results.size;
+
+  // 检查耗时较长，期间可能有其他写入，重新读取最新快照后再合并
+  const freshManager = new KVStorageManager(env.NAVIGATION_KV);
+  const fresh = await freshManager.getNavigationData();
+  if (!fresh) return summary;
+
+  walkCategories(fresh.categories, (node) => {
+    if (!Array.isArray(node.sites)) return;
+    for (const site of node.sites) {
+      const result = site && results.get(site.id);
+      if (!result || result.url !== site.url) continue;
+      const { url, ...linkCheck } = result;
+      site.linkCheck = linkCheck;
+      summary.checked += 1;
+      summary[linkCheck.state] += 1;
+    }
+  });
+
+  if (summary.checked > 0) {
+    const saved = await freshManager.saveNavigationData(fresh, {
+      mode: 'link-check',
+      summary: `检查 ${summary.checked} 个网站链接`,
+      author: options.author,
+      skipHistory: true
+    });
+    if (!saved) throw new Error('保存链接检查结果失败');
+  }
+  return summary;
+}
+
+/**
+ * 将跳转的网站地址更新为跳转后的地址
+ * @param {Object} data - 导航数据（原地修改）
+ * @param {string[]} ids - 网站ID；只处理检查结果为跳转的网站
+ * @returns {Array<{id:string, title:string, from:string, to:string}>} 已更新的网站
+ */
+export function applyRedirectTargets(data, ids) {
+  const wanted = new Set(ids);
+  const updated = [];
+  walkCategories(data.categories, (node) => {
+    if (!Array.isArray(node.sites)) return;
+    for (const site of node.sites) {
+      if (!site || !wanted.has(site.id)) continue;
+      const check = site.linkCheck;
+      if (!check || check.state !== 'redirected' || !check.redirectTo) continue;
+      updated.push({ id: site.id, title: site.title, from: site.url, to: check.redirectTo });
+      site.url = check.redirectTo;
+      site.linkCheck = { ...check, state: 'healthy', redirectTo: null };
+    }
+  });
+  return updated;
+}
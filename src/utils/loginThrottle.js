@@ -0,0 +1,163 @@
+/**
+ * 登录限流模块
+ * 按客户端 IP（CF-Connecting-IP）与全局分别记录密码校验失败次数：
+ * - 同一 IP 前几次失败不限制，之后每次失败需等待的时间翻倍，连续失败过多时临时锁定
+ * - 所有 IP 在时间窗口内的失败总数过多时全局锁定（应对更换 IP 的暴力破解）
+ * 失败记录保存在 KV（见 KVStorageManager.getLoginThrottle），到期自动删除；登录成功后清除该 IP 的记录
+ */
+
+import { KVStorageManager } from './kvStorage.js';
+import { getClientIP, createErrorResponse, HTTP_STATUS } from './responseUtils.js';
+
+/**
+ * 限流参数
+ */
+export const LOGIN_THROTTLE = {
+  // 同一 IP 前几次失败不需要等待
+  freeAttempts: 3,
+  // 之后第一次需等待的秒数，每多失败一次翻倍
+  backoffBaseSeconds: 2,
+  backoffMaxSeconds: 5 * 60,
+  // 同一 IP 失败达到该次数后锁定
+  lockoutAttempts: 10,
+  lockoutSeconds: 60 * 60,
+  // 所有 IP 在窗口内的失败达到该次数后全局锁定
+  globalWindowSeconds: 15 * 60,
+  globalLockoutAttempts: 50,
+  globalLockoutSeconds: 15 * 60,
+  // 没有新的失败时，失败记录保留的时长
+  recordTtlSeconds: 24 * 60 * 60
+};
+
+/**
+ * 请求对应的 IP 记录名
+ * @param {Request} request
+ * @returns {string}
+ */
+function ipScope(request) {
+  return `ip:${getClientIP(request) || 'unknown'}`;
+}
+
+/**
+ * 剩余等待秒数
+ * @param {Object|null} record
+ * @param {number} now
+ * @returns {number}
+ */
+function remainingSeconds(record, now) {
+  const until = record ? Number(record.lockedUntil) || 0 : 0;
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * 检查是否允许本次密码校验
+ * @param {Object} env - 环境对象
+ * @param {Request} request - 请求对象
+ * @returns {Promise<{allowed:boolean, retryAfter:number, scope?:string, failures:number}>}
+ *   不允许时 retryAfter 为需等待的秒数，scope 为 ip 或 global；failures 为该 IP 已记录的失败次数
+ */
+export async function checkLoginThrottle(env, request) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable()) return { allowed: true, retryAfter: 0, failures: 0 };
+  const now = Date.now();
+  const [ipRecord, globalRecord] = await Promise.all([
+    kvManager.getLoginThrottle(ipScope(request)),
+    kvManager.getLoginThrottle('global')
+  ]);
+  const failures = ipRecord ? Number(ipRecord.failures) || 0 : 0;
+
+  const ipWait = remainingSeconds(ipRecord, now);
+  if (ipWait > 0) return { allowed: false, retryAfter: ipWait, scope: 'ip', failures };
+  const globalWait = remainingSeconds(globalRecord, now);
+  if (globalWait > 0) return { allowed: false, retryAfter: globalWait, scope: 'global', failures };
+  return { allowed: true, retryAfter: 0, failures };
+}
+
+/**
+ * 记录一次密码校验失败
+ * @param {Object} env - 环境对象
+ * @param {Request} request - 请求对象
+ * @returns {Promise<number>} 下次尝试前需等待的秒数（0 表示无需等待）
+ */
+export async function recordLoginFailure(env, request) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable()) return 0;
+  const now = Date.now();
+  const scope = ipScope(request);
+  const [ipRecord, globalRecord] = await Promise.all([
+    kvManager.getLoginThrottle(scope),
+    kvManager.getLoginThrottle('global')
+  ]);
+
+  const failures = (ipRecord ? Number(ipRecord.failures) || 0 : 0) + 1;
+  let waitSeconds = 0;
+  if (failures >= LOGIN_THROTTLE.lockoutAttempts) {
+    waitSeconds = LOGIN_THROTTLE.lockoutSeconds;
+  } else if (failures > LOGIN_THROTTLE.freeAttempts) {
+    waitSeconds = Math.min(
+      LOGIN_THROTTLE.backoffMaxSeconds,
+      LOGIN_THROTTLE.backoffBaseSeconds * 2 ** (failures - LOGIN_THROTTLE.freeAttempts - 1)
+    );
+  }
+  const nextIp = { failures, lastFailureAt: now, lockedUntil: waitSeconds > 0 ? now + waitSeconds * 1000 : 0 };
+
+  const windowMs = LOGIN_THROTTLE.globalWindowSeconds * 1000;
+  const inWindow = globalRecord && now - (Number(globalRecord.windowStart) || 0) < windowMs;
+  const nextGlobal = {
+    windowStart: inWindow ? globalRecord.windowStart : now,
+    failures: (inWindow ? Number(globalRecord.failures) || 0 : 0) + 1,
+    lockedUntil: globalRecord ? Number(globalRecord.lockedUntil) || 0 : 0
+  };
+  if (nextGlobal.failures >= LOGIN_THROTTLE.globalLockoutAttempts && nextGlobal.lockedUntil <= now) {
+    nextGlobal.lockedUntil = now + LOGIN_THROTTLE.globalLockoutSeconds * 1000;
+    // 锁定结束后重新计数
+    nextGlobal.windowStart = nextGlobal.lockedUntil;
+    nextGlobal.failures = 0;
+    console.warn('登录失败次数过多，已全局锁定管理员登录');
+  }
+
+  await Promise.all([
+    kvManager.saveLoginThrottle(scope, nextIp, LOGIN_THROTTLE.recordTtlSeconds + waitSeconds),
+    kvManager.saveLoginThrottle('global', nextGlobal,
+      LOGIN_THROTTLE.globalWindowSeconds + LOGIN_THROTTLE.globalLockoutSeconds)
+  ]);
+  return Math.max(waitSeconds, remainingSeconds(nextGlobal, now));
+}
+
+/**
+ * 密码校验成功后清除该 IP 的失败记录
+ * @param {Object} env - 环境对象
+ * @param {Request} request - 请求对象
+ * @returns {Promise<void>}
+ */
+export async function clearLoginFailures(env, request) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable()) return;
+  await kvManager.deleteLoginThrottle(ipScope(request));
+}
+
+/**
+ * 将等待秒数描述为文字
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function describeRetryAfter(seconds) {
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)} 分钟` : `${seconds} 秒`;
+}
+
+/**
+ * 创建被限流时的响应（429，带 Retry-After）
+ * @param {{retryAfter:number, scope?:string}} throttle - checkLoginThrottle 的返回值
+ * @returns {Response}
+ */
+export function createThrottledResponse(throttle) {
+  const message = throttle.scope === 'global'
+    ? `登录失败次数过多，管理员登录已临时锁定，请在 ${describeRetryAfter(throttle.retryAfter)}后重试`
+    : `登录尝试过于频繁，请在 ${describeRetryAfter(throttle.retryAfter)}后重试`;
+  return createErrorResponse(
+    message,
+    HTTP_STATUS.TOO_MANY_REQUESTS,
+    { 'Retry-After': String(throttle.retryAfter) },
+    { retryAfter: throttle.retryAfter }
+  );
+}
@@ -0,0 +1,305 @@
+/**
+ * 出站请求模块
+ * 服务端发起的外部请求（网站图标、网页元数据、链接检查）统一经过这里：
+ * - 只允许 http/https，拒绝 localhost、内网、回环、链路本地等地址，重定向的每一跳都重新检查
+ * - 手动跟随重定向，限制跳转次数
+ * - 超时覆盖整个请求，包括读取响应体
+ * - 读取响应体时限制字节数
+ * - 可传入子请求额度（SubrequestBudget），同一次 Worker 调用中的多个任务共享，用尽后不再发起请求
+ * 地址检查只针对主机名与 IP 字面值，不做 DNS 解析（Workers 的出站请求本身无法访问内网，
+ * 这里拦截的是直接指向内网、本机或元数据服务的地址）
+ */
+
+/**
+ * 默认超时（毫秒）
+ */
+export const OUTBOUND_TIMEOUT_MS = 8000;
+
+/**
+ * 默认最多跟随的重定向次数
+ */
+export const OUTBOUND_MAX_REDIRECTS = 5;
+
+/**
+ * 单次 Worker 调用默认可用的出站子请求数
+ * 免费计划每次调用最多 50 个（KV 等 Cloudflare 服务另计），预留少量余量；重定向的每一跳各占一个
+ */
+export const SUBREQUEST_BUDGET = 45;
+
+/**
+ * 子请求额度用尽时抛出的异常（调用方据此停止本轮处理，而不是把结果记为失败）
+ */
+export class SubrequestBudgetError extends Error {
+  constructor() {
+    super('本次调用的子请求额度已用完');
+    this.name = 'SubrequestBudgetError';
+  }
+}
+
+/**
+ * 子请求额度
+ */
+export class SubrequestBudget {
+  /**
+   * @param {number} [limit] - 可用的子请求数
+   */
+  constructor(limit = SUBREQUEST_BUDGET) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  /**
+   * 剩余的子请求数
+   * @returns {number}
+   */
+  get remaining() {
+    return Math.max(0, this.limit - this.used);
+  }
+
+  /**
+   * 占用一个子请求
+   * @throws {SubrequestBudgetError} 额度已用完
+   */
+  take() {
+    if (this.used >= this.limit) throw new SubrequestBudgetError();
+    this.used += 1;
+  }
+}
+
+/**
+ * 主机名格式（字母、数字、连字符组成的点分标签，不含端口）
+ */
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+/**
+ * 只在本地或内部网络中使用的域名后缀
+ */
+const INTERNAL_SUFFIXES = ['localhost', 'local', 'internal', 'intranet', 'lan', 'home.arpa'];
+
+/**
+ * 不允许访问的 IPv4 网段 [网络地址, 前缀长度]
+ */
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],       // 本网络
+  ['10.0.0.0', 8],      // 私有网络
+  ['100.64.0.0', 10],   // 运营商级 NAT
+  ['127.0.0.0', 8],     // 回环
+  ['169.254.0.0', 16],  // 链路本地（含云服务元数据地址）
+  ['172.16.0.0', 12],   // 私有网络
+  ['192.0.0.0', 24],    // IETF 协议分配
+  ['192.0.2.0', 24],    // 文档示例
+  ['192.168.0.0', 16],  // 私有网络
+  ['198.18.0.0', 15],   // 基准测试
+  ['198.51.100.0', 24], // 文档示例
+  ['203.0.113.0', 24],  // 文档示例
+  ['224.0.0.0', 4],     // 组播
+  ['240.0.0.0', 4]      // 保留与广播
+];
+
+/**
+ * 表示重定向的状态码
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * IPv4 地址转为 32 位整数
+ * @param {string} ip
+ * @returns {number|null} 不是 IPv4 地址时返回 null
+ */
+function ipv4ToNumber(ip) {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.reduce((acc, part) => acc * 256 + Number(part), 0);
+}
+
+/**
+ * 判断 IPv4 地址是否属于不允许访问的网段
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isBlockedIpv4(ip) {
+  const value = ipv4ToNumber(ip);
+  if (value === null) return false;
+  return BLOCKED_IPV4_RANGES.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(network) / size);
+  });
+}
+
+/**
+ * 判断 IPv6 地址（不含方括号）是否不允许访问：未指定、回环、唯一本地、链路本地、组播，
+ * 以及内嵌了不允许访问的 IPv4 地址的映射/转换地址
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isBlockedIpv6(ip) {
+  const address = String(ip).toLowerCase();
+  if (address === '::' || address === '::1') return true;
+  const embedded = /(?:^::ffff:|^::ffff:0:|^64:ff9b::|^::)(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+  if (embedded) return isBlockedIpv4(embedded[1]);
+  // URL 解析会把内嵌的 IPv4 写成十六进制（如 ::ffff:7f00:1），还原后再判断
+  const hexEmbedded = /^(?:::ffff:|::ffff:0:|64:ff9b::|::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(address);
+  if (hexEmbedded) {
+    const high = parseInt(hexEmbedded[1], 16);
+    const low = parseInt(hexEmbedded[2], 16);
+    return isBlockedIpv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  const first = parseInt(address.split(':')[0] || '0', 16);
+  return (first & 0xfe00) === 0xfc00 || // fc00::/7 唯一本地
+    (first & 0xffc0) === 0xfe80 ||       // fe80::/10 链路本地
+    (first & 0xff00) === 0xff00;         // ff00::/8 组播
+}
+
+/**
+ * 规范化并校验主机名（用于路径参数等用户输入，写入 KV 前必须通过）
+ * @param {string} value - 主机名（可能经过 URL 编码）
+ * @returns {string|null} 小写主机名，格式无效时返回 null
+ */
+export function normalizeHostname(value) {
+  let host;
+  try { host = decodeURIComponent(String(value || '')).trim().toLowerCase(); } catch (_) { return null; }
+  host = host.replace(/\.$/, '');
+  return HOSTNAME_PATTERN.test(host) ? host : null;
+}
+
+/**
+ * 判断主机是否允许服务端访问
+ * @param {string} hostname - URL 中的主机名（IPv6 地址带方括号）
+ * @returns {boolean}
+ */
+export function isPublicHostname(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host) return false;
+  if (host.startsWith('[') && host.endsWith(']')) return !isBlockedIpv6(host.slice(1, -1));
+  if (ipv4ToNumber(host) !== null) return !isBlockedIpv4(host);
+  if (!HOSTNAME_PATTERN.test(host)) return false;
+  // 单标签主机名（如 nas、router）只能在内网解析
+  if (!host.includes('.')) return false;
+  return !INTERNAL_SUFFIXES.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+}
+
+/**
+ * 校验出站请求地址
+ * @param {string|URL} url
+ * @returns {URL}
+ * @throws {Error} 地址无效、不是 http/https，或指向内网/本机
+ */
+export function assertPublicUrl(url) {
+  let target;
+  try {
+    target = new URL(String(url));
+  } catch (_) {
+    throw new Error('无效的网址');
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error('仅支持 http/https 网址');
+  }
+  if (target.username || target.password) {
+    throw new Error('网址不能包含用户名或密码');
+  }
+  if (!isPublicHostname(target.hostname)) {
+    throw new Error('不允许访问内网或本机地址');
+  }
+  return target;
+}
+
+/**
+ * 丢弃响应体
+ * @param {Response} response
+ */
+function discardBody(response) {
+  if (response && response.body && !response.bodyUsed) {
+    try { response.body.cancel().catch(() => {}); } catch (_) { /* 已被读取器锁定 */ }
+  }
+}
+
+/**
+ * 发起出站请求
+ * 由 consume 处理响应（读取响应体等），超时覆盖到 consume 结束为止；之后未读完的响应体会被丢弃。
+ * 未提供 consume 时只返回状态，不读取响应体
+ * @param {string|URL} url - 请求地址
+ * @param {{method?:string, headers?:Object, timeoutMs?:number, maxRedirects?:number, budget?:SubrequestBudget}} [options]
+ *   budget: 子请求额度，每次请求（包括每一跳重定向）前占用一个
+ * @param {(response:Response, info:{url:string, redirected:boolean}) => Promise<any>} [consume]
+ *   info.url 为最后一跳的地址
+ * @returns {Promise<any>} consume 的返回值；未提供时为 {status, url, redirected}
+ * @throws {Error} 地址不允许访问、重定向过多、超时或网络错误；额度用尽时为 SubrequestBudgetError
+ */
+export async function outboundFetch(url, options = {}, consume) {
+  let target = assertPublicUrl(url);
+  const maxRedirects = options.maxRedirects ?? OUTBOUND_MAX_REDIRECTS;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs || OUTBOUND_TIMEOUT_MS);
+  let response = null;
+  try {
+    for (let hops = 0; ; hops++) {
+      if (options.budget) options.budget.take();
+      response = await fetch(target.href, {
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      const location = REDIRECT_STATUSES.has(response.status) ? response.headers.get('location') : null;
+      if (!location) {
+        const info = { url: target.href, redirected: hops > 0 };
+        return consume
+          ? await consume(response, info)
+          : { status: response.status, ...info };
+      }
+      discardBody(response);
+      if (hops >= maxRedirects) {
+        throw new Error(`重定向次数过多（超过 ${maxRedirects} 次）`);
+      }
+      let next;
+      try {
+        next = new URL(location, target);
+      } catch (_) {
+        throw new Error('重定向地址无效');
+      }
+      target = assertPublicUrl(next);
+    }
+  } catch (error) {
+    if (error && error.name === 'AbortError') throw new Error('请求超时');
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    discardBody(response);
+  }
+}
+
+/**
+ * 读取响应体，超过字节上限时放弃
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<Uint8Array|null>} 超过上限、没有响应体或读取失败时返回 null
+ */
+export async function readLimitedBody(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes || !response.body) return null;
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.length;
+      if (size > maxBytes) return null;
+      chunks.push(value);
+    }
+  } catch (_) {
+    return null;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
@@ -0,0 +1,259 @@
+/**
+ * 网页元数据抓取模块
+ * 流式读取页面，读到 </head>（或 <body>）、达到大小上限或超时即停止，只解析头部：
+ * <title>、meta description、Open Graph、canonical、图标链接与 Web App Manifest 地址
+ * 请求经过 outboundFetch.js（拒绝内网地址、限制重定向次数）
+ */
+
+import { outboundFetch } from './outboundFetch.js';
+
+/**
+ * 请求超时（毫秒），包含读取响应体的时间
+ */
+export const METADATA_TIMEOUT_MS = 8000;
+
+/**
+ * 最多读取的字节数
+ */
+export const METADATA_MAX_BYTES = 512 * 1024;
+
+/**
+ * 返回的标题与描述的最大长度
+ */
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * 常见的具名字符实体（其余数字实体统一按码点解析）
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', middot: '·', copy: '©', reg: '®', trade: '™',
+  laquo: '«', raquo: '»', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’'
+};
+
+/**
+ * 解码 HTML 字符实体
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch (_) { return match; }
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+/**
+ * 解码实体、合并空白并截断
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function cleanText(text, maxLength) {
+  const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * 将相对地址解析为绝对地址，非 http(s) 地址返回空字符串
+ * @param {string} href
+ * @param {string} base
+ * @returns {string}
+ */
+function resolveUrl(href, base) {
+  if (!href) return '';
+  try {
+    const url = new URL(decodeEntities(href).trim(), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * 解析标签属性
+ * @param {string} source - 标签名之后、">" 之前的文本
+ * @returns {Object<string, string>} 属性名小写
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=\/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) attrs[name] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attrs;
+}
+
+/**
+ * 将字节按 latin1 转为字符串（仅用于在任意 ASCII 兼容编码中查找标签）
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToLatin1(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+/**
+ * 从页面头部解析元数据
+ * @param {string} html - 页面头部 HTML
+ * @param {string} pageUrl - 页面最终地址（用于解析相对地址）
+ * @returns {{title:string, description:string, openGraph:Object, canonical:string, icons:Array<Object>, manifest:string}}
+ */
+export function parseHtmlMetadata(html, pageUrl) {
+  const head = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+  let base = pageUrl;
+  const meta = {};
+  const links = [];
+  const tagPattern = /<(meta|link|base)\b([^>]*)>/gi;
+  let match;
+  while ((match = tagPattern.exec(head)) !== null) {
+    const tag = match[1].toLowerCase();
+    const attrs = parseAttributes(match[2]);
+    if (tag === 'base' && attrs.href) {
+      base = resolveUrl(attrs.href, pageUrl) || base;
+    } else if (tag === 'meta') {
+      const key = (attrs.property || attrs.name || '').toLowerCase();
+      if (key && attrs.content !== undefined && !(key in meta)) meta[key] = attrs.content;
+    } else if (tag === 'link' && attrs.href) {
+      links.push(attrs);
+    }
+  }
+
+  const titleMatch = head.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  const relOf = (attrs) => String(attrs.rel || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const canonicalLink = links.find(attrs => relOf(attrs).includes('canonical'));
+  const manifestLink = links.find(attrs => relOf(attrs).includes('manifest'));
+
+  const icons = [];
+  for (const attrs of links) {
+    const rel = relOf(attrs);
+    if (!rel.some(r => r === 'icon' || r === 'apple-touch-icon' || r === 'apple-touch-icon-precomposed' || r === 'mask-icon')) continue;
+    const href = resolveUrl(attrs.href, base);
+    if (!href || icons.some(icon => icon.href === href)) continue;
+    icons.push({ href, rel: rel.join(' '), sizes: attrs.sizes || '', type: attrs.type || '' });
+  }
+
+  return {
+    title: titleMatch ? cleanText(titleMatch[1], MAX_TITLE_LENGTH) : '',
+    description: cleanText(meta.description || '', MAX_DESCRIPTION_LENGTH),
+    openGraph: {
+      title: cleanText(meta['og:title'] || '', MAX_TITLE_LENGTH),
+      description: cleanText(meta['og:description'] || '', MAX_DESCRIPTION_LENGTH),
+      image: resolveUrl(meta['og:image'] || meta['og:image:url'] || '', base),
+      siteName: cleanText(meta['og:site_name'] || '', MAX_TITLE_LENGTH)
+    },
+    canonical: canonicalLink ? resolveUrl(canonicalLink.href, base) : '',
+    icons,
+    manifest: manifestLink ? resolveUrl(manifestLink.href, base) : ''
+  };
+}
+
+/**
+ * 流式读取响应体，读到头部结束、达到字节上限或响应结束为止
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function readHead(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let tail = '';
+  try {
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, maxBytes - size);
+      chunks.push(chunk);
+      size += chunk.length;
+      // 保留上一块末尾的少量字符，避免标签被分块截断后漏判
+      const scanned = (tail + bytesToLatin1(chunk)).toLowerCase();
+      if (scanned.includes('</head') || scanned.includes('<body')) break;
+      tail = scanned.slice(-8);
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * 确定页面编码：优先响应头，其次页面内的 <meta charset> 声明，默认 utf-8
+ * @param {string} contentType
+ * @param {Uint8Array} bytes
+ * @returns {TextDecoder}
+ */
+function createDecoder(contentType, bytes) {
+  const fromHeader = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  const fromMeta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(bytesToLatin1(bytes.subarray(0, 4096)));
+  const charset = (fromHeader && fromHeader[1]) || (fromMeta && fromMeta[1]) || 'utf-8';
+  try {
+    return new TextDecoder(charset);
+  } catch (_) {
+    return new TextDecoder('utf-8');
+  }
+}
+
+/**
+ * 抓取网页元数据
+ * @param {string} url - 网页地址（仅支持公网 http/https 地址）
+ * @param {{timeoutMs?:number, maxBytes?:number, budget?:SubrequestBudget}} [options]
+ *   budget: 子请求额度（见 outboundFetch.js）
+ * @returns {Promise<Object>} 解析结果，附带 url（请求地址）、finalUrl（跳转后的地址）与
+ *   suggested（建议的网站名称与描述：名称优先 og:title，描述优先 meta description）
+ * @throws {Error} 地址无效或指向内网、请求失败、超时或不是 HTML 页面
+ */
+export async function fetchPageMetadata(url, options = {}) {
+  return outboundFetch(url, {
+    budget: options.budget,
+    timeoutMs: options.timeoutMs || METADATA_TIMEOUT_MS,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; NavigationMetadataFetcher/1.0)',
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+    }
+  }, async (response, info) => {
+    if (!response.ok) {
+      throw new Error(`页面返回 HTTP ${response.status}`);
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/html/i.test(contentType)) {
+      throw new Error('目标地址不是 HTML 页面');
+    }
+
+    const bytes = response.body ? await readHead(response, options.maxBytes || METADATA_MAX_BYTES) : new Uint8Array(0);
+    const html = createDecoder(contentType, bytes).decode(bytes);
+    const metadata = parseHtmlMetadata(html, info.url);
+    return {
+      url: new URL(url).href,
+      finalUrl: info.url,
+      ...metadata,
+      suggested: {
+        title: metadata.openGraph.title || metadata.title,
+        description: metadata.description || metadata.openGraph.description
+      }
+    };
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * 拼音匹配工具模块
+ * 支持用全拼（kaifa）、首字母（kfgj）或二者混合（kaifgj）匹配中文文本，
+ * 拼音表内置于 pinyinTable.js，无需任何网络词典服务
+ */
+
+import { PINYIN_TABLE } from './pinyinTable.js';
+
+/**
+ * 常见多音字的其他读音（默认读音已在拼音表中）
+ */
+const EXTRA_READINGS = {
+  长: ['chang'], 重: ['chong'], 行: ['hang'], 乐: ['yue'], 藏: ['zang'], 还: ['huan'],
+  都: ['du'], 朝: ['zhao'], 调: ['tiao'], 和: ['huo', 'hu'], 的: ['di'], 地: ['di'],
+  了: ['liao'], 差: ['cha', 'chai', 'ci'], 曾: ['zeng'], 单: ['shan', 'chan'], 查: ['zha'],
+  传: ['zhuan'], 种: ['zhong'], 只: ['zhi'], 率: ['shuai'], 便: ['pian'], 数: ['shuo'],
+  得: ['dei', 'de'], 着: ['zhao', 'zhuo'], 会: ['kuai'], 解: ['xie'], 角: ['jue'],
+  校: ['jiao'], 说: ['shui'], 参: ['shen', 'cen'], 系: ['ji'], 沈: ['chen'], 区: ['ou'],
+  朴: ['piao'], 厦: ['xia'], 省: ['xing'], 奇: ['ji'], 宿: ['xiu'], 提: ['di'], 给: ['ji'],
+  薄: ['bo'], 剥: ['bao'], 壳: ['qiao'], 削: ['xiao'], 血: ['xie'], 熟: ['shou'],
+  载: ['zai'], 仔: ['zai'], 弹: ['tan'], 露: ['lou']
+};
+
+/**
+ * 拼音匹配最短关键词长度：单个字母作首字母几乎能命中所有中文标题，噪声过大
+ */
+const MIN_PINYIN_TERM_LENGTH = 2;
+
+const HAN_PATTERN = /[一-鿿]/;
+
+/** @type {Map<string, string[]>|null} 汉字 → 读音列表（首次使用时构建） */
+let readingMap = null;
+
+/**
+ * 构建汉字读音映射
+ * @returns {Map<string, string[]>}
+ */
+function getReadingMap() {
+  if (readingMap) return readingMap;
+  readingMap = new Map();
+  for (const line of PINYIN_TABLE.split('\n')) {
+    const sep = line.indexOf(':');
+    if (sep <= 0) continue;
+    const syllable = line.slice(0, sep);
+    for (const ch of line.slice(sep + 1)) {
+      readingMap.set(ch, [syllable]);
+    }
+  }
+  for (const [ch, extra] of Object.entries(EXTRA_READINGS)) {
+    const base = readingMap.get(ch) || [];
+    readingMap.set(ch, [...new Set([...base, ...extra])]);
+  }
+  return readingMap;
+}
+
+/**
+ * 文本是否包含汉字
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function containsHan(text) {
+  return HAN_PATTERN.test(text || '');
+}
+
+/**
+ * 获取单个汉字的全部拼音读音（无声调）
+ * @param {string} ch - 单个字符
+ * @returns {string[]} 非汉字或未收录时返回空数组
+ */
+export function getPinyinReadings(ch) {
+  return getReadingMap().get(ch) || [];
+}
+
+/**
+ * 关键词是否可以作为拼音匹配（仅字母，ü 以 v 表示）
+ * @param {string} term - 小写关键词
+ * @returns {boolean}
+ */
+export function isPinyinTerm(term) {
+  return typeof term === 'string' && term.length >= MIN_PINYIN_TERM_LENGTH && /^[a-z]+$/.test(term);
+}
+
+/**
+ * 用拼音匹配文本
+ * - 每个汉字可按全拼或首字母匹配，最后一个汉字允许只输入全拼的前缀（如 kaif → 开发）
+ * - 非汉字字符按原样（不区分大小写）匹配，文本中的空白可跳过
+ * - 必须至少命中一个汉字，纯字母部分交给普通匹配处理
+ * @param {string} text - 字段原文
+ * @param {string} term - 小写关键词
+ * @returns {{type:'pinyin'|'initials', ranges:number[][]}|null}
+ *   type 为 pinyin 表示各汉字均按全拼命中，否则为 initials；ranges 为 UTF-16 下标区间
+ */
+export function matchPinyin(text, term) {
+  if (!isPinyinTerm(term) || !containsHan(text)) return null;
+
+  // 逐字符拆分并记录 UTF-16 偏移，避免代理对导致高亮错位
+  const chars = [];
+  let offset = 0;
+  for (const ch of text) {
+    chars.push({ ch, lower: ch.toLowerCase(), start: offset, readings: getPinyinReadings(ch) });
+    offset += ch.length;
+  }
+
+  /**
+   * 从 chars[i] 与 term[pos] 开始尝试匹配
+   * @returns {{end:number, initials:boolean}|null} end 为结束字符下标（不含）
+   */
+  const failed = new Set();
+  const matchFrom = (i, pos) => {
+    if (pos === term.length) return { end: i, initials: false };
+    if (i >= chars.length) return null;
+    const key = i * (term.length + 1) + pos;
+    if (failed.has(key)) return null;
+
+    const { lower, readings } = chars[i];
+    const rest = term.slice(pos);
+    let result = null;
+
+    if (readings.length > 0) {
+      for (const syllable of readings) {
+        // 全拼
+        if (rest.startsWith(syllable)) {
+          const next = matchFrom(i + 1, pos + syllable.length);
+          if (next) {
+            result = next;
+            break;
+          }
+        }
+        // 末字只输入了全拼前缀
+        if (syllable.length > rest.length && syllable.startsWith(rest)) {
+          result = { end: i + 1, initials: rest.length === 1 };
+          break;
+        }
+      }
+      // 首字母
+      if (!result) {
+        for (const syllable of readings) {
+          if (rest[0] === syllable[0]) {
+            const next = matchFrom(i + 1, pos + 1);
+            if (next) {
+              result = { end: next.end, initials: true };
+              break;
+            }
+          }
+        }
+      }
+    } else if (/\s/.test(lower) && pos > 0) {
+      result = matchFrom(i + 1, pos);
+    } else if (lower === rest[0]) {
+      result = matchFrom(i + 1, pos + 1);
+    }
+
+    if (!result) failed.add(key);
+    return result;
+  };
+
+  const ranges = [];
+  let allFull = true;
+  for (let i = 0; i < chars.length; i++) {
+    // 匹配须从汉字开始
+    if (chars[i].readings.length === 0) continue;
+    const hit = matchFrom(i, 0);
+    if (!hit) continue;
+    const last = chars[hit.end - 1];
+    ranges.push([chars[i].start, last.start + last.ch.length]);
+    if (hit.initials) allFull = false;
+    i = hit.end - 1;
+  }
+
+  if (ranges.length === 0) return null;
+  return { type: allFull ? 'pinyin' : 'initials', ranges };
+}
@@ -9,7 +9,8 @@
 export const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Token',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Token, If-Match',
+  'Access-Control-Expose-Headers': 'ETag, Retry-After',
 };
 
 /**
@@ -19,9 +20,13 @@ export const HTTP_STATUS = {
   OK: 200,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
   METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
   SERVICE_UNAVAILABLE: 503
 };
 
@@ -50,10 +55,12 @@ export function createSuccessResponse(data, additionalHeaders = {}) {
  * @param {string} error - 错误信息
  * @param {number} status - HTTP状态码
  * @param {Object} additionalHeaders - 额外的响应头
+ * @param {Object} [extra] - 附加到响应体的字段（如冲突时的 currentRevision）
  * @returns {Response} 响应对象
  */
-export function createErrorResponse(error, status = HTTP_STATUS.BAD_REQUEST, additionalHeaders = {}) {
+export function createErrorResponse(error, status = HTTP_STATUS.BAD_REQUEST, additionalHeaders = {}, extra = {}) {
   return new Response(JSON.stringify({
+    ...extra,
     success: false,
     error: error
   }), {
@@ -80,14 +87,16 @@ export function handleOptionsRequest() {
  * 创建搜索响应（包含查询信息）
  * @param {Array} results - 搜索结果
  * @param {string} query - 搜索关键词
+ * @param {Object} extra - 附加字段（如分页信息，total 可被覆盖为总命中数）
  * @returns {Response} 响应对象
  */
-export function createSearchResponse(results, query) {
+export function createSearchResponse(results, query, extra = {}) {
   return new Response(JSON.stringify({
     success: true,
     data: results,
     query: query,
-    total: results.length
+    total: results.length,
+    ...extra
   }), {
     status: HTTP_STATUS.OK,
     headers: {
@@ -127,3 +136,36 @@ export function getQueryParam(request, paramName) {
 export function isValidParam(value) {
   return value !== null && value !== undefined && value.trim() !== '';
 }
+
+/**
+ * 获取客户端IP（只信任 Cloudflare 注入的 CF-Connecting-IP；X-Forwarded-For 可由客户端伪造，不使用）
+ * @param {Request} request - 请求对象
+ * @returns {string} 客户端IP，未知时为空字符串
+ */
+export function getClientIP(request) {
+  return (request.headers.get('CF-Connecting-IP') || '').trim();
+}
+
+/**
+ * 生成写操作的操作者标识（用于历史版本记录）
+ * @param {Request} request - 请求对象
+ * @returns {string} 形如 admin@1.2.3.4
+ */
+export function getRequestActor(request) {
+  const ip = getClientIP(request);
+  return ip ? `admin@${ip}` : 'admin';
+}
+
+/**
+ * 解析 If-Match 请求头
+ * 支持 "12"、W/"12"、12 以及 *，多个值以逗号分隔
+ * @param {Request} request - 请求对象
+ * @returns {string[]|null} 版本号列表；未携带时返回null
+ */
+export function getIfMatchRevisions(request) {
+  const raw = request.headers.get('If-Match');
+  if (!raw || !raw.trim()) return null;
+  return raw.split(',')
+    .map(v => v.trim().replace(/^W\//i, '').replace(/^"|"$/g, ''))
+    .filter(Boolean);
+}
@@ -0,0 +1,196 @@
+/**
+ * 定时任务模块
+ * Cron 触发器（见 wrangler.toml 的 [triggers]）每小时调用一次 runDueJobs，按各任务的运行间隔执行到期任务；
+ * 后台也可手动立即运行。每个任务的上次运行时间与结果保存在 KV（job:<id>），供后台展示
+ * 同一次 Cron 调用中的任务共享一份子请求额度（见 outboundFetch.js 的 SubrequestBudget），
+ * 额度用尽后需要出站请求的任务提前结束，剩余工作留到下次运行
+ */
+
+import { KVStorageManager } from './kvStorage.js';
+import { runLinkCheck } from './linkChecker.js';
+import { refreshFavicons } from './faviconRefresh.js';
+import { collectFaviconGarbage } from './faviconStorage.js';
+import { SubrequestBudget } from './outboundFetch.js';
+
+/**
+ * Cron 触发时间存在少量抖动，判断是否到期时预留的余量
+ */
+const DUE_SLACK_MS = 5 * 60 * 1000;
+
+/**
+ * 定时任务刷新图标的主机数上限（每个主机需抓取网页、manifest 与若干候选图标，与链接检查共享子请求额度）
+ */
+const FAVICON_JOB_HOST_LIMIT = 4;
+
+/**
+ * 仅在索引缺失、损坏或落后时重建搜索索引；手动运行时总是重建
+ * @param {Object} env
+ * @param {{manual:boolean}} options
+ * @returns {Promise<{state:string, rebuilt:boolean}>}
+ */
+async function rebuildSearchIndex(env, { manual }) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const { state } = await kvManager.loadSearchIndex();
+  if (!manual && (state === 'fresh' || state === 'rebuilt')) {
+    return { state, rebuilt: state === 'rebuilt' };
+  }
+  const data = await kvManager.getNavigationData();
+  if (!data) return { state, rebuilt: false };
+  const index = await kvManager.saveSearchIndex(data);
+  if (!index) throw new Error('写入搜索索引失败');
+  return { state, rebuilt: true };
+}
+
+/**
+ * 已注册的定时任务（按执行顺序）
+ * - run(env, { manual, budget }) 返回的结果对象会保存到运行状态中；budget 为本次调用共享的子请求额度
+ * - describe(result) 生成后台显示的一行摘要
+ */
+export const SCHEDULED_JOBS = [
+  {
+    id: 'search-index',
+    title: '重建搜索索引',
+    description: '索引缺失、损坏或落后于最新数据时重建',
+    intervalMinutes: 60,
+    run: rebuildSearchIndex,
+    describe: (result) => (result.rebuilt ? `已重建（原状态：${result.state}）` : '索引已是最新')
+  },
+  {
+    id: 'link-check',
+    title: '检查失效链接',
+    description: '每次复查一批超过 7 天未检查的网站链接',
+    intervalMinutes: 60,
+    run: (env, { budget }) => runLinkCheck(env, { author: 'cron', budget }),
+    describe: (result) => `检查 ${result.checked} 个，失效 ${result.broken} 个，跳转 ${result.redirected} 个，跳过 ${result.skipped || 0} 个，剩余 ${result.remaining} 个`
+  },
+  {
+    id: 'favicon-refresh',
+    title: '刷新过期图标',
+    description: `每次刷新最多 ${FAVICON_JOB_HOST_LIMIT} 个超过 7 天未刷新的网站图标`,
+    intervalMinutes: 6 * 60,
+    run: (env, { budget }) => refreshFavicons(env, { limit: FAVICON_JOB_HOST_LIMIT, author: 'cron', budget }),
+    describe: (result) => `刷新成功 ${result.refreshed}/${result.total} 个，剩余 ${result.remaining} 个`
+  },
+  {
+    id: 'favicon-gc',
+    title: '清理无用图标',
+    description: '删除已没有网站引用的图标，并把旧格式的图标转换为按内容去重存储',
+    intervalMinutes: 24 * 60,
+    run: (env) => collectFaviconGarbage(env),
+    describe: (result) => `删除 ${result.removedHosts} 个站点映射、${result.removedBlobs} 个图标（释放 ${Math.round(result.freedBytes / 1024)}KB），` +
+      `转换 ${result.migrated} 个旧格式图标${result.remaining ? `，剩余 ${result.remaining} 项待下次处理` : ''}`
+  },
+  {
+    id: 'revision-prune',
+    title: '清理历史版本',
+    description: '按保留策略删除过多或过旧的历史版本',
+    intervalMinutes: 24 * 60,
+    run: async (env) => ({ removed: await new KVStorageManager(env.NAVIGATION_KV).pruneRevisions() }),
+    describe: (result) => `清理 ${result.removed} 个版本`
+  }
+];
+
+/**
+ * 按ID查找定时任务
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function findScheduledJob(id) {
+  return SCHEDULED_JOBS.find(job => job.id === id) || null;
+}
+
+/**
+ * 判断任务是否到期
+ * @param {Object} job
+ * @param {Object|null} state - 上次运行状态
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isJobDue(job, state, now) {
+  const lastRunAt = state ? Date.parse(state.lastRunAt) : NaN;
+  if (!Number.isFinite(lastRunAt)) return true;
+  return now - lastRunAt >= job.intervalMinutes * 60 * 1000 - DUE_SLACK_MS;
+}
+
+/**
+ * 运行单个任务并保存运行状态（任务失败不会抛出异常）
+ * @param {Object} env - 环境对象
+ * @param {Object} job - 任务定义
+ * @param {{trigger:'cron'|'manual', previous?:Object|null, budget?:SubrequestBudget}} options
+ *   budget: 子请求额度，未提供时使用本次调用的默认额度
+ * @returns {Promise<Object>} 新的运行状态
+ */
+export async function runScheduledJob(env, job, { trigger, previous = null, budget = new SubrequestBudget() }) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const startedAt = Date.now();
+  const state = {
+    lastRunAt: new Date(startedAt).toISOString(),
+    trigger,
+    ok: true,
+    durationMs: 0,
+    result: null,
+    summary: '',
+    error: null,
+    lastSuccessAt: previous ? previous.lastSuccessAt || null : null,
+    consecutiveFailures: 0
+  };
+
+  try {
+    state.result = await job.run(env, { manual: trigger === 'manual', budget });
+    state.summary = job.describe(state.result);
+    state.lastSuccessAt = state.lastRunAt;
+  } catch (error) {
+    console.error(`定时任务 ${job.id} 运行失败:`, error);
+    state.ok = false;
+    state.error = String((error && error.message) || error).slice(0, 500);
+    state.consecutiveFailures = ((previous && previous.consecutiveFailures) || 0) + 1;
+  }
+  state.durationMs = Date.now() - startedAt;
+
+  await kvManager.saveJobState(job.id, state);
+  return state;
+}
+
+/**
+ * 依次运行所有到期的任务（串行执行，共享同一份子请求额度）
+ * @param {Object} env - 环境对象
+ * @param {number} [now] - 触发时间戳（ms），通常为 event.scheduledTime
+ * @returns {Promise<Object<string, Object>>} 本次运行的任务ID -> 运行状态
+ */
+export async function runDueJobs(env, now = Date.now()) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  if (!kvManager.isAvailable()) return {};
+
+  const states = await kvManager.getJobStates(SCHEDULED_JOBS.map(job => job.id));
+  const budget = new SubrequestBudget();
+  const ran = {};
+  for (const job of SCHEDULED_JOBS) {
+    if (!isJobDue(job, states[job.id], now)) continue;
+    ran[job.id] = await runScheduledJob(env, job, { trigger: 'cron', previous: states[job.id], budget });
+  }
+  return ran;
+}
+
+/**
+ * 列出所有任务及其上次运行状态
+ * @param {Object} env - 环境对象
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listScheduledJobs(env) {
+  const kvManager = new KVStorageManager(env.NAVIGATION_KV);
+  const states = await kvManager.getJobStates(SCHEDULED_JOBS.map(job => job.id));
+  return SCHEDULED_JOBS.map(job => {
+    const state = states[job.id] || null;
+    const lastRunAt = state ? Date.parse(state.lastRunAt) : NaN;
+    return {
+      id: job.id,
+      title: job.title,
+      description: job.description,
+      intervalMinutes: job.intervalMinutes,
+      nextRunAfter: Number.isFinite(lastRunAt)
+        ? new Date(lastRunAt + job.intervalMinutes * 60 * 1000).toISOString()
+        : null,
+      state
+    };
+  });
+}
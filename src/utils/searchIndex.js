@@ -0,0 +1,144 @@
+/**
+ * 搜索倒排索引模块
+ * 快照写入时预先构建，搜索时先用索引筛出候选网站，再交给 siteSearch 评分排序
+ *
+ * 索引键为字段文本（小写）的单字与二元组（bigram），并包含中文的拼音组合，
+ * 筛选规则保证不会漏掉 siteSearch 能命中的网站：
+ * - 原文/前缀/子串匹配：关键词的所有 bigram 都在文本中
+ * - 模糊匹配：按 q-gram 引理，允许的错误数下至少保留一个 bigram
+ * - 拼音匹配：关键词的首个 bigram 必然是某个读音内部的二元组，或相邻汉字首字母的组合
+ */
+
+import { flattenSites } from './categoryTree.js';
+import { parseSearchQuery, getSearchableFields, allowedTypos } from './siteSearch.js';
+import { getPinyinReadings, isPinyinTerm } from './pinyin.js';
+
+/**
+ * 索引格式版本：索引结构或分词规则变化时递增，旧索引会被视为损坏并重建
+ */
+export const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * 模糊匹配时 bigram 数量少于该值的关键词不参与筛选：
+ * 长度为 4 的词出现相邻字母交换时，可能一个 bigram 都不剩
+ */
+const MIN_FUZZY_FILTER_GRAMS = 4;
+
+/**
+ * 将关键词或文本拆分为 bigram（长度为 1 时返回单字）
+ * @param {string} text - 小写文本
+ * @returns {string[]}
+ */
+function toGrams(text) {
+  const chars = Array.from(text);
+  if (chars.length === 1) return chars;
+  const grams = [];
+  for (let i = 0; i + 1 < chars.length; i++) grams.push(chars[i] + chars[i + 1]);
+  return grams;
+}
+
+/**
+ * 收集一段文本的全部索引键
+ * @param {string} text - 字段原文
+ * @param {Set<string>} out - 输出集合
+ */
+function collectGrams(text, out) {
+  if (!text) return;
+  const chars = Array.from(text.toLowerCase());
+  for (let i = 0; i < chars.length; i++) {
+    out.add(chars[i]);
+    if (i + 1 < chars.length) out.add(chars[i] + chars[i + 1]);
+  }
+
+  // 拼音：读音内部的 bigram，以及与下一个非空白字符（汉字取首字母）组成的二元组
+  const visible = chars.filter(ch => !/\s/.test(ch));
+  for (let i = 0; i < visible.length; i++) {
+    const readings = getPinyinReadings(visible[i]);
+    if (readings.length === 0) continue;
+    const next = visible[i + 1];
+    const nextReadings = next ? getPinyinReadings(next) : [];
+    const nextHeads = nextReadings.length > 0 ? nextReadings.map(r => r[0]) : (next ? [next] : []);
+    for (const syllable of readings) {
+      for (const gram of toGrams(syllable)) out.add(gram);
+      for (const head of nextHeads) out.add(syllable[0] + head);
+    }
+  }
+}
+
+/**
+ * 由导航数据构建搜索索引
+ * @param {Object} data - 导航快照
+ * @returns {{version:number, revision:number, builtAt:string, sites:Array<Object>, postings:Object<string, number[]>}}
+ */
+export function buildSearchIndex(data) {
+  const sites = flattenSites(data && data.categories);
+  const postings = {};
+  sites.forEach((site, docId) => {
+    const grams = new Set();
+    for (const text of Object.values(getSearchableFields(site))) collectGrams(text, grams);
+    for (const gram of grams) {
+      (postings[gram] || (postings[gram] = [])).push(docId);
+    }
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    revision: Number(data && data.revision) || 0,
+    builtAt: new Date().toISOString(),
+    sites,
+    postings
+  };
+}
+
+/**
+ * 校验索引结构是否可用
+ * @param {any} index
+ * @returns {boolean}
+ */
+export function isValidSearchIndex(index) {
+  return !!index
+    && index.version === SEARCH_INDEX_VERSION
+    && Array.isArray(index.sites)
+    && !!index.postings
+    && typeof index.postings === 'object';
+}
+
+/**
+ * 用索引筛选候选网站（保持原有树顺序）
+ * 没有普通关键词时（仅限定符/排除）返回全部网站，由评分阶段过滤
+ * @param {Object} index - 有效的搜索索引
+ * @param {string} query - 搜索语句
+ * @returns {Array<Object>} 候选网站
+ */
+export function selectCandidates(index, query) {
+  const { terms } = parseSearchQuery(query);
+  let candidates = null;
+
+  const postingsOf = (gram) => new Set(Array.isArray(index.postings[gram]) ? index.postings[gram] : []);
+
+  for (const term of terms) {
+    const grams = toGrams(term);
+    const fuzzy = allowedTypos(term) > 0;
+    if (fuzzy && grams.length < MIN_FUZZY_FILTER_GRAMS) continue;
+
+    let matched;
+    if (fuzzy) {
+      // 模糊匹配：命中任一 bigram 即为候选
+      matched = new Set();
+      grams.forEach(gram => postingsOf(gram).forEach(id => matched.add(id)));
+    } else if (isPinyinTerm(term)) {
+      // 可能按拼音命中：首个 bigram 必然存在
+      matched = postingsOf(grams[0]);
+    } else {
+      // 仅原文匹配：所有 bigram 都必须存在
+      matched = grams.map(postingsOf).reduce((acc, set) => new Set([...acc].filter(id => set.has(id))));
+    }
+    candidates = candidates === null
+      ? matched
+      : new Set([...candidates].filter(id => matched.has(id)));
+    if (candidates.size === 0) return [];
+  }
+
+  if (candidates === null) return index.sites;
+  return [...candidates].sort((a, b) => a - b).map(id => index.sites[id]).filter(Boolean);
+}
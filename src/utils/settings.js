@@ -0,0 +1,105 @@
+/**
+ * 系统设置模块
+ * 设置保存在 KV 配置键（navigation_config）中，与导航快照分开存储，修改设置不会产生历史版本
+ */
+
+import { FAVICON_PROVIDERS } from './faviconDiscovery.js';
+
+/**
+ * 首页推荐区块单个区块的最大展示数量
+ */
+export const HOME_SECTION_MAX_COUNT = 24;
+
+/**
+ * 首页推荐区块（按展示顺序）
+ * - popular: 常用网站（按访问热度）
+ * - recentVisited: 本设备最近访问（访问记录保存在浏览器本地）
+ * - recentAdded: 最近添加
+ */
+export const HOME_SECTION_KEYS = ['popular', 'recentVisited', 'recentAdded'];
+
+/**
+ * 默认设置
+ */
+export const DEFAULT_SETTINGS = {
+  homeSections: {
+    popular: { enabled: true, count: 8 },
+    recentVisited: { enabled: true, count: 8 },
+    recentAdded: { enabled: true, count: 8 }
+  },
+  favicon: {
+    // 网页声明的图标与 /favicon.ico 都不可用时，按顺序尝试的第三方图标服务
+    providers: ['duckduckgo'],
+    // 没有图标的网站显示字母头像；关闭时显示网站的 emoji 图标
+    preferAvatar: true
+  },
+  auth: {
+    // 允许直接用管理员密码调用管理接口（Authorization: Bearer <密码> / X-Admin-Token），兼容旧版调试工具
+    allowPlaintextPassword: true
+  }
+};
+
+/**
+ * 规范化设置：补齐缺失字段、修正非法值，未知字段被丢弃
+ * @param {Object} [input] - 已保存或待保存的设置
+ * @returns {Object} 完整设置
+ */
+export function normalizeSettings(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const sections = source.homeSections && typeof source.homeSections === 'object' ? source.homeSections : {};
+
+  const homeSections = {};
+  for (const key of HOME_SECTION_KEYS) {
+    const fallback = DEFAULT_SETTINGS.homeSections[key];
+    const value = sections[key] && typeof sections[key] === 'object' ? sections[key] : {};
+    const count = Math.floor(Number(value.count));
+    homeSections[key] = {
+      enabled: typeof value.enabled === 'boolean' ? value.enabled : fallback.enabled,
+      count: Number.isFinite(count) ? Math.min(HOME_SECTION_MAX_COUNT, Math.max(1, count)) : fallback.count
+    };
+  }
+
+  const favicon = source.favicon && typeof source.favicon === 'object' ? source.favicon : {};
+  const providers = Array.isArray(favicon.providers)
+    ? [...new Set(favicon.providers.filter(key => Object.prototype.hasOwnProperty.call(FAVICON_PROVIDERS, key)))]
+    : [...DEFAULT_SETTINGS.favicon.providers];
+
+  const preferAvatar = typeof favicon.preferAvatar === 'boolean' ? favicon.preferAvatar : DEFAULT_SETTINGS.favicon.preferAvatar;
+
+  const auth = source.auth && typeof source.auth === 'object' ? source.auth : {};
+  const allowPlaintextPassword = typeof auth.allowPlaintextPassword === 'boolean'
+    ? auth.allowPlaintextPassword
+    : DEFAULT_SETTINGS.auth.allowPlaintextPassword;
+
+  return { homeSections, favicon: { providers, preferAvatar }, auth: { allowPlaintextPassword } };
+}
+
+/**
+ * 合并部分设置（仅覆盖提供的字段）
+ * @param {Object} current - 当前完整设置
+ * @param {Object} patch - 部分设置
+ * @returns {Object} 合并并规范化后的设置
+ */
+export function mergeSettings(current, patch) {
+  const base = normalizeSettings(current);
+  const changes = patch && typeof patch === 'object' ? patch : {};
+  const patchSections = changes.homeSections && typeof changes.homeSections === 'object' ? changes.homeSections : {};
+
+  const homeSections = {};
+  for (const key of HOME_SECTION_KEYS) {
+    homeSections[key] = { ...base.homeSections[key], ...(patchSections[key] || {}) };
+  }
+  const favicon = { ...base.favicon, ...(changes.favicon && typeof changes.favicon === 'object' ? changes.favicon : {}) };
+  const auth = { ...base.auth, ...(changes.auth && typeof changes.auth === 'object' ? changes.auth : {}) };
+  return normalizeSettings({ ...base, homeSections, favicon, auth });
+}
+
+/**
+ * 读取当前设置（KV 不可用或未保存时返回默认设置）
+ * @param {import('./kvStorage.js').KVStorageManager} kvManager
+ * @returns {Promise<Object>}
+ */
+export async function loadSettings(kvManager) {
+  const config = kvManager.isAvailable() ? await kvManager.getConfig() : null;
+  return normalizeSettings(config && config.settings);
+}
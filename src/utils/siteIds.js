@@ -0,0 +1,125 @@
+/**
+ * 网站ID工具模块
+ * 为每个网站分配稳定、唯一的 id，使管理接口不再依赖可重复、可改名的标题
+ */
+
+const SITE_ID_PREFIX = 's_';
+
+/**
+ * 生成新的随机网站ID
+ * @returns {string} 形如 s_3f9a1c0b7d2e
+ */
+export function generateSiteId() {
+  const bytes = new Uint8Array(6);
+  crypto.getRandomValues(bytes);
+  return SITE_ID_PREFIX + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 校验网站ID格式
+ * @param {any} id
+ * @returns {boolean}
+ */
+export function isValidSiteId(id) {
+  return typeof id === 'string' && /^s_[0-9a-f]{12}$/.test(id);
+}
+
+/**
+ * 由字符串计算确定性ID（cyrb53 哈希），用于旧数据迁移：
+ * 迁移结果尚未写回 KV 前，多次读取也能得到同一个 id
+ * @param {string} input
+ * @returns {string}
+ */
+function deterministicSiteId(input) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  return SITE_ID_PREFIX + hash.slice(-12);
+}
+
+/**
+ * 确保导航数据中所有网站都有唯一 id（原地修改）
+ * - 缺失 id 的网站补齐；重复的 id（如复制粘贴产生）重新分配
+ * - deterministic=true 时按“目录路径 + URL + 标题”生成，用于读取时迁移旧数据
+ * @param {{sites?:Array, categories?:Array}} data - 导航数据
+ * @param {{deterministic?: boolean}} [options]
+ * @returns {number} 新分配的 id 数量
+ */
+export function ensureSiteIds(data, options = {}) {
+  if (!data) return 0;
+  const deterministic = !!options.deterministic;
+  const seen = new Set();
+  let assigned = 0;
+
+  const fix = (sites, pathTitles) => {
+    if (!Array.isArray(sites)) return;
+    for (const site of sites) {
+      if (!site || typeof site !== 'object') continue;
+      if (site.id && !seen.has(site.id)) {
+        seen.add(site.id);
+        continue;
+      }
+      let id = '';
+      for (let n = 0; !id || seen.has(id); n++) {
+        id = deterministic
+          ? deterministicSiteId(`${pathTitles.join('/')}\n${site.url || ''}\n${site.title || ''}#${n}`)
+          : generateSiteId();
+      }
+      site.id = id;
+      seen.add(id);
+      assigned += 1;
+    }
+  };
+  const walk = (nodes, pathTitles) => {
+    if (!Array.isArray(nodes)) return;
+    for (const node of nodes) {
+      if (!node) continue;
+      const path = [...pathTitles, node.title];
+      fix(node.sites, path);
+      walk(node.children, path);
+    }
+  };
+
+  fix(data.sites, []);
+  walk(data.categories, []);
+  return assigned;
+}
+
+/**
+ * 为缺少 createdAt 字段的网站补齐添加时间（原地修改）
+ * - 写入快照时传入当前时间：新添加的网站获得添加时间
+ * - 读取旧数据时传入 null：已有网站标记为“添加时间未知”，不会被误当作新添加
+ * @param {{sites?:Array, categories?:Array}} data - 导航数据
+ * @param {string|null} value - ISO 时间字符串或 null
+ * @returns {number} 补齐的网站数量
+ */
+export function ensureSiteCreatedAt(data, value) {
+  if (!data) return 0;
+  let stamped = 0;
+  const fix = (sites) => {
+    if (!Array.isArray(sites)) return;
+    for (const site of sites) {
+      if (!site || typeof site !== 'object' || site.createdAt !== undefined) continue;
+      site.createdAt = value;
+      stamped += 1;
+    }
+  };
+  const walk = (nodes) => {
+    if (!Array.isArray(nodes)) return;
+    for (const node of nodes) {
+      if (!node) continue;
+      fix(node.sites);
+      walk(node.children);
+    }
+  };
+  fix(data.sites);
+  walk(data.categories);
+  return stamped;
+}
@@ -0,0 +1,57 @@
+/**
+ * 网站排行模块
+ * 为首页推荐区块等场景从扁平化的网站列表中挑选有序的子集
+ */
+
+import { decayClickScore } from './kvStorage.js';
+
+/**
+ * 按访问热度排序（热度按半衰期衰减，相同时按累计次数），仅包含有访问记录的网站
+ * @param {Array<Object>} sites - 扁平化网站列表（需含 id）
+ * @param {Object<string, {total:number, score?:number, scoreAt?:string}>} totals - 累计访问数据
+ * @param {number} limit - 数量上限
+ * @param {number} [now] - 当前时间戳（ms）
+ * @returns {Array<Object>} 附带 clicks（累计次数）的网站
+ */
+export function rankPopularSites(sites, totals, limit, now = Date.now()) {
+  return sites
+    .filter(site => site.id && totals[site.id] && totals[site.id].total > 0)
+    .map(site => ({
+      site,
+      score: decayClickScore(totals[site.id], now),
+      total: Number(totals[site.id].total) || 0
+    }))
+    .sort((a, b) => (b.score - a.score) || (b.total - a.total))
+    .slice(0, limit)
+    .map(({ site, total }) => ({ ...site, clicks: total }));
+}
+
+/**
+ * 按添加时间倒序排序，添加时间未知的网站不参与
+ * @param {Array<Object>} sites - 扁平化网站列表
+ * @param {number} limit - 数量上限
+ * @returns {Array<Object>}
+ */
+export function rankRecentlyAddedSites(sites, limit) {
+  return sites
+    .map(site => ({ site, time: Date.parse(site.createdAt) }))
+    .filter(({ time }) => Number.isFinite(time))
+    .sort((a, b) => b.time - a.time)
+    .slice(0, limit)
+    .map(({ site }) => site);
+}
+
+/**
+ * 按给定 id 顺序挑选网站（已删除的 id 被忽略）
+ * @param {Array<Object>} sites - 扁平化网站列表
+ * @param {string[]} ids - 网站ID（已按优先级排序）
+ * @param {number} limit - 数量上限
+ * @returns {Array<Object>}
+ */
+export function pickSitesByIds(sites, ids, limit) {
+  const byId = new Map(sites.filter(site => site.id).map(site => [site.id, site]));
+  return ids
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .slice(0, limit);
+}
@@ -0,0 +1,418 @@
+/**
+ * 站内搜索引擎模块
+ * 负责解析搜索语法、模糊匹配与相关度排序
+ *
+ * 支持的语法：
+ * - 普通关键词：多个关键词之间为“且”关系，"带 空格" 的短语用双引号包裹
+ * - tag:dev          网站标签（site.tags）
+ * - in:"开发工具"     所属分类（任一层级标题/ID，或以 / 分隔的路径前缀）
+ * - host:github.com  域名（含子域名）
+ * - -关键词 / -tag:x  排除匹配项（排除也可用于上述限定符）
+ * - 中文标题、描述、分类可用全拼（kaifa）或拼音首字母（kfgj）匹配
+ */
+
+import { matchPinyin } from './pinyin.js';
+
+/**
+ * 字段权重：标题 > 域名 > 标签 > 分类 > 描述
+ */
+const FIELD_WEIGHTS = {
+  title: 10,
+  host: 6,
+  tags: 5,
+  category: 4,
+  description: 3
+};
+
+/**
+ * 匹配方式系数
+ */
+const MATCH_FACTORS = {
+  exact: 2,
+  prefix: 1.5,
+  substring: 1,
+  pinyin: 1,
+  initials: 0.8,
+  fuzzy: 0.6
+};
+
+/**
+ * 支持的限定符
+ */
+const QUALIFIERS = ['tag', 'in', 'host'];
+
+/**
+ * 单页结果数量上限
+ */
+export const SEARCH_MAX_LIMIT = 500;
+
+/**
+ * 搜索建议：默认/最大条数，以及分类、标签建议各自的上限
+ */
+export const SUGGEST_DEFAULT_LIMIT = 8;
+export const SUGGEST_MAX_LIMIT = 20;
+const SUGGEST_GROUP_LIMIT = 3;
+
+/**
+ * 解析搜索语句
+ * @param {string} input - 原始搜索语句
+ * @returns {{terms:string[], tags:string[], in:string[], hosts:string[], exclude:{terms:string[], tags:string[], in:string[], hosts:string[]}}}
+ */
+export function parseSearchQuery(input) {
+  const empty = () => ({ terms: [], tags: [], in: [], hosts: [] });
+  const parsed = { ...empty(), exclude: empty() };
+  const pattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  const text = String(input || '');
+
+  let m;
+  while ((m = pattern.exec(text)) !== null) {
+    const negated = m[1] === '-';
+    let key = (m[2] || '').toLowerCase();
+    let value = (m[3] !== undefined ? m[3] : m[4] || '').trim().toLowerCase();
+
+    // 未知前缀（如 https://）按普通关键词处理
+    if (key && !QUALIFIERS.includes(key)) {
+      value = `${m[2]}:${value}`.toLowerCase();
+      key = '';
+    }
+    if (!value || value === '-') continue;
+
+    const target = negated ? parsed.exclude : parsed;
+    if (key === 'tag') target.tags.push(value);
+    else if (key === 'in') target.in.push(value);
+    else if (key === 'host') target.hosts.push(value.replace(/^https?:\/\//, '').replace(/\/.*$/, ''));
+    else target.terms.push(value);
+  }
+  return parsed;
+}
+
+/**
+ * 从 URL 提取域名
+ * @param {string} url
+ * @returns {string}
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * 规范化网站标签为小写数组（兼容数组与逗号分隔字符串）
+ * @param {Array|string} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * 受限编辑距离（含相邻字符交换），超过 max 时提前返回 max+1
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+function boundedDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prevPrev[j - 2] + 1);
+      }
+      row.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * 关键词允许的拼写错误数：过短的词不做模糊匹配，避免噪声
+ * @param {string} term
+ * @returns {number}
+ */
+export function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * 在单个字段中匹配关键词
+ * @param {string} text - 字段原文
+ * @param {string} term - 小写关键词
+ * @returns {{type:string, ranges:number[][]}|null}
+ */
+export function matchField(text, term) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  // 大小写转换改变长度时（极少数 Unicode 字符）不返回区间，避免高亮错位
+  const rangesUsable = lower.length === text.length;
+
+  if (lower === term) {
+    return { type: 'exact', ranges: rangesUsable ? [[0, text.length]] : [] };
+  }
+
+  const ranges = [];
+  let prefix = false;
+  for (let idx = lower.indexOf(term); idx !== -1; idx = lower.indexOf(term, idx + term.length)) {
+    ranges.push([idx, idx + term.length]);
+    if (idx === 0 || /[^\p{L}\p{N}]/u.test(lower[idx - 1])) prefix = true;
+  }
+  if (ranges.length > 0) {
+    return { type: prefix ? 'prefix' : 'substring', ranges: rangesUsable ? ranges : [] };
+  }
+
+  const pinyinHit = matchPinyin(text, term);
+  if (pinyinHit) return pinyinHit;
+
+  const max = allowedTypos(term);
+  if (max === 0) return null;
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let w;
+  while ((w = wordPattern.exec(lower)) !== null) {
+    const word = w[0];
+    // 同时与整词及等长前缀比较，使 "githb" 也能命中 "github"
+    const candidates = word.length > term.length ? [word, word.slice(0, term.length)] : [word];
+    if (candidates.some(c => boundedDistance(term, c, max) <= max)) {
+      ranges.push([w.index, w.index + word.length]);
+    }
+  }
+  return ranges.length > 0 ? { type: 'fuzzy', ranges: rangesUsable ? ranges : [] } : null;
+}
+
+/**
+ * 分类限定：任一层级标题/ID相等，或路径前缀匹配（如 in:"开发工具/代码托管"）
+ * 按整段比较，in:dev 不会命中 "devops"，in:开发 也不会命中 "开发工具"
+ * @param {Object} site - 展开后的网站（含 path / pathIds）
+ * @param {string} value - 小写限定值
+ * @returns {boolean}
+ */
+function matchesCategory(site, value) {
+  const path = (site.path || []).map(s => String(s).trim().toLowerCase());
+  const pathIds = (site.pathIds || []).map(s => String(s).trim().toLowerCase());
+  if (path.includes(value) || pathIds.includes(value)) return true;
+  const wanted = value.split('/').map(s => s.trim()).filter(Boolean);
+  const isLeadingSlice = (segments) => wanted.length <= segments.length && wanted.every((s, i) => segments[i] === s);
+  return isLeadingSlice(path) || isLeadingSlice(pathIds);
+}
+
+/**
+ * 域名限定：等于该域名或为其子域名
+ * @param {string} host
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesHost(host, value) {
+  return !!host && (host === value || host.endsWith(`.${value}`));
+}
+
+/**
+ * 获取参与关键词匹配的字段文本（搜索索引与评分共用，保证两者一致）
+ * @param {Object} site - 展开后的网站
+ * @returns {{title:string, host:string, tags:string, category:string, description:string}}
+ */
+export function getSearchableFields(site) {
+  return {
+    title: site.title || '',
+    host: hostOf(site.url),
+    tags: normalizeTags(site.tags).join(' '),
+    category: site.category || '',
+    description: site.description || ''
+  };
+}
+
+/**
+ * 对单个网站评分
+ * @param {Object} site - 展开后的网站
+ * @param {ReturnType<typeof parseSearchQuery>} parsed
+ * @returns {{score:number, matches:Array, highlights:Object}|null} 不匹配时返回 null
+ */
+function scoreSite(site, parsed) {
+  const fields = getSearchableFields(site);
+  const host = fields.host;
+  const tags = normalizeTags(site.tags);
+
+  // 限定符过滤
+  if (!parsed.tags.every(t => tags.includes(t))) return null;
+  if (!parsed.in.every(v => matchesCategory(site, v))) return null;
+  if (!parsed.hosts.every(v => matchesHost(host, v))) return null;
+  if (parsed.exclude.tags.some(t => tags.includes(t))) return null;
+  if (parsed.exclude.in.some(v => matchesCategory(site, v))) return null;
+  if (parsed.exclude.hosts.some(v => matchesHost(host, v))) return null;
+  const haystack = Object.values(fields).join('\n').toLowerCase();
+  if (parsed.exclude.terms.some(t => haystack.includes(t))) return null;
+
+  const matches = [];
+  const highlights = {};
+  let score = 0;
+  for (const term of parsed.terms) {
+    let termScore = 0;
+    for (const [field, text] of Object.entries(fields)) {
+      const hit = matchField(text, term);
+      if (!hit) continue;
+      termScore += FIELD_WEIGHTS[field] * MATCH_FACTORS[hit.type];
+      matches.push({ term, field, type: hit.type });
+      if (field !== 'tags' && hit.ranges.length > 0) {
+        highlights[field] = (highlights[field] || []).concat(hit.ranges);
+      }
+    }
+    // 多个关键词之间为“且”关系
+    if (termScore === 0) return null;
+    score += termScore;
+  }
+
+  for (const field of Object.keys(highlights)) {
+    highlights[field] = mergeRanges(highlights[field]);
+  }
+  return { score: Math.round(score * 100) / 100, matches, highlights };
+}
+
+/**
+ * 合并重叠的高亮区间
+ * @param {number[][]} ranges
+ * @returns {number[][]}
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([r[0], r[1]]);
+  }
+  return merged;
+}
+
+/**
+ * 搜索网站并按相关度排序
+ * 每条结果在网站字段基础上附加：
+ * - score: 相关度得分
+ * - matches: 命中原因 [{term, field, type}]，type 为 exact/prefix/substring/pinyin/initials/fuzzy
+ * - highlights: 各字段的高亮区间 {title:[[start,end]], description:[...]}
+ * @param {Array<Object>} sites - flattenSites 展开后的网站
+ * @param {string} query - 搜索语句
+ * @param {{limit?:number, offset?:number}} [options]
+ * @returns {{results:Array<Object>, total:number, parsed:Object}}
+ */
+export function searchSites(sites, query, options = {}) {
+  const parsed = parseSearchQuery(query);
+  const scored = [];
+  (Array.isArray(sites) ? sites : []).forEach((site, order) => {
+    const hit = scoreSite(site, parsed);
+    if (hit) scored.push({ site, order, ...hit });
+  });
+
+  // 相关度降序，同分保持原有树顺序
+  scored.sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const offset = Math.max(0, options.offset || 0);
+  const limit = options.limit ? Math.min(options.limit, SEARCH_MAX_LIMIT) : scored.length;
+  const results = scored.slice(offset, offset + limit).map(({ site, score, matches, highlights }) => ({
+    ...site,
+    score,
+    matches,
+    highlights
+  }));
+
+  return { results, total: scored.length, parsed };
+}
+
+/**
+ * 生成搜索建议（自动补全）
+ * - site: 标题命中的网站，可直接打开
+ * - category: 分类名命中，选择后按 in:"路径" 搜索
+ * - tag: 标签命中，选择后按 tag:xxx 搜索
+ * 网站优先：分类、标签各最多 3 条，合计最多占用一半名额
+ * @param {Array<Object>} sites - 候选网站（flattenSites 结构）
+ * @param {string} query - 输入内容
+ * @param {{limit?:number}} [options]
+ * @returns {Array<Object>} 建议列表，每项含 type / text / highlights 及打开所需字段
+ */
+export function suggestSites(sites, query, options = {}) {
+  const limit = Math.min(options.limit || SUGGEST_DEFAULT_LIMIT, SUGGEST_MAX_LIMIT);
+  const term = String(query || '').trim().toLowerCase();
+  if (!term) return [];
+  const list = Array.isArray(sites) ? sites : [];
+  const rank = (hit) => MATCH_FACTORS[hit.type] || 0;
+
+  // 分类：按路径去重，匹配最后一级标题
+  const categories = new Map();
+  for (const site of list) {
+    const path = site.path || [];
+    const pathIds = site.pathIds || [];
+    for (let depth = 0; depth < path.length; depth++) {
+      const categoryId = pathIds.slice(0, depth + 1).join('/');
+      if (categories.has(categoryId)) continue;
+      const hit = matchField(String(path[depth] || ''), term);
+      // 高亮区间相对最后一级标题，需平移到面包屑文本中的位置
+      const shift = depth > 0 ? `${path.slice(0, depth).join(' / ')} / `.length : 0;
+      categories.set(categoryId, hit && {
+        type: 'category',
+        text: path.slice(0, depth + 1).join(' / '),
+        categoryId,
+        query: `in:"${path.slice(0, depth + 1).join('/')}"`,
+        highlights: hit.ranges.map(([start, end]) => [start + shift, end + shift]),
+        rank: rank(hit)
+      });
+    }
+  }
+
+  // 标签：按小写去重，保留首次出现的写法
+  const tags = new Map();
+  for (const site of list) {
+    for (const tag of (Array.isArray(site.tags) ? site.tags : [])) {
+      const key = String(tag).trim().toLowerCase();
+      if (!key || tags.has(key)) continue;
+      const hit = matchField(String(tag).trim(), term);
+      tags.set(key, hit && {
+        type: 'tag',
+        text: String(tag).trim(),
+        query: `tag:${key}`,
+        highlights: hit.ranges,
+        rank: rank(hit)
+      });
+    }
+  }
+
+  const topOf = (map) => [...map.values()]
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, SUGGEST_GROUP_LIMIT)
+    .map(({ rank: _, ...item }) => item);
+  const categoryItems = topOf(categories);
+  const tagItems = topOf(tags);
+
+  // 网站：只保留标题命中的结果
+  const reserved = Math.min(categoryItems.length + tagItems.length, Math.floor(limit / 2));
+  const siteLimit = limit - reserved;
+  const siteItems = [];
+  for (const result of searchSites(list, term).results) {
+    if (siteItems.length >= siteLimit) break;
+    if (!result.matches.some(m => m.field === 'title')) continue;
+    siteItems.push({
+      type: 'site',
+      text: result.title,
+      id: result.id,
+      url: result.url,
+      icon: result.icon,
+      favicon: result.favicon,
+      category: result.category,
+      highlights: result.highlights.title || []
+    });
+  }
+
+  return [...siteItems, ...categoryItems, ...tagItems].slice(0, limit);
+}
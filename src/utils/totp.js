@@ -0,0 +1,149 @@
+/**
+ * TOTP 模块（RFC 6238，HMAC-SHA1、6 位数字、30 秒步长，与常见验证器应用一致）
+ * 密钥以 Base32 保存与传输（RFC 4648，不带填充）
+ */
+
+/**
+ * 时间步长（秒）
+ */
+export const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * 验证码位数
+ */
+export const TOTP_DIGITS = 6;
+
+/**
+ * 校验时前后各容许的步数（容忍设备时钟偏差）
+ */
+export const TOTP_WINDOW = 1;
+
+/**
+ * 密钥字节数（160 位，RFC 4226 推荐值）
+ */
+const SECRET_BYTES = 20;
+
+/**
+ * Base32 字母表
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Base32 编码
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Base32 解码（忽略空格、连字符与填充，不区分大小写）
+ * @param {string} text
+ * @returns {Uint8Array|null} 含非法字符时返回 null
+ */
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+}
+
+/**
+ * 生成新的 TOTP 密钥
+ * @returns {string} Base32
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+}
+
+/**
+ * 当前时间对应的步数
+ * @param {number} [now] - 毫秒时间戳
+ * @returns {number}
+ */
+export function currentTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * 计算指定步数的验证码（RFC 4226 动态截断）
+ * @param {string} secret - Base32 密钥
+ * @param {number} step - 时间步数
+ * @returns {Promise<string>}
+ */
+export async function computeTotp(secret, step) {
+  const keyBytes = base32Decode(secret);
+  if (!keyBytes || keyBytes.length === 0) throw new Error('无效的 TOTP 密钥');
+  const counter = new Uint8Array(8);
+  let rest = step;
+  for (let i = 7; i >= 0; i--) {
+    counter[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+  const offset = mac[mac.length - 1] & 15;
+  const binary = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 校验验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入（允许包含空格）
+ * @param {{now?:number, lastStep?:number}} [options] - lastStep 为上次成功使用的步数，不大于它的验证码视为已使用（防重放）
+ * @returns {Promise<number|null>} 匹配的步数，不匹配时返回 null
+ */
+export async function verifyTotp(secret, code, options = {}) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) return null;
+  const step = currentTotpStep(options.now);
+  const lastStep = Number.isFinite(options.lastStep) ? options.lastStep : -1;
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (candidate <= lastStep) continue;
+    if (await computeTotp(secret, candidate) === digits) return candidate;
+  }
+  return null;
+}
+
+/**
+ * 生成验证器应用使用的 otpauth:// 地址（用于二维码）
+ * @param {{secret:string, issuer:string, account:string}} params
+ * @returns {string}
+ */
+export function buildOtpauthUri({ secret, issuer, account }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
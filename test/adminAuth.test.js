@@ -0,0 +1,97 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS,
+  beginTwoFactorSetup,
+  consumeTwoFactorChallenge,
+  enableTwoFactor,
+  issueTwoFactorChallenge,
+  loadAdminCredential,
+  recordTwoFactorChallengeFailure,
+  verifySecondFactor,
+  verifyTwoFactorChallenge
+} from '../src/utils/adminAuth.js';
+import { computeTotp, currentTotpStep } from '../src/utils/totp.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+describe('两步登录凭证', () => {
+  let env;
+  let credential;
+
+  beforeEach(async () => {
+    env = { NAVIGATION_KV: new MemoryKV(), ADMIN_PASSWORD: 'correct-horse' };
+    credential = await loadAdminCredential(env);
+  });
+
+  test('签发后可校验，使用一次后作废', async () => {
+    const challenge = await issueTwoFactorChallenge(env, credential);
+    const id = await verifyTwoFactorChallenge(env, credential, challenge);
+    assert.equal(typeof id, 'string');
+
+    await consumeTwoFactorChallenge(env, id);
+    assert.equal(await verifyTwoFactorChallenge(env, credential, challenge), null);
+  });
+
+  test('验证码错误达到上限后作废', async () => {
+    const challenge = await issueTwoFactorChallenge(env, credential);
+    const id = await verifyTwoFactorChallenge(env, credential, challenge);
+    for (let i = 1; i < TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS; i++) {
+      assert.equal(await recordTwoFactorChallengeFailure(env, id), true);
+    }
+    assert.equal(await recordTwoFactorChallengeFailure(env, id), false);
+    assert.equal(await verifyTwoFactorChallenge(env, credential, challenge), null);
+  });
+
+  test('登录令牌不能当作凭证使用，签名错误或缺失时无效', async () => {
+    const challenge = await issueTwoFactorChallenge(env, credential);
+    assert.equal(await verifyTwoFactorChallenge(env, { ...credential, secret: 'other' }, challenge), null);
+    assert.equal(await verifyTwoFactorChallenge(env, credential, `${challenge}x`), null);
+    assert.equal(await verifyTwoFactorChallenge(env, credential, ''), null);
+  });
+});
+
+describe('第二步验证', () => {
+  let env;
+  let credential;
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    env = { NAVIGATION_KV: new MemoryKV(), ADMIN_PASSWORD: 'correct-horse' };
+    secret = await beginTwoFactorSetup(env, await loadAdminCredential(env));
+    const pending = await loadAdminCredential(env);
+    // 用上一个步长的验证码开启，当前步长的验证码留给后续登录
+    const enabled = await enableTwoFactor(env, pending, await computeTotp(secret, currentTotpStep() - 1));
+    credential = enabled.credential;
+    recoveryCodes = enabled.recoveryCodes;
+  });
+
+  test('开启时验证码错误不生效', async () => {
+    const other = { NAVIGATION_KV: new MemoryKV(), ADMIN_PASSWORD: 'correct-horse' };
+    await beginTwoFactorSetup(other, await loadAdminCredential(other));
+    assert.equal(await enableTwoFactor(other, await loadAdminCredential(other), '000000x'), null);
+  });
+
+  test('同一验证码不能重复使用', async () => {
+    const code = await computeTotp(secret, currentTotpStep());
+    const first = await verifySecondFactor(env, credential, code);
+    assert.equal(first.ok, true);
+    assert.equal(first.method, 'totp');
+
+    const replay = await verifySecondFactor(env, first.credential, code);
+    assert.equal(replay.ok, false);
+  });
+
+  test('恢复码只能使用一次，可禁止使用恢复码', async () => {
+    assert.equal(recoveryCodes.length, credential.totp.recoveryCodes.length);
+    const [code] = recoveryCodes;
+    assert.equal((await verifySecondFactor(env, credential, code, { allowRecoveryCode: false })).ok, false);
+
+    const used = await verifySecondFactor(env, credential, code.toLowerCase());
+    assert.equal(used.ok, true);
+    assert.equal(used.method, 'recovery');
+    assert.equal(used.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+    assert.equal((await verifySecondFactor(env, used.credential, code)).ok, false);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleAPIRequest } from '../src/routes/apiRouter.js';
+import { KVStorageManager } from '../src/utils/kvStorage.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const PASSWORD = 'correct-horse';
+
+const addCategory = (env, id, ifMatch) => {
+  const headers = {
+    'Authorization': `Bearer ${PASSWORD}`,
+    'CF-Connecting-IP': '1.1.1.1',
+    'Content-Type': 'application/json'
+  };
+  if (ifMatch !== undefined) headers['If-Match'] = ifMatch;
+  return handleAPIRequest(new Request('https://nav.example.com/api/admin/categories', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ id, title: id, icon: '📁' })
+  }), env);
+};
+
+describe('If-Match 乐观并发校验', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = { NAVIGATION_KV: new MemoryKV(), ADMIN_PASSWORD: PASSWORD };
+    await new KVStorageManager(env.NAVIGATION_KV).saveNavigationData({ categories: [] });
+  });
+
+  test('版本一致时写入成功，并在 ETag 中返回新版本', async () => {
+    const response = await addCategory(env, 'dev', '"1"');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ETag'), '"2"');
+    assert.equal(await new KVStorageManager(env.NAVIGATION_KV).getSnapshotRevision(), 2);
+  });
+
+  test('版本不一致时返回 409 与当前版本，且不写入', async () => {
+    await addCategory(env, 'dev', '"1"');
+    const response = await addCategory(env, 'tools', '"1"');
+    assert.equal(response.status, 409);
+    assert.equal(response.headers.get('ETag'), '"2"');
+    const body = await response.json();
+    assert.equal(body.success, false);
+    assert.equal(body.currentRevision, 2);
+
+    const data = await new KVStorageManager(env.NAVIGATION_KV).getNavigationData();
+    assert.deepEqual(data.categories.map(category => category.id), ['dev']);
+  });
+
+  test('支持弱校验与多个值，未携带或为 * 时不校验', async () => {
+    assert.equal((await addCategory(env, 'a', 'W/"1"')).status, 200);
+    assert.equal((await addCategory(env, 'b', '"1", "2"')).status, 200);
+    assert.equal((await addCategory(env, 'c')).status, 200);
+    assert.equal((await addCategory(env, 'd', '*')).status, 200);
+  });
+});
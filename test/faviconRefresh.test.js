@@ -0,0 +1,77 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { refreshFavicons } from '../src/utils/faviconRefresh.js';
+import { KVStorageManager } from '../src/utils/kvStorage.js';
+import { flattenSites } from '../src/utils/categoryTree.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const realFetch = globalThis.fetch;
+
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+/**
+ * /favicon.ico 返回 PNG，其余地址返回 404；每次请求前先调用 onFetch
+ * @param {(url:string) => Promise<void>} [onFetch]
+ */
+function mockFetch(onFetch = async () => {}) {
+  globalThis.fetch = async (url) => {
+    await onFetch(url);
+    if (new URL(url).pathname === '/favicon.ico') {
+      return new Response(PNG_BYTES, { status: 200, headers: { 'content-type': 'image/png' } });
+    }
+    return new Response('not found', { status: 404 });
+  };
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const DATA = {
+  categories: [{
+    id: 'dev',
+    title: '开发',
+    sites: [
+      { id: 'a', title: 'A', url: 'https://a.example.com/' },
+      { id: 'b', title: 'B', url: 'https://b.example.com/' }
+    ]
+  }]
+};
+
+const loadSites = async kv => {
+  const data = await new KVStorageManager(kv).getNavigationData();
+  return { revision: data.revision, sites: Object.fromEntries(flattenSites(data.categories).map(site => [site.id, site])) };
+};
+
+describe('refreshFavicons', () => {
+  test('刷新期间的其他修改不会被覆盖，版本号不回退', async () => {
+    const env = { NAVIGATION_KV: new MemoryKV() };
+    await new KVStorageManager(env.NAVIGATION_KV).saveNavigationData(DATA);
+
+    let editedRevision = null;
+    mockFetch(async () => {
+      if (editedRevision !== null) return;
+      // 抓取过程中管理员修改了网站
+      const editor = new KVStorageManager(env.NAVIGATION_KV);
+      const data = await editor.getNavigationData();
+      data.categories[0].sites[1].title = 'B（已改名）';
+      data.categories[0].sites.push({ id: 'c', title: 'C', url: 'https://c.example.com/' });
+      await editor.saveNavigationData(data, { summary: '修改网站' });
+      editedRevision = await editor.getSnapshotRevision();
+    });
+
+    const result = await refreshFavicons(env, { force: true });
+    assert.equal(result.refreshed, 2);
+
+    const { revision, sites } = await loadSites(env.NAVIGATION_KV);
+    assert.equal(revision, editedRevision);
+    assert.equal(sites.b.title, 'B（已改名）');
+    assert.equal(sites.c.favicon, undefined);
+    assert.equal(sites.a.favicon, '/api/favicon/a.example.com');
+    assert.equal(sites.b.favicon, '/api/favicon/b.example.com');
+    assert.equal(typeof sites.a.faviconUpdatedAt, 'number');
+
+    const [latest] = await new KVStorageManager(env.NAVIGATION_KV).listRevisions();
+    assert.equal(latest.id, revision);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectFaviconGarbage } from '../src/utils/faviconStorage.js';
+import { KVStorageManager } from '../src/utils/kvStorage.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const icon = byte => btoa(String.fromCharCode(0x89, 0x50, 0x4e, 0x47, byte));
+
+describe('collectFaviconGarbage', () => {
+  let env;
+  let manager;
+  let now;
+
+  beforeEach(async () => {
+    env = { NAVIGATION_KV: new MemoryKV() };
+    manager = new KVStorageManager(env.NAVIGATION_KV);
+    now = Date.UTC(2024, 0, 1);
+    mock.method(Date, 'now', () => now);
+    await manager.saveNavigationData({
+      categories: [{
+        id: 'dev',
+        title: '开发',
+        sites: [
+          { id: 'a', title: 'A', url: 'https://a.example.com/' },
+          { id: 'b', title: 'B', url: 'https://b.example.com/', favicon: '/api/favicon/cdn.example.com' }
+        ]
+      }]
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const blobHashes = async () => (await new KVStorageManager(env.NAVIGATION_KV).listFaviconBlobs()).map(blob => blob.hash);
+  const hosts = async () => (await new KVStorageManager(env.NAVIGATION_KV).listFaviconEntries()).map(entry => entry.host);
+
+  test('保留被网站引用的图标，宽限期过后清理无人引用的映射与内容', async () => {
+    await manager.putFavicon('a.example.com', 'image/png', icon(1));
+    await manager.putFavicon('cdn.example.com', 'image/png', icon(2));
+    await manager.putFavicon('gone.example.com', 'image/png', icon(3));
+    // 与 a.example.com 内容相同的无人引用主机：映射删除后内容仍被引用
+    await manager.putFavicon('mirror.example.com', 'image/png', icon(1));
+    const [aHash, cdnHash] = await Promise.all(['a.example.com', 'cdn.example.com']
+      .map(async host => (await new KVStorageManager(env.NAVIGATION_KV).getFavicon(host)).hash));
+
+    now += HOUR_MS / 2;
+    const early = await collectFaviconGarbage(env);
+    assert.equal(early.removedHosts, 0);
+    assert.equal(early.removedBlobs, 0);
+
+    now += HOUR_MS;
+    const result = await collectFaviconGarbage(env);
+    assert.equal(result.removedHosts, 2);
+    assert.equal(result.removedBlobs, 1);
+    assert.equal(result.hosts, 2);
+    assert.deepEqual(await hosts(), ['a.example.com', 'cdn.example.com']);
+    assert.deepEqual((await blobHashes()).sort(), [aHash, cdnHash].sort());
+  });
+
+  test('宽限期内新写入的内容即使暂无映射也不清理', async () => {
+    await manager.putFavicon('gone.example.com', 'image/png', icon(3));
+    now += 2 * HOUR_MS;
+    // 新内容刚写入、映射尚未列出（KV list 最终一致）
+    await env.NAVIGATION_KV.put(`favblob:${'0'.repeat(64)}`, new Uint8Array([1]), {
+      metadata: { contentType: 'image/png', size: 1, createdAt: now }
+    });
+
+    const result = await collectFaviconGarbage(env);
+    assert.equal(result.removedHosts, 1);
+    assert.equal(result.removedBlobs, 1);
+    assert.deepEqual(await blobHashes(), ['0'.repeat(64)]);
+  });
+
+  test('导航数据中没有网站时不删除任何映射', async () => {
+    await manager.putFavicon('a.example.com', 'image/png', icon(1));
+    await manager.saveNavigationData({ categories: [] });
+    now += 2 * HOUR_MS;
+
+    const result = await collectFaviconGarbage(env);
+    assert.equal(result.removedHosts, 0);
+    assert.equal(result.removedBlobs, 0);
+    assert.deepEqual(await hosts(), ['a.example.com']);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * 测试用的内存 KV 命名空间，实现 KVStorageManager 用到的 get/put/delete/list
+ */
+export class MemoryKV {
+  constructor() {
+    this.values = new Map();
+    this.metadata = new Map();
+  }
+
+  async get(key, type) {
+    if (!this.values.has(key)) return null;
+    const value = this.values.get(key);
+    if (type === 'arrayBuffer') {
+      return typeof value === 'string' ? new TextEncoder().encode(value).buffer : value.slice().buffer;
+    }
+    const text = typeof value === 'string' ? value : new TextDecoder().decode(value);
+    return type === 'json' ? JSON.parse(text) : text;
+  }
+
+  async put(key, value, options = {}) {
+    const binary = value instanceof Uint8Array || value instanceof ArrayBuffer;
+    this.values.set(key, binary ? new Uint8Array(value).slice() : String(value));
+    if (options.metadata) this.metadata.set(key, options.metadata);
+    else this.metadata.delete(key);
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+    this.metadata.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.values.keys()]
+      .filter(name => name.startsWith(prefix))
+      .sort()
+      .map(name => (this.metadata.has(name) ? { name, metadata: this.metadata.get(name) } : { name }));
+    return { keys, list_complete: true };
+  }
+}
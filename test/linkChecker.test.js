@@ -0,0 +1,180 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRedirectTargets, checkLink, checkLinks, runLinkCheck } from '../src/utils/linkChecker.js';
+import { SubrequestBudget, SubrequestBudgetError } from '../src/utils/outboundFetch.js';
+import { KVStorageManager } from '../src/utils/kvStorage.js';
+import { flattenSites } from '../src/utils/categoryTree.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const realFetch = globalThis.fetch;
+
+/**
+ * 按 "METHOD url" 或 url 查表返回响应的 fetch 替身；未列出的地址返回 200
+ * 值为 Error 时模拟网络错误，为 {status, location} 时返回对应响应
+ * @param {Object<string, {status:number, location?:string}|Error>} routes
+ * @returns {string[]} 依次发出的 "METHOD url"
+ */
+function mockFetch(routes = {}) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const key = `${init.method} ${url}`;
+    calls.push(key);
+    const route = routes[key] || routes[url] || { status: 200 };
+    if (route instanceof Error) throw route;
+    const headers = route.location ? { location: route.location } : {};
+    return new Response(null, { status: route.status, headers });
+  };
+  return calls;
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+describe('checkLink', () => {
+  test('HEAD 正常时不再发起 GET', async () => {
+    const calls = mockFetch();
+    const result = await checkLink('https://example.com/');
+    assert.equal(result.state, 'healthy');
+    assert.equal(result.status, 200);
+    assert.deepEqual(calls, ['HEAD https://example.com/']);
+  });
+
+  test('不支持 HEAD 时以 GET 结果为准', async () => {
+    const calls = mockFetch({ 'HEAD https://example.com/': { status: 405 } });
+    const result = await checkLink('https://example.com/');
+    assert.equal(result.state, 'healthy');
+    assert.deepEqual(calls, ['HEAD https://example.com/', 'GET https://example.com/']);
+  });
+
+  test('404 记为失效，401/403/429 视为仍在响应', async () => {
+    mockFetch({ 'https://gone.example.com/': { status: 404 }, 'https://private.example.com/': { status: 403 } });
+    assert.equal((await checkLink('https://gone.example.com/')).state, 'broken');
+    assert.equal((await checkLink('https://private.example.com/')).state, 'healthy');
+  });
+
+  test('跳转到其他地址时记录跳转目标，仅补末尾 "/" 不算跳转', async () => {
+    mockFetch({
+      'https://old.example.com/': { status: 301, location: 'https://new.example.com/' },
+      'https://example.com/docs': { status: 301, location: '/docs/' }
+    });
+    const moved = await checkLink('https://old.example.com/');
+    assert.equal(moved.state, 'redirected');
+    assert.equal(moved.redirectTo, 'https://new.example.com/');
+    assert.equal((await checkLink('https://example.com/docs')).state, 'healthy');
+  });
+
+  test('网络错误记为失效并保留原因', async () => {
+    mockFetch({ 'https://down.example.com/': new Error('连接被拒绝') });
+    const result = await checkLink('https://down.example.com/');
+    assert.equal(result.state, 'broken');
+    assert.equal(result.error, '连接被拒绝');
+  });
+
+  test('内网地址跳过检查，无效地址记为失效', async () => {
+    const calls = mockFetch();
+    assert.equal((await checkLink('http://192.168.1.10:5000/')).state, 'skipped');
+    assert.equal((await checkLink('http://nas/')).state, 'skipped');
+    assert.equal((await checkLink('ftp://example.com/')).state, 'broken');
+    assert.equal((await checkLink('not a url')).state, 'broken');
+    assert.deepEqual(calls, []);
+  });
+
+  test('额度用尽时抛出异常而不是记为失效', async () => {
+    mockFetch({ 'HEAD https://example.com/': { status: 405 } });
+    await assert.rejects(checkLink('https://example.com/', { budget: new SubrequestBudget(1) }), SubrequestBudgetError);
+  });
+});
+
+describe('checkLinks', () => {
+  test('额度用尽后停止，未完成的网站不出现在结果中', async () => {
+    const calls = mockFetch();
+    const sites = ['a', 'b', 'c', 'd'].map(id => ({ id, url: `https://${id}.example.com/` }));
+    const results = await checkLinks(sites, { concurrency: 1, budget: new SubrequestBudget(2) });
+    assert.deepEqual([...results.keys()], ['a', 'b']);
+    assert.equal(calls.length, 2);
+  });
+});
+
+describe('runLinkCheck', () => {
+  const DATA = {
+    categories: [{
+      id: 'dev',
+      title: '开发',
+      sites: [
+        { id: 'ok', title: 'OK', url: 'https://ok.example.com/' },
+        { id: 'gone', title: 'Gone', url: 'https://gone.example.com/' },
+        { id: 'nas', title: 'NAS', url: 'http://10.0.0.2/' },
+        {
+          id: 'fresh', title: 'Fresh', url: 'https://fresh.example.com/',
+          linkCheck: { state: 'healthy', status: 200, redirectTo: null, error: null, checkedAt: new Date().toISOString() }
+        }
+      ]
+    }]
+  };
+
+  const setup = async () => {
+    const env = { NAVIGATION_KV: new MemoryKV() };
+    await new KVStorageManager(env.NAVIGATION_KV).saveNavigationData(DATA);
+    return env;
+  };
+
+  const loadSites = async env => {
+    const data = await new KVStorageManager(env.NAVIGATION_KV).getNavigationData();
+    return { revision: data.revision, sites: Object.fromEntries(flattenSites(data.categories).map(site => [site.id, site])) };
+  };
+
+  test('检查到期的网站并保存结果，不推进快照版本', async () => {
+    mockFetch({ 'https://gone.example.com/': { status: 404 } });
+    const env = await setup();
+    const before = await loadSites(env);
+
+    const summary = await runLinkCheck(env);
+    assert.deepEqual(summary, { checked: 3, healthy: 1, redirected: 0, broken: 1, skipped: 1, remaining: 0 });
+
+    const after = await loadSites(env);
+    assert.equal(after.revision, before.revision);
+    assert.equal(after.sites.ok.linkCheck.state, 'healthy');
+    assert.equal(after.sites.gone.linkCheck.state, 'broken');
+    assert.equal(after.sites.nas.linkCheck.state, 'skipped');
+    assert.deepEqual(after.sites.fresh.linkCheck, before.sites.fresh.linkCheck);
+  });
+
+  test('额度用尽时未检查的网站计入 remaining，且不写入结果', async () => {
+    mockFetch();
+    const env = await setup();
+    const summary = await runLinkCheck(env, { budget: new SubrequestBudget(1) });
+    // 内网地址不发起请求，不占用额度
+    assert.deepEqual(summary, { checked: 2, healthy: 1, redirected: 0, broken: 0, skipped: 1, remaining: 1 });
+
+    const { sites } = await loadSites(env);
+    assert.equal(sites.ok.linkCheck.state, 'healthy');
+    assert.equal(sites.gone.linkCheck, undefined);
+  });
+
+  test('指定 ids 与 before 时跳过之后已检查过的网站', async () => {
+    const calls = mockFetch();
+    const env = await setup();
+    const summary = await runLinkCheck(env, { ids: ['ok', 'fresh'], before: Date.now() - 60 * 1000 });
+    assert.equal(summary.checked, 1);
+    assert.deepEqual(calls, ['HEAD https://ok.example.com/']);
+  });
+});
+
+describe('applyRedirectTargets', () => {
+  test('只更新检查结果为跳转的网站', () => {
+    const data = {
+      categories: [{
+        id: 'dev',
+        sites: [
+          { id: 'a', title: 'A', url: 'https://a.example.com/', linkCheck: { state: 'redirected', redirectTo: 'https://b.example.com/' } },
+          { id: 'c', title: 'C', url: 'https://c.example.com/', linkCheck: { state: 'healthy', redirectTo: null } }
+        ]
+      }]
+    };
+    const updated = applyRedirectTargets(data, ['a', 'c']);
+    assert.deepEqual(updated, [{ id: 'a', title: 'A', from: 'https://a.example.com/', to: 'https://b.example.com/' }]);
+    assert.equal(data.categories[0].sites[0].url, 'https://b.example.com/');
+    assert.equal(data.categories[0].sites[0].linkCheck.state, 'healthy');
+  });
+});
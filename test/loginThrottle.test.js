@@ -0,0 +1,104 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LOGIN_THROTTLE,
+  checkLoginThrottle,
+  clearLoginFailures,
+  describeRetryAfter,
+  recordLoginFailure
+} from '../src/utils/loginThrottle.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const request = ip => new Request('https://nav.example.com/api/admin/auth/login', {
+  method: 'POST',
+  headers: { 'CF-Connecting-IP': ip }
+});
+
+describe('登录限流', () => {
+  let env;
+  let now;
+
+  beforeEach(() => {
+    env = { NAVIGATION_KV: new MemoryKV() };
+    now = Date.UTC(2024, 0, 1);
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const failTimes = async (ip, times) => {
+    let wait = 0;
+    for (let i = 0; i < times; i++) wait = await recordLoginFailure(env, request(ip));
+    return wait;
+  };
+
+  test('前几次失败不需要等待', async () => {
+    assert.equal(await failTimes('1.1.1.1', LOGIN_THROTTLE.freeAttempts), 0);
+    const throttle = await checkLoginThrottle(env, request('1.1.1.1'));
+    assert.deepEqual(throttle, { allowed: true, retryAfter: 0, failures: LOGIN_THROTTLE.freeAttempts });
+  });
+
+  test('之后每次失败等待时间翻倍，到期后恢复', async () => {
+    await failTimes('1.1.1.1', LOGIN_THROTTLE.freeAttempts);
+    assert.equal(await recordLoginFailure(env, request('1.1.1.1')), LOGIN_THROTTLE.backoffBaseSeconds);
+    assert.equal(await recordLoginFailure(env, request('1.1.1.1')), LOGIN_THROTTLE.backoffBaseSeconds * 2);
+
+    const blocked = await checkLoginThrottle(env, request('1.1.1.1'));
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.scope, 'ip');
+    assert.equal(blocked.retryAfter, LOGIN_THROTTLE.backoffBaseSeconds * 2);
+
+    // 其他 IP 不受影响
+    assert.equal((await checkLoginThrottle(env, request('2.2.2.2'))).allowed, true);
+
+    now += LOGIN_THROTTLE.backoffBaseSeconds * 2 * 1000;
+    assert.equal((await checkLoginThrottle(env, request('1.1.1.1'))).allowed, true);
+  });
+
+  test('连续失败过多时锁定该 IP', async () => {
+    assert.equal(await failTimes('1.1.1.1', LOGIN_THROTTLE.lockoutAttempts), LOGIN_THROTTLE.lockoutSeconds);
+    const throttle = await checkLoginThrottle(env, request('1.1.1.1'));
+    assert.equal(throttle.retryAfter, LOGIN_THROTTLE.lockoutSeconds);
+  });
+
+  test('登录成功后清除该 IP 的失败记录', async () => {
+    await failTimes('1.1.1.1', LOGIN_THROTTLE.freeAttempts + 1);
+    await clearLoginFailures(env, request('1.1.1.1'));
+    assert.deepEqual(await checkLoginThrottle(env, request('1.1.1.1')), { allowed: true, retryAfter: 0, failures: 0 });
+  });
+
+  test('没有 CF-Connecting-IP 的请求共用同一条记录，不信任 X-Forwarded-For', async () => {
+    const spoofed = i => new Request('https://nav.example.com/api/admin/auth/login', {
+      method: 'POST',
+      headers: { 'X-Forwarded-For': `203.0.113.${i}` }
+    });
+    for (let i = 0; i < LOGIN_THROTTLE.freeAttempts + 1; i++) {
+      await recordLoginFailure(env, spoofed(i));
+    }
+    const throttle = await checkLoginThrottle(env, spoofed(99));
+    assert.equal(throttle.allowed, false);
+    assert.equal(throttle.scope, 'ip');
+  });
+
+  test('所有 IP 的失败总数过多时全局锁定', async () => {
+    for (let i = 0; i < LOGIN_THROTTLE.globalLockoutAttempts; i++) {
+      await recordLoginFailure(env, request(`10.0.${Math.floor(i / 200)}.${i % 200}`));
+    }
+    const throttle = await checkLoginThrottle(env, request('3.3.3.3'));
+    assert.equal(throttle.allowed, false);
+    assert.equal(throttle.scope, 'global');
+    assert.equal(throttle.retryAfter, LOGIN_THROTTLE.globalLockoutSeconds);
+
+    now += LOGIN_THROTTLE.globalLockoutSeconds * 1000;
+    assert.equal((await checkLoginThrottle(env, request('3.3.3.3'))).allowed, true);
+  });
+});
+
+describe('describeRetryAfter', () => {
+  test('不足一分钟按秒，否则向上取整到分钟', () => {
+    assert.equal(describeRetryAfter(8), '8 秒');
+    assert.equal(describeRetryAfter(61), '2 分钟');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { containsHan, getPinyinReadings, isPinyinTerm, matchPinyin } from '../src/utils/pinyin.js';
+import { searchSites } from '../src/utils/siteSearch.js';
+
+describe('getPinyinReadings', () => {
+  test('返回默认读音与多音字的其他读音', () => {
+    assert.deepEqual(getPinyinReadings('开'), ['kai']);
+    assert.ok(getPinyinReadings('行').includes('xing'));
+    assert.ok(getPinyinReadings('行').includes('hang'));
+  });
+
+  test('非汉字返回空数组', () => {
+    assert.deepEqual(getPinyinReadings('a'), []);
+    assert.equal(containsHan('GitHub'), false);
+    assert.equal(containsHan('GitHub 中文'), true);
+  });
+});
+
+describe('isPinyinTerm', () => {
+  test('只接受两个及以上的小写字母', () => {
+    assert.equal(isPinyinTerm('kf'), true);
+    assert.equal(isPinyinTerm('k'), false);
+    assert.equal(isPinyinTerm('kai fa'), false);
+    assert.equal(isPinyinTerm('kf2'), false);
+  });
+});
+
+describe('matchPinyin', () => {
+  test('全拼命中', () => {
+    assert.deepEqual(matchPinyin('开发工具', 'kaifa'), { type: 'pinyin', ranges: [[0, 2]] });
+  });
+
+  test('末字允许只输入全拼前缀，只输入一个字母时视为首字母', () => {
+    assert.deepEqual(matchPinyin('开发工具', 'kaifagon'), { type: 'pinyin', ranges: [[0, 3]] });
+    assert.deepEqual(matchPinyin('开发工具', 'kaif'), { type: 'initials', ranges: [[0, 2]] });
+  });
+
+  test('首字母及全拼与首字母混合', () => {
+    assert.deepEqual(matchPinyin('开发工具', 'kfgj'), { type: 'initials', ranges: [[0, 4]] });
+    assert.deepEqual(matchPinyin('开发工具', 'kaifgj'), { type: 'initials', ranges: [[0, 4]] });
+  });
+
+  test('多音字按任一读音命中', () => {
+    assert.equal(matchPinyin('银行', 'yinhang').type, 'pinyin');
+    assert.equal(matchPinyin('行业', 'xingye').type, 'pinyin');
+  });
+
+  test('可跨越空白与字母，区间为 UTF-16 下标', () => {
+    assert.deepEqual(matchPinyin('在线 工具', 'zaixiangongju'), { type: 'pinyin', ranges: [[0, 5]] });
+    assert.deepEqual(matchPinyin('😀开发', 'kaifa'), { type: 'pinyin', ranges: [[2, 4]] });
+  });
+
+  test('纯字母文本或不匹配时返回 null', () => {
+    assert.equal(matchPinyin('GitHub', 'github'), null);
+    assert.equal(matchPinyin('开发工具', 'kaifb'), null);
+    assert.equal(matchPinyin('开发工具', 'k'), null);
+  });
+});
+
+describe('拼音搜索', () => {
+  test('中文标题可用拼音搜索', () => {
+    const sites = [
+      { id: 'tools', title: '开发工具', url: 'https://tools.example.com' },
+      { id: 'news', title: '新闻', url: 'https://news.example.com' }
+    ];
+    const { results } = searchSites(sites, 'kfgj');
+    assert.deepEqual(results.map(site => site.id), ['tools']);
+    assert.deepEqual(results[0].matches, [{ term: 'kfgj', field: 'title', type: 'initials' }]);
+  });
+});
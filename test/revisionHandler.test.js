@@ -0,0 +1,131 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleDiffRevisions, handleRestoreRevision } from '../src/handlers/revisionHandler.js';
+import { KVStorageManager, REVISION_RETENTION } from '../src/utils/kvStorage.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const navigation = (sites, extraCategories = []) => ({
+  categories: [{ id: 'dev', title: '开发', sites }, ...extraCategories]
+});
+
+const request = (path, method = 'GET') => new Request(`https://nav.example.com${path}`, {
+  method,
+  headers: { 'CF-Connecting-IP': '1.1.1.1' }
+});
+
+describe('历史版本记录', () => {
+  let kv;
+
+  beforeEach(() => {
+    kv = new MemoryKV();
+  });
+
+  test('每次保存记录一个版本，版本号与快照版本一致', async () => {
+    const manager = new KVStorageManager(kv);
+    await manager.saveNavigationData(navigation([]), { summary: '初始化', author: 'admin@1.1.1.1' });
+    await manager.saveNavigationData(navigation([{ id: 'a', title: 'A', url: 'https://a.example.com/' }]), {
+      mode: 'add-site',
+      summary: '添加网站'
+    });
+
+    const revisions = await new KVStorageManager(kv).listRevisions();
+    assert.deepEqual(revisions.map(item => item.id), [2, 1]);
+    assert.equal(revisions[0].mode, 'add-site');
+    assert.equal(revisions[0].summary, '添加网站');
+    assert.equal(revisions[1].author, 'admin@1.1.1.1');
+    assert.equal(await manager.getSnapshotRevision(), 2);
+
+    const revision = await manager.getRevision(2);
+    assert.equal(revision.data.categories[0].sites[0].url, 'https://a.example.com/');
+    assert.equal(await manager.getRevision(3), null);
+  });
+
+  test(`超过 ${REVISION_RETENTION.maxCount} 个版本时清理最早的版本`, async () => {
+    const manager = new KVStorageManager(kv);
+    const total = REVISION_RETENTION.maxCount + 2;
+    for (let i = 0; i < total; i++) {
+      await manager.saveNavigationData(navigation([]), { summary: `第 ${i + 1} 次` });
+    }
+
+    const revisions = await new KVStorageManager(kv).listRevisions();
+    assert.equal(revisions.length, REVISION_RETENTION.maxCount);
+    assert.equal(revisions[0].id, total);
+    assert.equal(revisions[revisions.length - 1].id, 3);
+    assert.equal(await manager.getRevision(1), null);
+    assert.equal(await manager.getRevision(2), null);
+    assert.ok(await manager.getRevision(3));
+  });
+
+  test(`超过 ${REVISION_RETENTION.maxAgeDays} 天的版本被清理，始终保留最新一个`, async () => {
+    const manager = new KVStorageManager(kv);
+    for (let i = 0; i < 3; i++) await manager.saveNavigationData(navigation([]));
+
+    assert.equal(await manager.pruneRevisions(Date.now() + (REVISION_RETENTION.maxAgeDays - 1) * DAY_MS), 0);
+    assert.equal(await manager.pruneRevisions(Date.now() + (REVISION_RETENTION.maxAgeDays + 1) * DAY_MS), 2);
+
+    const revisions = await new KVStorageManager(kv).listRevisions();
+    assert.deepEqual(revisions.map(item => item.id), [3]);
+    assert.equal(await manager.getRevision(1), null);
+    assert.ok(await manager.getRevision(3));
+  });
+});
+
+describe('handleDiffRevisions', () => {
+  test('列出新增、删除与修改的分类和网站', async () => {
+    const env = { NAVIGATION_KV: new MemoryKV() };
+    const manager = new KVStorageManager(env.NAVIGATION_KV);
+    await manager.saveNavigationData(navigation([
+      { id: 'a', title: 'A', url: 'https://a.example.com/' },
+      { id: 'b', title: 'B', url: 'https://b.example.com/' }
+    ], [{ id: 'old', title: '旧分类', sites: [] }]));
+    await manager.saveNavigationData(navigation([
+      { id: 'a', title: 'A（新）', url: 'https://a.example.com/' },
+      { id: 'c', title: 'C', url: 'https://c.example.com/' }
+    ], [{ id: 'tools', title: '工具', sites: [] }]));
+
+    const response = await handleDiffRevisions(request('/api/admin/revisions/diff?from=1'), env);
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.to, 'current');
+    assert.deepEqual(data.categories, { added: ['工具'], removed: ['旧分类'] });
+    assert.deepEqual(data.sites.added.map(site => site.url), ['https://c.example.com/']);
+    assert.deepEqual(data.sites.removed.map(site => site.url), ['https://b.example.com/']);
+    assert.equal(data.sites.changed.length, 1);
+    assert.deepEqual(data.sites.changed[0].fields, ['title']);
+    assert.equal(data.sites.changed[0].before.title, 'A');
+  });
+
+  test('版本不存在时返回 404，缺少 from 时返回 400', async () => {
+    const env = { NAVIGATION_KV: new MemoryKV() };
+    await new KVStorageManager(env.NAVIGATION_KV).saveNavigationData(navigation([]));
+    assert.equal((await handleDiffRevisions(request('/api/admin/revisions/diff?from=9'), env)).status, 404);
+    assert.equal((await handleDiffRevisions(request('/api/admin/revisions/diff'), env)).status, 400);
+  });
+});
+
+describe('handleRestoreRevision', () => {
+  test('恢复生成一个新版本，可以再次撤销', async () => {
+    const env = { NAVIGATION_KV: new MemoryKV() };
+    const manager = new KVStorageManager(env.NAVIGATION_KV);
+    await manager.saveNavigationData(navigation([{ id: 'a', title: 'A', url: 'https://a.example.com/' }]));
+    await manager.saveNavigationData(navigation([]));
+
+    const response = await handleRestoreRevision(request('/api/admin/revisions/1/restore', 'POST'), env, '1');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.restoredFrom, 1);
+
+    const restored = new KVStorageManager(env.NAVIGATION_KV);
+    const data = await restored.getNavigationData();
+    assert.equal(data.revision, 3);
+    assert.deepEqual(data.categories[0].sites.map(site => site.url), ['https://a.example.com/']);
+    const [latest] = await restored.listRevisions();
+    assert.equal(latest.id, 3);
+    assert.equal(latest.mode, 'restore');
+    assert.equal(latest.author, 'admin@1.1.1.1');
+
+    const missing = await handleRestoreRevision(request('/api/admin/revisions/9/restore', 'POST'), env, '9');
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, isValidSearchIndex, selectCandidates } from '../src/utils/searchIndex.js';
+import { searchSites } from '../src/utils/siteSearch.js';
+import { flattenSites } from '../src/utils/categoryTree.js';
+import { KVStorageManager } from '../src/utils/kvStorage.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const DATA = {
+  revision: 3,
+  categories: [
+    {
+      id: 'dev',
+      title: '开发工具',
+      sites: [
+        { id: 'github', title: 'GitHub', url: 'https://github.com', description: '代码托管平台', tags: ['git'] },
+        { id: 'mdn', title: 'MDN Web Docs', url: 'https://developer.mozilla.org', description: 'Web 文档' }
+      ],
+      children: [
+        {
+          id: 'ops',
+          title: '运维监控',
+          sites: [{ id: 'grafana', title: 'Grafana', url: 'https://grafana.com', description: '可视化仪表盘' }]
+        }
+      ]
+    },
+    {
+      id: 'read',
+      title: '阅读',
+      sites: [{ id: 'news', title: '新闻资讯', url: 'https://news.example.com', description: '每日热点' }]
+    }
+  ]
+};
+
+const SNAPSHOT_KEY = 'nav:__snapshot__';
+const SEARCH_INDEX_KEY = 'idx:__search__';
+
+const ids = sites => sites.map(site => site.id);
+
+describe('buildSearchIndex', () => {
+  test('记录快照版本并展开全部网站', () => {
+    const index = buildSearchIndex(DATA);
+    assert.equal(isValidSearchIndex(index), true);
+    assert.equal(index.revision, 3);
+    assert.deepEqual(ids(index.sites), ['github', 'mdn', 'grafana', 'news']);
+  });
+
+  test('格式版本不符时视为无效', () => {
+    assert.equal(isValidSearchIndex({ ...buildSearchIndex(DATA), version: 0 }), false);
+    assert.equal(isValidSearchIndex(null), false);
+  });
+});
+
+describe('selectCandidates', () => {
+  const index = buildSearchIndex(DATA);
+  const all = flattenSites(DATA.categories);
+
+  test('不会漏掉线性扫描能命中的网站', () => {
+    const queries = [
+      'git', 'GitHub', 'githb', 'grafanna', 'web docs', '托管', '文档', 'kaifa', 'kfgj', 'yunwei',
+      'xinwen', 'xwzx', 'mozilla', 'tag:git', 'in:ops', '-tag:git', 'dash', 'zzz'
+    ];
+    for (const query of queries) {
+      const expected = ids(searchSites(all, query).results).sort();
+      const narrowed = ids(searchSites(selectCandidates(index, query), query).results).sort();
+      assert.deepEqual(narrowed, expected, query);
+    }
+  });
+
+  test('按关键词缩小候选范围，保持原有顺序', () => {
+    assert.deepEqual(ids(selectCandidates(index, '仪表')), ['grafana']);
+    assert.deepEqual(ids(selectCandidates(index, 'zzz')), []);
+  });
+
+  test('只有限定符时返回全部网站', () => {
+    assert.equal(selectCandidates(index, 'tag:git').length, all.length);
+  });
+});
+
+describe('KVStorageManager.loadSearchIndex', () => {
+  test('缺失时按当前快照重建', async () => {
+    const kv = new MemoryKV();
+    await new KVStorageManager(kv).saveNavigationData(DATA);
+    await kv.delete(SEARCH_INDEX_KEY);
+    const { index, state } = await new KVStorageManager(kv).loadSearchIndex();
+    assert.equal(state, 'rebuilt');
+    assert.deepEqual(ids(index.sites), ['github', 'mdn', 'grafana', 'news']);
+  });
+
+  test('写入快照后索引与快照版本一致', async () => {
+    const kv = new MemoryKV();
+    const manager = new KVStorageManager(kv);
+    await manager.saveNavigationData(DATA);
+    await manager.saveNavigationData(DATA, { skipHistory: true });
+    const { state } = await new KVStorageManager(kv).loadSearchIndex();
+    assert.equal(state, 'fresh');
+  });
+
+  test('快照版本比索引新时判定为过期', async () => {
+    const kv = new MemoryKV();
+    await new KVStorageManager(kv).saveNavigationData(DATA);
+    // 模拟快照已更新、索引写入失败的情况
+    const snapshot = await kv.get(SNAPSHOT_KEY, 'json');
+    await kv.put(SNAPSHOT_KEY, JSON.stringify({ ...snapshot, revision: snapshot.revision + 1 }));
+    const { index, state } = await new KVStorageManager(kv).loadSearchIndex();
+    assert.equal(state, 'stale');
+    assert.equal(index, null);
+  });
+});
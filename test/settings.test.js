@@ -0,0 +1,54 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, HOME_SECTION_MAX_COUNT, mergeSettings, normalizeSettings } from '../src/utils/settings.js';
+
+describe('normalizeSettings', () => {
+  test('没有保存过设置时返回默认设置', () => {
+    assert.deepEqual(normalizeSettings(undefined), DEFAULT_SETTINGS);
+    assert.deepEqual(normalizeSettings('invalid'), DEFAULT_SETTINGS);
+  });
+
+  test('修正非法值并限制展示数量', () => {
+    const settings = normalizeSettings({
+      homeSections: {
+        popular: { enabled: 'no', count: 1000 },
+        recentVisited: { enabled: false, count: 0 },
+        recentAdded: { count: '5.8' }
+      }
+    });
+    assert.deepEqual(settings.homeSections, {
+      popular: { enabled: true, count: HOME_SECTION_MAX_COUNT },
+      recentVisited: { enabled: false, count: 1 },
+      recentAdded: { enabled: true, count: 5 }
+    });
+  });
+
+  test('图标服务只保留已知且不重复的项，允许为空', () => {
+    assert.deepEqual(normalizeSettings({ favicon: { providers: ['google', 'unknown', 'google'] } }).favicon.providers, ['google']);
+    assert.deepEqual(normalizeSettings({ favicon: { providers: [] } }).favicon.providers, []);
+    assert.deepEqual(normalizeSettings({ favicon: { providers: 'google' } }).favicon.providers, DEFAULT_SETTINGS.favicon.providers);
+  });
+
+  test('丢弃未知字段，明文密码认证只接受布尔值', () => {
+    const settings = normalizeSettings({ extra: 1, auth: { allowPlaintextPassword: 'false' } });
+    assert.equal('extra' in settings, false);
+    assert.equal(settings.auth.allowPlaintextPassword, true);
+    assert.equal(normalizeSettings({ auth: { allowPlaintextPassword: false } }).auth.allowPlaintextPassword, false);
+  });
+
+  test('不修改默认设置对象', () => {
+    normalizeSettings(undefined).favicon.providers.push('google');
+    assert.deepEqual(DEFAULT_SETTINGS.favicon.providers, ['duckduckgo']);
+  });
+});
+
+describe('mergeSettings', () => {
+  test('只覆盖提供的字段', () => {
+    const current = normalizeSettings({ homeSections: { popular: { enabled: false, count: 12 } } });
+    const merged = mergeSettings(current, { homeSections: { popular: { count: 6 } }, auth: { allowPlaintextPassword: false } });
+    assert.deepEqual(merged.homeSections.popular, { enabled: false, count: 6 });
+    assert.deepEqual(merged.homeSections.recentAdded, DEFAULT_SETTINGS.homeSections.recentAdded);
+    assert.deepEqual(merged.favicon, DEFAULT_SETTINGS.favicon);
+    assert.equal(merged.auth.allowPlaintextPassword, false);
+  });
+});
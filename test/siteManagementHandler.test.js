@@ -0,0 +1,44 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleBatchAddSites } from '../src/handlers/siteManagementHandler.js';
+import { KVStorageManager } from '../src/utils/kvStorage.js';
+import { SUBREQUEST_BUDGET } from '../src/utils/outboundFetch.js';
+import { flattenSites } from '../src/utils/categoryTree.js';
+import { MemoryKV } from './helpers/memoryKV.js';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+describe('handleBatchAddSites', () => {
+  test('网页信息与图标抓取共用一份子请求额度，用尽后只绑定图标地址', async () => {
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls += 1;
+      return new Response('not found', { status: 404 });
+    };
+
+    const env = { NAVIGATION_KV: new MemoryKV() };
+    await new KVStorageManager(env.NAVIGATION_KV).saveNavigationData({
+      categories: [{ id: 'dev', title: '开发', sites: [] }]
+    });
+
+    const hosts = Array.from({ length: 30 }, (_, i) => `site${i}.example.com`);
+    const request = new Request('https://nav.example.com/api/admin/sites', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mode: 'add', items: hosts.map(host => ({ path: '开发', site: { url: `https://${host}/` } })) })
+    });
+    const response = await handleBatchAddSites(request, env);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.data.added, hosts.length);
+    assert.ok(calls <= SUBREQUEST_BUDGET, `发起了 ${calls} 个子请求`);
+
+    const data = await new KVStorageManager(env.NAVIGATION_KV).getNavigationData();
+    const sites = flattenSites(data.categories);
+    assert.deepEqual(sites.map(site => site.favicon), hosts.map(host => `/api/favicon/${host}`));
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchField, parseSearchQuery, searchSites, suggestSites } from '../src/utils/siteSearch.js';
+
+const SITES = [
+  {
+    id: 'github', title: 'GitHub', url: 'https://github.com', description: '代码托管平台',
+    tags: ['git', 'code'], category: '代码托管', path: ['开发工具', '代码托管'], pathIds: ['dev', 'hosting']
+  },
+  {
+    id: 'gitlab', title: 'GitLab', url: 'https://gitlab.com', description: '可自托管的代码平台',
+    tags: ['git', 'self-hosted'], category: '代码托管', path: ['开发工具', '代码托管'], pathIds: ['dev', 'hosting']
+  },
+  {
+    id: 'jenkins', title: 'Jenkins', url: 'https://www.jenkins.io', description: '持续集成',
+    tags: ['ci'], category: '运维', path: ['开发', '运维'], pathIds: ['devops', 'ops']
+  },
+  {
+    id: 'mdn', title: 'MDN Web Docs', url: 'https://developer.mozilla.org', description: 'Web 文档',
+    tags: 'docs, web', category: '文档', path: ['开发工具', '文档'], pathIds: ['dev', 'docs']
+  }
+];
+
+const ids = result => result.results.map(site => site.id);
+
+describe('parseSearchQuery', () => {
+  test('拆分关键词、短语、限定符与排除项', () => {
+    const parsed = parseSearchQuery('Git "web docs" tag:CI in:"开发工具/代码托管" host:https://github.com/x -tag:web -foo');
+    assert.deepEqual(parsed.terms, ['git', 'web docs']);
+    assert.deepEqual(parsed.tags, ['ci']);
+    assert.deepEqual(parsed.in, ['开发工具/代码托管']);
+    assert.deepEqual(parsed.hosts, ['github.com']);
+    assert.deepEqual(parsed.exclude.tags, ['web']);
+    assert.deepEqual(parsed.exclude.terms, ['foo']);
+  });
+
+  test('未知前缀按普通关键词处理', () => {
+    assert.deepEqual(parseSearchQuery('https://example.com').terms, ['https://example.com']);
+  });
+});
+
+describe('matchField', () => {
+  test('区分完全、前缀与子串匹配', () => {
+    assert.equal(matchField('GitHub', 'github').type, 'exact');
+    assert.deepEqual(matchField('MDN Web Docs', 'web'), { type: 'prefix', ranges: [[4, 7]] });
+    assert.equal(matchField('GitHub', 'hub').type, 'substring');
+  });
+
+  test('较长关键词允许拼写错误，短关键词不做模糊匹配', () => {
+    assert.equal(matchField('GitHub', 'githb').type, 'fuzzy');
+    assert.equal(matchField('Jenkins', 'jenkisn').type, 'fuzzy');
+    assert.equal(matchField('GitHub', 'gti'), null);
+  });
+});
+
+describe('searchSites', () => {
+  test('标题命中排在描述命中之前，同分保持原有顺序', () => {
+    const sites = [
+      { id: 'a', title: 'Reader', description: 'notes app' },
+      { id: 'b', title: 'Notes' },
+      { id: 'c', title: 'Notes' }
+    ];
+    assert.deepEqual(ids(searchSites(sites, 'notes')), ['b', 'c', 'a']);
+  });
+
+  test('多个关键词之间为“且”关系', () => {
+    assert.deepEqual(ids(searchSites(SITES, 'git 自托管')), ['gitlab']);
+  });
+
+  test('tag:/host: 限定与排除', () => {
+    assert.deepEqual(ids(searchSites(SITES, 'tag:git -tag:code')), ['gitlab']);
+    assert.deepEqual(ids(searchSites(SITES, 'host:mozilla.org')), ['mdn']);
+    assert.deepEqual(ids(searchSites(SITES, 'tag:docs')), ['mdn']);
+  });
+
+  test('in: 按分类标题、ID 或路径前缀匹配', () => {
+    assert.deepEqual(ids(searchSites(SITES, 'in:代码托管')), ['github', 'gitlab']);
+    assert.deepEqual(ids(searchSites(SITES, 'in:docs')), ['mdn']);
+    assert.deepEqual(ids(searchSites(SITES, 'in:"开发工具/文档"')), ['mdn']);
+    assert.deepEqual(ids(searchSites(SITES, 'in:dev/hosting')), ['github', 'gitlab']);
+  });
+
+  test('in: 按整段比较，不命中名称相近的分类', () => {
+    assert.deepEqual(ids(searchSites(SITES, 'in:dev')), ['github', 'gitlab', 'mdn']);
+    assert.deepEqual(ids(searchSites(SITES, 'in:开发')), ['jenkins']);
+    assert.deepEqual(ids(searchSites(SITES, 'in:开发工具/代码')), []);
+    assert.deepEqual(ids(searchSites(SITES, '-in:dev')), ['jenkins']);
+  });
+
+  test('分页并返回高亮区间', () => {
+    const result = searchSites(SITES, 'git', { limit: 1, offset: 1 });
+    assert.equal(result.total, 2);
+    assert.deepEqual(ids(result), ['gitlab']);
+    assert.deepEqual(result.results[0].highlights.title, [[0, 3]]);
+  });
+});
+
+describe('suggestSites', () => {
+  test('网站优先，分类建议附带 in: 查询', () => {
+    const suggestions = suggestSites(SITES, '代码');
+    const category = suggestions.find(item => item.type === 'category');
+    assert.equal(category.text, '开发工具 / 代码托管');
+    assert.equal(category.query, 'in:"开发工具/代码托管"');
+    assert.deepEqual(category.highlights, [[7, 9]]);
+  });
+
+  test('空输入不返回建议', () => {
+    assert.deepEqual(suggestSites(SITES, '  '), []);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TOTP_PERIOD_SECONDS,
+  buildOtpauthUri,
+  computeTotp,
+  currentTotpStep,
+  generateTotpSecret,
+  verifyTotp
+} from '../src/utils/totp.js';
+
+// RFC 6238 附录 B 的 SHA-1 密钥 "12345678901234567890"（Base32）
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const stepAt = seconds => currentTotpStep(seconds * 1000);
+
+describe('computeTotp', () => {
+  test('与 RFC 6238 测试向量一致（取后 6 位）', async () => {
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130']
+    ];
+    for (const [seconds, code] of vectors) {
+      assert.equal(await computeTotp(RFC_SECRET, stepAt(seconds)), code, String(seconds));
+    }
+  });
+
+  test('密钥不区分大小写，忽略空格与填充', async () => {
+    const step = stepAt(59);
+    assert.equal(await computeTotp('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', step), '287082');
+  });
+
+  test('无效密钥抛出异常', async () => {
+    await assert.rejects(computeTotp('not base32!', 1), /无效的 TOTP 密钥/);
+    await assert.rejects(computeTotp('', 1), /无效的 TOTP 密钥/);
+  });
+});
+
+describe('verifyTotp', () => {
+  const now = 1111111111 * 1000;
+
+  test('返回匹配的步数，容许前后一个步长的时钟偏差', async () => {
+    const step = currentTotpStep(now);
+    assert.equal(await verifyTotp(RFC_SECRET, '050471', { now }), step);
+    assert.equal(await verifyTotp(RFC_SECRET, '050 471', { now: now + TOTP_PERIOD_SECONDS * 1000 }), step);
+    assert.equal(await verifyTotp(RFC_SECRET, '050471', { now: now + 2 * TOTP_PERIOD_SECONDS * 1000 }), null);
+  });
+
+  test('不大于 lastStep 的验证码视为已使用', async () => {
+    const step = currentTotpStep(now);
+    assert.equal(await verifyTotp(RFC_SECRET, '050471', { now, lastStep: step }), null);
+    assert.equal(await verifyTotp(RFC_SECRET, '050471', { now, lastStep: step - 1 }), step);
+  });
+
+  test('格式不对时直接拒绝', async () => {
+    assert.equal(await verifyTotp(RFC_SECRET, '05047', { now }), null);
+    assert.equal(await verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+    assert.equal(await verifyTotp(RFC_SECRET, undefined, { now }), null);
+  });
+});
+
+describe('generateTotpSecret / buildOtpauthUri', () => {
+  test('生成 160 位 Base32 密钥', () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(generateTotpSecret(), secret);
+  });
+
+  test('生成验证器应用可识别的地址', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, issuer: '个人导航', account: 'admin' });
+    assert.ok(uri.startsWith(`otpauth://totp/${encodeURIComponent('个人导航')}:admin?`));
+    const url = new URL(uri);
+    assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(url.searchParams.get('digits'), '6');
+    assert.equal(url.searchParams.get('period'), '30');
+  });
+});